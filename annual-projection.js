@@ -0,0 +1,233 @@
+/**
+ * Annual Projection
+ * Forecasts a whole year of bills from the periods already billed and a
+ * seasonal pattern (last year's consumption, so summer irrigation peaks
+ * carry over), prices every period with the tariff in force on its dates,
+ * and compares the yearly total with a budget.
+ *
+ * Browser: loaded as a classic script after tariff-engine.js,
+ *          exposed as window.WaterAnnualProjection
+ * Node:    const projection = require('./annual-projection');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./tariff-engine'));
+    } else {
+        root.WaterAnnualProjection = factory(root.WaterTariffEngine);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine) {
+    'use strict';
+
+    const { TariffEngineError, CURRENT_YEAR, BILLING_PERIODS, calculateWaterBill } = engine;
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /**
+     * @typedef {Object} ProjectionInput
+     * @property {number}  [year=2026]
+     * @property {number}  [period=2]          - months per bill (1 or 2)
+     * @property {number}  persons
+     * @property {boolean} [hasDisability=false]
+     * @property {Object[]} [fees]             - tariff-engine FeeItem list
+     * @property {Object[]} [eligibility]      - tariff-engine EligibilityClaim list
+     * @property {string}  [consumerType]      - tariff-engine consumer type, with its `rates`
+     * @property {Object}  [rates]
+     * @property {Array<number|null>} [actuals]  - billed consumption per period of the year, null where not billed yet
+     * @property {Array<number|null>} [previousYear] - last year's consumption per period, for the seasonal pattern
+     * @property {number}  [budget]            - yearly budget (NIS)
+     */
+
+    /**
+     * @typedef {Object} ProjectedPeriod
+     * @property {number}  index       - 0-based period of the year
+     * @property {string}  startDate
+     * @property {string}  endDate
+     * @property {number}  consumption - m³, billed or forecast
+     * @property {boolean} actual      - billed rather than forecast
+     * @property {Object}  result      - BillResult, priced with the tariffs in force on the period's dates
+     * @property {number}  cumulativeCost
+     */
+
+    /**
+     * @typedef {Object} Projection
+     * @property {number} year
+     * @property {number} period
+     * @property {'previousYear'|'flat'} pattern - where the seasonal shape came from
+     * @property {ProjectedPeriod[]} periods
+     * @property {{consumption: number, actualConsumption: number, forecastConsumption: number,
+     *             reducedConsumption: number, fullConsumption: number,
+     *             cost: number, actualCost: number, forecastCost: number}} totals
+     * @property {{amount: number, exceeded: boolean, difference: number,
+     *             percentUsed: number, exceededFrom: number|null}|null} budget
+     *           exceededFrom is the first period whose cumulative cost is over the budget
+     */
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    /**
+     * Calendar dates of each billing period in a year
+     * @param {number} year
+     * @param {number} period - months per bill
+     * @returns {{startDate: string, endDate: string}[]}
+     */
+    function yearPeriods(year, period) {
+        const periods = [];
+        for (let month = 1; month <= 12; month += period) {
+            const lastMonth = month + period - 1;
+            const lastDay = new Date(Date.UTC(year, lastMonth, 0)).getUTCDate();
+            periods.push({
+                startDate: `${year}-${pad(month)}-01`,
+                endDate: `${year}-${pad(lastMonth)}-${pad(lastDay)}`
+            });
+        }
+        return periods;
+    }
+
+    function isConsumption(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    }
+
+    /**
+     * Validate a per-period consumption list, padding it to the year
+     * @returns {Array<number|null>}
+     * @throws {TariffEngineError}
+     */
+    function normalizeSeries(values, count, field) {
+        if (values === undefined || values === null) {
+            return new Array(count).fill(null);
+        }
+        if (!Array.isArray(values) || values.length > count) {
+            throw new TariffEngineError('INVALID_PROJECTION', `${field} must list at most ${count} periods`, field);
+        }
+        return Array.from({ length: count }, (unused, index) => {
+            const value = values[index];
+            if (value === undefined || value === null || value === '') {
+                return null;
+            }
+            if (!isConsumption(value)) {
+                throw new TariffEngineError('INVALID_PROJECTION', `${field}[${index}] must be a non-negative number`, field);
+            }
+            return value;
+        });
+    }
+
+    const sum = values => values.reduce((total, value) => total + value, 0);
+
+    // ============================================
+    // PROJECTION
+    // ============================================
+
+    /**
+     * Project a year of bills.
+     * Periods not billed yet follow last year's shape, scaled by how this
+     * year's billed periods compare with the same periods last year. Without
+     * last year's data every period weighs the same.
+     * @param {ProjectionInput} input
+     * @returns {Projection}
+     * @throws {TariffEngineError} INVALID_PROJECTION for bad series or budget,
+     *         NO_PROJECTION_DATA when there is nothing to project from,
+     *         and engine errors for the household input
+     */
+    function projectYear(input) {
+        const year = input.year === undefined ? CURRENT_YEAR : input.year;
+        const period = input.period === undefined ? 2 : input.period;
+        if (!BILLING_PERIODS.includes(period)) {
+            throw new TariffEngineError('INVALID_PERIOD', 'Billing period must be 1 or 2 months', 'period');
+        }
+        if (input.budget !== undefined && input.budget !== null && !(Number.isFinite(input.budget) && input.budget > 0)) {
+            throw new TariffEngineError('INVALID_PROJECTION', 'Budget must be a positive amount', 'budget');
+        }
+
+        const dates = yearPeriods(year, period);
+        const actuals = normalizeSeries(input.actuals, dates.length, 'actuals');
+        const previous = normalizeSeries(input.previousYear, dates.length, 'previousYear');
+
+        const billed = actuals.map((value, index) => index).filter(index => actuals[index] !== null);
+        const known = previous.filter(value => value !== null);
+        if (billed.length === 0 && known.length === 0) {
+            throw new TariffEngineError('NO_PROJECTION_DATA', 'Enter at least one billed period or last year\'s consumption', 'actuals');
+        }
+
+        // Seasonal weights: last year's consumption, gaps filled with its average
+        const averagePrevious = known.length > 0 ? sum(known) / known.length : 1;
+        const weights = previous.map(value => (value === null ? averagePrevious : value));
+
+        // How this year runs against the pattern so far
+        const billedWeight = sum(billed.map(index => weights[index]));
+        const scale = billed.length === 0
+            ? 1
+            : (billedWeight > 0 ? sum(billed.map(index => actuals[index])) / billedWeight : 0);
+        const flatLevel = billed.length > 0 && billedWeight === 0
+            ? sum(billed.map(index => actuals[index])) / billed.length
+            : null;
+
+        let cumulativeCost = 0;
+        const periods = dates.map((range, index) => {
+            const actual = actuals[index] !== null;
+            const consumption = actual ? actuals[index] : (flatLevel !== null ? flatLevel : weights[index] * scale);
+            const result = calculateWaterBill({
+                consumption,
+                persons: input.persons,
+                period,
+                hasDisability: input.hasDisability,
+                fees: input.fees,
+                eligibility: input.eligibility,
+                consumerType: input.consumerType,
+                rates: input.rates,
+                startDate: range.startDate,
+                endDate: range.endDate
+            });
+            cumulativeCost += result.totalPrice;
+            return { index, ...range, consumption, actual, result, cumulativeCost };
+        });
+
+        const total = (list, pick) => sum(list.map(pick));
+        const actualPeriods = periods.filter(entry => entry.actual);
+        const forecastPeriods = periods.filter(entry => !entry.actual);
+        const totals = {
+            consumption: total(periods, entry => entry.consumption),
+            actualConsumption: total(actualPeriods, entry => entry.consumption),
+            forecastConsumption: total(forecastPeriods, entry => entry.consumption),
+            reducedConsumption: total(periods, entry => entry.result.reducedConsumption),
+            fullConsumption: total(periods, entry => entry.result.fullConsumption),
+            cost: total(periods, entry => entry.result.totalPrice),
+            actualCost: total(actualPeriods, entry => entry.result.totalPrice),
+            forecastCost: total(forecastPeriods, entry => entry.result.totalPrice)
+        };
+
+        let budget = null;
+        if (input.budget) {
+            const over = periods.find(entry => entry.cumulativeCost > input.budget);
+            budget = {
+                amount: input.budget,
+                exceeded: totals.cost > input.budget,
+                difference: totals.cost - input.budget,
+                percentUsed: (totals.cost / input.budget) * 100,
+                exceededFrom: over ? over.index : null
+            };
+        }
+
+        return {
+            year,
+            period,
+            pattern: known.length > 0 ? 'previousYear' : 'flat',
+            periods,
+            totals,
+            budget
+        };
+    }
+
+    return {
+        yearPeriods,
+        projectYear
+    };
+}));
@@ -0,0 +1,770 @@
+/**
+ * Bill Checker
+ * Compares a bill against the tariff-engine calculation and lists likely
+ * billing errors, warnings and recommendations. Free of DOM access so the
+ * same checks run on the form, on imported bills and in Node.
+ *
+ * Checks are rule objects in a registry: each has an id, a category and
+ * severity, default thresholds, and Hebrew/Arabic/English messages. New
+ * checks are added with registerRule() instead of editing the runner.
+ * Arabic is optional for added rules; Hebrew is used where it is missing.
+ *
+ * Browser: loaded as a classic script after tariff-engine.js, i18n.js
+ *          and bill-solver.js, exposed as window.WaterBillChecker
+ * Node:    const checker = require('./bill-checker');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./tariff-engine'), require('./bill-solver'), require('./i18n'));
+    } else {
+        root.WaterBillChecker = factory(root.WaterTariffEngine, root.WaterBillSolver, root.WaterI18n);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine, solver, i18n) {
+    'use strict';
+
+    const { TariffEngineError, PRICING_STRATEGIES, DISABILITY_BONUS, calculateWaterBill, isSupportedYear, getConsumerTypes } = engine;
+    const { solvePersons, solveTariffYear } = solver;
+    // Figures follow the interface locale; callers run the checks in that language
+    const { formatNumber, formatCurrency, formatPercent, formatDate } = i18n;
+
+    const CATEGORIES = ['error', 'warning', 'recommendation'];
+    const LANGUAGES = ['he', 'ar', 'en'];
+    const REQUIRED_LANGUAGES = ['he', 'en'];
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /**
+     * @typedef {Object} BillContext
+     * @property {number}  consumption
+     * @property {number}  persons
+     * @property {boolean} [hasDisability=false]
+     * @property {Object}  [input]               - tariff-engine BillInput the result was calculated from
+     *                                             (needed by rules that re-price the bill)
+     * @property {number}  [actualBillAmount]    - amount on the corporation's bill (NIS)
+     * @property {'actual'|'estimated'|'unknown'} [billingType]
+     * @property {number}  [previousConsumption] - consumption on the previous bill (m³)
+     * @property {number}  [currentMeterReading] - reading taken by the resident (m³)
+     * @property {{date: string, reading: number}} [lastReading] - last saved meter reading
+     * @property {{date?: string, startDate?: string, endDate?: string}} [billPeriod] - the checked bill
+     * @property {Array<{date?: string, startDate?: string, endDate?: string}>} [otherBills]
+     *           other bills already received, for duplicate-period detection
+     * @property {Object}  [leak]                - leak-detection LeakAnalysis of the reading history
+     */
+
+    /**
+     * @typedef {Object} RuleMessages
+     * @property {string} title
+     * @property {function(Object): string} description - receives the rule's values
+     * @property {string|function(Object): string} action - a function receives the values too
+     */
+
+    /**
+     * @typedef {Object} Rule
+     * @property {string} id
+     * @property {'error'|'warning'|'recommendation'} category
+     * @property {'high'|'medium'|'low'} severity
+     * @property {Object} thresholds - defaults, overridable per run
+     * @property {function(Object, BillContext, Object): (Object|null)} test
+     *           (result, context, thresholds) -> values for the messages, or null when the rule does not fire
+     * @property {{he: RuleMessages, ar?: RuleMessages, en: RuleMessages}} messages
+     */
+
+    /**
+     * @typedef {Object} Finding
+     * @property {string} id       - rule id
+     * @property {string} type     - same as id
+     * @property {'error'|'warning'|'recommendation'} category
+     * @property {'high'|'medium'|'low'} severity
+     * @property {string} title
+     * @property {string} description
+     * @property {string} action
+     * @property {Object} values   - figures behind the finding
+     */
+
+    /**
+     * @typedef {Object} CheckResult
+     * @property {Finding[]} findings - all findings, in rule order
+     * @property {Finding[]} errors
+     * @property {Finding[]} warnings
+     * @property {Finding[]} recommendations
+     */
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    /**
+     * True for a plain object (not null or an array)
+     */
+    function isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * True for a number greater than zero
+     */
+    function isPositive(value) {
+        return Number.isFinite(value) && value > 0;
+    }
+
+    /**
+     * Percentage difference of a billed amount from a calculated one
+     */
+    function percentOff(actual, calculated) {
+        return Math.abs((actual - calculated) / calculated) * 100;
+    }
+
+    /**
+     * Whether a result was priced with a household allocation (persons,
+     * members and eligibility) rather than a non-residential rate or quota
+     */
+    function isHousehold(result) {
+        const type = getConsumerTypes().find(entry => entry.id === result.consumerType);
+        return !type || PRICING_STRATEGIES[type.pricing].household;
+    }
+
+    // ============================================
+    // RULES
+    // ============================================
+
+    /**
+     * Built-in rules, in the order their findings are listed
+     * @type {Rule[]}
+     */
+    const RULES = [];
+
+    /**
+     * Add a rule to the registry (replacing any rule with the same id)
+     * @param {Rule} rule
+     * @returns {Rule}
+     * @throws {TariffEngineError} INVALID_RULE when the rule is malformed
+     */
+    function registerRule(rule) {
+        const valid = rule &&
+            typeof rule.id === 'string' && rule.id !== '' &&
+            CATEGORIES.includes(rule.category) &&
+            typeof rule.test === 'function' &&
+            rule.messages && REQUIRED_LANGUAGES.every(lang => rule.messages[lang] && typeof rule.messages[lang].description === 'function');
+        if (!valid) {
+            throw new TariffEngineError('INVALID_RULE', 'A rule needs an id, a category, a test function and he/en messages', 'rule');
+        }
+
+        const frozen = Object.freeze({ severity: 'medium', thresholds: {}, ...rule });
+        const index = RULES.findIndex(existing => existing.id === rule.id);
+        if (index === -1) {
+            RULES.push(frozen);
+        } else {
+            RULES[index] = frozen;
+        }
+        return frozen;
+    }
+
+    /**
+     * Remove a rule from the registry
+     * @param {string} id
+     * @returns {boolean} whether a rule was removed
+     */
+    function unregisterRule(id) {
+        const index = RULES.findIndex(rule => rule.id === id);
+        if (index !== -1) {
+            RULES.splice(index, 1);
+        }
+        return index !== -1;
+    }
+
+    /**
+     * Registered rules, in run order
+     * @returns {Rule[]}
+     */
+    function getRules() {
+        return RULES.slice();
+    }
+
+    /**
+     * A rule's messages in a language, falling back to Hebrew
+     */
+    function ruleMessages(rule, lang) {
+        return rule.messages[lang] || rule.messages.he;
+    }
+
+    /**
+     * Title, description and action of a finding from its rule's messages
+     */
+    function findingTexts(messages, values) {
+        return {
+            title: messages.title,
+            description: messages.description(values),
+            action: typeof messages.action === 'function' ? messages.action(values) : messages.action
+        };
+    }
+
+    // 1. Billing based on an estimate instead of a meter reading
+    registerRule({
+        id: 'estimation',
+        category: 'error',
+        severity: 'high',
+        test: (result, context) => (context.billingType === 'estimated' ? {} : null),
+        messages: {
+            he: {
+                title: 'חיוב על בסיס הערכה',
+                description: () => 'החשבון שלכם מבוסס על הערכה ולא על קריאה ממונה. זה עלול להוביל לחיוב לא מדויק.',
+                action: 'צלמו את המונה בבית ושלחו את התמונה לתאגיד המים עם בקשה לעדכון החשבון. אתם זכאים לזיכוי אם קריאת המונה בפועל נמוכה יותר.'
+            },
+            ar: {
+                title: 'فاتورة على أساس التقدير',
+                description: () => 'فاتورتكم مبنية على تقدير وليس على قراءة العداد، وقد يؤدي ذلك إلى احتساب غير دقيق.',
+                action: 'صوّروا العداد في البيت وأرسلوا الصورة إلى شركة المياه مع طلب تحديث الفاتورة. يحق لكم الحصول على رصيد إذا كانت القراءة الفعلية أقل.'
+            },
+            en: {
+                title: 'Billed on an estimate',
+                description: () => 'Your bill is based on an estimate rather than a meter reading, which can lead to an inaccurate charge.',
+                action: 'Photograph your meter and send it to the water corporation asking for the bill to be updated. You are entitled to a credit if the actual reading is lower.'
+            }
+        }
+    });
+
+    // 2. Billed amount above the calculation
+    registerRule({
+        id: 'overcharge',
+        category: 'error',
+        severity: 'high',
+        thresholds: { percent: 5 },
+        test: (result, { actualBillAmount }, { percent }) => {
+            if (!isPositive(actualBillAmount) || actualBillAmount <= result.totalPrice) {
+                return null;
+            }
+            const percentDiff = percentOff(actualBillAmount, result.totalPrice);
+            return percentDiff > percent
+                ? { actual: actualBillAmount, calculated: result.totalPrice, difference: actualBillAmount - result.totalPrice, percentDiff }
+                : null;
+        },
+        messages: {
+            he: {
+                title: 'חיוב יתר אפשרי',
+                description: v => `החשבון בפועל (${formatCurrency(v.actual)}) גבוה מהחישוב שלנו (${formatCurrency(v.calculated)}) בכ-${formatCurrency(v.difference)} (${formatPercent(v.percentDiff)}).`,
+                action: 'בדקו שמספר הנפשות בחשבון נכון. ודאו שקיבלתם את כל ההנחות המגיעות לכם. פנו לתאגיד לבירור.'
+            },
+            ar: {
+                title: 'احتمال احتساب زائد',
+                description: v => `الفاتورة الفعلية (${formatCurrency(v.actual)}) أعلى من حسابنا (${formatCurrency(v.calculated)}) بحوالي ${formatCurrency(v.difference)} (${formatPercent(v.percentDiff)}).`,
+                action: 'تحققوا من صحة عدد الأنفس في الفاتورة ومن أنكم حصلتم على جميع التخفيضات المستحقة لكم. توجهوا إلى الشركة للاستيضاح.'
+            },
+            en: {
+                title: 'Possible overcharge',
+                description: v => `The actual bill (${formatCurrency(v.actual)}) is higher than our calculation (${formatCurrency(v.calculated)}) by about ${formatCurrency(v.difference)} (${formatPercent(v.percentDiff)}).`,
+                action: 'Check the number of persons on the bill and that you received every discount you are entitled to. Contact the corporation for clarification.'
+            }
+        }
+    });
+
+    // 3. Billed amount below the calculation
+    registerRule({
+        id: 'undercharge',
+        category: 'warning',
+        severity: 'medium',
+        thresholds: { percent: 5 },
+        test: (result, { actualBillAmount }, { percent }) => {
+            if (!isPositive(actualBillAmount) || actualBillAmount >= result.totalPrice) {
+                return null;
+            }
+            const percentDiff = percentOff(actualBillAmount, result.totalPrice);
+            return percentDiff > percent
+                ? { actual: actualBillAmount, calculated: result.totalPrice, difference: result.totalPrice - actualBillAmount, percentDiff }
+                : null;
+        },
+        messages: {
+            he: {
+                title: 'חיוב חסר אפשרי',
+                description: v => `החשבון בפועל (${formatCurrency(v.actual)}) נמוך מהחישוב שלנו (${formatCurrency(v.calculated)}) בכ-${formatCurrency(v.difference)}. ייתכן חיוב השלמה בעתיד.`,
+                action: 'בדקו שנתוני הצריכה שהזנתם נכונים. חיוב חסר עלול להוביל לחיוב השלמה בחשבונות הבאים.'
+            },
+            ar: {
+                title: 'احتمال احتساب ناقص',
+                description: v => `الفاتورة الفعلية (${formatCurrency(v.actual)}) أقل من حسابنا (${formatCurrency(v.calculated)}) بحوالي ${formatCurrency(v.difference)}. قد يُضاف مبلغ استكمال لاحقاً.`,
+                action: 'تحققوا من صحة بيانات الاستهلاك التي أدخلتموها. الاحتساب الناقص قد يؤدي إلى مبلغ استكمال في الفواتير القادمة.'
+            },
+            en: {
+                title: 'Possible undercharge',
+                description: v => `The actual bill (${formatCurrency(v.actual)}) is lower than our calculation (${formatCurrency(v.calculated)}) by about ${formatCurrency(v.difference)}. A catch-up charge may follow.`,
+                action: 'Check that the consumption you entered is correct. An undercharge can lead to a catch-up charge on later bills.'
+            }
+        }
+    });
+
+    // 4. Billed amount matches the calculation for a different number of persons
+    registerRule({
+        id: 'personsMismatch',
+        category: 'error',
+        severity: 'high',
+        thresholds: { tolerancePercent: 1, maxPersons: 12 },
+        test: (result, { input, actualBillAmount, persons }, { tolerancePercent, maxPersons }) => {
+            if (!input || !isHousehold(result) || !isPositive(actualBillAmount) || percentOff(actualBillAmount, result.totalPrice) <= tolerancePercent) {
+                return null;
+            }
+            const solved = solvePersons(actualBillAmount, input, { tolerancePercent, maxPersons });
+            if (!solved || solved.value === persons) {
+                return null;
+            }
+            return { declared: persons, billed: solved.value, billedAllocation: solved.result.allocation, allocation: result.allocation };
+        },
+        messages: {
+            he: {
+                title: 'החשבון חושב לפי מספר נפשות שגוי',
+                description: v => `הסכום בחשבון תואם חישוב לפי ${v.billed} נפשות (הקצאה של ${formatNumber(v.billedAllocation)} מ"ק), ולא לפי ${v.declared} הנפשות שהזנתם (${formatNumber(v.allocation)} מ"ק).`,
+                action: 'הגישו לתאגיד הצהרה על מספר הנפשות בנכס ובקשו חישוב מחדש של החשבון.'
+            },
+            ar: {
+                title: 'الفاتورة محسوبة حسب عدد أنفس خاطئ',
+                description: v => `المبلغ في الفاتورة يطابق حساباً لـ ${v.billed} أنفس (مخصص ${formatNumber(v.billedAllocation)} م³)، وليس لـ ${v.declared} أنفس كما أدخلتم (${formatNumber(v.allocation)} م³).`,
+                action: 'قدّموا للشركة تصريحاً بعدد الأنفس في العقار واطلبوا إعادة حساب الفاتورة.'
+            },
+            en: {
+                title: 'Billed for the wrong number of persons',
+                description: v => `The billed amount matches a calculation for ${v.billed} persons (${formatNumber(v.billedAllocation)} m³ allocation), not the ${v.declared} persons you entered (${formatNumber(v.allocation)} m³).`,
+                action: 'Submit a declaration of the number of persons to the corporation and ask for the bill to be recalculated.'
+            }
+        }
+    });
+
+    // 5. Billed amount matches another year's tariffs
+    registerRule({
+        id: 'wrongTariffYear',
+        category: 'error',
+        severity: 'high',
+        thresholds: { tolerancePercent: 1 },
+        test: (result, { input, actualBillAmount }, { tolerancePercent }) => {
+            if (!input || !isPositive(actualBillAmount) || percentOff(actualBillAmount, result.totalPrice) <= tolerancePercent) {
+                return null;
+            }
+            const solved = solveTariffYear(actualBillAmount, input, { tolerancePercent });
+            if (!solved || solved.value === result.tariffs.year) {
+                return null;
+            }
+            return { expectedYear: result.tariffs.year, billedYear: solved.value, billedAmount: solved.result.totalPrice };
+        },
+        messages: {
+            he: {
+                title: 'ייתכן שהוחלו תעריפי שנה אחרת',
+                description: v => `הסכום בחשבון תואם את תעריפי ${v.billedYear} (${formatCurrency(v.billedAmount)}), ולא את תעריפי ${v.expectedYear} שחלים על התקופה.`,
+                action: 'בקשו מהתאגיד לחשב את החשבון מחדש לפי התעריפים שבתוקף בתקופת החיוב.'
+            },
+            ar: {
+                title: 'ربما طُبّقت تعرفة سنة أخرى',
+                description: v => `المبلغ في الفاتورة يطابق تعرفة ${v.billedYear} (${formatCurrency(v.billedAmount)})، وليس تعرفة ${v.expectedYear} السارية على الفترة.`,
+                action: 'اطلبوا من الشركة إعادة حساب الفاتورة حسب التعرفة السارية في فترة الفوترة.'
+            },
+            en: {
+                title: "Another year's tariffs may have been applied",
+                description: v => `The billed amount matches the ${v.billedYear} tariffs (${formatCurrency(v.billedAmount)}), not the ${v.expectedYear} tariffs in force for the period.`,
+                action: 'Ask the corporation to recalculate the bill with the tariffs in force during the billing period.'
+            }
+        }
+    });
+
+    // 6. The billing period overlaps a bill already received
+    registerRule({
+        id: 'duplicatePeriod',
+        category: 'error',
+        severity: 'high',
+        test: (result, { billPeriod, otherBills }) => {
+            if (!isObject(billPeriod) || !Array.isArray(otherBills)) {
+                return null;
+            }
+            const dated = bill => bill.startDate && bill.endDate;
+            // Entries that are not bill objects (null, numbers) cannot overlap anything
+            const duplicate = otherBills.find(other => isObject(other) && (dated(billPeriod) && dated(other)
+                ? other.startDate <= billPeriod.endDate && billPeriod.startDate <= other.endDate
+                : Boolean(billPeriod.date) && other.date === billPeriod.date));
+            if (!duplicate) {
+                return null;
+            }
+            return dated(duplicate)
+                ? { from: duplicate.startDate, to: duplicate.endDate }
+                : { from: duplicate.date, to: duplicate.date };
+        },
+        messages: {
+            he: {
+                title: 'חיוב כפול על אותה תקופה',
+                description: v => `תקופת החשבון חופפת לחשבון קודם (${v.from === v.to ? formatDate(v.from) : `${formatDate(v.from)} - ${formatDate(v.to)}`}).`,
+                action: 'השוו את תאריכי שני החשבונות ובקשו מהתאגיד לבטל את החיוב הכפול.'
+            },
+            ar: {
+                title: 'فاتورة مزدوجة لنفس الفترة',
+                description: v => `فترة الفاتورة تتداخل مع فاتورة سابقة (${v.from === v.to ? formatDate(v.from) : `${formatDate(v.from)} - ${formatDate(v.to)}`}).`,
+                action: 'قارنوا تواريخ الفاتورتين واطلبوا من الشركة إلغاء الاحتساب المزدوج.'
+            },
+            en: {
+                title: 'Same period billed twice',
+                description: v => `The billing period overlaps a previous bill (${v.from === v.to ? formatDate(v.from) : `${formatDate(v.from)} - ${formatDate(v.to)}`}).`,
+                action: 'Compare the dates of both bills and ask the corporation to cancel the duplicate charge.'
+            }
+        }
+    });
+
+    // 7. Sharp consumption increase from the previous bill
+    registerRule({
+        id: 'spike',
+        category: 'warning',
+        severity: 'high',
+        thresholds: { percent: 30 },
+        test: (result, { consumption, previousConsumption }, { percent }) => {
+            if (!isPositive(previousConsumption)) {
+                return null;
+            }
+            const change = ((consumption - previousConsumption) / previousConsumption) * 100;
+            return change > percent ? { previous: previousConsumption, current: consumption, change } : null;
+        },
+        messages: {
+            he: {
+                title: 'עלייה חדה בצריכה',
+                description: v => `הצריכה עלתה ב-${formatPercent(v.change)} לעומת החשבון הקודם (${formatNumber(v.previous)} → ${formatNumber(v.current)} מ"ק).`,
+                action: 'בדקו דליפות במערכת המים (ברזים, אסלה, מערכת השקיה). אם לא מצאתם דליפה, ייתכן שהמונה פגום - בקשו מהתאגיד לבדוק את המונה.'
+            },
+            ar: {
+                title: 'ارتفاع حاد في الاستهلاك',
+                description: v => `ارتفع الاستهلاك بنسبة ${formatPercent(v.change)} مقارنة بالفاتورة السابقة (${formatNumber(v.previous)} → ${formatNumber(v.current)} م³).`,
+                action: 'افحصوا وجود تسرّب في شبكة المياه (حنفيات، مراحيض، نظام ري). إذا لم تجدوا تسرّباً فقد يكون العداد معطلاً - اطلبوا من الشركة فحص العداد.'
+            },
+            en: {
+                title: 'Sharp rise in consumption',
+                description: v => `Consumption rose ${formatPercent(v.change)} from the previous bill (${formatNumber(v.previous)} → ${formatNumber(v.current)} m³).`,
+                action: 'Check for leaks (taps, toilets, irrigation). If there is none, the meter may be faulty - ask the corporation to test it.'
+            }
+        }
+    });
+
+    // 8. Sharp consumption drop from the previous bill
+    registerRule({
+        id: 'drop',
+        category: 'warning',
+        severity: 'medium',
+        thresholds: { percent: 30 },
+        test: (result, { consumption, previousConsumption }, { percent }) => {
+            if (!isPositive(previousConsumption)) {
+                return null;
+            }
+            const change = ((consumption - previousConsumption) / previousConsumption) * 100;
+            return change < -percent ? { previous: previousConsumption, current: consumption, change: Math.abs(change) } : null;
+        },
+        messages: {
+            he: {
+                title: 'ירידה חדה בצריכה',
+                description: v => `הצריכה ירדה ב-${formatPercent(v.change)} לעומת החשבון הקודם (${formatNumber(v.previous)} → ${formatNumber(v.current)} מ"ק).`,
+                action: 'אם החשבון הקודם היה מבוסס על הערכה גבוהה, זו עשויה להיות תיקון. אחרת, ודאו שקריאת המונה נכונה.'
+            },
+            ar: {
+                title: 'انخفاض حاد في الاستهلاك',
+                description: v => `انخفض الاستهلاك بنسبة ${formatPercent(v.change)} مقارنة بالفاتورة السابقة (${formatNumber(v.previous)} → ${formatNumber(v.current)} م³).`,
+                action: 'إذا كانت الفاتورة السابقة مبنية على تقدير مرتفع فقد يكون هذا تصحيحاً. وإلا فتأكدوا من صحة قراءة العداد.'
+            },
+            en: {
+                title: 'Sharp drop in consumption',
+                description: v => `Consumption fell ${formatPercent(v.change)} from the previous bill (${formatNumber(v.previous)} → ${formatNumber(v.current)} m³).`,
+                action: 'If the previous bill was based on a high estimate this may be a correction. Otherwise, make sure the meter reading is right.'
+            }
+        }
+    });
+
+    // 9. Low use of the reduced allocation for the default household size
+    registerRule({
+        id: 'persons',
+        category: 'recommendation',
+        severity: 'low',
+        thresholds: { usagePercent: 70, defaultPersons: 2 },
+        test: (result, { persons }, { usagePercent, defaultPersons }) => {
+            if (!isHousehold(result)) {
+                return null;
+            }
+            const usage = (result.reducedConsumption / result.allocation) * 100;
+            return usage < usagePercent && persons === defaultPersons ? { usage, defaultPersons } : null;
+        },
+        messages: {
+            he: {
+                title: 'ייתכן שמספר הנפשות שגוי',
+                description: v => `אתם משתמשים רק ב-${formatPercent(v.usage, 0)} מההקצאה המופחתת שלכם. ייתכן שהתאגיד מחשב לפי ${v.defaultPersons} נפשות כברירת מחדל.`,
+                action: v => `אם יש בבית פחות מ-${v.defaultPersons} נפשות, שקלו לעדכן את התאגיד (אם כי זה עלול להקטין את ההקצאה). אם יש יותר - חובה לעדכן!`
+            },
+            ar: {
+                title: 'ربما عدد الأنفس خاطئ',
+                description: v => `تستخدمون ${formatPercent(v.usage, 0)} فقط من مخصصكم بالتعرفة المخفضة. ربما تحسب الشركة ${v.defaultPersons} أنفس كقيمة افتراضية.`,
+                action: v => `إذا كان في البيت أقل من ${v.defaultPersons} أنفس ففكّروا في تحديث الشركة (مع أن ذلك قد يقلّص المخصص). وإذا كان أكثر - يجب التحديث!`
+            },
+            en: {
+                title: 'The number of persons may be wrong',
+                description: v => `You use only ${formatPercent(v.usage, 0)} of your reduced-rate allocation. The corporation may be billing the default of ${v.defaultPersons} persons.`,
+                action: v => `If fewer than ${v.defaultPersons} people live in the home, consider updating the corporation (this may reduce the allocation). If more do, you must update it!`
+            }
+        }
+    });
+
+    // 10. Consumption above the allocation without the disability benefit
+    registerRule({
+        id: 'disability',
+        category: 'recommendation',
+        severity: 'medium',
+        test: (result, { hasDisability, consumption }) => (
+            !hasDisability && isHousehold(result) && consumption > result.allocation ? { bonus: DISABILITY_BONUS } : null
+        ),
+        messages: {
+            he: {
+                title: 'בדקו זכאות להנחת נכות',
+                description: v => `אם יש בבית אדם עם נכות 70%+ מביטוח לאומי, אתם זכאים ל-${v.bonus} מ"ק נוספים לחודש בתעריף מופחת.`,
+                action: 'פנו לתאגיד המים עם אישור מביטוח לאומי להפעלת ההנחה. זה יכול לחסוך לכם כסף רב!'
+            },
+            ar: {
+                title: 'افحصوا الأهلية لتخفيض الإعاقة',
+                description: v => `إذا كان في البيت شخص بنسبة إعاقة 70%+ من مؤسسة التأمين الوطني، يحق لكم ${v.bonus} م³ إضافية شهرياً بالتعرفة المخفضة.`,
+                action: 'توجهوا إلى شركة المياه مع مصادقة من التأمين الوطني لتفعيل التخفيض. قد يوفر لكم ذلك الكثير!'
+            },
+            en: {
+                title: 'Check disability benefit eligibility',
+                description: v => `If someone in the home has a 70%+ National Insurance disability rating, you are entitled to ${v.bonus} m³ more a month at the reduced rate.`,
+                action: 'Send the corporation the National Insurance approval to activate the benefit. It can save you a lot!'
+            }
+        }
+    });
+
+    // 11. Manual meter reading to compare with the bill
+    registerRule({
+        id: 'meter',
+        category: 'recommendation',
+        severity: 'low',
+        test: (result, { currentMeterReading, lastReading }) => {
+            if (!isPositive(currentMeterReading)) {
+                return null;
+            }
+            // Compare with the last saved reading, if there is one
+            const sinceLast = lastReading && currentMeterReading >= lastReading.reading ? lastReading : null;
+            return { reading: currentMeterReading, lastReading: sinceLast };
+        },
+        messages: {
+            he: {
+                title: 'קריאת מונה ידנית',
+                description: v => `קריאת המונה הנוכחית: ${formatNumber(v.reading)} מ"ק.` + (v.lastReading
+                    ? ` מאז הקריאה השמורה האחרונה (${formatDate(v.lastReading.date)}, ${formatNumber(v.lastReading.reading)}) נצרכו ${formatNumber(v.reading - v.lastReading.reading)} מ"ק.`
+                    : ''),
+                action: 'השוו את הקריאה הזו לקריאה שמופיעה בחשבון. אם יש פער - צלמו את המונה ופנו לתאגיד לתיקון.'
+            },
+            ar: {
+                title: 'قراءة عداد يدوية',
+                description: v => `قراءة العداد الحالية: ${formatNumber(v.reading)} م³.` + (v.lastReading
+                    ? ` منذ آخر قراءة محفوظة (${formatDate(v.lastReading.date)}، ${formatNumber(v.lastReading.reading)}) استُهلك ${formatNumber(v.reading - v.lastReading.reading)} م³.`
+                    : ''),
+                action: 'قارنوا هذه القراءة بالقراءة الظاهرة في الفاتورة. إذا وُجد فرق فصوّروا العداد وتوجهوا إلى الشركة للتصحيح.'
+            },
+            en: {
+                title: 'Manual meter reading',
+                description: v => `Current meter reading: ${formatNumber(v.reading)} m³.` + (v.lastReading
+                    ? ` Since the last saved reading (${formatDate(v.lastReading.date)}, ${formatNumber(v.lastReading.reading)}), ${formatNumber(v.reading - v.lastReading.reading)} m³ were used.`
+                    : ''),
+                action: 'Compare this reading with the one on the bill. If they differ, photograph the meter and ask the corporation to correct it.'
+            }
+        }
+    });
+
+    // 12. Leak found in the reading history or night-flow readings
+    registerRule({
+        id: 'leak',
+        category: 'warning',
+        severity: 'high',
+        test: (result, { leak }) => (leak && leak.leak.detected ? leak.leak : null),
+        messages: {
+            he: {
+                title: 'חשד לדליפה',
+                description: v => (v.source === 'nightFlow'
+                    ? `המונה מראה זרימה קבועה בלילה מאז ${formatDate(v.since)}.`
+                    : `הצריכה גבוהה מהרגיל לעונה מאז ${formatDate(v.since)}.`) +
+                    ` דליפה משוערת של ${formatNumber(v.volume)} מ"ק, בעלות של כ-${formatCurrency(v.cost)} בתעריף המלא (${formatCurrency(v.dailyCost)} ליום).`,
+                action: 'סגרו את כל הברזים ובדקו אם המונה ממשיך להסתובב. אם כן, הזמינו שרברב ובדקו מול התאגיד אם אתם זכאים להפחתת החיוב בגין הדליפה.'
+            },
+            ar: {
+                title: 'اشتباه بتسرّب',
+                description: v => (v.source === 'nightFlow'
+                    ? `يُظهر العداد تدفقاً ثابتاً في الليل منذ ${formatDate(v.since)}.`
+                    : `الاستهلاك أعلى من المعتاد للموسم منذ ${formatDate(v.since)}.`) +
+                    ` تسرّب مقدّر بـ ${formatNumber(v.volume)} م³، بتكلفة حوالي ${formatCurrency(v.cost)} بالتعرفة الكاملة (${formatCurrency(v.dailyCost)} في اليوم).`,
+                action: 'أغلقوا جميع الحنفيات وافحصوا ما إذا كان العداد يستمر في الدوران. إذا كان كذلك فاستدعوا سبّاكاً وتحققوا مع الشركة مما إذا كان يحق لكم تخفيض الفاتورة بسبب التسرّب.'
+            },
+            en: {
+                title: 'Possible leak',
+                description: v => (v.source === 'nightFlow'
+                    ? `The meter shows a steady night flow since ${formatDate(v.since)}.`
+                    : `Consumption has been above the usual level for the season since ${formatDate(v.since)}.`) +
+                    ` Estimated leak of ${formatNumber(v.volume)} m³, costing about ${formatCurrency(v.cost)} at the full tariff (${formatCurrency(v.dailyCost)} a day).`,
+                action: 'Close every tap and check whether the meter keeps turning. If it does, call a plumber and ask the corporation whether you are eligible for a reduction for the leak.'
+            }
+        }
+    });
+
+    // ============================================
+    // CHECKS
+    // ============================================
+
+    /**
+     * Run the rules against a bill
+     * @param {Object} result - tariff-engine BillResult for the same input
+     * @param {BillContext} context
+     * @param {{lang?: 'he'|'ar'|'en', thresholds?: Object<string, Object>, disabled?: string[], rules?: Rule[]}} [options]
+     *        thresholds are keyed by rule id and merged over each rule's defaults
+     * @returns {Finding[]}
+     */
+    function runRules(result, context, options = {}) {
+        const lang = LANGUAGES.includes(options.lang) ? options.lang : 'he';
+        const disabled = options.disabled || [];
+        const overrides = options.thresholds || {};
+
+        return (options.rules || RULES)
+            .filter(rule => !disabled.includes(rule.id))
+            .flatMap(rule => {
+                const thresholds = { ...rule.thresholds, ...overrides[rule.id] };
+                const values = rule.test(result, context, thresholds);
+                if (!values) {
+                    return [];
+                }
+                return [{
+                    id: rule.id,
+                    type: rule.id,
+                    category: rule.category,
+                    severity: rule.severity,
+                    ...findingTexts(ruleMessages(rule, lang), values),
+                    values
+                }];
+            });
+    }
+
+    /**
+     * A finding with its texts in another language, rebuilt from its values.
+     * Findings of rules that are no longer registered are returned as is.
+     * @param {Finding} finding
+     * @param {'he'|'ar'|'en'} lang
+     * @param {Rule[]} [rules] - the rules the finding came from (default: the registry)
+     * @returns {Finding}
+     */
+    function translateFinding(finding, lang, rules = RULES) {
+        const rule = rules.find(entry => entry.id === finding.id);
+        if (!rule || !LANGUAGES.includes(lang)) {
+            return finding;
+        }
+        return { ...finding, ...findingTexts(ruleMessages(rule, lang), finding.values) };
+    }
+
+    /**
+     * Check a bill against its calculated result
+     * @param {Object} result - tariff-engine BillResult for the same input
+     * @param {BillContext} context
+     * @param {Object} [options] - see runRules
+     * @returns {CheckResult}
+     */
+    function checkBill(result, context, options = {}) {
+        const findings = runRules(result, context, options);
+        const byCategory = category => findings.filter(finding => finding.category === category);
+        return {
+            findings,
+            errors: byCategory('error'),
+            warnings: byCategory('warning'),
+            recommendations: byCategory('recommendation')
+        };
+    }
+
+    /**
+     * Overall status of a check: 'error', 'warning' or 'ok'
+     * (recommendations alone do not make a bill look wrong)
+     * @param {CheckResult} check
+     * @returns {'error'|'warning'|'ok'}
+     */
+    function checkStatus(check) {
+        if (check.errors.length > 0) {
+            return 'error';
+        }
+        return check.warnings.length > 0 ? 'warning' : 'ok';
+    }
+
+    // ============================================
+    // BULK AUDIT
+    // ============================================
+
+    /**
+     * @typedef {Object} PastBill
+     * @property {string}  date             - bill date (YYYY-MM-DD), selects the tariff year
+     * @property {number}  consumption
+     * @property {number}  persons
+     * @property {number}  [period=2]
+     * @property {boolean} [hasDisability=false]
+     * @property {number}  [actualBillAmount]
+     * @property {'actual'|'estimated'|'unknown'} [billingType]
+     */
+
+    /**
+     * @typedef {Object} AuditRow
+     * @property {PastBill} bill
+     * @property {Object} input            - tariff-engine BillInput built from the bill
+     * @property {Object|null} result      - BillResult, null when the bill could not be priced
+     * @property {CheckResult|null} check
+     * @property {'error'|'warning'|'ok'|'invalid'} status
+     * @property {TariffEngineError} [error] - why the bill could not be priced
+     */
+
+    /**
+     * Check a series of past bills, oldest first. Each bill is priced with
+     * the tariffs of its year and compared with the bills before it.
+     * @param {PastBill[]} bills
+     * @param {{fees?: Array}} [options] - fee items applied to every bill,
+     *        plus any checkBill options
+     * @returns {AuditRow[]}
+     */
+    function auditBills(bills, options = {}) {
+        const sorted = bills.slice().sort((a, b) => String(a.date).localeCompare(String(b.date)));
+        let previousConsumption;
+
+        return sorted.map((bill, index) => {
+            const input = {
+                consumption: bill.consumption,
+                persons: bill.persons,
+                period: bill.period,
+                hasDisability: Boolean(bill.hasDisability),
+                year: parseInt(String(bill.date).slice(0, 4)),
+                fees: options.fees
+            };
+            try {
+                if (!isSupportedYear(input.year)) {
+                    throw new TariffEngineError('UNSUPPORTED_YEAR', `No tariffs for ${bill.date}`, 'date');
+                }
+                const result = calculateWaterBill(input);
+                const check = checkBill(result, {
+                    consumption: Number(bill.consumption),
+                    persons: Number(bill.persons),
+                    hasDisability: input.hasDisability,
+                    input,
+                    actualBillAmount: Number(bill.actualBillAmount),
+                    billingType: bill.billingType,
+                    previousConsumption,
+                    billPeriod: { date: bill.date },
+                    otherBills: sorted.slice(0, index)
+                }, options);
+                previousConsumption = Number(bill.consumption);
+                return { bill, input, result, check, status: checkStatus(check) };
+            } catch (e) {
+                if (!(e instanceof TariffEngineError)) {
+                    throw e;
+                }
+                return { bill, input, result: null, check: null, status: 'invalid', error: e };
+            }
+        });
+    }
+
+    return {
+        CATEGORIES,
+        LANGUAGES,
+        registerRule,
+        unregisterRule,
+        getRules,
+        runRules,
+        checkBill,
+        checkStatus,
+        translateFinding,
+        auditBills
+    };
+}));
@@ -0,0 +1,202 @@
+/**
+ * Bill History
+ * Persists every calculation (and the amount actually billed) as a dated
+ * history entry in IndexedDB, one entry per bill, and shapes the entries
+ * into time series.
+ *
+ * Browser: loaded as a classic script, exposed as window.WaterBillHistory
+ * Node:    const history = require('./bill-history'); (series helpers only,
+ *          or pass an IndexedDB implementation to openBillHistory)
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(null);
+    } else {
+        root.WaterBillHistory = factory(root.indexedDB || null);
+    }
+}(typeof self !== 'undefined' ? self : this, function (defaultIndexedDB) {
+    'use strict';
+
+    const DB_NAME = 'waterCalculator';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'billHistory';
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /**
+     * @typedef {Object} HistoryEntry
+     * @property {number}      [id]             - assigned by IndexedDB
+     * @property {string}      date             - billing period end (YYYY-MM-DD), or the calculation day
+     * @property {string}      createdAt        - ISO timestamp of the calculation
+     * @property {Object}      input            - tariff-engine BillInput used
+     * @property {Object}      result           - summary of the BillResult
+     * @property {number|null} actualBillAmount - amount on the corporation's bill, when known
+     * @property {string}      [city]
+     */
+
+    // ============================================
+    // ENTRIES
+    // ============================================
+
+    /**
+     * Today's date as YYYY-MM-DD (local time)
+     */
+    function today() {
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    /**
+     * Build a history entry from a calculation
+     * @param {Object} input  - tariff-engine BillInput
+     * @param {Object} result - tariff-engine BillResult
+     * @param {{actualBillAmount?: number, city?: string, date?: string}} [extras]
+     *        date overrides the entry date (e.g. for imported past bills)
+     * @returns {HistoryEntry}
+     */
+    function createEntry(input, result, extras = {}) {
+        const actualBillAmount = Number(extras.actualBillAmount);
+        return {
+            date: extras.date || input.endDate || today(),
+            createdAt: new Date().toISOString(),
+            input: { ...input },
+            result: {
+                consumption: result.actualConsumption,
+                allocation: result.allocation,
+                reducedConsumption: result.reducedConsumption,
+                fullConsumption: result.fullConsumption,
+                reducedPrice: result.reducedPrice,
+                fullPrice: result.fullPrice,
+                waterPrice: result.waterPrice,
+                feesTotal: result.feesTotal,
+                totalPrice: result.totalPrice,
+                tariffYear: result.tariffs.year
+            },
+            actualBillAmount: Number.isFinite(actualBillAmount) && actualBillAmount > 0 ? actualBillAmount : null,
+            city: extras.city || ''
+        };
+    }
+
+    /**
+     * Whether two entries record the same bill: the same billing period when
+     * dated, else the same input on the same day. Recalculating a bill
+     * replaces its entry instead of adding another.
+     * @param {HistoryEntry} a
+     * @param {HistoryEntry} b
+     * @returns {boolean}
+     */
+    function isSameBill(a, b) {
+        if (a.date !== b.date) {
+            return false;
+        }
+        const dated = entry => Boolean(entry.input.startDate && entry.input.endDate);
+        if (dated(a) || dated(b)) {
+            return dated(a) && dated(b) &&
+                a.input.startDate === b.input.startDate && a.input.endDate === b.input.endDate;
+        }
+        return JSON.stringify(a.input) === JSON.stringify(b.input);
+    }
+
+    /**
+     * Shape entries into chart-ready series, oldest first
+     * @param {HistoryEntry[]} entries
+     * @returns {{labels: string[], consumption: number[], reduced: number[], full: number[],
+     *            calculated: number[], actual: Array<number|null>}}
+     */
+    function buildTimeSeries(entries) {
+        const sorted = entries
+            .slice()
+            .sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+
+        return {
+            labels: sorted.map(entry => entry.date),
+            consumption: sorted.map(entry => entry.result.consumption),
+            reduced: sorted.map(entry => entry.result.reducedConsumption),
+            full: sorted.map(entry => entry.result.fullConsumption),
+            calculated: sorted.map(entry => entry.result.totalPrice),
+            actual: sorted.map(entry => entry.actualBillAmount)
+        };
+    }
+
+    // ============================================
+    // INDEXEDDB STORE
+    // ============================================
+
+    /**
+     * Wrap an IDBRequest in a promise
+     */
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Open the history store
+     * @param {IDBFactory} [idb] - defaults to the browser's indexedDB
+     * @returns {Promise<{add: Function, save: Function, update: Function, get: Function, list: Function, remove: Function, clear: Function}>}
+     */
+    async function openBillHistory(idb = defaultIndexedDB) {
+        if (!idb) {
+            throw new Error('IndexedDB is not available');
+        }
+
+        const request = idb.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('date', 'date');
+        };
+        const db = await promisify(request);
+
+        const run = (mode, operation) => {
+            const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+            return promisify(operation(store));
+        };
+
+        return {
+            /** Add an entry, resolving to its id */
+            add: entry => run('readwrite', store => store.add(entry)),
+            /**
+             * Add an entry, or replace the entry recording the same bill
+             * (keeping its billed amount when the new one has none),
+             * resolving to the entry's id
+             */
+            save: async entry => {
+                const sameDate = await run('readonly', store => store.index('date').getAll(entry.date));
+                const existing = sameDate.find(other => isSameBill(other, entry));
+                if (!existing) {
+                    return run('readwrite', store => store.add(entry));
+                }
+                const actualBillAmount = entry.actualBillAmount === null ? existing.actualBillAmount : entry.actualBillAmount;
+                await run('readwrite', store => store.put({ ...entry, actualBillAmount, id: existing.id }));
+                return existing.id;
+            },
+            /** Merge changes into an existing entry */
+            update: async (id, changes) => {
+                const entry = await run('readonly', store => store.get(id));
+                if (!entry) {
+                    throw new Error(`History entry ${id} not found`);
+                }
+                await run('readwrite', store => store.put({ ...entry, ...changes, id }));
+                return { ...entry, ...changes, id };
+            },
+            get: id => run('readonly', store => store.get(id)),
+            /** All entries ordered by billing date */
+            list: () => run('readonly', store => store.index('date').getAll()),
+            remove: id => run('readwrite', store => store.delete(id)),
+            clear: () => run('readwrite', store => store.clear())
+        };
+    }
+
+    return {
+        createEntry,
+        isSameBill,
+        buildTimeSeries,
+        openBillHistory
+    };
+}));
@@ -0,0 +1,408 @@
+/**
+ * Bill Parser
+ * Extracts the figures of a water bill from its text - pasted, or taken
+ * from a text-based PDF with pdfToText() - so they do not have to be
+ * retyped: consumption, billing period, meter readings, persons, the
+ * billed amount and whether the reading was estimated.
+ *
+ * Bill layouts are templates in a registry: each has patterns per field,
+ * and may belong to a water corporation. The generic template reads the
+ * labels most bills share; a corporation's template is added with
+ * registerTemplate() and is tried first when the corporation's name
+ * appears in the text, with the generic patterns filling any field it
+ * does not find.
+ *
+ * Browser: loaded as a classic script after tariff-engine.js and
+ *          water-corporations.js, exposed as window.WaterBillParser
+ * Node:    const parser = require('./bill-parser');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./tariff-engine'), require('./water-corporations'));
+    } else {
+        root.WaterBillParser = factory(root.WaterTariffEngine, root.WaterCorporations);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine, corporations) {
+    'use strict';
+
+    const { TariffEngineError } = engine;
+    const { findCorporationInText } = corporations;
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /**
+     * @typedef {Object} BillTemplate
+     * @property {string}      id
+     * @property {string|null} [corporation=null] - water-corporations id of the layout;
+     *                                              null for layouts several corporations share
+     * @property {RegExp[]}    [match=[]]         - text that identifies the layout (any of them)
+     * @property {Object<string, RegExp[]>} fields - patterns per field (see FIELDS); the first
+     *           capture group holds the value (`period` captures the start and end dates).
+     *           For `estimated` and `actual` a match alone sets the billing type.
+     */
+
+    /**
+     * @typedef {Object} ParsedBill
+     * @property {string|null} corporation - id of the corporation named in the text
+     * @property {string[]}    templates   - ids of the templates that were tried, in order
+     * @property {Object}      values      - consumption, previousConsumption, previousReading,
+     *           currentReading (m³), persons, billedAmount (NIS), startDate, endDate
+     *           (YYYY-MM-DD) and billingType ('actual'|'estimated'); null when not found
+     * @property {string[]}    found       - value names read from the text
+     * @property {string[]}    derived     - value names computed from others
+     *                                       (consumption from the readings)
+     */
+
+    // ============================================
+    // FIELDS
+    // ============================================
+
+    /**
+     * How each template field's capture is read
+     */
+    const FIELDS = {
+        consumption: 'number',
+        previousConsumption: 'number',
+        previousReading: 'number',
+        currentReading: 'number',
+        persons: 'integer',
+        billedAmount: 'number',
+        period: 'dateRange',
+        estimated: 'flag',
+        actual: 'flag'
+    };
+
+    const VALUE_NAMES = [
+        'consumption', 'previousConsumption', 'previousReading', 'currentReading',
+        'persons', 'billedAmount', 'startDate', 'endDate', 'billingType'
+    ];
+
+    /**
+     * A number as printed on a bill: 1,234.56, 1234,5 or 18.5
+     */
+    function parseNumber(text) {
+        let value = String(text).trim();
+        if (value.includes(',') && value.includes('.')) {
+            value = value.replace(/,/g, '');
+        } else if (/^\d{1,3}(,\d{3})+$/.test(value)) {
+            value = value.replace(/,/g, '');
+        } else {
+            value = value.replace(',', '.');
+        }
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * A date as printed on a bill (dd/mm/yyyy, dd.mm.yy or dd-mm-yyyy) as
+     * YYYY-MM-DD, null when it is not a calendar date
+     */
+    function parseDate(text) {
+        const match = /^(\d{1,2})[./-](\d{1,2})[./-](\d{2}|\d{4})$/.exec(String(text).trim());
+        if (!match) {
+            return null;
+        }
+        const [day, month] = [Number(match[1]), Number(match[2])];
+        const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Read one field with a template's patterns.
+     * @returns {Object|null} the values the field sets, null when no pattern matched
+     */
+    function readField(text, name, patterns) {
+        for (const pattern of patterns || []) {
+            const match = pattern.exec(text);
+            if (!match) {
+                continue;
+            }
+            switch (FIELDS[name]) {
+                case 'flag':
+                    return { billingType: name };
+                case 'dateRange': {
+                    const startDate = parseDate(match[1]);
+                    const endDate = parseDate(match[2]);
+                    if (startDate && endDate && startDate <= endDate) {
+                        return { startDate, endDate };
+                    }
+                    break;
+                }
+                case 'integer': {
+                    const value = parseNumber(match[1]);
+                    if (Number.isInteger(value) && value >= 1) {
+                        return { [name]: value };
+                    }
+                    break;
+                }
+                default: {
+                    const value = parseNumber(match[1]);
+                    if (value !== null && value >= 0) {
+                        return { [name]: value };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    // ============================================
+    // TEMPLATES
+    // ============================================
+
+    // Value patterns: a number with optional thousands separators (not the
+    // start of a date) and a date
+    const NUMBER = '(\\d[\\d,]*(?:\\.\\d+)?)(?!\\d|,\\d|[./-]\\d)';
+    const DATE = '(\\d{1,2}[./-]\\d{1,2}[./-]\\d{2,4})';
+    const DATE_TOKEN = '\\d{1,2}[./-]\\d{1,2}[./-]\\d{2,4}';
+
+    /**
+     * Label, then up to `gap` characters of anything but digits and line
+     * breaks (units, colons, ₪), then the value. A number may also follow
+     * dates in the gap, as in "לתשלום עד 15/05/2026: 312.40".
+     */
+    function labelled(label, value = NUMBER, gap = 25) {
+        const filler = value === NUMBER ? `(?:[^\\d\\n]|${DATE_TOKEN})` : '[^\\d\\n]';
+        return new RegExp(`${label}${filler}{0,${gap}}?${value}`, 'i');
+    }
+
+    /**
+     * Not right after a word that makes the label the previous period's
+     * ("Previous consumption", "קודם צריכה")
+     */
+    const NOT_PREVIOUS = '(?<!(?:previous|prior|last|קודם|קודמת)\\s*(?:period\\s*)?)';
+
+    /**
+     * Labels most Israeli water bills use, in Hebrew and English. The
+     * previous-period patterns are listed before the current ones they
+     * resemble, and those exclude them with look-arounds (NOT_PREVIOUS).
+     * @type {BillTemplate}
+     */
+    const GENERIC_TEMPLATE = {
+        id: 'generic',
+        corporation: null,
+        match: [],
+        fields: {
+            previousConsumption: [
+                labelled('צריכה\\s*(?:ב|ל)?(?:תקופה|חשבון)\\s*(?:ה)?קודמ(?:ת|ה|ים)'),
+                labelled('צריכה\\s*קודמת'),
+                labelled('previous\\s+(?:period\\s+)?consumption')
+            ],
+            consumption: [
+                labelled(`${NOT_PREVIOUS}(?:סה["״]?כ\\s*)?צריכה(?!\\s*(?:ב|ל)?(?:תקופה|חשבון)?\\s*(?:ה)?קודמ)(?:\\s*(?:ב|ל)?(?:תקופה|חשבון|לחיוב|נוכחית|כוללת|במ["״]?ק))*`),
+                labelled(`${NOT_PREVIOUS}כמות\\s*(?:מים|במ["״]?ק)`),
+                labelled(`${NOT_PREVIOUS}(?:total\\s+)?consumption(?!\\s*(?:in\\s+the\\s+)?previous)`)
+            ],
+            previousReading: [
+                labelled('קריאה\\s*(?:קודמת|קודמה|ראשונה)'),
+                labelled('previous\\s+(?:meter\\s+)?reading')
+            ],
+            currentReading: [
+                labelled('קריאה\\s*(?:נוכחית|אחרונה|חדשה)'),
+                labelled('(?:current|present)\\s+(?:meter\\s+)?reading')
+            ],
+            persons: [
+                labelled('(?:מספר|מס[\'׳]?)\\s*(?:ה)?נפשות', '(\\d{1,2})(?!\\d)', 10),
+                labelled('נפשות\\s*(?:רשומות|מוצהרות|בבית)?', '(\\d{1,2})(?!\\d)', 10),
+                labelled('(?:number\\s+of\\s+)?(?:persons|residents|occupants)', '(\\d{1,2})(?!\\d)', 10)
+            ],
+            billedAmount: [
+                labelled('(?:סה["״]?כ|סך\\s*(?:ה)?כ(?:ו)?ל|סכום)\\s*(?:ה)?(?:לתשלום|לחיוב|לתשלום\\s*כולל\\s*מע["״]?מ)'),
+                labelled('לתשלום'),
+                labelled('(?:total|amount)\\s+(?:to\\s+pay|due|payable)')
+            ],
+            period: [
+                labelled('(?:תקופת\\s*(?:ה)?(?:חיוב|צריכה)|לתקופה|תקופה)', `${DATE}\\s*(?:-|–|עד|ל-?)\\s*${DATE}`),
+                labelled('(?:billing\\s+)?period', `${DATE}\\s*(?:-|–|to|until)\\s*${DATE}`),
+                new RegExp(`מ-?\\s*${DATE}\\s*עד\\s*${DATE}`)
+            ],
+            estimated: [
+                /(?:קריאה|צריכה)\s*(?:משוערת|מוערכת|לפי\s*הערכה|לפי\s*אומדן)/,
+                /(?:סוג\s*(?:ה)?קריאה)[^\n]{0,10}(?:הערכה|אומדן)/,
+                /estimated\s+(?:reading|consumption)/i
+            ],
+            actual: [
+                /קריאה\s*(?:בפועל|ממונה|אמיתית)/,
+                /(?:סוג\s*(?:ה)?קריאה)[^\n]{0,10}(?:מונה|בפועל)/,
+                /actual\s+(?:meter\s+)?reading/i
+            ]
+        }
+    };
+
+    /**
+     * Registered templates; the generic one stays last
+     * @type {BillTemplate[]}
+     */
+    const TEMPLATES = [];
+
+    /**
+     * Add a bill layout (replacing any template with the same id)
+     * @param {BillTemplate} template
+     * @returns {BillTemplate}
+     * @throws {TariffEngineError} INVALID_TEMPLATE when the template is malformed
+     *         or uses the generic template's id
+     */
+    function registerTemplate(template) {
+        const valid = template &&
+            typeof template.id === 'string' && template.id !== '' && template.id !== GENERIC_TEMPLATE.id &&
+            template.fields && typeof template.fields === 'object' &&
+            Object.keys(template.fields).every(name =>
+                Object.prototype.hasOwnProperty.call(FIELDS, name) &&
+                Array.isArray(template.fields[name]) &&
+                template.fields[name].every(pattern => pattern instanceof RegExp)) &&
+            (template.match === undefined || (Array.isArray(template.match) && template.match.every(pattern => pattern instanceof RegExp)));
+        if (!valid) {
+            throw new TariffEngineError('INVALID_TEMPLATE', `A template needs an id and RegExp patterns for the fields ${Object.keys(FIELDS).join('/')}`, 'template');
+        }
+
+        const frozen = Object.freeze({ corporation: null, match: [], ...template });
+        const index = TEMPLATES.findIndex(existing => existing.id === template.id);
+        if (index === -1) {
+            TEMPLATES.splice(Math.max(0, TEMPLATES.length - 1), 0, frozen);
+        } else {
+            TEMPLATES[index] = frozen;
+        }
+        return frozen;
+    }
+
+    /**
+     * Remove a template by id (the generic template stays)
+     * @param {string} id
+     * @returns {boolean} whether a template was removed
+     */
+    function unregisterTemplate(id) {
+        const index = TEMPLATES.findIndex(template => template.id === id && template !== GENERIC_TEMPLATE);
+        if (index !== -1) {
+            TEMPLATES.splice(index, 1);
+        }
+        return index !== -1;
+    }
+
+    /**
+     * Registered templates, generic last
+     * @returns {BillTemplate[]}
+     */
+    function getTemplates() {
+        return TEMPLATES.slice();
+    }
+
+    TEMPLATES.push(Object.freeze(GENERIC_TEMPLATE));
+
+    // ============================================
+    // PARSING
+    // ============================================
+
+    /**
+     * Text as a PDF or a paste delivers it: no-break and bidi marks removed,
+     * gershayim and geresh unified with ASCII quotes
+     */
+    function normalizeText(text) {
+        return String(text || '')
+            .replace(/[‎‏‪-‮⁦-⁩]/g, '')
+            .replace(/[   ]/g, ' ')
+            .replace(/[״”“]/g, '"')
+            .replace(/[׳’‘]/g, "'");
+    }
+
+    /**
+     * Extract the bill figures from its text
+     * @param {string} text
+     * @param {{template?: string}} [options] - force a template by id
+     * @returns {ParsedBill}
+     * @throws {TariffEngineError} EMPTY_BILL_TEXT when there is no text;
+     *         INVALID_TEMPLATE for an unknown forced template
+     */
+    function parseBillText(text, options = {}) {
+        const source = normalizeText(text);
+        if (source.trim() === '') {
+            throw new TariffEngineError('EMPTY_BILL_TEXT', 'The bill text is empty', 'text');
+        }
+
+        const corporation = findCorporationInText(source);
+        let templates;
+        if (options.template) {
+            const forced = TEMPLATES.find(template => template.id === options.template);
+            if (!forced) {
+                throw new TariffEngineError('INVALID_TEMPLATE', `Unknown template: ${options.template}`, 'template');
+            }
+            templates = forced === GENERIC_TEMPLATE ? [forced] : [forced, GENERIC_TEMPLATE];
+        } else {
+            templates = TEMPLATES.filter(template => template === GENERIC_TEMPLATE ||
+                (corporation && template.corporation === corporation.id) ||
+                template.match.some(pattern => pattern.test(source)));
+        }
+
+        // Each field comes from the first template that finds it
+        const values = Object.fromEntries(VALUE_NAMES.map(name => [name, null]));
+        Object.keys(FIELDS).forEach(name => {
+            for (const template of templates) {
+                const read = readField(source, name, template.fields[name]);
+                if (read && Object.keys(read).every(key => values[key] === null)) {
+                    Object.assign(values, read);
+                    break;
+                }
+            }
+        });
+        const found = VALUE_NAMES.filter(name => values[name] !== null);
+
+        const derived = [];
+        if (values.consumption === null && values.previousReading !== null && values.currentReading !== null &&
+            values.currentReading >= values.previousReading) {
+            values.consumption = Math.round((values.currentReading - values.previousReading) * 1000) / 1000;
+            derived.push('consumption');
+        }
+
+        return {
+            corporation: corporation ? corporation.id : null,
+            templates: templates.map(template => template.id),
+            values,
+            found,
+            derived
+        };
+    }
+
+    // ============================================
+    // PDF TEXT
+    // ============================================
+
+    /**
+     * The text of a text-based PDF, one line per line of the page.
+     * Scanned bills have no text layer and come back empty.
+     * @param {Object} pdfjsLib - the pdf.js library (window.pdfjsLib or pdfjs-dist)
+     * @param {ArrayBuffer|Uint8Array} data - the PDF file
+     * @returns {Promise<string>}
+     */
+    async function pdfToText(pdfjsLib, data) {
+        const pdf = await pdfjsLib.getDocument({ data: data instanceof Uint8Array ? data : new Uint8Array(data) }).promise;
+        const pages = [];
+        try {
+            for (let number = 1; number <= pdf.numPages; number++) {
+                const page = await pdf.getPage(number);
+                const content = await page.getTextContent();
+                pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join(''));
+            }
+        } finally {
+            await pdf.destroy();
+        }
+        return pages.join('\n');
+    }
+
+    return {
+        FIELDS,
+        VALUE_NAMES,
+        registerTemplate,
+        unregisterTemplate,
+        getTemplates,
+        parseNumber,
+        parseDate,
+        parseBillText,
+        pdfToText
+    };
+}));
@@ -0,0 +1,240 @@
+/**
+ * Bill Solver
+ * Reverse calculation: given the amount on a bill and the other inputs,
+ * works out the consumption, persons count or tariff year the water
+ * corporation must have used. Built on calculateWaterBill, so fees,
+ * the minimum charge and dated periods are priced exactly as in the engine.
+ *
+ * Browser: loaded as a classic script after tariff-engine.js,
+ *          exposed as window.WaterBillSolver
+ * Node:    const solver = require('./bill-solver');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./tariff-engine'));
+    } else {
+        root.WaterBillSolver = factory(root.WaterTariffEngine);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine) {
+    'use strict';
+
+    const { TariffEngineError, PRICING_STRATEGIES, calculateWaterBill, getSupportedYears, getConsumerTypes, inputForYear } = engine;
+
+    const UNKNOWNS = ['consumption', 'persons', 'year'];
+
+    const DEFAULT_TOLERANCE_PERCENT = 1;
+    const DEFAULT_MAX_PERSONS = 12;
+    const CONSUMPTION_PRECISION = 0.01; // cubic meters
+    const MAX_CONSUMPTION = 1000000;    // cubic meters, far above any bill; the search stops here
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /**
+     * @typedef {Object} SolveOptions
+     * @property {number} [tolerancePercent=1] - how far the re-priced bill may be from the amount
+     *                                           (persons and year; consumption is solved exactly)
+     * @property {number} [maxPersons=12]      - largest persons count tried
+     */
+
+    /**
+     * @typedef {Object} Solution
+     * @property {'consumption'|'persons'|'year'} unknown
+     * @property {number}   value      - the solved input value
+     * @property {number[]} [matches]  - every persons count / year within tolerance, closest first
+     * @property {Object}   input      - the BillInput with the solved value filled in
+     * @property {Object}   result     - BillResult for that input
+     * @property {number}   difference - bill amount minus the re-priced total (NIS)
+     */
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    function validateAmount(actualBillAmount) {
+        if (!Number.isFinite(actualBillAmount) || actualBillAmount <= 0) {
+            throw new TariffEngineError('INVALID_BILL_AMOUNT', 'Bill amount must be a positive number', 'actualBillAmount');
+        }
+    }
+
+    function solution(unknown, value, input, result, actualBillAmount, matches) {
+        const solved = { unknown, value, input, result, difference: actualBillAmount - result.totalPrice };
+        if (matches) {
+            solved.matches = matches;
+        }
+        return solved;
+    }
+
+    /**
+     * Pick the candidates whose re-priced total is within tolerance,
+     * closest first (ties keep candidate order)
+     */
+    function closestMatches(candidates, actualBillAmount, tolerancePercent) {
+        return candidates
+            .map(candidate => ({ ...candidate, off: Math.abs(actualBillAmount - candidate.result.totalPrice) }))
+            .filter(candidate => candidate.off / actualBillAmount * 100 <= tolerancePercent)
+            .sort((a, b) => a.off - b.off);
+    }
+
+    /**
+     * Whether the input is priced with a household allocation and the
+     * published tariffs, which persons and tariff year can change
+     */
+    function hasHouseholdPricing(input) {
+        const type = getConsumerTypes().find(entry => entry.id === (input.consumerType || 'residential'));
+        return !type || PRICING_STRATEGIES[type.pricing].household;
+    }
+
+    // ============================================
+    // SOLVERS
+    // ============================================
+
+    /**
+     * Consumption implied by a bill amount. The total never falls as
+     * consumption grows, so the amount is inverted by bisection.
+     * @param {number} actualBillAmount
+     * @param {Object} input - BillInput; `consumption` is ignored
+     * @returns {Solution|null} null when the amount is below the bill for zero consumption,
+     *                          or above the bill for MAX_CONSUMPTION (the total stops
+     *                          growing, e.g. with an excess rate of zero)
+     * @throws {TariffEngineError} for an invalid amount or other input
+     */
+    function solveConsumption(actualBillAmount, input) {
+        validateAmount(actualBillAmount);
+        const at = consumption => calculateWaterBill({ ...input, consumption });
+
+        const floor = at(0);
+        if (actualBillAmount < floor.totalPrice - CONSUMPTION_PRECISION) {
+            return null;
+        }
+
+        let low = 0;
+        let high = Math.max(floor.allocation, 1);
+        while (at(high).totalPrice < actualBillAmount) {
+            if (high >= MAX_CONSUMPTION) {
+                return null;
+            }
+            low = high;
+            high = Math.min(high * 2, MAX_CONSUMPTION);
+        }
+        while (high - low > CONSUMPTION_PRECISION / 10) {
+            const middle = (low + high) / 2;
+            if (at(middle).totalPrice < actualBillAmount) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+
+        const consumption = Math.round(high / CONSUMPTION_PRECISION) * CONSUMPTION_PRECISION;
+        const solvedInput = { ...input, consumption: Number(consumption.toFixed(2)) };
+        const result = calculateWaterBill(solvedInput);
+        return solution('consumption', result.actualConsumption, solvedInput, result, actualBillAmount);
+    }
+
+    /**
+     * Persons count implied by a bill amount. Above the allocation every
+     * extra person lowers the bill, but once the allocation covers the
+     * consumption several counts price the same, so all matches are listed.
+     * @param {number} actualBillAmount
+     * @param {Object} input - BillInput; `persons` and `members` are ignored
+     * @param {SolveOptions} [options]
+     * @returns {Solution|null} null when no persons count matches, or the consumer type
+     *                          is not priced per person
+     * @throws {TariffEngineError} for an invalid amount or other input
+     */
+    function solvePersons(actualBillAmount, input, options = {}) {
+        validateAmount(actualBillAmount);
+        const tolerancePercent = options.tolerancePercent === undefined ? DEFAULT_TOLERANCE_PERCENT : options.tolerancePercent;
+        const maxPersons = options.maxPersons || DEFAULT_MAX_PERSONS;
+        if (!hasHouseholdPricing(input)) {
+            return null;
+        }
+
+        const candidates = [];
+        for (let persons = 1; persons <= maxPersons; persons++) {
+            const candidateInput = { ...input, persons, members: null };
+            candidates.push({ value: persons, input: candidateInput, result: calculateWaterBill(candidateInput) });
+        }
+
+        const matches = closestMatches(candidates, actualBillAmount, tolerancePercent);
+        if (matches.length === 0) {
+            return null;
+        }
+        const best = matches[0];
+        return solution('persons', best.value, best.input, best.result, actualBillAmount, matches.map(match => match.value));
+    }
+
+    /**
+     * Tariff year implied by a bill amount. Each year prices the same bill
+     * moved into it (inputForYear), so a dated bill keeps its length and
+     * its members' move dates; years its moved dates have no tariff for
+     * are skipped.
+     * @param {number} actualBillAmount
+     * @param {Object} input - BillInput; `year` is ignored
+     * @param {SolveOptions} [options]
+     * @returns {Solution|null} null when no supported year matches, members have move dates
+     *                          but the bill has none, or the consumer type is priced with its own rates
+     * @throws {TariffEngineError} for an invalid amount or other input
+     */
+    function solveTariffYear(actualBillAmount, input, options = {}) {
+        validateAmount(actualBillAmount);
+        const tolerancePercent = options.tolerancePercent === undefined ? DEFAULT_TOLERANCE_PERCENT : options.tolerancePercent;
+        const undatedMoves = !input.startDate && Array.isArray(input.members) && input.members.some(member => member && (member.from || member.to));
+        if (!hasHouseholdPricing(input) || undatedMoves) {
+            return null;
+        }
+
+        const candidates = [];
+        for (const year of getSupportedYears()) {
+            const candidateInput = inputForYear(input, year);
+            try {
+                candidates.push({ value: year, input: candidateInput, result: calculateWaterBill(candidateInput) });
+            } catch (e) {
+                if (!(e instanceof TariffEngineError) || e.code !== 'NO_TARIFF_FOR_DATE') {
+                    throw e;
+                }
+            }
+        }
+
+        const matches = closestMatches(candidates, actualBillAmount, tolerancePercent);
+        if (matches.length === 0) {
+            return null;
+        }
+        const best = matches[0];
+        return solution('year', best.value, best.input, best.result, actualBillAmount, matches.map(match => match.value));
+    }
+
+    /**
+     * Solve for one missing input
+     * @param {{actualBillAmount: number, input: Object,
+     *          unknown: 'consumption'|'persons'|'year'}} problem
+     * @param {SolveOptions} [options]
+     * @returns {Solution|null}
+     * @throws {TariffEngineError} INVALID_UNKNOWN for an unsupported unknown
+     */
+    function solveBill(problem, options = {}) {
+        const { actualBillAmount, input, unknown } = problem;
+        switch (unknown) {
+            case 'consumption':
+                return solveConsumption(actualBillAmount, input);
+            case 'persons':
+                return solvePersons(actualBillAmount, input, options);
+            case 'year':
+                return solveTariffYear(actualBillAmount, input, options);
+            default:
+                throw new TariffEngineError('INVALID_UNKNOWN', `Can solve for ${UNKNOWNS.join('/')} only`, 'unknown');
+        }
+    }
+
+    return {
+        UNKNOWNS,
+        MAX_CONSUMPTION,
+        solveConsumption,
+        solvePersons,
+        solveTariffYear,
+        solveBill
+    };
+}));
@@ -0,0 +1,173 @@
+/**
+ * Building Allocation
+ * Splits a building's common consumption (main meter minus apartment
+ * sub-meters) among the apartments and prices each apartment's bill.
+ *
+ * Browser: loaded as a classic script after tariff-engine.js,
+ *          exposed as window.WaterBuildingAllocation
+ * Node:    const building = require('./building-allocation');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./tariff-engine'));
+    } else {
+        root.WaterBuildingAllocation = factory(root.WaterTariffEngine);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine) {
+    'use strict';
+
+    const { TariffEngineError, calculateWaterBill } = engine;
+
+    /**
+     * How the common consumption is divided:
+     *   equal       - same share for every apartment
+     *   persons     - proportional to declared persons
+     *   consumption - proportional to each sub-meter's consumption
+     */
+    const SPLIT_METHODS = ['equal', 'persons', 'consumption'];
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /**
+     * @typedef {Object} ApartmentInput
+     * @property {string}  [id]
+     * @property {string}  [label]
+     * @property {number}  consumption           - sub-meter consumption for the period (m³)
+     * @property {number}  persons
+     * @property {boolean} [hasDisability=false]
+     */
+
+    /**
+     * @typedef {Object} BuildingInput
+     * @property {number} mainConsumption        - main meter consumption for the period (m³)
+     * @property {ApartmentInput[]} apartments
+     * @property {'equal'|'persons'|'consumption'} [splitMethod='equal']
+     * @property {number} [period=2]
+     * @property {number} [year]
+     * @property {string} [startDate]
+     * @property {string} [endDate]
+     */
+
+    /**
+     * @typedef {Object} ApartmentBill
+     * @property {string} id
+     * @property {string} label
+     * @property {number} persons
+     * @property {number} ownConsumption   - sub-meter consumption (m³)
+     * @property {number} commonShare      - share of the common consumption (m³)
+     * @property {number} consumption      - ownConsumption + commonShare (m³)
+     * @property {Object} bill             - tariff-engine BillResult for the apartment
+     */
+
+    /**
+     * @typedef {Object} BuildingResult
+     * @property {number} mainConsumption
+     * @property {number} subMetersTotal
+     * @property {number} commonConsumption
+     * @property {string} splitMethod
+     * @property {ApartmentBill[]} apartments
+     * @property {number} totalPrice       - sum of all apartment bills (NIS)
+     */
+
+    // ============================================
+    // CALCULATION
+    // ============================================
+
+    /**
+     * Weight of each apartment in the common-consumption split
+     */
+    function splitWeights(apartments, splitMethod) {
+        let weights = apartments.map(() => 1);
+        if (splitMethod === 'persons') {
+            weights = apartments.map(apartment => Number(apartment.persons));
+        } else if (splitMethod === 'consumption') {
+            weights = apartments.map(apartment => Number(apartment.consumption));
+        }
+
+        // Nothing to weigh by (e.g. all sub-meters at zero): fall back to equal shares
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        return total > 0 ? weights.map(weight => weight / total) : apartments.map(() => 1 / apartments.length);
+    }
+
+    /**
+     * Allocate common consumption and price every apartment in the building
+     * @param {BuildingInput} input
+     * @returns {BuildingResult}
+     * @throws {TariffEngineError}
+     */
+    function allocateBuilding(input) {
+        if (!input || !Array.isArray(input.apartments) || input.apartments.length === 0) {
+            throw new TariffEngineError('INVALID_BUILDING', 'A building needs at least one apartment', 'apartments');
+        }
+
+        const mainConsumption = Number(input.mainConsumption);
+        if (input.mainConsumption === '' || !Number.isFinite(mainConsumption) || mainConsumption < 0) {
+            throw new TariffEngineError('INVALID_CONSUMPTION', 'Main meter consumption must be a non-negative number', 'mainConsumption');
+        }
+
+        const splitMethod = input.splitMethod === undefined ? 'equal' : input.splitMethod;
+        if (!SPLIT_METHODS.includes(splitMethod)) {
+            throw new TariffEngineError('INVALID_SPLIT_METHOD', `Split method must be one of ${SPLIT_METHODS.join('/')}`, 'splitMethod');
+        }
+
+        const { period, year, startDate, endDate } = input;
+
+        // Validate each sub-meter through the engine before splitting
+        input.apartments.forEach(apartment => {
+            calculateWaterBill({ ...apartment, period, year, startDate, endDate });
+        });
+
+        const subMetersTotal = input.apartments.reduce((sum, apartment) => sum + Number(apartment.consumption), 0);
+        const commonConsumption = mainConsumption - subMetersTotal;
+        if (commonConsumption < 0) {
+            throw new TariffEngineError(
+                'SUBMETERS_EXCEED_MAIN',
+                `Sub-meters total ${subMetersTotal} m³, more than the main meter's ${mainConsumption} m³`,
+                'mainConsumption'
+            );
+        }
+
+        const weights = splitWeights(input.apartments, splitMethod);
+
+        const apartments = input.apartments.map((apartment, index) => {
+            const ownConsumption = Number(apartment.consumption);
+            const commonShare = commonConsumption * weights[index];
+            const consumption = ownConsumption + commonShare;
+
+            return {
+                id: String(apartment.id || index + 1),
+                label: String(apartment.label || apartment.id || index + 1),
+                persons: Number(apartment.persons),
+                ownConsumption,
+                commonShare,
+                consumption,
+                bill: calculateWaterBill({
+                    consumption,
+                    persons: apartment.persons,
+                    hasDisability: apartment.hasDisability,
+                    period,
+                    year,
+                    startDate,
+                    endDate
+                })
+            };
+        });
+
+        return {
+            mainConsumption,
+            subMetersTotal,
+            commonConsumption,
+            splitMethod,
+            apartments,
+            totalPrice: apartments.reduce((sum, apartment) => sum + apartment.bill.totalPrice, 0)
+        };
+    }
+
+    return {
+        SPLIT_METHODS,
+        allocateBuilding
+    };
+}));
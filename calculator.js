@@ -4,57 +4,158 @@
  */
 
 // ============================================
-// CONSTANTS AND TARIFF DATA
+// ENGINE IMPORTS
 // ============================================
 
-const TARIFFS = {
-    2026: {
-        reduced: 8.508,  // NIS per cubic meter (includes VAT)
-        full: 15.623,    // NIS per cubic meter (includes VAT)
-        year: 2026
-    },
-    2025: {
-        reduced: 8.314,  // NIS per cubic meter (includes VAT - 7.046 base + 18% VAT)
-        full: 15.260,    // NIS per cubic meter (includes VAT - 12.932 base + 18% VAT)
-        year: 2025
-    }
-};
-
-const ALLOCATION_PER_PERSON = 3.5; // cubic meters per person per month
-const DISABILITY_BONUS = 3.5;      // additional cubic meters for 70%+ disability
-const MINIMUM_CHARGE = 3;          // minimum cubic meters for bi-monthly period
+const {
+    CURRENT_YEAR,
+    MINIMUM_CHARGE,
+    PRICING_STRATEGIES,
+    TariffEngineError,
+    getTariffs,
+    getSupportedYears,
+    isSupportedYear,
+    getConsumerTypes,
+    inputForYear,
+    addDays,
+    calculateWaterBill
+} = window.WaterTariffEngine;
+
+const {
+    getCorporation,
+    findCorporationByCity,
+    searchCities
+} = window.WaterCorporations;
+
+const { parseBillText, pdfToText } = window.WaterBillParser;
+
+const { allocateBuilding } = window.WaterBuildingAllocation;
+
+const {
+    consumptionFromReadings,
+    normalizeHistory,
+    intervalsFromHistory,
+    consumptionBetween,
+    billingEndDate
+} = window.WaterMeterReadings;
+
+const { normalizeNightFlow, analyzeLeaks } = window.WaterLeakDetection;
+
+const { compareScenarios } = window.WaterSavingsSimulator;
+
+const { yearPeriods, projectYear } = window.WaterAnnualProjection;
+
+const { createEntry, buildTimeSeries, openBillHistory } = window.WaterBillHistory;
+
+const { solveConsumption, solvePersons, solveTariffYear } = window.WaterBillSolver;
+
+const { checkBill, auditBills, translateFinding } = window.WaterBillChecker;
+
+const {
+    FONT_FAMILY,
+    ARABIC_FONT_FAMILY,
+    loadHebrewFonts,
+    loadArabicFonts,
+    createPdfWriter
+} = window.WaterHebrewPdf;
+
+const { disputableFindings, buildDisputeLetter, letterToText } = window.WaterDisputeLetter;
+
+const {
+    calculationToJSON,
+    calculationToCSV,
+    historyToJSON,
+    historyToCSV,
+    auditToCSV,
+    parseBillsCSV
+} = window.WaterDataExchange;
+
+const { decodeState, buildShareUrl } = window.WaterUrlState;
+
+const {
+    LOCALES,
+    t,
+    hasMessage,
+    setLocale,
+    getLocale,
+    getLocaleInfo,
+    matchLocale,
+    formatNumber,
+    formatCurrency,
+    formatCurrencyParts,
+    formatPercent,
+    formatDate,
+    formatDateTime,
+    formatMonth
+} = window.WaterI18n;
 
 let currentChart = null; // Store chart instance for updates
+let historyChart = null; // Bill history time series chart
+let billHistoryStore = null; // IndexedDB bill history, once opened
+let lastHistoryEntry = null; // Entry recorded by the last calculation
+let historyEntries = []; // Bill history as last rendered
+let selectedCorporation = null; // Water corporation matching the chosen city
+let lastAudit = null; // Rows of the last bulk bill audit
+let lastAuditParseErrors = []; // CSV lines the last audit skipped
+let lastCheck = null; // Findings of the last bill check, for the PDF report
+let lastBuilding = null; // Last building allocation, re-rendered on a language change
+let lastSavings = null; // Last savings comparison, re-rendered on a language change
+let lastLeakAnalysis = null; // Last leak analysis, re-rendered on a language change
+let lastProjection = null; // Last annual projection, re-rendered on a language change
+let lastCalculationInput = null; // Input of the results on screen
 
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
 
 /**
- * Get tariffs for a specific year
+ * Format a volume in cubic meters
  */
-function getTariffs(year) {
-    return TARIFFS[year] || TARIFFS[2026];
+function formatCubic(value) {
+    return t('units.cubic', { value: formatNumber(value) });
 }
 
 /**
- * Calculate basic allocation based on persons, disability, and period
+ * Format a tariff in shekels per cubic meter
  */
-function calculateAllocation(persons, hasDisability, period) {
-    let allocation = persons * ALLOCATION_PER_PERSON * period;
+function formatRate(value) {
+    return t('units.ratePerCubic', { value: formatNumber(value) });
+}
 
-    if (hasDisability) {
-        allocation += DISABILITY_BONUS * period;
-    }
+/**
+ * Format a date range of two YYYY-MM-DD dates
+ */
+function formatDateRange(from, to) {
+    return t('common.range', { from: formatDate(from), to: formatDate(to) });
+}
 
-    return allocation;
+/**
+ * Show an amount in a result card: the number in the element and the
+ * currency symbol in its sibling, ordered as the locale writes them
+ */
+function setMoney(elementId, value) {
+    const { amount, symbol, symbolFirst } = formatCurrencyParts(value);
+    const element = document.getElementById(elementId);
+    element.textContent = amount;
+    element.parentElement.querySelector('.currency').textContent = symbol;
+    element.parentElement.classList.toggle('currency-first', symbolFirst);
+}
+
+/**
+ * Table cell holding plain text. Names and labels users type (or that
+ * arrive in a shared link) go in through textContent, never innerHTML.
+ */
+function textCell(text) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    return cell;
 }
 
 /**
- * Format number to 2 decimal places
+ * Whether the current language is written right to left
  */
-function formatNumber(num) {
-    return Number(num).toFixed(2);
+function isRtl() {
+    return getLocaleInfo().dir === 'rtl';
 }
 
 /**
@@ -87,50 +188,190 @@ function hideResults() {
 }
 
 // ============================================
-// MAIN CALCULATION FUNCTION
+// EVENT HANDLERS
 // ============================================
 
 /**
- * Main water bill calculation function
+ * Corporation fee inputs in the calculator form and how each is charged
+ */
+const FEE_FIELDS = [
+    { id: 'fixed', inputId: 'fixedCharge', basis: 'monthly', label: 'דמי שירות קבועים' },
+    { id: 'sewage', inputId: 'sewageRate', basis: 'cubic', label: 'ביוב' },
+    { id: 'other', inputId: 'otherCharges', basis: 'bill', label: 'חיובים אחרים' }
+];
+
+/**
+ * Eligibility inputs in the calculator form: the engine category and which
+ * claim value the input holds (count of persons, approved m³ per month or rate)
  */
-function calculateWaterBill(consumption, persons, period, hasDisability, year) {
-    const tariffs = getTariffs(year);
-    const allocation = calculateAllocation(persons, hasDisability, period);
+const ELIGIBILITY_FIELDS = [
+    { category: 'foster', inputId: 'eligibilityFoster', key: 'count' },
+    { category: 'medical', inputId: 'eligibilityMedical', key: 'amount' },
+    { category: 'institution', inputId: 'eligibilityInstitution', key: 'amount' }
+];
 
-    // Calculate consumption in each tier
-    let reducedConsumption = Math.min(consumption, allocation);
-    let fullConsumption = Math.max(0, consumption - allocation);
+/**
+ * Inputs for the rates a non-residential pricing strategy needs, keyed by rate
+ */
+const CONSUMER_RATE_FIELDS = {
+    flat: 'rateFlat',
+    quota: 'rateQuota',
+    quotaRate: 'rateQuotaRate',
+    excessRate: 'rateExcessRate'
+};
 
-    // Apply minimum charge for bi-monthly period
-    let minChargeApplied = false;
-    if (period === 2 && consumption < MINIMUM_CHARGE) {
-        consumption = MINIMUM_CHARGE;
-        reducedConsumption = Math.min(MINIMUM_CHARGE, allocation);
-        fullConsumption = Math.max(0, MINIMUM_CHARGE - allocation);
-        minChargeApplied = true;
-    }
+/**
+ * How the two result tiers are named under the result's pricing strategy
+ */
+function tierLabels(pricing) {
+    return ['reduced', 'full', 'reducedTitle', 'fullTitle', 'allocation']
+        .reduce((labels, key) => ({ ...labels, [key]: t(`tiers.${pricing}.${key}`) }), {});
+}
+
+/**
+ * Display label of a fee line item: the catalog name of a known fee,
+ * otherwise the label it was entered with
+ */
+function feeLabel(item) {
+    return hasMessage(`fees.${item.id}`) ? t(`fees.${item.id}`) : item.label;
+}
 
-    // Calculate prices
-    const reducedPrice = reducedConsumption * tariffs.reduced;
-    const fullPrice = fullConsumption * tariffs.full;
-    const totalPrice = reducedPrice + fullPrice;
+/**
+ * Chart colors for fee slices, in FEE_FIELDS order
+ */
+const FEE_COLORS = ['108, 92, 231', '0, 119, 190', '108, 117, 125'];
 
-    return {
-        allocation,
-        reducedConsumption,
-        fullConsumption,
-        reducedPrice,
-        fullPrice,
-        totalPrice,
-        tariffs,
-        minChargeApplied,
-        actualConsumption: consumption
+/**
+ * Chart font: Heebo, with Noto Sans Arabic for the glyphs Heebo lacks
+ */
+const CHART_FONT = "'Heebo', 'Noto Sans Arabic', sans-serif";
+
+/**
+ * Message for an engine validation error, keyed by error code
+ */
+function inputErrorMessage(error) {
+    return hasMessage(`errors.${error.code}`) ? t(`errors.${error.code}`) : error.message;
+}
+
+/**
+ * Read the calculator form into an engine input object
+ */
+function readCalculatorInput() {
+    const input = {
+        consumption: parseFloat(document.getElementById('consumption').value),
+        persons: parseInt(document.getElementById('persons').value),
+        period: parseInt(document.getElementById('period').value),
+        hasDisability: document.getElementById('disability').checked,
+        year: parseInt(document.getElementById('year').value),
+        startDate: document.getElementById('startDate').value,
+        endDate: document.getElementById('endDate').value,
+        fees: readFeeInputs(),
+        eligibility: readEligibilityInputs()
     };
+
+    // Non-residential consumers are priced with their own rates
+    const consumerType = document.getElementById('consumerType').value;
+    if (consumerType !== 'residential') {
+        input.consumerType = consumerType;
+        input.rates = readConsumerRates(consumerType);
+    }
+
+    // Listed household members replace the persons count and disability checkbox
+    if (document.getElementById('useMembers').checked) {
+        input.members = readMemberRows();
+        input.persons = input.members.length;
+        input.hasDisability = input.members.some(member => member.hasDisability);
+    }
+    return input;
 }
 
-// ============================================
-// EVENT HANDLERS
-// ============================================
+/**
+ * Read the corporation fee inputs, skipping empty fields
+ */
+function readFeeInputs() {
+    return FEE_FIELDS
+        .map(field => ({ ...field, rate: parseFloat(document.getElementById(field.inputId).value) }))
+        .filter(fee => !isNaN(fee.rate) && fee.rate !== 0)
+        .map(({ id, label, basis, rate }) => ({ id, label, basis, rate }));
+}
+
+/**
+ * Read the eligibility inputs into engine claims, skipping empty fields
+ */
+function readEligibilityInputs() {
+    return ELIGIBILITY_FIELDS
+        .map(field => ({ ...field, value: parseFloat(document.getElementById(field.inputId).value) }))
+        .filter(field => !isNaN(field.value) && field.value !== 0)
+        .map(({ category, key, value }) => ({ category, [key]: value }));
+}
+
+/**
+ * Read the rates the consumer type's pricing strategy needs
+ */
+function readConsumerRates(consumerType) {
+    return PRICING_STRATEGIES[consumerPricing(consumerType)].rates.reduce((rates, key) => ({
+        ...rates,
+        [key]: parseFloat(document.getElementById(CONSUMER_RATE_FIELDS[key]).value)
+    }), {});
+}
+
+/**
+ * Pricing strategy of a consumer type ('tiered' when unknown)
+ */
+function consumerPricing(consumerType) {
+    const type = getConsumerTypes().find(entry => entry.id === consumerType);
+    return type ? type.pricing : 'tiered';
+}
+
+/**
+ * Show the household fields or the non-residential rate fields for the selected consumer type
+ */
+function toggleConsumerType() {
+    const pricing = consumerPricing(document.getElementById('consumerType').value);
+    const household = PRICING_STRATEGIES[pricing].household;
+
+    document.querySelectorAll('.household-field').forEach(field => field.classList.toggle('hidden', !household));
+    document.getElementById('consumerRates').classList.toggle('hidden', household);
+    document.getElementById('flatRateFields').classList.toggle('hidden', pricing !== 'flat');
+    document.getElementById('quotaRateFields').classList.toggle('hidden', pricing !== 'quota');
+}
+
+/**
+ * Run an engine call and report invalid input to the user.
+ * Returns null when the input was rejected.
+ */
+function tryEngine(calculate, messageOverrides = {}) {
+    try {
+        return calculate();
+    } catch (e) {
+        if (!(e instanceof TariffEngineError)) {
+            throw e;
+        }
+        alert(messageOverrides[e.code] || inputErrorMessage(e));
+        return null;
+    }
+}
+
+/**
+ * Calculate a bill, reporting invalid input to the user
+ */
+function tryCalculate(input, messageOverrides = {}) {
+    return tryEngine(() => calculateWaterBill(input), messageOverrides);
+}
+
+/**
+ * Price the comparison year with the same dates, moved into that year.
+ * Returns null without a comparison year, or when it cannot be priced
+ * (reported to the user, so the results still show without it).
+ */
+function calculateComparison(input) {
+    if (input.year === CURRENT_YEAR) {
+        return null;
+    }
+    return tryCalculate(inputForYear(input, input.year), {
+        NO_TARIFF_FOR_DATE: t('results.comparison.noTariff', { year: input.year })
+    });
+}
 
 /**
  * Handle form submission
@@ -139,46 +380,105 @@ function calculateWater(event) {
     event.preventDefault();
 
     // Get form values
-    const consumption = parseFloat(document.getElementById('consumption').value);
-    const persons = parseInt(document.getElementById('persons').value);
-    const period = parseInt(document.getElementById('period').value);
-    const hasDisability = document.getElementById('disability').checked;
-    const year = parseInt(document.getElementById('year').value);
+    const input = readCalculatorInput();
+    document.getElementById('shareNotice').classList.add('hidden');
 
-    // Validate input
-    if (isNaN(consumption) || consumption < 0) {
-        alert('אנא הכנס כמות צריכה תקינה');
+    const currentResult = displayCalculation(input);
+    if (!currentResult) {
         return;
     }
 
+    // Save to localStorage
+    saveToLocalStorage({ ...input, city: document.getElementById('city').value });
+
+    // Record in the bill history
+    recordCalculation({ ...input, year: CURRENT_YEAR }, currentResult);
+}
+
+/**
+ * Calculate the current bill and show it with the comparison year and chart.
+ * Pass reveal=false to redraw results already on screen without scrolling.
+ * Returns null when the input was rejected.
+ */
+function displayCalculation(input, reveal = true) {
     // Calculate current year
-    const currentResult = calculateWaterBill(consumption, persons, period, hasDisability, 2026);
+    const currentResult = tryCalculate({ ...input, year: CURRENT_YEAR });
+    if (!currentResult) {
+        return null;
+    }
 
     // Display results
-    displayResults(currentResult, persons, period);
+    displayResults(currentResult, input.persons, input.period);
 
     // Check if historical comparison is needed
-    if (year !== 2026) {
-        const historicalResult = calculateWaterBill(consumption, persons, period, hasDisability, year);
-        displayComparison(currentResult, historicalResult, year);
+    const historicalResult = calculateComparison(input);
+    if (historicalResult) {
+        displayComparison(currentResult, historicalResult, input.year);
     } else {
         hideComparison();
     }
 
     // Create chart
     createChart(currentResult);
+    lastCalculationInput = input;
 
     // Show results section
-    showResults();
+    if (reveal) {
+        showResults();
+        document.getElementById('shareLink').classList.add('hidden');
+    }
 
-    // Save to localStorage
-    saveToLocalStorage({
-        consumption,
-        persons,
-        period,
-        hasDisability,
-        year
-    });
+    return currentResult;
+}
+
+/**
+ * Refresh the city suggestions as the user types
+ */
+function updateCityOptions(query) {
+    document.getElementById('cityOptions').innerHTML = searchCities(query)
+        .map(({ city, corporation }) => `<option value="${city}">${corporation.name}</option>`)
+        .join('');
+}
+
+/**
+ * Select the water corporation for the entered city and apply its profile
+ * (billing period and fees). Pass applyDefaults=false when restoring saved
+ * values so they are not overwritten.
+ */
+function selectCity(city, applyDefaults = true) {
+    const corporationInfo = document.getElementById('corporationInfo');
+    selectedCorporation = findCorporationByCity(city);
+
+    if (!selectedCorporation) {
+        corporationInfo.textContent = city ? t('form.city.notFound') : t('form.city.hint');
+        return;
+    }
+
+    corporationInfo.textContent = t('form.city.corporation', { name: selectedCorporation.name });
+
+    if (applyDefaults) {
+        document.getElementById('period').value = selectedCorporation.billingPeriod;
+        FEE_FIELDS.forEach(field => {
+            const fee = selectedCorporation.fees.find(f => f.id === field.id);
+            document.getElementById(field.inputId).value = fee ? fee.rate : '';
+        });
+    }
+}
+
+/**
+ * Contact line for the selected corporation, shown under "what to do"
+ * (plain text for the PDF report when asHtml is false)
+ */
+function describeCorporationContact(corporation, asHtml = true) {
+    if (!corporation) {
+        return '';
+    }
+    const details = [corporation.contact.phone, corporation.contact.website, corporation.contact.email]
+        .filter(Boolean)
+        .map(detail => asHtml && detail.startsWith('http') ? `<a href="${detail}" target="_blank" rel="noopener">${detail}</a>` : detail);
+    return details.length > 0
+        ? t('check.contact', { name: corporation.name, details: details.join(' | ') })
+        : t('check.contactOnBill', { name: corporation.name });
 }
 
 // ============================================
@@ -189,27 +489,158 @@ function calculateWater(event) {
  * Display calculation results
  */
 function displayResults(result, persons, period) {
+    const labels = tierLabels(consumerPricing(result.consumerType));
+    document.getElementById('reducedTierTitle').textContent = labels.reducedTitle;
+    document.getElementById('fullTierTitle').textContent = labels.fullTitle;
+
     // Update allocated values
     document.getElementById('allocatedCubic').textContent = formatNumber(result.reducedConsumption);
-    document.getElementById('reducedPrice').textContent = formatNumber(result.reducedPrice);
-    document.getElementById('reducedRate').textContent = formatNumber(result.tariffs.reduced);
+    setMoney('reducedPrice', result.reducedPrice);
+    document.getElementById('reducedRate').textContent = formatRate(result.tariffs.reduced);
 
     // Update excess values
     document.getElementById('excessCubic').textContent = formatNumber(result.fullConsumption);
-    document.getElementById('fullPrice').textContent = formatNumber(result.fullPrice);
-    document.getElementById('fullRate').textContent = formatNumber(result.tariffs.full);
+    setMoney('fullPrice', result.fullPrice);
+    document.getElementById('fullRate').textContent = formatRate(result.tariffs.full);
+
+    // Update fees
+    displayFees(result);
 
     // Update total
-    document.getElementById('totalPrice').textContent = formatNumber(result.totalPrice);
+    setMoney('totalPrice', result.totalPrice);
 
     // Show minimum charge note if applicable
     const minChargeNote = document.getElementById('minChargeNote');
     if (result.minChargeApplied) {
-        minChargeNote.textContent = '* הוחל חיוב מינימלי של 3 מ"ק לתקופה דו-חודשית';
+        minChargeNote.textContent = t('results.minCharge', { amount: MINIMUM_CHARGE });
         minChargeNote.style.display = 'block';
     } else {
         minChargeNote.style.display = 'none';
     }
+
+    displayPeriodBreakdown(result);
+    displayMemberBreakdown(result);
+    displayEligibility(result);
+}
+
+/**
+ * Display itemised corporation fees
+ */
+function displayFees(result) {
+    const feesCard = document.getElementById('feesCard');
+    const feesList = document.getElementById('feesList');
+
+    if (result.lineItems.length === 0) {
+        feesCard.classList.add('hidden');
+        feesList.innerHTML = '';
+        return;
+    }
+
+    feesList.innerHTML = result.lineItems.map(item => `
+        <li>
+            <span>${feeLabel(item)}</span>
+            <span>${formatCurrency(item.amount)}</span>
+        </li>
+    `).join('');
+    setMoney('feesTotal', result.feesTotal);
+
+    feesCard.classList.remove('hidden');
+}
+
+/**
+ * Display the per-tariff breakdown when the billing period spans a tariff change
+ */
+function displayPeriodBreakdown(result) {
+    const breakdownSection = document.getElementById('periodBreakdown');
+    const rows = document.getElementById('periodBreakdownRows');
+
+    if (result.segments.length < 2) {
+        breakdownSection.classList.add('hidden');
+        rows.innerHTML = '';
+        return;
+    }
+
+    rows.innerHTML = result.segments.map(segment => `
+        <tr>
+            <td>${formatDateRange(segment.from, segment.to)}</td>
+            <td>${segment.days}</td>
+            <td>${formatNumber(segment.consumption)}</td>
+            <td>${formatNumber(segment.reducedConsumption)} × ${formatNumber(segment.tariffs.reduced)}</td>
+            <td>${formatNumber(segment.fullConsumption)} × ${formatNumber(segment.tariffs.full)}</td>
+            <td>${formatCurrency(segment.totalPrice)}</td>
+        </tr>
+    `).join('');
+
+    breakdownSection.classList.remove('hidden');
+}
+
+/**
+ * Display each household member's share of the allocation when members were listed
+ */
+function displayMemberBreakdown(result) {
+    const breakdownSection = document.getElementById('memberBreakdown');
+    const rows = document.getElementById('memberBreakdownRows');
+
+    if (!result.memberAllocations) {
+        breakdownSection.classList.add('hidden');
+        rows.replaceChildren();
+        return;
+    }
+
+    rows.replaceChildren(...result.memberAllocations.map(member => {
+        const nameCell = textCell(member.name);
+        if (member.hasDisability) {
+            const icon = document.createElement('i');
+            icon.className = 'fas fa-wheelchair';
+            icon.title = t('results.members.disability');
+            nameCell.append(' ', icon);
+        }
+        const row = document.createElement('tr');
+        row.append(
+            nameCell,
+            textCell(member.days === null ? t('results.members.wholePeriod') : member.days),
+            textCell(formatPercent(member.share * 100, 0)),
+            textCell(formatNumber(member.allocation))
+        );
+        return row;
+    }));
+
+    breakdownSection.classList.remove('hidden');
+}
+
+/**
+ * Label, details and effect of an eligibility claim, for the results and the PDF
+ */
+function describeEligibilityEffect(effect) {
+    const label = hasMessage(`eligibility.${effect.category}`) ? t(`eligibility.${effect.category}`) : effect.category;
+    const detail = effect.category === 'foster'
+        ? t('eligibility.children', { count: effect.count })
+        : t('units.perMonth', { value: formatNumber(effect.monthly) });
+    return { label, detail, impact: t('eligibility.impact', { value: formatCubic(effect.allocation) }) };
+}
+
+/**
+ * Display the eligibility claims and how each changed the bill
+ */
+function displayEligibility(result) {
+    const breakdownSection = document.getElementById('eligibilityBreakdown');
+    const rows = document.getElementById('eligibilityBreakdownRows');
+
+    if (result.eligibility.length === 0) {
+        breakdownSection.classList.add('hidden');
+        rows.innerHTML = '';
+        return;
+    }
+
+    rows.innerHTML = result.eligibility.map(describeEligibilityEffect).map(({ label, detail, impact }) => `
+        <tr>
+            <td>${label}</td>
+            <td>${detail}</td>
+            <td>${impact}</td>
+        </tr>
+    `).join('');
+
+    breakdownSection.classList.remove('hidden');
 }
 
 /**
@@ -219,25 +650,27 @@ function displayComparison(currentResult, historicalResult, historicalYear) {
     const comparisonSection = document.getElementById('comparisonSection');
     comparisonSection.classList.remove('hidden');
 
-    // Display prices
-    document.getElementById('currentYearPrice').textContent = formatNumber(currentResult.totalPrice) + ' ₪';
-    document.getElementById('previousYearPrice').textContent = formatNumber(historicalResult.totalPrice) + ' ₪';
+    // Display labels and prices
+    document.getElementById('currentYearLabel').textContent = t('results.comparison.current', { year: CURRENT_YEAR });
+    document.getElementById('previousYearLabel').textContent = t('results.comparison.other', { year: historicalYear });
+    document.getElementById('currentYearPrice').textContent = formatCurrency(currentResult.totalPrice);
+    document.getElementById('previousYearPrice').textContent = formatCurrency(historicalResult.totalPrice);
 
     // Calculate difference
     const difference = currentResult.totalPrice - historicalResult.totalPrice;
-    const percentDiff = ((difference / historicalResult.totalPrice) * 100).toFixed(1);
+    const percentDiff = (difference / historicalResult.totalPrice) * 100;
 
-    document.getElementById('diffAmount').textContent = formatNumber(Math.abs(difference));
-    document.getElementById('diffPercent').textContent = `(${percentDiff}%)`;
+    document.getElementById('diffAmount').textContent = formatCurrency(Math.abs(difference));
+    document.getElementById('diffPercent').textContent = `(${formatPercent(percentDiff)})`;
 
     // Color code the difference
     const diffElement = document.getElementById('priceDifference');
     if (difference > 0) {
         diffElement.style.color = '#DC3545'; // Red for increase
-        document.getElementById('diffAmount').textContent = '+' + formatNumber(difference);
+        document.getElementById('diffAmount').textContent = '+' + formatCurrency(difference);
     } else if (difference < 0) {
         diffElement.style.color = '#28A745'; // Green for decrease
-        document.getElementById('diffAmount').textContent = formatNumber(difference);
+        document.getElementById('diffAmount').textContent = formatCurrency(difference);
     } else {
         diffElement.style.color = '#6C757D'; // Gray for no change
     }
@@ -251,10 +684,25 @@ function hideComparison() {
     comparisonSection.classList.add('hidden');
 }
 
+/**
+ * Whether Chart.js loaded. When it did not, the canvas is swapped for the
+ * notice that follows it, so the results still show without a chart.
+ */
+function chartLibraryLoaded(canvasId) {
+    const loaded = typeof window.Chart !== 'undefined';
+    const canvas = document.getElementById(canvasId);
+    canvas.classList.toggle('hidden', !loaded);
+    canvas.nextElementSibling.classList.toggle('hidden', loaded);
+    return loaded;
+}
+
 /**
  * Create or update chart visualization
  */
 function createChart(result) {
+    if (!chartLibraryLoaded('waterChart')) {
+        return;
+    }
     const ctx = document.getElementById('waterChart').getContext('2d');
 
     // Destroy previous chart if exists
@@ -262,23 +710,30 @@ function createChart(result) {
         currentChart.destroy();
     }
 
+    // One slice per tier plus one per fee line item
+    const feeColors = result.lineItems.map((item, index) => FEE_COLORS[index % FEE_COLORS.length]);
+    const labels = tierLabels(consumerPricing(result.consumerType));
+
     // Create new chart
     currentChart = new Chart(ctx, {
         type: 'doughnut',
         data: {
             labels: [
-                `תעריף מופחת (${formatNumber(result.reducedConsumption)} מ"ק)`,
-                `תעריף מלא (${formatNumber(result.fullConsumption)} מ"ק)`
+                t('results.chart.tier', { label: labels.reduced, consumption: formatCubic(result.reducedConsumption) }),
+                t('results.chart.tier', { label: labels.full, consumption: formatCubic(result.fullConsumption) }),
+                ...result.lineItems.map(feeLabel)
             ],
             datasets: [{
-                data: [result.reducedPrice, result.fullPrice],
+                data: [result.reducedPrice, result.fullPrice, ...result.lineItems.map(item => item.amount)],
                 backgroundColor: [
                     'rgba(40, 167, 69, 0.8)',   // Green for reduced
-                    'rgba(255, 165, 0, 0.8)'     // Orange for full
+                    'rgba(255, 165, 0, 0.8)',    // Orange for full
+                    ...feeColors.map(color => `rgba(${color}, 0.8)`)
                 ],
                 borderColor: [
                     'rgba(40, 167, 69, 1)',
-                    'rgba(255, 165, 0, 1)'
+                    'rgba(255, 165, 0, 1)',
+                    ...feeColors.map(color => `rgba(${color}, 1)`)
                 ],
                 borderWidth: 2
             }]
@@ -289,10 +744,10 @@ function createChart(result) {
             plugins: {
                 legend: {
                     position: 'bottom',
-                    rtl: true,
+                    rtl: isRtl(),
                     labels: {
                         font: {
-                            family: 'Heebo',
+                            family: CHART_FONT,
                             size: 14
                         },
                         padding: 15,
@@ -301,32 +756,32 @@ function createChart(result) {
                 },
                 title: {
                     display: true,
-                    text: 'פיצול עלות לפי תעריף',
+                    text: result.lineItems.length > 0 ? t('results.chart.titleWithFees') : t('results.chart.title'),
                     font: {
-                        family: 'Heebo',
+                        family: CHART_FONT,
                         size: 18,
                         weight: 'bold'
                     },
                     padding: 20
                 },
                 tooltip: {
-                    rtl: true,
+                    rtl: isRtl(),
                     backgroundColor: 'rgba(44, 62, 80, 0.9)',
                     titleFont: {
-                        family: 'Heebo',
+                        family: CHART_FONT,
                         size: 14
                     },
                     bodyFont: {
-                        family: 'Heebo',
+                        family: CHART_FONT,
                         size: 13
                     },
                     padding: 12,
                     callbacks: {
                         label: function(context) {
                             const label = context.label || '';
-                            const value = formatNumber(context.parsed);
-                            const percent = ((context.parsed / result.totalPrice) * 100).toFixed(1);
-                            return `${label}: ${value} ₪ (${percent}%)`;
+                            const value = formatCurrency(context.parsed);
+                            const percent = formatPercent((context.parsed / result.totalPrice) * 100);
+                            return `${label}: ${value} (${percent})`;
                         }
                     }
                 }
@@ -340,10 +795,16 @@ function createChart(result) {
 // ============================================
 
 /**
- * Export results to PDF
+ * Create an A4 jsPDF document with the fonts and a writer for a locale
+ * (Hebrew right to left, Arabic right to left in Noto Sans Arabic, English
+ * left to right). Returns null (after telling the user) when jsPDF or a
+ * font cannot be loaded.
  */
-function exportToPDF() {
-    // Get jsPDF from global
+async function createPdf(locale = getLocale()) {
+    if (!window.jspdf) {
+        alert(t('library.pdfMissing'));
+        return null;
+    }
     const { jsPDF } = window.jspdf;
     const doc = new jsPDF({
         orientation: 'portrait',
@@ -351,96 +812,235 @@ function exportToPDF() {
         format: 'a4'
     });
 
-    // Get current values
-    const consumption = parseFloat(document.getElementById('consumption').value);
-    const persons = parseInt(document.getElementById('persons').value);
-    const period = parseInt(document.getElementById('period').value);
-    const hasDisability = document.getElementById('disability').checked;
-    const year = parseInt(document.getElementById('year').value);
+    try {
+        await loadHebrewFonts(doc);
+        if (locale === 'ar') {
+            await loadArabicFonts(doc);
+        }
+    } catch (e) {
+        console.error('Failed to load the PDF font:', e);
+        alert(t('pdf.fontError'));
+        return null;
+    }
+    return createPdfWriter(doc, {
+        direction: getLocaleInfo(locale).dir,
+        family: locale === 'ar' ? ARABIC_FONT_FAMILY : FONT_FAMILY,
+        jsPDF
+    });
+}
 
-    const result = calculateWaterBill(consumption, persons, period, hasDisability, 2026);
+/**
+ * Export results to a PDF report in the current language: inputs,
+ * calculation, chart, year comparison and the bill-check findings for
+ * the same input
+ */
+async function exportToPDF() {
+    // Get current values
+    const input = readCalculatorInput();
+    const result = tryCalculate({ ...input, year: CURRENT_YEAR });
+    if (!result) {
+        return;
+    }
+    const { consumption, persons, period, hasDisability } = input;
+    const historicalResult = calculateComparison(input);
 
-    // Hebrew font support - using default with English/Numbers
-    const lineHeight = 10;
-    let yPos = 20;
+    const pdf = await createPdf();
+    if (!pdf) {
+        return;
+    }
 
     // Title
-    doc.setFontSize(20);
-    doc.setFont('helvetica', 'bold');
-    doc.text('Water Bill Calculation Report - Israel 2026', 105, yPos, { align: 'center' });
-    yPos += lineHeight * 2;
-
-    // Date
-    doc.setFontSize(10);
-    doc.setFont('helvetica', 'normal');
-    doc.text(`Generated: ${new Date().toLocaleString('he-IL')}`, 105, yPos, { align: 'center' });
-    yPos += lineHeight * 2;
+    pdf.title(t('pdf.title', { year: CURRENT_YEAR }));
+    pdf.text(t('pdf.generated', { date: formatDateTime(new Date()) }), { size: 10, align: 'center', color: [108, 117, 125] });
 
     // Input Parameters
-    doc.setFontSize(14);
-    doc.setFont('helvetica', 'bold');
-    doc.text('Input Parameters:', 20, yPos);
-    yPos += lineHeight;
-
-    doc.setFontSize(11);
-    doc.setFont('helvetica', 'normal');
-    doc.text(`Consumption: ${consumption} cubic meters`, 30, yPos);
-    yPos += lineHeight * 0.8;
-    doc.text(`Household size: ${persons} persons`, 30, yPos);
-    yPos += lineHeight * 0.8;
-    doc.text(`Billing period: ${period === 1 ? 'Monthly' : 'Bi-monthly'}`, 30, yPos);
-    yPos += lineHeight * 0.8;
-    doc.text(`Disability benefit: ${hasDisability ? 'Yes' : 'No'}`, 30, yPos);
-    yPos += lineHeight * 0.8;
-    doc.text(`Basic allocation: ${formatNumber(result.allocation)} cubic meters`, 30, yPos);
-    yPos += lineHeight * 2;
-
-    // Calculation Results
-    doc.setFontSize(14);
-    doc.setFont('helvetica', 'bold');
-    doc.text('Calculation Results:', 20, yPos);
-    yPos += lineHeight;
-
-    doc.setFontSize(11);
-    doc.setFont('helvetica', 'normal');
-    doc.text(`Reduced rate (${formatNumber(result.tariffs.reduced)} NIS/m3):`, 30, yPos);
-    yPos += lineHeight * 0.8;
-    doc.text(`  ${formatNumber(result.reducedConsumption)} m3 x ${formatNumber(result.tariffs.reduced)} = ${formatNumber(result.reducedPrice)} NIS`, 35, yPos);
-    yPos += lineHeight;
-
-    doc.text(`Full rate (${formatNumber(result.tariffs.full)} NIS/m3):`, 30, yPos);
-    yPos += lineHeight * 0.8;
-    doc.text(`  ${formatNumber(result.fullConsumption)} m3 x ${formatNumber(result.tariffs.full)} = ${formatNumber(result.fullPrice)} NIS`, 35, yPos);
-    yPos += lineHeight * 2;
+    pdf.heading(t('pdf.inputs'));
+    const city = document.getElementById('city').value.trim();
+    if (city) {
+        pdf.row(t('pdf.city'), selectedCorporation ? `${city} (${selectedCorporation.name})` : city);
+    }
+    const pricing = consumerPricing(result.consumerType);
+    const labels = tierLabels(pricing);
+    const household = PRICING_STRATEGIES[pricing].household;
+    if (!household) {
+        pdf.row(t('pdf.consumerType'), hasMessage(`consumerTypes.${result.consumerType}`) ? t(`consumerTypes.${result.consumerType}`) : result.consumerType);
+    }
+    pdf.row(t('pdf.consumption'), formatCubic(consumption));
+    if (household) {
+        pdf.row(t('pdf.persons'), persons);
+    }
+    pdf.row(t('pdf.period'), period === 1 ? t('pdf.monthly') : t('pdf.bimonthly'));
+    if (input.startDate && input.endDate) {
+        pdf.row(t('pdf.dates'), formatDateRange(input.startDate, input.endDate));
+    }
+    if (household) {
+        pdf.row(t('pdf.disability'), hasDisability ? t('common.yes') : t('common.no'));
+    }
+    if (pricing !== 'flat') {
+        pdf.row(labels.allocation, formatCubic(result.allocation));
+    }
 
-    // Total
-    doc.setFontSize(16);
-    doc.setFont('helvetica', 'bold');
-    doc.text(`TOTAL: ${formatNumber(result.totalPrice)} NIS`, 105, yPos, { align: 'center' });
-    yPos += lineHeight * 2;
+    // Eligibility beyond the disability checkbox
+    if (result.eligibility.length > 0) {
+        pdf.text(t('pdf.eligibility'), { bold: true, indent: 4 });
+        result.eligibility.forEach(effect => {
+            const { label, detail, impact } = describeEligibilityEffect(effect);
+            pdf.row(`${label} (${detail})`, impact, { indent: 8 });
+        });
+    }
 
-    // Notes
-    doc.setFontSize(10);
-    doc.setFont('helvetica', 'italic');
+    // Day-weighted allocation of listed household members
+    if (result.memberAllocations) {
+        pdf.text(t('pdf.members'), { bold: true, indent: 4 });
+        result.memberAllocations.forEach(member => {
+            pdf.row(
+                t('pdf.member', {
+                    name: member.name,
+                    disability: member.hasDisability ? t('pdf.memberDisability') : '',
+                    presence: member.days === null ? t('results.members.wholePeriod') : t('units.days', { count: member.days })
+                }),
+                formatCubic(member.allocation),
+                { indent: 8 }
+            );
+        });
+    }
+
+    // Calculation Results (a single rate only applies when no tariff change was pro-rated)
+    const rateSuffix = rate => (result.segments.length > 1 ? '' : ` × ${formatCurrency(rate)}`);
+    pdf.heading(t('pdf.calculation'));
+    if (pricing !== 'flat') {
+        pdf.row(labels.reduced, `${formatCubic(result.reducedConsumption)}${rateSuffix(result.tariffs.reduced)} = ${formatCurrency(result.reducedPrice)}`);
+    }
+    pdf.row(labels.full, `${formatCubic(result.fullConsumption)}${rateSuffix(result.tariffs.full)} = ${formatCurrency(result.fullPrice)}`);
+
+    // Pro-rated tariff periods
+    if (result.segments.length > 1) {
+        pdf.text(t('pdf.segments'), { bold: true, indent: 4 });
+        result.segments.forEach(segment => {
+            pdf.row(
+                t('pdf.segment', {
+                    range: formatDateRange(segment.from, segment.to),
+                    days: t('units.days', { count: segment.days }),
+                    consumption: formatCubic(segment.consumption)
+                }),
+                `${formatNumber(segment.reducedConsumption)} × ${formatNumber(segment.tariffs.reduced)} + ${formatNumber(segment.fullConsumption)} × ${formatNumber(segment.tariffs.full)} = ${formatCurrency(segment.totalPrice)}`,
+                { indent: 8 }
+            );
+        });
+    }
+
+    // Additional charges
+    if (result.lineItems.length > 0) {
+        pdf.row(t('pdf.waterTotal'), formatCurrency(result.waterPrice));
+        pdf.text(t('pdf.fees'), { bold: true, indent: 4 });
+        result.lineItems.forEach(item => {
+            const unit = t(`fees.basis.${item.basis}`);
+            pdf.row(feeLabel(item), `${formatNumber(item.quantity)} ${unit} × ${formatCurrency(item.rate)} = ${formatCurrency(item.amount)}`, { indent: 8 });
+        });
+    }
+
+    // Total
+    pdf.space();
+    pdf.text(t('pdf.total', { amount: formatCurrency(result.totalPrice) }), { size: 16, bold: true, align: 'center', color: [0, 90, 140] });
     if (result.minChargeApplied) {
-        doc.text('* Minimum charge of 3 cubic meters applied for bi-monthly period', 20, yPos);
-        yPos += lineHeight;
+        pdf.text(t('results.minCharge', { amount: MINIMUM_CHARGE }), { size: 9, align: 'center' });
+    }
+
+    // Chart
+    if (currentChart) {
+        const canvas = currentChart.canvas;
+        const imageWidth = 90;
+        pdf.image(currentChart.toBase64Image(), imageWidth, imageWidth * canvas.height / canvas.width);
     }
 
-    yPos += lineHeight;
-    doc.text('Tariffs are based on Israel Water Authority rates for 2026', 20, yPos);
-    yPos += lineHeight * 0.8;
-    doc.text('Local water corporations may add fixed connection and sewage fees', 20, yPos);
-    yPos += lineHeight * 0.8;
-    doc.text('Tariffs may change during the year based on CPI and electricity costs', 20, yPos);
+    // Year comparison, as on screen
+    if (historicalResult) {
+        const difference = result.totalPrice - historicalResult.totalPrice;
+        const percentDiff = (difference / historicalResult.totalPrice) * 100;
+
+        pdf.heading(t('pdf.comparison'));
+        pdf.row(t('pdf.current', { year: CURRENT_YEAR }), formatCurrency(result.totalPrice));
+        pdf.row(input.year, formatCurrency(historicalResult.totalPrice));
+        pdf.row(t('pdf.difference'), `${difference > 0 ? '+' : ''}${formatCurrency(difference)} (${formatPercent(percentDiff)})`);
+    }
+
+    // Bill-check findings, when the last check was run on this input
+    if (lastCheck && JSON.stringify(lastCheck.input) === JSON.stringify({ ...input, year: CURRENT_YEAR })) {
+        const { errors, warnings, recommendations, actualBillAmount } = lastCheck;
+
+        pdf.heading(t('pdf.check'));
+        if (!isNaN(actualBillAmount) && actualBillAmount > 0) {
+            pdf.row(t('pdf.actual'), formatCurrency(actualBillAmount));
+            pdf.row(t('pdf.expected'), formatCurrency(result.totalPrice));
+            pdf.row(t('pdf.difference'), formatCurrency(actualBillAmount - result.totalPrice), { bold: true });
+            pdf.space(2);
+        }
+
+        const findings = [
+            ...errors.map(item => ({ ...item, label: t('pdf.error'), color: [220, 53, 69] })),
+            ...warnings.map(item => ({ ...item, label: t('pdf.warning'), color: [204, 132, 0] })),
+            ...recommendations.map(item => ({ ...item, label: t('pdf.recommendation'), color: [0, 119, 190] }))
+        ];
+        if (findings.length === 0) {
+            pdf.text(t('pdf.noFindings'), { indent: 4 });
+        }
+        findings.forEach(finding => {
+            pdf.text(`${finding.label}: ${finding.title}`, { bold: true, indent: 4, color: finding.color });
+            pdf.text(finding.description, { size: 10, indent: 8 });
+            pdf.text(t('pdf.whatToDo', { action: finding.action }), { size: 10, indent: 8 });
+        });
+
+        const contactLine = describeCorporationContact(selectedCorporation, false);
+        if (contactLine) {
+            pdf.text(contactLine, { size: 10, indent: 4 });
+        }
+    }
+
+    // Notes
+    pdf.heading(t('pdf.notes'));
+    pdf.text(household ? t('pdf.notesTariffs', { year: CURRENT_YEAR }) : t('pdf.notesRates'), { size: 9 });
+    pdf.text(result.lineItems.length > 0 ? t('pdf.notesFees') : t('pdf.notesNoFees'), { size: 9 });
+    pdf.text(t('pdf.notesProRated'), { size: 9 });
 
     // Footer
-    yPos = 280;
-    doc.setFontSize(8);
-    doc.text('Water Bill Calculator - Israel 2026 | Created for public benefit', 105, yPos, { align: 'center' });
+    pdf.footer(t('pdf.footer'), (page, pages) => t('pdf.page', { page, pages }));
 
     // Save PDF
-    doc.save(`water-bill-calculation-${new Date().toISOString().split('T')[0]}.pdf`);
+    pdf.doc.save(`water-bill-calculation-${new Date().toISOString().split('T')[0]}.pdf`);
+}
+
+/**
+ * Offer text content as a file download. CSV gets a BOM so Excel reads
+ * the Hebrew as UTF-8.
+ */
+function downloadFile(content, filename, type) {
+    const blob = new Blob([type === 'text/csv' ? '\uFEFF' + content : content], { type: `${type};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Export the current calculation (input and full result) as CSV or JSON
+ */
+function exportCalculation(format) {
+    const input = { ...readCalculatorInput(), year: CURRENT_YEAR };
+    const result = tryCalculate(input);
+    if (!result) {
+        return;
+    }
+
+    const date = new Date().toISOString().split('T')[0];
+    if (format === 'json') {
+        downloadFile(calculationToJSON(input, result), `water-bill-calculation-${date}.json`, 'application/json');
+    } else {
+        downloadFile(calculationToCSV(input, result), `water-bill-calculation-${date}.csv`, 'text/csv');
+    }
 }
 
 /**
@@ -448,6 +1048,7 @@ function exportToPDF() {
  */
 function resetCalculator() {
     document.getElementById('waterForm').reset();
+    selectCity('', false);
     hideResults();
     hideComparison();
 
@@ -456,51 +1057,414 @@ function resetCalculator() {
 }
 
 // ============================================
-// LOCAL STORAGE FUNCTIONS
+// SAVINGS SIMULATOR FUNCTIONS
 // ============================================
 
 /**
- * Save form data to localStorage
+ * Read the simulator form. A change is included once all its fields are filled.
  */
-function saveToLocalStorage(data) {
-    try {
-        localStorage.setItem('waterCalculatorData', JSON.stringify(data));
-    } catch (e) {
-        console.error('Failed to save to localStorage:', e);
+function readSavingsChanges() {
+    const value = id => parseFloat(document.getElementById(id).value);
+    const filled = (...ids) => ids.every(id => !isNaN(value(id)));
+    const changes = {};
+
+    if (filled('simShowerMinutes', 'simShowerFlow')) {
+        changes.showerMinutes = { minutesPerDay: value('simShowerMinutes'), litersPerMinute: value('simShowerFlow') };
+    }
+    if (filled('simFixtureMinutes', 'simFixtureCurrent', 'simFixtureNew')) {
+        changes.lowFlowFixture = {
+            minutesPerDay: value('simFixtureMinutes'),
+            currentLitersPerMinute: value('simFixtureCurrent'),
+            newLitersPerMinute: value('simFixtureNew')
+        };
+    }
+    if (filled('simLeakFlow')) {
+        changes.fixLeak = { litersPerHour: value('simLeakFlow') };
     }
+    if (filled('simExtraPersons') && value('simExtraPersons') !== 0) {
+        changes.extraPersons = value('simExtraPersons');
+    }
+    if (document.getElementById('simDisability').checked) {
+        changes.disability = true;
+    }
+    return changes;
 }
 
 /**
- * Load form data from localStorage
+ * Price the simulator changes against the current calculation
  */
-function loadFromLocalStorage() {
-    try {
-        const data = localStorage.getItem('waterCalculatorData');
-        if (data) {
-            const parsed = JSON.parse(data);
+function runSavingsSimulation() {
+    const changes = readSavingsChanges();
+    if (Object.keys(changes).length === 0) {
+        alert(t('savings.noChanges'));
+        return;
+    }
 
-            // Restore form values
-            if (parsed.consumption) document.getElementById('consumption').value = parsed.consumption;
-            if (parsed.persons) document.getElementById('persons').value = parsed.persons;
-            if (parsed.period) document.getElementById('period').value = parsed.period;
-            if (parsed.hasDisability !== undefined) document.getElementById('disability').checked = parsed.hasDisability;
-            if (parsed.year) document.getElementById('year').value = parsed.year;
-        }
-    } catch (e) {
+    const comparison = tryEngine(() => compareScenarios({ ...readCalculatorInput(), year: CURRENT_YEAR }, changes));
+    if (comparison) {
+        lastSavings = comparison;
+        displaySavingsResults(comparison);
+    }
+}
+
+/**
+ * Show the current bill and each scenario side by side
+ */
+function displaySavingsResults({ baseline, scenarios, combined }) {
+    const columns = [
+        { title: t('savings.current'), result: baseline, scenario: null },
+        ...scenarios.map(scenario => ({ title: t(`savings.scenarios.${Object.keys(scenario.changes)[0]}`), result: scenario.result, scenario })),
+        ...(combined ? [{ title: t('savings.combined'), result: combined.result, scenario: combined }] : [])
+    ];
+    const rows = [
+        [t('savings.consumption'), ({ result }) => formatNumber(result.actualConsumption)],
+        [t('savings.reduced'), ({ result }) => formatNumber(result.reducedConsumption)],
+        [t('savings.full'), ({ result }) => formatNumber(result.fullConsumption)],
+        [t('savings.total'), ({ result }) => formatCurrency(result.totalPrice)],
+        [t('savings.perBill'), ({ scenario }) => (scenario ? formatCurrency(scenario.savings.perBill) : '-')],
+        [t('savings.monthly'), ({ scenario }) => (scenario ? formatCurrency(scenario.savings.monthly) : '-')],
+        [t('savings.annual'), ({ scenario }) => (scenario ? formatCurrency(scenario.savings.annual) : '-')]
+    ];
+
+    document.getElementById('savingsHead').innerHTML = `
+        <tr>
+            <th></th>
+            ${columns.map(column => `<th>${column.title}</th>`).join('')}
+        </tr>
+    `;
+    document.getElementById('savingsRows').innerHTML = rows.map(([label, cell]) => `
+        <tr>
+            <td>${label}</td>
+            ${columns.map(column => `<td>${cell(column)}</td>`).join('')}
+        </tr>
+    `).join('') + `
+        <tr>
+            <td>${t('savings.underAllocation')}</td>
+            ${columns.map(column => (column.result.fullConsumption === 0
+                ? `<td class="under-allocation"><i class="fas fa-check-circle"></i> ${t('savings.allReduced')}</td>`
+                : '<td>-</td>')).join('')}
+        </tr>
+    `;
+    document.getElementById('savingsResults').classList.remove('hidden');
+}
+
+// ============================================
+// LOCAL STORAGE FUNCTIONS
+// ============================================
+
+/**
+ * Save form data to localStorage
+ */
+function saveToLocalStorage(data) {
+    try {
+        localStorage.setItem('waterCalculatorData', JSON.stringify(data));
+    } catch (e) {
+        console.error('Failed to save to localStorage:', e);
+    }
+}
+
+/**
+ * Load form data from localStorage
+ */
+function loadFromLocalStorage() {
+    try {
+        const data = localStorage.getItem('waterCalculatorData');
+        if (data) {
+            restoreFormState(JSON.parse(data));
+        }
+    } catch (e) {
         console.error('Failed to load from localStorage:', e);
     }
 }
 
+/**
+ * Fill the calculator form from saved or shared input (plus `city`).
+ * Values the form no longer offers, such as a year dropped from the
+ * tariff registry or a removed fee, are skipped.
+ */
+function restoreFormState(parsed) {
+    if (parsed.city) {
+        document.getElementById('city').value = parsed.city;
+        selectCity(parsed.city, false);
+    }
+    if (parsed.consumption) document.getElementById('consumption').value = parsed.consumption;
+    if (parsed.persons) document.getElementById('persons').value = parsed.persons;
+    if (parsed.period) document.getElementById('period').value = parsed.period;
+    if (parsed.hasDisability !== undefined) document.getElementById('disability').checked = parsed.hasDisability;
+    if (parsed.year && isSupportedYear(parsed.year)) document.getElementById('year').value = parsed.year;
+    if (parsed.startDate) document.getElementById('startDate').value = parsed.startDate;
+    if (parsed.endDate) document.getElementById('endDate').value = parsed.endDate;
+    if (Array.isArray(parsed.fees)) {
+        parsed.fees.forEach(fee => {
+            const field = FEE_FIELDS.find(f => f.id === fee.id);
+            if (field) document.getElementById(field.inputId).value = fee.rate;
+        });
+    }
+    if (parsed.consumerType) {
+        document.getElementById('consumerType').value = parsed.consumerType;
+        Object.keys(parsed.rates || {}).forEach(key => {
+            if (CONSUMER_RATE_FIELDS[key]) document.getElementById(CONSUMER_RATE_FIELDS[key]).value = parsed.rates[key];
+        });
+        toggleConsumerType();
+    }
+    if (Array.isArray(parsed.eligibility)) {
+        parsed.eligibility.forEach(claim => {
+            const field = ELIGIBILITY_FIELDS.find(f => f.category === claim.category);
+            if (field) document.getElementById(field.inputId).value = claim[field.key];
+        });
+    }
+    if (Array.isArray(parsed.members) && parsed.members.length > 0) {
+        parsed.members.forEach(member => addMemberRow(member));
+        document.getElementById('useMembers').checked = true;
+        toggleMembers();
+    }
+}
+
+// ============================================
+// SHARE LINK FUNCTIONS
+// ============================================
+
+/**
+ * Build a link holding the calculator form (and, when ticked, the bill
+ * checker fields), show it and copy it to the clipboard
+ */
+async function shareCalculation() {
+    const state = {
+        input: readCalculatorInput(),
+        city: document.getElementById('city').value,
+        tariffYear: CURRENT_YEAR
+    };
+    if (document.getElementById('shareChecker').checked) {
+        state.checker = {
+            actualBillAmount: parseFloat(document.getElementById('actualBillAmount').value),
+            billingType: document.getElementById('billingType').value,
+            previousConsumption: parseFloat(document.getElementById('previousConsumption').value),
+            currentMeterReading: parseFloat(document.getElementById('currentMeterReading').value)
+        };
+    }
+
+    const link = buildShareUrl(window.location.href, state);
+    const linkField = document.getElementById('shareLink');
+    linkField.value = link;
+    linkField.classList.remove('hidden');
+    try {
+        await navigator.clipboard.writeText(link);
+        alert(t('share.copied'));
+    } catch (e) {
+        // The link stays in the field for copying by hand
+        linkField.select();
+        console.error('Failed to copy the link:', e);
+    }
+}
+
+/**
+ * Restore a calculation shared in the page link and run it. Shared
+ * calculations are not saved to this device's storage or history.
+ * Returns true when the link held a calculation.
+ */
+function loadFromShareLink() {
+    const state = tryEngine(() => decodeState(window.location.hash));
+    if (!state) {
+        return false;
+    }
+
+    restoreFormState({ ...state.input, city: state.city });
+    if (state.checker) {
+        Object.keys(state.checker).forEach(field => {
+            document.getElementById(field).value = state.checker[field];
+        });
+        toggleErrorChecker();
+    }
+
+    if (!displayCalculation(readCalculatorInput())) {
+        return true;
+    }
+    const notice = document.getElementById('shareNotice');
+    if (state.tariffYear && state.tariffYear !== CURRENT_YEAR) {
+        notice.dataset.i18n = 'share.openedOtherYear';
+        notice.dataset.i18nParams = JSON.stringify({ linkYear: state.tariffYear, year: CURRENT_YEAR });
+    } else {
+        notice.dataset.i18n = 'share.opened';
+        delete notice.dataset.i18nParams;
+    }
+    translateElement(notice);
+    notice.classList.remove('hidden');
+    return true;
+}
+
+// ============================================
+// LANGUAGE FUNCTIONS
+// ============================================
+
+const LOCALE_STORAGE_KEY = 'waterCalculatorLocale';
+
+/**
+ * Translate one element from its data-i18n attributes: data-i18n (text),
+ * data-i18n-html (markup from the catalog), data-i18n-placeholder,
+ * data-i18n-aria-label, data-i18n-title and data-i18n-content (meta tags).
+ * data-i18n-count and data-i18n-params (JSON) supply message parameters.
+ */
+function translateElement(element) {
+    const { i18n, i18nHtml, i18nPlaceholder, i18nAriaLabel, i18nTitle, i18nContent, i18nCount, i18nParams } = element.dataset;
+    const params = { ...(i18nParams ? JSON.parse(i18nParams) : {}), ...(i18nCount !== undefined ? { count: Number(i18nCount) } : {}) };
+
+    if (i18n) element.textContent = t(i18n, params);
+    if (i18nHtml) element.innerHTML = t(i18nHtml, params);
+    if (i18nPlaceholder) element.placeholder = t(i18nPlaceholder, params);
+    if (i18nAriaLabel) element.setAttribute('aria-label', t(i18nAriaLabel, params));
+    if (i18nTitle) element.title = t(i18nTitle, params);
+    if (i18nContent) element.content = t(i18nContent, params);
+}
+
+/**
+ * Translate every element marked with data-i18n attributes
+ */
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n], [data-i18n-html], [data-i18n-placeholder], [data-i18n-aria-label], [data-i18n-title], [data-i18n-content]')
+        .forEach(translateElement);
+}
+
+/**
+ * Set the page language and direction and translate the static text
+ */
+function applyLanguage() {
+    document.documentElement.lang = getLocale();
+    document.documentElement.dir = getLocaleInfo().dir;
+    document.getElementById('languageSelect').value = getLocale();
+    applyTranslations();
+    populateYearOptions();
+    selectCity(document.getElementById('city').value, false);
+}
+
+/**
+ * Re-render whatever results are on screen in the current language
+ */
+function refreshLocalizedOutput() {
+    const isShown = id => !document.getElementById(id).classList.contains('hidden');
+
+    renderMeterHistory();
+    renderNightFlow();
+    labelProjectionRows();
+    if (lastCalculationInput && isShown('resultsSection')) {
+        displayCalculation(lastCalculationInput, false);
+    }
+    if (lastSavings && isShown('savingsResults')) {
+        displaySavingsResults(lastSavings);
+    }
+    if (lastCheck && isShown('errorResults')) {
+        ['errors', 'warnings', 'recommendations'].forEach(group => {
+            lastCheck[group] = lastCheck[group].map(finding => translateFinding(finding, getLocale()));
+        });
+        displayErrorResults(lastCheck.errors, lastCheck.warnings, lastCheck.recommendations, lastCheck.result, lastCheck.actualBillAmount, lastCheck.input);
+    }
+    if (lastAudit && isShown('auditResults')) {
+        lastAudit.filter(row => row.check).forEach(({ check }) => {
+            ['errors', 'warnings', 'recommendations'].forEach(group => {
+                check[group] = check[group].map(finding => translateFinding(finding, getLocale()));
+            });
+        });
+        displayAuditResults(lastAudit, lastAuditParseErrors);
+    }
+    if (lastProjection && document.getElementById('projectionSummary').innerHTML.trim() !== '') {
+        displayProjection(lastProjection);
+    }
+    if (lastLeakAnalysis && isShown('leakResults')) {
+        displayLeakResults(lastLeakAnalysis);
+    }
+    if (lastBuilding && isShown('buildingResults')) {
+        displayBuildingResults(lastBuilding);
+    }
+    renderHistory(historyEntries);
+}
+
+/**
+ * Switch the interface language (from the language dropdown)
+ */
+function changeLanguage(locale) {
+    setLocale(locale);
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (e) {
+        console.error('Failed to save the language:', e);
+    }
+    applyLanguage();
+    refreshLocalizedOutput();
+}
+
+/**
+ * Start in the saved language, else the browser's preferred supported one
+ */
+function initLanguage() {
+    let locale = null;
+    try {
+        locale = localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (e) {
+        console.error('Failed to load the language:', e);
+    }
+    if (!Object.prototype.hasOwnProperty.call(LOCALES, locale)) {
+        locale = matchLocale(navigator.languages || [navigator.language]) || 'he';
+    }
+    setLocale(locale);
+    applyLanguage();
+}
+
 // ============================================
 // INITIALIZATION
 // ============================================
 
+/**
+ * Fill the comparison year dropdown from the tariff registry, keeping the
+ * chosen year when the options are relabeled
+ */
+function populateYearOptions() {
+    const yearSelect = document.getElementById('year');
+    const selected = parseInt(yearSelect.value) || CURRENT_YEAR;
+    yearSelect.innerHTML = getSupportedYears().map(year => {
+        const label = t(year === CURRENT_YEAR ? 'form.year.current' : 'form.year.compare', { year });
+        return `<option value="${year}"${year === selected ? ' selected' : ''}>${label}</option>`;
+    }).join('');
+}
+
+/**
+ * Register the service worker (sw.js) that caches the app for offline use.
+ * Browsers allow service workers only over http(s), so a page opened from
+ * a file keeps working online only.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') {
+        return;
+    }
+    navigator.serviceWorker.register('sw.js').catch(e => {
+        console.error('Failed to register the service worker:', e);
+    });
+}
+
 /**
  * Initialize the calculator on page load
  */
 document.addEventListener('DOMContentLoaded', function() {
-    // Load saved data if available
-    loadFromLocalStorage();
+    // Translate the page and fill registry-driven options before restoring saved values
+    initLanguage();
+
+    // A shared link takes the place of this device's saved data
+    if (!loadFromShareLink()) {
+        loadFromLocalStorage();
+    }
+    loadBuildingFromLocalStorage();
+    renderMeterHistory();
+    renderNightFlow();
+    renderProjectionRows();
+    initBillHistory();
+
+    // City search and corporation profile
+    const cityInput = document.getElementById('city');
+    updateCityOptions('');
+    cityInput.addEventListener('input', function() {
+        updateCityOptions(this.value);
+    });
+    cityInput.addEventListener('change', function() {
+        selectCity(this.value);
+    });
 
     // Add form validation
     const consumptionInput = document.getElementById('consumption');
@@ -510,8 +1474,10 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
 
+    registerServiceWorker();
+
     console.log('Water Calculator initialized successfully');
-    console.log('Current tariffs (2026):', TARIFFS[2026]);
+    console.log(`Current tariffs (${CURRENT_YEAR}):`, getTariffs(CURRENT_YEAR));
 });
 
 // ============================================
@@ -546,10 +1512,8 @@ function checkForErrors(event) {
     event.preventDefault();
 
     // Get form values from main calculator
-    const consumption = parseFloat(document.getElementById('consumption').value);
-    const persons = parseInt(document.getElementById('persons').value);
-    const period = parseInt(document.getElementById('period').value);
-    const hasDisability = document.getElementById('disability').checked;
+    const input = readCalculatorInput();
+    const { consumption, persons, hasDisability } = input;
 
     // Get form values from error checker
     const actualBillAmount = parseFloat(document.getElementById('actualBillAmount').value);
@@ -557,122 +1521,69 @@ function checkForErrors(event) {
     const previousConsumption = parseFloat(document.getElementById('previousConsumption').value);
     const currentMeterReading = parseFloat(document.getElementById('currentMeterReading').value);
 
-    // Validate input
-    if (isNaN(consumption) || consumption < 0) {
-        alert('אנא הכנס כמות צריכה תקינה במחשבון הראשי');
+    // Calculate expected bill
+    const checkedInput = { ...input, year: CURRENT_YEAR };
+    const calculatedResult = tryCalculate(checkedInput, {
+        INVALID_CONSUMPTION: t('check.consumptionRequired')
+    });
+    if (!calculatedResult) {
         return;
     }
 
-    // Calculate expected bill
-    const calculatedResult = calculateWaterBill(consumption, persons, period, hasDisability, 2026);
-
     // Detect errors
-    const errors = [];
-    const warnings = [];
-    const recommendations = [];
-
-    // 1. Check if billing is based on estimation
-    if (billingType === 'estimated') {
-        errors.push({
-            type: 'estimation',
-            severity: 'high',
-            title: 'חיוב על בסיס הערכה',
-            description: 'החשבון שלכם מבוסס על הערכה ולא על קריאה ממונה. זה עלול להוביל לחיוב לא מדויק.',
-            action: 'צלמו את המונה בבית ושלחו את התמונה לתאגיד המים עם בקשה לעדכון החשבון. אתם זכאים לזיכוי אם קריאת המונה בפועל נמוכה יותר.'
-        });
-    }
+    const history = loadMeterHistory();
+    const { errors, warnings, recommendations } = checkBill(calculatedResult, {
+        consumption,
+        persons,
+        hasDisability,
+        input: checkedInput,
+        actualBillAmount,
+        billingType,
+        previousConsumption,
+        currentMeterReading,
+        lastReading: history[history.length - 1],
+        leak: analyzeSavedReadings(),
+        billPeriod: input.startDate && input.endDate ? { startDate: input.startDate, endDate: input.endDate } : null,
+        otherBills: otherBilledPeriods(checkedInput, actualBillAmount)
+    }, { lang: getLocale() });
+
+    lastCheck = {
+        input: checkedInput,
+        result: calculatedResult,
+        errors,
+        warnings,
+        recommendations,
+        actualBillAmount,
+        previousConsumption
+    };
 
-    // 2. Compare actual bill to calculated bill
+    // Keep the billed amount alongside the calculation in the history
     if (!isNaN(actualBillAmount) && actualBillAmount > 0) {
-        const difference = actualBillAmount - calculatedResult.totalPrice;
-        const percentDiff = Math.abs((difference / calculatedResult.totalPrice) * 100);
-
-        if (percentDiff > 5) {
-            if (difference > 0) {
-                errors.push({
-                    type: 'overcharge',
-                    severity: 'high',
-                    title: 'חיוב יתר אפשרי',
-                    description: `החשבון בפועל (${formatNumber(actualBillAmount)} ₪) גבוה מהחישוב שלנו (${formatNumber(calculatedResult.totalPrice)} ₪) בכ-${formatNumber(Math.abs(difference))} ₪ (${percentDiff.toFixed(1)}%).`,
-                    action: 'בדקו שמספר הנפשות בחשבון נכון. ודאו שקיבלתם את כל ההנחות המגיעות לכם. פנו לתאגיד לבירור.'
-                });
-            } else {
-                warnings.push({
-                    type: 'undercharge',
-                    severity: 'medium',
-                    title: 'חיוב חסר אפשרי',
-                    description: `החשבון בפועל (${formatNumber(actualBillAmount)} ₪) נמוך מהחישוב שלנו (${formatNumber(calculatedResult.totalPrice)} ₪) בכ-${formatNumber(Math.abs(difference))} ₪. ייתכן חיוב השלמה בעתיד.`,
-                    action: 'בדקו שנתוני הצריכה שהזנתם נכונים. חיוב חסר עלול להוביל לחיוב השלמה בחשבונות הבאים.'
-                });
-            }
-        }
-    }
-
-    // 3. Check for consumption spike
-    if (!isNaN(previousConsumption) && previousConsumption > 0) {
-        const consumptionChange = ((consumption - previousConsumption) / previousConsumption) * 100;
-
-        if (consumptionChange > 30) {
-            warnings.push({
-                type: 'spike',
-                severity: 'high',
-                title: 'עלייה חדה בצריכה',
-                description: `הצריכה עלתה ב-${consumptionChange.toFixed(1)}% לעומת החשבון הקודם (${formatNumber(previousConsumption)} → ${formatNumber(consumption)} מ"ק).`,
-                action: 'בדקו דליפות במערכת המים (ברזים, אסלה, מערכת השקיה). אם לא מצאתם דליפה, ייתכן שהמונה פגום - בקשו מהתאגיד לבדוק את המונה.'
-            });
-        } else if (consumptionChange < -30) {
-            warnings.push({
-                type: 'drop',
-                severity: 'medium',
-                title: 'ירידה חדה בצריכה',
-                description: `הצריכה ירדה ב-${Math.abs(consumptionChange).toFixed(1)}% לעומת החשבון הקודם (${formatNumber(previousConsumption)} → ${formatNumber(consumption)} מ"ק).`,
-                action: 'אם החשבון הקודם היה מבוסס על הערכה גבוהה, זו עשויה להיות תיקון. אחרת, ודאו שקריאת המונה נכונה.'
-            });
-        }
-    }
-
-    // 4. Check allocation efficiency
-    const allocationUsagePercent = (calculatedResult.reducedConsumption / calculatedResult.allocation) * 100;
-    if (allocationUsagePercent < 70 && persons === 2) {
-        recommendations.push({
-            type: 'persons',
-            severity: 'low',
-            title: 'ייתכן שמספר הנפשות שגוי',
-            description: `אתם משתמשים רק ב-${allocationUsagePercent.toFixed(0)}% מההקצאה המופחתת שלכם. ייתכן שהתאגיד מחשב לפי 2 נפשות כברירת מחדל.`,
-            action: 'אם יש בבית פחות מ-2 נפשות, שקלו לעדכן את התאגיד (אם כי זה עלול להקטין את ההקצאה). אם יש יותר - חובה לעדכן!'
-        });
-    }
-
-    // 5. Check disability benefit
-    if (!hasDisability && consumption > calculatedResult.allocation) {
-        recommendations.push({
-            type: 'disability',
-            severity: 'medium',
-            title: 'בדקו זכאות להנחת נכות',
-            description: 'אם יש בבית אדם עם נכות 70%+ מביטוח לאומי, אתם זכאים ל-3.5 מ"ק נוספים בתעריף מופחת.',
-            action: 'פנו לתאגיד המים עם אישור מביטוח לאומי להפעלת ההנחה. זה יכול לחסוך לכם כסף רב!'
-        });
-    }
-
-    // 6. Check meter reading validation
-    if (!isNaN(currentMeterReading) && currentMeterReading > 0) {
-        recommendations.push({
-            type: 'meter',
-            severity: 'low',
-            title: 'קריאת מונה ידנית',
-            description: `קריאת המונה הנוכחית: ${formatNumber(currentMeterReading)} מ"ק.`,
-            action: 'השוו את הקריאה הזו לקריאה שמופיעה בחשבון. אם יש פער - צלמו את המונה ופנו לתאגיד לתיקון.'
-        });
+        recordActualBill(checkedInput, calculatedResult, actualBillAmount);
     }
 
     // Display results
-    displayErrorResults(errors, warnings, recommendations, calculatedResult, actualBillAmount);
+    displayErrorResults(errors, warnings, recommendations, calculatedResult, actualBillAmount, checkedInput);
+    prepareDisputeLetter(lastCheck);
+}
+
+/**
+ * Dated billing periods of other bills in the history, for duplicate
+ * detection. Entries for the same input and amount are the same bill
+ * entered again, not a duplicate charge.
+ */
+function otherBilledPeriods(input, actualBillAmount) {
+    const sameInput = JSON.stringify(input);
+    return historyEntries
+        .filter(entry => entry.actualBillAmount !== null && entry.input.startDate && entry.input.endDate)
+        .filter(entry => !(JSON.stringify(entry.input) === sameInput && entry.actualBillAmount === actualBillAmount))
+        .map(entry => ({ startDate: entry.input.startDate, endDate: entry.input.endDate }));
 }
 
 /**
  * Display error detection results
  */
-function displayErrorResults(errors, warnings, recommendations, calculatedResult, actualBillAmount) {
+function displayErrorResults(errors, warnings, recommendations, calculatedResult, actualBillAmount, input) {
     const errorResults = document.getElementById('errorResults');
     const errorsList = document.getElementById('errorsList');
     const recommendedActions = document.getElementById('recommendedActions');
@@ -712,8 +1623,8 @@ function displayErrorResults(errors, warnings, recommendations, calculatedResult
         errorsList.innerHTML = `
             <div class="no-errors-found">
                 <i class="fas fa-check-circle"></i>
-                <h4>לא נמצאו טעויות</h4>
-                <p>החשבון שלכם נראה תקין על פי הבדיקה שלנו.</p>
+                <h4>${t('check.noErrors.title')}</h4>
+                <p>${t('check.noErrors.text')}</p>
             </div>
         `;
     }
@@ -722,24 +1633,25 @@ function displayErrorResults(errors, warnings, recommendations, calculatedResult
     if (!isNaN(actualBillAmount) && actualBillAmount > 0) {
         const summaryHTML = `
             <div class="error-summary">
-                <h4><i class="fas fa-clipboard-list"></i> סיכום השוואה</h4>
+                <h4><i class="fas fa-clipboard-list"></i> ${t('check.summary.title')}</h4>
                 <div class="summary-grid">
                     <div class="summary-item">
-                        <span class="summary-label">חשבון בפועל:</span>
-                        <span class="summary-value">${formatNumber(actualBillAmount)} ₪</span>
+                        <span class="summary-label">${t('check.summary.actual')}</span>
+                        <span class="summary-value">${formatCurrency(actualBillAmount)}</span>
                     </div>
                     <div class="summary-item">
-                        <span class="summary-label">חישוב מצופה:</span>
-                        <span class="summary-value">${formatNumber(calculatedResult.totalPrice)} ₪</span>
+                        <span class="summary-label">${calculatedResult.feesTotal > 0 ? t('check.summary.expectedWithFees') : t('check.summary.expected')}</span>
+                        <span class="summary-value">${formatCurrency(calculatedResult.totalPrice)}</span>
                     </div>
                     <div class="summary-item">
-                        <span class="summary-label">הפרש:</span>
+                        <span class="summary-label">${t('check.summary.difference')}</span>
                         <span class="summary-value ${actualBillAmount > calculatedResult.totalPrice ? 'negative' : 'positive'}">
-                            ${formatNumber(Math.abs(actualBillAmount - calculatedResult.totalPrice))} ₪
+                            ${formatCurrency(Math.abs(actualBillAmount - calculatedResult.totalPrice))}
                         </span>
                     </div>
                 </div>
             </div>
+            ${describeImpliedBill(input, calculatedResult, actualBillAmount)}
         `;
         recommendedActions.innerHTML = summaryHTML;
     }
@@ -750,10 +1662,65 @@ function displayErrorResults(errors, warnings, recommendations, calculatedResult
     }, 100);
 }
 
+/**
+ * Reverse calculation: the consumption, persons count and tariff year
+ * that would produce the billed amount, when it differs from ours
+ */
+function describeImpliedBill(input, calculatedResult, actualBillAmount) {
+    if (Math.abs(actualBillAmount - calculatedResult.totalPrice) < 0.01) {
+        return '';
+    }
+
+    const consumption = solveConsumption(actualBillAmount, input);
+    const persons = solvePersons(actualBillAmount, input);
+    const year = solveTariffYear(actualBillAmount, input);
+    const household = PRICING_STRATEGIES[consumerPricing(calculatedResult.consumerType)].household;
+
+    // Without a solution the amount is either below the bill for no consumption or out of reach
+    let consumptionText = t('check.implied.consumptionNone');
+    if (consumption) {
+        consumptionText = formatCubic(consumption.value);
+    } else if (actualBillAmount < calculatedResult.totalPrice) {
+        consumptionText = t('check.implied.belowMinimum');
+    }
+
+    let personsText = t('check.implied.personsNone');
+    if (persons) {
+        const counts = [...persons.matches].sort((a, b) => a - b);
+        if (counts.length > 1) {
+            personsText = t('check.implied.personsRange', { from: counts[0], to: counts[counts.length - 1] });
+        } else {
+            personsText = t('check.implied.personsCount', { count: persons.value });
+        }
+    }
+
+    return `
+        <div class="error-summary implied-bill">
+            <h4><i class="fas fa-calculator"></i> ${t('check.implied.title')}</h4>
+            <div class="summary-grid">
+                <div class="summary-item">
+                    <span class="summary-label">${household ? t('check.implied.consumptionHousehold') : t('check.implied.consumptionRates')}</span>
+                    <span class="summary-value">${consumptionText}</span>
+                </div>
+                ${household ? `
+                <div class="summary-item">
+                    <span class="summary-label">${t('check.implied.persons')}</span>
+                    <span class="summary-value">${personsText}</span>
+                </div>
+                <div class="summary-item">
+                    <span class="summary-label">${t('check.implied.year')}</span>
+                    <span class="summary-value">${year ? year.value : t('check.implied.yearNone')}</span>
+                </div>` : ''}
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Create error/warning/recommendation card
  */
 function createErrorCard(item, type) {
+    const contactLine = describeCorporationContact(selectedCorporation);
     const card = document.createElement('div');
     card.className = `error-card ${type} severity-${item.severity}`;
 
@@ -769,8 +1736,9 @@ function createErrorCard(item, type) {
         <div class="error-card-body">
             <p class="error-description">${item.description}</p>
             <div class="error-action">
-                <strong><i class="fas fa-hand-point-left"></i> מה לעשות:</strong>
+                <strong><i class="fas fa-hand-point-left"></i> ${t('check.whatToDo')}</strong>
                 <p>${item.action}</p>
+                ${contactLine ? `<p class="error-contact"><i class="fas fa-phone-alt"></i> ${contactLine}</p>` : ''}
             </div>
         </div>
     `;
@@ -778,6 +1746,1374 @@ function createErrorCard(item, type) {
     return card;
 }
 
+// ============================================
+// DISPUTE LETTER FUNCTIONS
+// ============================================
+
+/**
+ * Household detail inputs of the letter form, keyed by Household field
+ */
+const HOUSEHOLD_FIELDS = {
+    name: 'disputeName',
+    address: 'disputeAddress',
+    accountNumber: 'disputeAccount',
+    phone: 'disputePhone',
+    email: 'disputeEmail'
+};
+
+/**
+ * Show the letter form when the check found something to dispute
+ */
+function prepareDisputeLetter(check) {
+    const disputeBox = document.getElementById('disputeLetter');
+    const findings = disputableFindings(check);
+
+    disputeBox.classList.toggle('hidden', findings.length === 0);
+    document.getElementById('disputeLetterOutput').classList.add('hidden');
+    if (findings.length === 0) {
+        return;
+    }
+
+    // Disability is only suggested by the check, so the resident opts in
+    document.getElementById('disputeFindings').innerHTML = findings.map(finding => `
+        <label class="checkbox-label">
+            <input type="checkbox" name="disputeFinding" value="${finding.type}" ${finding.type === 'disability' ? '' : 'checked'}>
+            <span class="checkbox-custom"></span>
+            <span data-i18n="dispute.findings.${finding.type}">${t(`dispute.findings.${finding.type}`)}</span>
+        </label>
+    `).join('');
+
+    const household = loadHouseholdDetails();
+    Object.entries(HOUSEHOLD_FIELDS).forEach(([field, inputId]) => {
+        document.getElementById(inputId).value = household[field] || '';
+    });
+}
+
+/**
+ * Build the letter from the last check and show it for editing
+ */
+function generateDisputeLetter() {
+    if (!lastCheck) {
+        return;
+    }
+
+    const household = {};
+    Object.entries(HOUSEHOLD_FIELDS).forEach(([field, inputId]) => {
+        household[field] = document.getElementById(inputId).value.trim();
+    });
+    storeHouseholdDetails(household);
+
+    const include = [...document.querySelectorAll('input[name="disputeFinding"]:checked')].map(box => box.value);
+    const letter = tryEngine(() => buildDisputeLetter({
+        input: lastCheck.input,
+        result: lastCheck.result,
+        check: lastCheck,
+        actualBillAmount: lastCheck.actualBillAmount,
+        previousConsumption: lastCheck.previousConsumption,
+        household,
+        include,
+        corporation: selectedCorporation
+    }));
+    if (!letter) {
+        return;
+    }
+
+    document.getElementById('disputeLetterText').value = letterToText(letter);
+    const output = document.getElementById('disputeLetterOutput');
+    output.classList.remove('hidden');
+    setTimeout(() => {
+        output.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }, 100);
+}
+
+/**
+ * Copy the (possibly edited) letter to the clipboard
+ */
+async function copyDisputeLetter() {
+    try {
+        await navigator.clipboard.writeText(document.getElementById('disputeLetterText').value);
+        alert(t('dispute.copied'));
+    } catch (e) {
+        console.error('Failed to copy the letter:', e);
+    }
+}
+
+/**
+ * Download the (possibly edited) letter as plain text
+ */
+function downloadDisputeLetterText() {
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(document.getElementById('disputeLetterText').value, `water-bill-dispute-${date}.txt`, 'text/plain');
+}
+
+/**
+ * Download the (possibly edited) letter as a Hebrew PDF
+ */
+async function exportDisputeLetterPDF() {
+    const pdf = await createPdf('he');
+    if (!pdf) {
+        return;
+    }
+
+    document.getElementById('disputeLetterText').value.split('\n').forEach(line => {
+        if (line.trim() === '') {
+            pdf.space(3);
+        } else {
+            pdf.text(line, { bold: line.startsWith('הנדון:') });
+        }
+    });
+
+    const date = new Date().toISOString().split('T')[0];
+    pdf.doc.save(`water-bill-dispute-${date}.pdf`);
+}
+
+/**
+ * Household details remembered between letters
+ */
+function loadHouseholdDetails() {
+    try {
+        return JSON.parse(localStorage.getItem('waterHouseholdDetails')) || {};
+    } catch (e) {
+        console.error('Failed to load household details from localStorage:', e);
+        return {};
+    }
+}
+
+/**
+ * Save the household details
+ */
+function storeHouseholdDetails(household) {
+    try {
+        localStorage.setItem('waterHouseholdDetails', JSON.stringify(household));
+    } catch (e) {
+        console.error('Failed to save household details to localStorage:', e);
+    }
+}
+
+// ============================================
+// METER READING FUNCTIONS
+// ============================================
+
+/**
+ * Toggle the meter readings box
+ */
+function toggleReadings() {
+    const readingsBox = document.getElementById('readingsBox');
+    const toggleIcon = document.querySelector('.readings-toggle .toggle-icon');
+
+    readingsBox.classList.toggle('hidden');
+    toggleIcon.style.transform = readingsBox.classList.contains('hidden') ? 'rotate(0deg)' : 'rotate(180deg)';
+}
+
+/**
+ * Show or hide the meter replacement fields
+ */
+function toggleMeterReplacement() {
+    const replaced = document.getElementById('meterReplaced').checked;
+    document.getElementById('replacementFields').classList.toggle('hidden', !replaced);
+}
+
+/**
+ * Read the previous/current readings from the form
+ */
+function readMeterReadingInputs() {
+    const current = {
+        date: document.getElementById('readingCurrDate').value,
+        reading: parseFloat(document.getElementById('readingCurrValue').value)
+    };
+    if (document.getElementById('meterReplaced').checked) {
+        current.replacement = {
+            oldFinalReading: parseFloat(document.getElementById('oldMeterFinal').value),
+            newInitialReading: parseFloat(document.getElementById('newMeterInitial').value) || 0
+        };
+    }
+    return {
+        previous: {
+            date: document.getElementById('readingPrevDate').value,
+            reading: parseFloat(document.getElementById('readingPrevValue').value)
+        },
+        current
+    };
+}
+
+/**
+ * Fill consumption and billing dates in the calculator form
+ */
+function fillConsumptionFields(consumption, startDate, endDate, note) {
+    document.getElementById('consumption').value = Number(consumption.toFixed(3));
+    document.getElementById('startDate').value = startDate;
+    document.getElementById('endDate').value = endDate;
+    document.getElementById('readingsResult').textContent = note;
+}
+
+/**
+ * Derive consumption from the entered readings
+ */
+function applyMeterReadings() {
+    const { previous, current } = readMeterReadingInputs();
+    const interval = tryEngine(() => consumptionFromReadings(previous, current));
+    if (!interval) {
+        return;
+    }
+
+    let note = t('form.readings.result', { consumption: formatCubic(interval.consumption), days: t('units.days', { count: interval.days }) });
+    if (interval.rollover) note += t('form.readings.rollover');
+    if (interval.replaced) note += t('form.readings.withReplacement');
+    fillConsumptionFields(interval.consumption, interval.startDate, billingEndDate(interval.endDate), note);
+}
+
+/**
+ * Load the saved reading history
+ */
+function loadMeterHistory() {
+    try {
+        const data = localStorage.getItem('waterMeterReadings');
+        return data ? normalizeHistory(JSON.parse(data)) : [];
+    } catch (e) {
+        console.error('Failed to load meter readings from localStorage:', e);
+        return [];
+    }
+}
+
+/**
+ * Save the reading history
+ */
+function storeMeterHistory(readings) {
+    try {
+        localStorage.setItem('waterMeterReadings', JSON.stringify(readings));
+    } catch (e) {
+        console.error('Failed to save meter readings to localStorage:', e);
+    }
+}
+
+/**
+ * Add the entered readings to the saved history
+ */
+function saveMeterReadings() {
+    const { previous, current } = readMeterReadingInputs();
+    if (!tryEngine(() => consumptionFromReadings(previous, current))) {
+        return;
+    }
+
+    // The previous reading may already be in the history from the last bill
+    const history = loadMeterHistory().filter(entry => entry.date !== previous.date && entry.date !== current.date);
+    const updated = tryEngine(() => normalizeHistory([...history, previous, current]));
+    if (!updated) {
+        return;
+    }
+
+    storeMeterHistory(updated);
+    renderMeterHistory();
+    document.getElementById('readingsResult').textContent = t('form.readings.saved');
+}
+
+/**
+ * Derive consumption for the form's billing dates from the saved history
+ */
+function applyHistoryPeriod() {
+    const startDate = document.getElementById('startDate').value;
+    const endDate = document.getElementById('endDate').value;
+    // The form's end date is the last billed day; the next day's reading closes it
+    const result = tryEngine(() => consumptionBetween(loadMeterHistory(), startDate, endDate && addDays(endDate, 1)));
+    if (!result) {
+        return;
+    }
+
+    const note = result.estimated
+        ? t('form.readings.historyEstimated', { consumption: formatCubic(result.consumption) })
+        : t('form.readings.historyExact', { consumption: formatCubic(result.consumption) });
+    fillConsumptionFields(result.consumption, startDate, endDate, note);
+}
+
+/**
+ * Use one saved interval as the billing period and calculate it
+ */
+function calculateHistoryInterval(index) {
+    const interval = intervalsFromHistory(loadMeterHistory())[index];
+    fillConsumptionFields(interval.consumption, interval.startDate, billingEndDate(interval.endDate),
+        t('form.readings.historyExact', { consumption: formatCubic(interval.consumption) }));
+    document.getElementById('waterForm').requestSubmit();
+}
+
+/**
+ * Remove a saved reading
+ */
+function deleteMeterReading(date) {
+    storeMeterHistory(loadMeterHistory().filter(entry => entry.date !== date));
+    renderMeterHistory();
+}
+
+/**
+ * Render the saved reading history with the consumption between readings
+ */
+function renderMeterHistory() {
+    const history = loadMeterHistory();
+    const wrapper = document.getElementById('readingsHistory');
+    if (history.length === 0) {
+        wrapper.classList.add('hidden');
+        return;
+    }
+
+    const intervals = tryEngine(() => intervalsFromHistory(history)) || [];
+    document.getElementById('readingsHistoryRows').innerHTML = history.map((entry, index) => {
+        const interval = intervals[index - 1];
+        const consumption = interval
+            ? `${formatCubic(interval.consumption)}
+               <button type="button" class="remove-row-btn calc-interval-btn" onclick="calculateHistoryInterval(${index - 1})" aria-label="${t('form.readings.calculateInterval')}"><i class="fas fa-calculator"></i></button>`
+            : '-';
+        return `
+            <tr>
+                <td>${formatDate(entry.date)}</td>
+                <td>${formatNumber(entry.reading)}${entry.replacement ? t('form.readings.newMeter') : ''}</td>
+                <td>${consumption}</td>
+                <td><button type="button" class="remove-row-btn" onclick="deleteMeterReading('${entry.date}')" aria-label="${t('form.readings.remove')}"><i class="fas fa-trash-alt"></i></button></td>
+            </tr>
+        `;
+    }).join('');
+    wrapper.classList.remove('hidden');
+}
+
+// ============================================
+// BILL IMPORT FUNCTIONS
+// ============================================
+
+/**
+ * pdf.js is only needed to read bill PDFs, so it is loaded on first use
+ */
+const PDF_READER_SRC = 'vendor/pdf.min.js';
+const PDF_READER_WORKER_SRC = 'vendor/pdf.worker.min.js';
+let pdfReaderLoading = null;
+
+/**
+ * Toggle the bill import box
+ */
+function toggleBillImport() {
+    const billImportBox = document.getElementById('billImportBox');
+    const toggleIcon = document.querySelector('.bill-import-toggle .toggle-icon');
+
+    billImportBox.classList.toggle('hidden');
+    toggleIcon.style.transform = billImportBox.classList.contains('hidden') ? 'rotate(0deg)' : 'rotate(180deg)';
+}
+
+/**
+ * Load pdf.js once
+ * @returns {Promise<Object>} window.pdfjsLib
+ */
+function loadPdfReader() {
+    if (window.pdfjsLib) {
+        return Promise.resolve(window.pdfjsLib);
+    }
+    if (!pdfReaderLoading) {
+        pdfReaderLoading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = PDF_READER_SRC;
+            script.onload = () => {
+                if (!window.pdfjsLib) {
+                    reject(new Error('pdf.js did not define pdfjsLib'));
+                    return;
+                }
+                window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_READER_WORKER_SRC;
+                resolve(window.pdfjsLib);
+            };
+            script.onerror = () => reject(new Error(`Failed to load ${PDF_READER_SRC}`));
+            document.head.appendChild(script);
+        }).catch(e => {
+            // Allow a retry, e.g. once the connection is back
+            pdfReaderLoading = null;
+            throw e;
+        });
+    }
+    return pdfReaderLoading;
+}
+
+/**
+ * Read a chosen bill file (PDF or plain text) into the bill text box and
+ * extract its figures
+ */
+async function importBillFile(event) {
+    const file = event.target.files[0];
+    if (!file) {
+        return;
+    }
+    event.target.value = '';
+
+    const result = document.getElementById('billImportResult');
+    let text;
+    if (file.type === 'application/pdf' || /\.pdf$/i.test(file.name)) {
+        let pdfjs;
+        try {
+            pdfjs = await loadPdfReader();
+        } catch (e) {
+            console.error('Failed to load the PDF reader:', e);
+            alert(t('library.pdfReaderMissing'));
+            return;
+        }
+        result.textContent = t('billImport.reading');
+        try {
+            text = await pdfToText(pdfjs, await file.arrayBuffer());
+        } catch (e) {
+            console.error('Failed to read the bill PDF:', e);
+            result.textContent = t('billImport.pdfFailed');
+            return;
+        }
+        if (text.trim() === '') {
+            result.textContent = t('billImport.noText');
+            return;
+        }
+    } else {
+        text = await file.text();
+    }
+
+    document.getElementById('billText').value = text;
+    importBillText();
+}
+
+/**
+ * Extract the figures from the bill text and fill them into the calculator
+ * and the error checker
+ */
+function importBillText() {
+    const parsed = tryEngine(() => parseBillText(document.getElementById('billText').value));
+    if (!parsed) {
+        return;
+    }
+
+    const result = document.getElementById('billImportResult');
+    const filled = fillFromBill(parsed);
+    if (filled.length === 0) {
+        result.textContent = t('billImport.nothingFound');
+        return;
+    }
+
+    const corporation = parsed.corporation ? getCorporation(parsed.corporation) : null;
+    const checkerFields = ['actualBillAmount', 'billingType', 'previousConsumption', 'currentMeterReading'];
+    let note = t('billImport.result', { count: filled.length });
+    if (corporation) note += t('billImport.corporation', { name: corporation.name });
+    if (parsed.derived.includes('consumption')) note += t('billImport.derived');
+    if (filled.some(id => checkerFields.includes(id))) note += t('billImport.checkerFilled');
+    result.textContent = note + t('billImport.verify');
+}
+
+/**
+ * Fill the calculator and error checker inputs from a parsed bill
+ * @returns {string[]} ids of the inputs that were filled
+ */
+function fillFromBill({ corporation, values }) {
+    const filled = [];
+    const fill = (id, value) => {
+        document.getElementById(id).value = value;
+        filled.push(id);
+    };
+
+    // The corporation's profile first, so figures from the bill win over its defaults
+    const cityInput = document.getElementById('city');
+    const profile = corporation ? getCorporation(corporation) : null;
+    if (profile && cityInput.value.trim() === '') {
+        fill('city', profile.cities[0]);
+        selectCity(profile.cities[0]);
+    }
+
+    if (values.consumption !== null) fill('consumption', Number(values.consumption.toFixed(3)));
+    if (values.persons !== null) fill('persons', Math.min(values.persons, 10));
+    if (values.startDate !== null) {
+        fill('startDate', values.startDate);
+        fill('endDate', values.endDate);
+        const days = (Date.parse(values.endDate) - Date.parse(values.startDate)) / 86400000 + 1;
+        fill('period', days > 45 ? 2 : 1);
+    }
+
+    if (values.previousReading !== null || values.currentReading !== null) {
+        if (values.previousReading !== null) fill('readingPrevValue', values.previousReading);
+        if (values.currentReading !== null) fill('readingCurrValue', values.currentReading);
+        if (document.getElementById('readingsBox').classList.contains('hidden')) {
+            toggleReadings();
+        }
+    }
+
+    if (values.billedAmount !== null) fill('actualBillAmount', values.billedAmount);
+    if (values.billingType !== null) fill('billingType', values.billingType);
+    if (values.previousConsumption !== null) fill('previousConsumption', values.previousConsumption);
+    if (values.currentReading !== null) fill('currentMeterReading', values.currentReading);
+
+    return filled;
+}
+
+// ============================================
+// ANNUAL PROJECTION FUNCTIONS
+// ============================================
+
+/**
+ * Month names covered by a billing period (e.g. "ינואר-פברואר")
+ */
+function describePeriodMonths(startDate, endDate) {
+    const first = formatMonth(Number(startDate.slice(5, 7)));
+    const last = formatMonth(Number(endDate.slice(5, 7)));
+    return first === last ? first : t('projection.months', { first, last });
+}
+
+/**
+ * Build the projection table for the selected billing period
+ */
+function renderProjectionRows() {
+    const period = parseInt(document.getElementById('projPeriod').value);
+    document.getElementById('projectionRows').innerHTML = yearPeriods(CURRENT_YEAR, period).map((range, index) => `
+        <tr id="projRow-${index}">
+            <td>${describePeriodMonths(range.startDate, range.endDate)}</td>
+            <td><input type="number" id="projPrev-${index}" min="0" step="0.1" aria-label="${t('projection.lastYearInput')}" data-i18n-aria-label="projection.lastYearInput"></td>
+            <td><input type="number" id="projActual-${index}" min="0" step="0.1" aria-label="${t('projection.thisYearInput')}" data-i18n-aria-label="projection.thisYearInput"></td>
+            <td id="projCons-${index}">-</td>
+            <td id="projSplit-${index}">-</td>
+            <td id="projCost-${index}">-</td>
+            <td id="projCum-${index}">-</td>
+        </tr>
+    `).join('');
+    document.getElementById('projectionSummary').innerHTML = '';
+}
+
+/**
+ * Rename the projection table's periods in the current language,
+ * keeping the entered consumption
+ */
+function labelProjectionRows() {
+    const period = parseInt(document.getElementById('projPeriod').value);
+    yearPeriods(CURRENT_YEAR, period).forEach((range, index) => {
+        document.getElementById(`projRow-${index}`).cells[0].textContent = describePeriodMonths(range.startDate, range.endDate);
+    });
+}
+
+/**
+ * Fill this year's and last year's consumption from the bill history
+ */
+function fillProjectionFromHistory() {
+    const period = parseInt(document.getElementById('projPeriod').value);
+    const entries = historyEntries
+        .filter(entry => entry.input.period === period)
+        .filter(entry => [CURRENT_YEAR, CURRENT_YEAR - 1].includes(Number(entry.date.slice(0, 4))))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    if (entries.length === 0) {
+        alert(t('projection.noHistory'));
+        return;
+    }
+
+    // A later entry for the same period replaces an earlier one
+    entries.forEach(entry => {
+        const index = Math.floor((Number(entry.date.slice(5, 7)) - 1) / period);
+        const column = Number(entry.date.slice(0, 4)) === CURRENT_YEAR ? 'projActual' : 'projPrev';
+        document.getElementById(`${column}-${index}`).value = entry.input.consumption;
+    });
+}
+
+/**
+ * Project the year and compare it with the budget
+ */
+function runAnnualProjection() {
+    const period = parseInt(document.getElementById('projPeriod').value);
+    const { persons, hasDisability, fees, eligibility, consumerType, rates } = readCalculatorInput();
+    const count = yearPeriods(CURRENT_YEAR, period).length;
+    const series = prefix => Array.from({ length: count }, (unused, index) => {
+        const value = parseFloat(document.getElementById(`${prefix}-${index}`).value);
+        return isNaN(value) ? null : value;
+    });
+    const budget = parseFloat(document.getElementById('projBudget').value);
+
+    const projection = tryEngine(() => projectYear({
+        year: CURRENT_YEAR,
+        period,
+        persons,
+        hasDisability,
+        fees,
+        eligibility,
+        consumerType,
+        rates,
+        actuals: series('projActual'),
+        previousYear: series('projPrev'),
+        budget: isNaN(budget) ? null : budget
+    }));
+    if (projection) {
+        lastProjection = projection;
+        displayProjection(projection);
+    }
+}
+
+/**
+ * Fill the forecast columns and the yearly summary
+ */
+function displayProjection(projection) {
+    const { periods, totals, budget } = projection;
+
+    periods.forEach(entry => {
+        document.getElementById(`projRow-${entry.index}`).classList.toggle('forecast', !entry.actual);
+        document.getElementById(`projCons-${entry.index}`).textContent = entry.actual
+            ? formatNumber(entry.consumption)
+            : t('projection.forecast', { value: formatNumber(entry.consumption) });
+        document.getElementById(`projSplit-${entry.index}`).textContent =
+            `${formatNumber(entry.result.reducedConsumption)} / ${formatNumber(entry.result.fullConsumption)}`;
+        document.getElementById(`projCost-${entry.index}`).textContent = formatCurrency(entry.result.totalPrice);
+        document.getElementById(`projCum-${entry.index}`).textContent = formatCurrency(entry.cumulativeCost);
+    });
+
+    let budgetHTML = '';
+    if (budget && budget.exceeded) {
+        const from = periods[budget.exceededFrom];
+        budgetHTML = `
+            <div class="error-card warning severity-high">
+                <div class="error-card-header">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <h4>${t('projection.overBudget')}</h4>
+                </div>
+                <div class="error-card-body">
+                    <p class="error-description">${t('projection.overBudgetText', {
+                        difference: formatCurrency(budget.difference),
+                        percent: formatPercent(budget.percentUsed),
+                        months: describePeriodMonths(from.startDate, from.endDate)
+                    })}</p>
+                </div>
+            </div>
+        `;
+    } else if (budget) {
+        budgetHTML = `
+            <div class="no-errors-found">
+                <i class="fas fa-check-circle"></i>
+                <h4>${t('projection.withinBudget')}</h4>
+                <p>${t('projection.withinBudgetText', { remaining: formatCurrency(-budget.difference), percent: formatPercent(budget.percentUsed) })}</p>
+            </div>
+        `;
+    }
+
+    document.getElementById('projectionSummary').innerHTML = `
+        ${budgetHTML}
+        <div class="error-summary">
+            <h4><i class="fas fa-clipboard-list"></i> ${t('projection.summary', { year: projection.year })}</h4>
+            <div class="summary-grid">
+                <div class="summary-item">
+                    <span class="summary-label">${t('projection.annualCost')}</span>
+                    <span class="summary-value">${formatCurrency(totals.cost)}</span>
+                </div>
+                <div class="summary-item">
+                    <span class="summary-label">${t('projection.paidAndForecast')}</span>
+                    <span class="summary-value">${formatNumber(totals.actualCost)} / ${formatCurrency(totals.forecastCost)}</span>
+                </div>
+                <div class="summary-item">
+                    <span class="summary-label">${t('projection.annualConsumption')}</span>
+                    <span class="summary-value">${formatCubic(totals.consumption)} (${formatNumber(totals.reducedConsumption)} / ${formatNumber(totals.fullConsumption)})</span>
+                </div>
+            </div>
+            <small>${projection.pattern === 'previousYear'
+                ? t('projection.patternPreviousYear')
+                : t('projection.patternFlat')}</small>
+        </div>
+    `;
+}
+
+// ============================================
+// LEAK DETECTION FUNCTIONS
+// ============================================
+
+/**
+ * Load the saved night-flow readings
+ */
+function loadNightFlow() {
+    try {
+        const data = localStorage.getItem('waterNightFlow');
+        return data ? normalizeNightFlow(JSON.parse(data)) : [];
+    } catch (e) {
+        console.error('Failed to load night-flow readings from localStorage:', e);
+        return [];
+    }
+}
+
+/**
+ * Save the night-flow readings
+ */
+function storeNightFlow(readings) {
+    try {
+        localStorage.setItem('waterNightFlow', JSON.stringify(readings));
+    } catch (e) {
+        console.error('Failed to save night-flow readings to localStorage:', e);
+    }
+}
+
+/**
+ * Add the entered night-flow reading (replacing one on the same date)
+ */
+function addNightFlowReading() {
+    const entry = {
+        date: document.getElementById('nightFlowDate').value,
+        litersPerHour: parseFloat(document.getElementById('nightFlowValue').value)
+    };
+    const others = loadNightFlow().filter(reading => reading.date !== entry.date);
+    const updated = tryEngine(() => normalizeNightFlow([...others, entry]));
+    if (!updated) {
+        return;
+    }
+
+    storeNightFlow(updated);
+    renderNightFlow();
+}
+
+/**
+ * Remove a saved night-flow reading
+ */
+function deleteNightFlowReading(date) {
+    storeNightFlow(loadNightFlow().filter(reading => reading.date !== date));
+    renderNightFlow();
+}
+
+/**
+ * Render the saved night-flow readings
+ */
+function renderNightFlow() {
+    const readings = loadNightFlow();
+    document.getElementById('nightFlowRows').innerHTML = readings.map(reading => `
+        <tr>
+            <td>${formatDate(reading.date)}</td>
+            <td>${formatNumber(reading.litersPerHour)}</td>
+            <td><button type="button" class="remove-row-btn" onclick="deleteNightFlowReading('${reading.date}')" aria-label="${t('leaks.remove')}"><i class="fas fa-trash-alt"></i></button></td>
+        </tr>
+    `).join('');
+    document.getElementById('nightFlowHistory').classList.toggle('hidden', readings.length === 0);
+}
+
+/**
+ * Leak analysis of the saved readings for the bill check,
+ * or null when there is nothing to analyse or the readings are invalid
+ */
+function analyzeSavedReadings() {
+    const readings = loadMeterHistory();
+    const nightFlow = loadNightFlow();
+    if (readings.length < 2 && nightFlow.length === 0) {
+        return null;
+    }
+    try {
+        return analyzeLeaks(readings, nightFlow);
+    } catch (e) {
+        if (!(e instanceof TariffEngineError)) {
+            throw e;
+        }
+        return null;
+    }
+}
+
+/**
+ * Analyse the saved readings and show the result
+ */
+function analyzeLeakHistory() {
+    const readings = loadMeterHistory();
+    const nightFlow = loadNightFlow();
+    if (readings.length < 2 && nightFlow.length === 0) {
+        alert(t('leaks.needData'));
+        return;
+    }
+
+    const analysis = tryEngine(() => analyzeLeaks(readings, nightFlow));
+    if (analysis) {
+        lastLeakAnalysis = analysis;
+        displayLeakResults(analysis);
+    }
+}
+
+/**
+ * Display a leak analysis
+ */
+function displayLeakResults(analysis) {
+    const { leak, intervals, nightFlow } = analysis;
+
+    if (leak.detected) {
+        const sourceText = leak.source === 'nightFlow'
+            ? t('leaks.sourceNightFlow', { flow: t('units.litersPerHour', { value: formatNumber(nightFlow.baseline) }) })
+            : t('leaks.sourceSeasonal');
+        document.getElementById('leakSummary').innerHTML = `
+            <div class="error-card error severity-high">
+                <div class="error-card-header">
+                    <i class="fas fa-tint"></i>
+                    <h4>${t('leaks.suspected', { date: formatDate(leak.since) })}</h4>
+                </div>
+                <div class="error-card-body">
+                    <p class="error-description">${t('leaks.advice', { source: sourceText })}</p>
+                </div>
+            </div>
+            <div class="error-summary">
+                <h4><i class="fas fa-clipboard-list"></i> ${t('leaks.estimate')}</h4>
+                <div class="summary-grid">
+                    <div class="summary-item">
+                        <span class="summary-label">${t('leaks.volume', { days: t('units.days', { count: leak.days }) })}</span>
+                        <span class="summary-value">${formatCubic(leak.volume)}</span>
+                    </div>
+                    <div class="summary-item">
+                        <span class="summary-label">${t('leaks.cost', { rate: formatRate(leak.fullTariff) })}</span>
+                        <span class="summary-value negative">${formatCurrency(leak.cost)}</span>
+                    </div>
+                    <div class="summary-item">
+                        <span class="summary-label">${t('leaks.dailyCost')}</span>
+                        <span class="summary-value negative">${formatCurrency(leak.dailyCost)}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    } else {
+        document.getElementById('leakSummary').innerHTML = `
+            <div class="no-errors-found">
+                <i class="fas fa-check-circle"></i>
+                <h4>${t('leaks.noneTitle')}</h4>
+                <p>${analysis.anomalies.length > 0
+                    ? t('leaks.pastAnomalies')
+                    : t('leaks.normal')}</p>
+            </div>
+        `;
+    }
+
+    document.getElementById('leakRows').innerHTML = intervals.map(interval => `
+        <tr class="${interval.anomaly ? 'leak-anomaly' : ''}">
+            <td>${formatDateRange(interval.startDate, interval.endDate)}</td>
+            <td>${formatNumber(interval.dailyRate, 3)}</td>
+            <td>${interval.expectedDailyRate === null ? '-' : formatNumber(interval.expectedDailyRate, 3)}${interval.seasonal ? '' : ' *'}</td>
+            <td>${interval.excessPercent === null ? '-' : formatPercent(interval.excessPercent)}</td>
+        </tr>
+    `).join('');
+    document.getElementById('leakIntervals').classList.toggle('hidden', intervals.length === 0);
+    document.getElementById('leakResults').classList.remove('hidden');
+}
+
+// ============================================
+// BULK BILL AUDIT FUNCTIONS
+// ============================================
+
+/**
+ * Import a CSV of past bills and run the bill checker on all of them
+ */
+async function importBillsCSV(event) {
+    const file = event.target.files[0];
+    if (!file) {
+        return;
+    }
+    const text = await file.text();
+    event.target.value = '';
+
+    const parsed = tryEngine(() => parseBillsCSV(text));
+    if (!parsed) {
+        return;
+    }
+
+    lastAudit = auditBills(parsed.bills, { fees: readFeeInputs(), lang: getLocale() });
+    lastAuditParseErrors = parsed.errors;
+    displayAuditResults(lastAudit, lastAuditParseErrors);
+}
+
+/**
+ * Render the bulk audit table
+ */
+function displayAuditResults(rows, parseErrors) {
+    const counts = rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+
+    document.getElementById('auditSummary').innerHTML = `
+        ${t('audit.summary', { count: rows.length })}
+        <span class="audit-status error">${counts.error || 0} ${t('audit.statuses.error')}</span>
+        <span class="audit-status warning">${counts.warning || 0} ${t('audit.statuses.warning')}</span>
+        <span class="audit-status ok">${counts.ok || 0} ${t('audit.statuses.ok')}</span>
+        ${counts.invalid ? `<span class="audit-status invalid">${counts.invalid} ${t('audit.statuses.invalid')}</span>` : ''}
+    `;
+
+    document.getElementById('auditRows').innerHTML = rows.map(({ bill, result, check, status, error }) => {
+        const findings = check
+            ? [...check.errors, ...check.warnings].map(finding => finding.title).join(', ')
+            : inputErrorMessage(error);
+        return `
+            <tr class="audit-row ${status}">
+                <td>${formatDate(bill.date)}</td>
+                <td>${formatNumber(bill.consumption)}</td>
+                <td>${bill.persons}</td>
+                <td>${result ? formatCurrency(result.totalPrice) : '-'}</td>
+                <td>${bill.actualBillAmount !== null ? formatCurrency(bill.actualBillAmount) : '-'}</td>
+                <td><span class="audit-status ${status}">${t(`audit.statuses.${status}`)}</span></td>
+                <td>${findings || '-'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    document.getElementById('auditParseErrors').innerHTML = parseErrors
+        .map(({ line, field }) => `<li>${t('audit.parseError', { line, message: t(`audit.rowErrors.${field}`) })}</li>`)
+        .join('');
+
+    const auditResults = document.getElementById('auditResults');
+    auditResults.classList.remove('hidden');
+    setTimeout(() => {
+        auditResults.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }, 100);
+}
+
+/**
+ * Download the last audit as CSV
+ */
+function exportAudit() {
+    if (!lastAudit) {
+        return;
+    }
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(auditToCSV(lastAudit), `water-bill-audit-${date}.csv`, 'text/csv');
+}
+
+/**
+ * Add the audited bills to the bill history
+ */
+async function saveAuditToHistory() {
+    if (!lastAudit || !billHistoryStore) {
+        return;
+    }
+    const priced = lastAudit.filter(row => row.result);
+    for (const { bill, input, result } of priced) {
+        await billHistoryStore.save(createEntry(input, result, {
+            actualBillAmount: bill.actualBillAmount,
+            date: bill.date
+        }));
+    }
+    await renderHistoryDashboard();
+    alert(t('audit.added', { count: priced.length }));
+}
+
+// ============================================
+// BILL HISTORY FUNCTIONS
+// ============================================
+
+/**
+ * Open the IndexedDB bill history and render the dashboard
+ */
+async function initBillHistory() {
+    try {
+        billHistoryStore = await openBillHistory();
+        await renderHistoryDashboard();
+    } catch (e) {
+        console.error('Failed to open bill history:', e);
+    }
+}
+
+/**
+ * Store a calculation in the history, replacing the entry of the same bill
+ */
+async function recordCalculation(input, result) {
+    if (!billHistoryStore) {
+        return;
+    }
+    try {
+        const entry = createEntry(input, result, { city: document.getElementById('city').value });
+        entry.id = await billHistoryStore.save(entry);
+        lastHistoryEntry = entry;
+        await renderHistoryDashboard();
+    } catch (e) {
+        console.error('Failed to save bill history:', e);
+    }
+}
+
+/**
+ * Attach the billed amount to the matching calculation, or record a new one
+ */
+async function recordActualBill(input, result, actualBillAmount) {
+    if (!billHistoryStore) {
+        return;
+    }
+    try {
+        const sameInput = lastHistoryEntry && JSON.stringify(lastHistoryEntry.input) === JSON.stringify(input);
+        if (sameInput) {
+            lastHistoryEntry = await billHistoryStore.update(lastHistoryEntry.id, { actualBillAmount });
+        } else {
+            const entry = createEntry(input, result, { actualBillAmount, city: document.getElementById('city').value });
+            entry.id = await billHistoryStore.save(entry);
+            lastHistoryEntry = entry;
+        }
+        await renderHistoryDashboard();
+    } catch (e) {
+        console.error('Failed to save billed amount to history:', e);
+    }
+}
+
+/**
+ * Export the whole bill history as CSV or JSON
+ */
+async function exportHistory(format) {
+    if (!billHistoryStore) {
+        return;
+    }
+    const entries = await billHistoryStore.list();
+    const date = new Date().toISOString().split('T')[0];
+    if (format === 'json') {
+        downloadFile(historyToJSON(entries), `water-bill-history-${date}.json`, 'application/json');
+    } else {
+        downloadFile(historyToCSV(entries), `water-bill-history-${date}.csv`, 'text/csv');
+    }
+}
+
+/**
+ * Delete a single history entry
+ */
+async function deleteHistoryEntry(id) {
+    await billHistoryStore.remove(id);
+    if (lastHistoryEntry && lastHistoryEntry.id === id) {
+        lastHistoryEntry = null;
+    }
+    await renderHistoryDashboard();
+}
+
+/**
+ * Delete the whole bill history
+ */
+async function clearBillHistory() {
+    if (!billHistoryStore || !confirm(t('history.clearConfirm'))) {
+        return;
+    }
+    await billHistoryStore.clear();
+    lastHistoryEntry = null;
+    await renderHistoryDashboard();
+}
+
+/**
+ * Render the history table and trends chart
+ */
+async function renderHistoryDashboard() {
+    renderHistory(await billHistoryStore.list());
+}
+
+/**
+ * Render history entries (also re-run when the language changes)
+ */
+function renderHistory(entries) {
+    historyEntries = entries;
+    const hasEntries = entries.length > 0;
+
+    document.getElementById('historyEmpty').classList.toggle('hidden', hasEntries);
+    document.getElementById('historyContent').classList.toggle('hidden', !hasEntries);
+    if (!hasEntries) {
+        return;
+    }
+
+    document.getElementById('historyRows').innerHTML = entries.slice().reverse().map(entry => `
+        <tr>
+            <td>${formatDate(entry.date)}</td>
+            <td>${formatNumber(entry.result.consumption)}</td>
+            <td>${formatNumber(entry.result.reducedConsumption)} / ${formatNumber(entry.result.fullConsumption)}</td>
+            <td>${formatCurrency(entry.result.totalPrice)}</td>
+            <td>${entry.actualBillAmount !== null ? formatCurrency(entry.actualBillAmount) : '-'}</td>
+            <td><button type="button" class="remove-row-btn" onclick="deleteHistoryEntry(${entry.id})" aria-label="${t('history.remove')}"><i class="fas fa-trash-alt"></i></button></td>
+        </tr>
+    `).join('');
+
+    createHistoryChart(buildTimeSeries(entries));
+}
+
+/**
+ * Create or update the history time series chart:
+ * stacked reduced/full consumption bars and calculated/billed cost lines
+ */
+function createHistoryChart(series) {
+    if (!chartLibraryLoaded('historyChart')) {
+        return;
+    }
+    const ctx = document.getElementById('historyChart').getContext('2d');
+
+    if (historyChart) {
+        historyChart.destroy();
+    }
+
+    historyChart = new Chart(ctx, {
+        data: {
+            labels: series.labels.map(formatDate),
+            datasets: [
+                {
+                    type: 'bar',
+                    label: t('history.chart.reduced'),
+                    data: series.reduced,
+                    backgroundColor: 'rgba(40, 167, 69, 0.8)',
+                    stack: 'consumption',
+                    yAxisID: 'y'
+                },
+                {
+                    type: 'bar',
+                    label: t('history.chart.full'),
+                    data: series.full,
+                    backgroundColor: 'rgba(255, 165, 0, 0.8)',
+                    stack: 'consumption',
+                    yAxisID: 'y'
+                },
+                {
+                    type: 'line',
+                    label: t('history.chart.calculated'),
+                    data: series.calculated,
+                    borderColor: 'rgba(0, 119, 190, 1)',
+                    backgroundColor: 'rgba(0, 119, 190, 0.2)',
+                    tension: 0.3,
+                    yAxisID: 'y1'
+                },
+                {
+                    type: 'line',
+                    label: t('history.chart.billed'),
+                    data: series.actual,
+                    borderColor: 'rgba(220, 53, 69, 1)',
+                    backgroundColor: 'rgba(220, 53, 69, 0.2)',
+                    borderDash: [6, 4],
+                    spanGaps: true,
+                    tension: 0.3,
+                    yAxisID: 'y1'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: true,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            scales: {
+                x: {
+                    stacked: true,
+                    ticks: { font: { family: CHART_FONT } }
+                },
+                y: {
+                    stacked: true,
+                    position: isRtl() ? 'right' : 'left',
+                    title: { display: true, text: t('units.cubicShort'), font: { family: CHART_FONT } }
+                },
+                y1: {
+                    position: isRtl() ? 'left' : 'right',
+                    grid: { drawOnChartArea: false },
+                    title: { display: true, text: '₪', font: { family: CHART_FONT } }
+                }
+            },
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    rtl: isRtl(),
+                    labels: {
+                        font: {
+                            family: CHART_FONT,
+                            size: 14
+                        },
+                        padding: 15,
+                        usePointStyle: true
+                    }
+                },
+                title: {
+                    display: true,
+                    text: t('history.chart.title'),
+                    font: {
+                        family: CHART_FONT,
+                        size: 18,
+                        weight: 'bold'
+                    },
+                    padding: 20
+                },
+                tooltip: {
+                    rtl: isRtl(),
+                    backgroundColor: 'rgba(44, 62, 80, 0.9)',
+                    titleFont: {
+                        family: CHART_FONT,
+                        size: 14
+                    },
+                    bodyFont: {
+                        family: CHART_FONT,
+                        size: 13
+                    },
+                    padding: 12
+                }
+            }
+        }
+    });
+}
+
+// ============================================
+// HOUSEHOLD MEMBERS FUNCTIONS
+// ============================================
+
+/**
+ * Show or hide the household members table. The first time it opens it is
+ * filled from the persons count and disability checkbox.
+ */
+function toggleMembers() {
+    const useMembers = document.getElementById('useMembers').checked;
+    document.getElementById('membersFields').classList.toggle('hidden', !useMembers);
+
+    const rows = document.getElementById('memberRows');
+    if (useMembers && rows.children.length === 0) {
+        const persons = parseInt(document.getElementById('persons').value) || 1;
+        const hasDisability = document.getElementById('disability').checked;
+        for (let i = 0; i < persons; i++) {
+            addMemberRow({ hasDisability: hasDisability && i === 0 });
+        }
+    }
+}
+
+/**
+ * Add a household member row
+ */
+function addMemberRow(member = {}) {
+    const rows = document.getElementById('memberRows');
+    const row = document.createElement('tr');
+    const number = rows.children.length + 1;
+
+    row.innerHTML = `
+        <td><input type="text" class="member-name" aria-label="${t('form.members.name')}" data-i18n-aria-label="form.members.name"></td>
+        <td><input type="date" class="member-from" aria-label="${t('form.members.fromDate')}" data-i18n-aria-label="form.members.fromDate"></td>
+        <td><input type="date" class="member-to" aria-label="${t('form.members.toDate')}" data-i18n-aria-label="form.members.toDate"></td>
+        <td><input type="checkbox" class="member-disability" aria-label="${t('form.members.disability')}" data-i18n-aria-label="form.members.disability"></td>
+        <td><button type="button" class="remove-row-btn" onclick="removeMemberRow(this)" aria-label="${t('form.members.remove')}" data-i18n-aria-label="form.members.remove"><i class="fas fa-trash-alt"></i></button></td>
+    `;
+    // Names and dates are set as properties, so a name cannot add markup
+    row.querySelector('.member-name').value = member.name || t('form.members.defaultName', { number });
+    row.querySelector('.member-from').value = member.from || '';
+    row.querySelector('.member-to').value = member.to || '';
+    row.querySelector('.member-disability').checked = Boolean(member.hasDisability);
+    rows.appendChild(row);
+}
+
+/**
+ * Remove a household member row
+ */
+function removeMemberRow(button) {
+    button.closest('tr').remove();
+}
+
+/**
+ * Read the household member rows into engine input
+ */
+function readMemberRows() {
+    return Array.from(document.querySelectorAll('#memberRows tr')).map((row, index) => ({
+        name: row.querySelector('.member-name').value.trim() || t('form.members.defaultName', { number: index + 1 }),
+        from: row.querySelector('.member-from').value || null,
+        to: row.querySelector('.member-to').value || null,
+        hasDisability: row.querySelector('.member-disability').checked
+    }));
+}
+
+// ============================================
+// BUILDING MODE FUNCTIONS
+// ============================================
+
+/**
+ * Add an apartment row to the building table
+ */
+function addApartmentRow(apartment = {}) {
+    const rows = document.getElementById('apartmentRows');
+    const row = document.createElement('tr');
+    const number = rows.children.length + 1;
+
+    row.innerHTML = `
+        <td><input type="text" class="apartment-label" aria-label="${t('building.apartment')}" data-i18n-aria-label="building.apartment"></td>
+        <td><input type="number" class="apartment-consumption" min="0" step="0.1" required aria-label="${t('building.apartmentConsumptionInput')}" data-i18n-aria-label="building.apartmentConsumptionInput"></td>
+        <td><input type="number" class="apartment-persons" min="1" step="1" required aria-label="${t('building.persons')}" data-i18n-aria-label="building.persons"></td>
+        <td><input type="checkbox" class="apartment-disability" aria-label="${t('building.disability')}" data-i18n-aria-label="building.disability"></td>
+        <td><button type="button" class="remove-row-btn" onclick="removeApartmentRow(this)" aria-label="${t('building.remove')}" data-i18n-aria-label="building.remove"><i class="fas fa-trash-alt"></i></button></td>
+    `;
+    // Saved values are set as properties, so a label cannot add markup
+    row.querySelector('.apartment-label').value = apartment.label || number;
+    row.querySelector('.apartment-consumption').value = apartment.consumption ?? '';
+    row.querySelector('.apartment-persons').value = apartment.persons || 2;
+    row.querySelector('.apartment-disability').checked = Boolean(apartment.hasDisability);
+    rows.appendChild(row);
+}
+
+/**
+ * Remove an apartment row from the building table
+ */
+function removeApartmentRow(button) {
+    button.closest('tr').remove();
+}
+
+/**
+ * Read the apartment rows into engine input
+ */
+function readApartmentRows() {
+    return Array.from(document.querySelectorAll('#apartmentRows tr')).map(row => ({
+        label: row.querySelector('.apartment-label').value,
+        consumption: parseFloat(row.querySelector('.apartment-consumption').value),
+        persons: parseInt(row.querySelector('.apartment-persons').value),
+        hasDisability: row.querySelector('.apartment-disability').checked
+    }));
+}
+
+/**
+ * Handle building form submission
+ */
+function calculateBuilding(event) {
+    event.preventDefault();
+
+    const input = {
+        mainConsumption: parseFloat(document.getElementById('mainConsumption').value),
+        period: parseInt(document.getElementById('buildingPeriod').value),
+        splitMethod: document.getElementById('splitMethod').value,
+        apartments: readApartmentRows()
+    };
+
+    const result = tryEngine(() => allocateBuilding(input));
+    if (!result) {
+        return;
+    }
+
+    lastBuilding = result;
+    displayBuildingResults(result);
+    saveBuildingToLocalStorage(input);
+
+    setTimeout(() => {
+        document.getElementById('buildingResults').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }, 100);
+}
+
+/**
+ * Display per-apartment allocation and bills
+ */
+function displayBuildingResults(result) {
+    document.getElementById('buildingSummary').textContent = t('building.summary', {
+        main: formatCubic(result.mainConsumption),
+        subMeters: formatCubic(result.subMetersTotal),
+        common: formatCubic(result.commonConsumption),
+        total: formatCurrency(result.totalPrice)
+    });
+
+    document.getElementById('buildingResultRows').replaceChildren(...result.apartments.map(apartment => {
+        const row = document.createElement('tr');
+        row.append(
+            textCell(apartment.label),
+            textCell(formatNumber(apartment.ownConsumption)),
+            textCell(formatNumber(apartment.commonShare)),
+            textCell(formatNumber(apartment.consumption)),
+            textCell(formatNumber(apartment.bill.reducedConsumption)),
+            textCell(formatNumber(apartment.bill.fullConsumption)),
+            textCell(formatCurrency(apartment.bill.totalPrice))
+        );
+        return row;
+    }));
+
+    document.getElementById('buildingResults').classList.remove('hidden');
+}
+
+/**
+ * Save building form data to localStorage
+ */
+function saveBuildingToLocalStorage(data) {
+    try {
+        localStorage.setItem('waterBuildingData', JSON.stringify(data));
+    } catch (e) {
+        console.error('Failed to save building data to localStorage:', e);
+    }
+}
+
+/**
+ * Restore the building form, or start with two empty apartments
+ */
+function loadBuildingFromLocalStorage() {
+    let apartments = [{}, {}];
+    try {
+        const data = localStorage.getItem('waterBuildingData');
+        if (data) {
+            const parsed = JSON.parse(data);
+            if (!isNaN(parsed.mainConsumption)) document.getElementById('mainConsumption').value = parsed.mainConsumption;
+            if (parsed.period) document.getElementById('buildingPeriod').value = parsed.period;
+            if (parsed.splitMethod) document.getElementById('splitMethod').value = parsed.splitMethod;
+            if (Array.isArray(parsed.apartments) && parsed.apartments.length > 0) apartments = parsed.apartments;
+        }
+    } catch (e) {
+        console.error('Failed to load building data from localStorage:', e);
+    }
+    apartments.forEach(apartment => addApartmentRow(apartment));
+}
+
 // ============================================
 // NAVIGATION FUNCTION
 // ============================================
@@ -806,4 +3142,41 @@ window.exportToPDF = exportToPDF;
 window.resetCalculator = resetCalculator;
 window.toggleErrorChecker = toggleErrorChecker;
 window.checkForErrors = checkForErrors;
+window.generateDisputeLetter = generateDisputeLetter;
+window.copyDisputeLetter = copyDisputeLetter;
+window.downloadDisputeLetterText = downloadDisputeLetterText;
+window.exportDisputeLetterPDF = exportDisputeLetterPDF;
 window.scrollToSection = scrollToSection;
+window.toggleReadings = toggleReadings;
+window.toggleBillImport = toggleBillImport;
+window.importBillText = importBillText;
+window.importBillFile = importBillFile;
+window.toggleMeterReplacement = toggleMeterReplacement;
+window.applyMeterReadings = applyMeterReadings;
+window.saveMeterReadings = saveMeterReadings;
+window.applyHistoryPeriod = applyHistoryPeriod;
+window.calculateHistoryInterval = calculateHistoryInterval;
+window.deleteMeterReading = deleteMeterReading;
+window.addNightFlowReading = addNightFlowReading;
+window.deleteNightFlowReading = deleteNightFlowReading;
+window.analyzeLeakHistory = analyzeLeakHistory;
+window.exportCalculation = exportCalculation;
+window.shareCalculation = shareCalculation;
+window.runSavingsSimulation = runSavingsSimulation;
+window.renderProjectionRows = renderProjectionRows;
+window.fillProjectionFromHistory = fillProjectionFromHistory;
+window.runAnnualProjection = runAnnualProjection;
+window.importBillsCSV = importBillsCSV;
+window.exportAudit = exportAudit;
+window.saveAuditToHistory = saveAuditToHistory;
+window.exportHistory = exportHistory;
+window.deleteHistoryEntry = deleteHistoryEntry;
+window.clearBillHistory = clearBillHistory;
+window.calculateBuilding = calculateBuilding;
+window.toggleConsumerType = toggleConsumerType;
+window.toggleMembers = toggleMembers;
+window.addMemberRow = addMemberRow;
+window.removeMemberRow = removeMemberRow;
+window.addApartmentRow = addApartmentRow;
+window.removeApartmentRow = removeApartmentRow;
+window.changeLanguage = changeLanguage;
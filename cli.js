@@ -0,0 +1,428 @@
+#!/usr/bin/env node
+/**
+ * Command-line Calculator
+ * The tariff engine and bill checker without a browser, for processing
+ * batches of bills and for nightly scripts:
+ *   calc     price one bill and, with --billed, check it like the bill checker
+ *   compare  price the same bill with the tariffs of two years
+ *   audit    check a CSV of past bills (the format of the bill import)
+ *
+ * Output is a plain-text table, or JSON with --json. The exit code is 1
+ * when a bill looks overcharged (billed above the calculation beyond the
+ * overcharge threshold), 2 for invalid arguments or input, and 0
+ * otherwise - other findings, such as an undercharged estimate, are
+ * reported without failing the run.
+ *
+ * Node:    node cli.js <command> [options]   (node cli.js --help)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { CURRENT_YEAR, TariffEngineError, calculateWaterBill } = require('./tariff-engine');
+const { checkBill, checkStatus, auditBills } = require('./bill-checker');
+const { parseBillsCSV } = require('./data-exchange');
+const i18n = require('./i18n');
+
+const { t, formatNumber, formatPercent } = i18n;
+
+const EXIT_OK = 0;
+const EXIT_FINDINGS = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Fee options, one per fee field of the calculator form
+ * (tariff-engine FeeItem id, basis and canonical label)
+ */
+const FEE_OPTIONS = [
+    { id: 'fixed', option: 'fixed', basis: 'monthly', label: 'דמי שירות קבועים' },
+    { id: 'sewage', option: 'sewage', basis: 'cubic', label: 'ביוב' },
+    { id: 'other', option: 'other', basis: 'bill', label: 'חיובים אחרים' }
+];
+
+const OPTIONS = {
+    consumption: { type: 'string' },
+    persons: { type: 'string' },
+    period: { type: 'string', default: '2' },
+    disability: { type: 'boolean', default: false },
+    year: { type: 'string', default: String(CURRENT_YEAR) },
+    'base-year': { type: 'string' },
+    billed: { type: 'string' },
+    'billing-type': { type: 'string' },
+    previous: { type: 'string' },
+    fixed: { type: 'string' },
+    sewage: { type: 'string' },
+    other: { type: 'string' },
+    lang: { type: 'string', default: 'en' },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  calc      Price one bill; with --billed, check it against the billed amount
+  compare   Price the same bill with the tariffs of --year and --base-year
+  audit     Check a CSV of past bills: node cli.js audit <file.csv | ->
+
+Bill options (calc, compare):
+  --consumption <m³>     Consumption in the billing period (required)
+  --persons <n>          Persons in the household (required)
+  --period <months>      Months in the billing period (default 2)
+  --disability           A person with 70%+ disability lives in the household
+  --year <year>          Tariff year (default ${CURRENT_YEAR})
+  --base-year <year>     Year to compare with (compare, required)
+
+Check options (calc):
+  --billed <NIS>         Amount on the bill, including fees
+  --billing-type <type>  actual, estimated or unknown
+  --previous <m³>        Consumption on the previous bill
+
+Fees (all commands):
+  --fixed <NIS>          Fixed service charge per month
+  --sewage <NIS>         Sewage per m³
+  --other <NIS>          Other charges per bill
+
+Output:
+  --json                 JSON instead of a table
+  --lang <he|ar|en>      Language of findings and messages (default en)
+
+Exit codes: 0 no overcharge, 1 a bill is billed above the calculation
+beyond the overcharge threshold, 2 invalid input. Other findings are
+reported without changing the exit code.
+The audit CSV needs the columns date, consumption, persons, period and
+billedAmount; hasDisability and billingType are optional.`;
+
+// ============================================
+// INPUT
+// ============================================
+
+/**
+ * Invalid command-line usage (a missing or malformed option)
+ */
+class UsageError extends Error {}
+
+/**
+ * A numeric option as a number, null when it was not given. Values the
+ * engine rejects (negative, fractional persons) are left to its validation.
+ */
+function numberOption(values, name) {
+    if (values[name] === undefined) {
+        return null;
+    }
+    const value = Number(values[name]);
+    if (values[name].trim() === '' || !Number.isFinite(value)) {
+        throw new UsageError(`--${name} must be a number`);
+    }
+    return value;
+}
+
+function requiredNumber(values, name) {
+    const value = numberOption(values, name);
+    if (value === null) {
+        throw new UsageError(`--${name} is required`);
+    }
+    return value;
+}
+
+/**
+ * Fee items for the fee options given (zero and missing fees are skipped,
+ * as in the calculator form)
+ */
+function readFees(values) {
+    return FEE_OPTIONS
+        .map(fee => ({ ...fee, rate: numberOption(values, fee.option) }))
+        .filter(fee => fee.rate !== null && fee.rate !== 0)
+        .map(({ id, label, basis, rate }) => ({ id, label, basis, rate }));
+}
+
+/**
+ * tariff-engine BillInput from the bill options
+ */
+function readBillInput(values, year = requiredNumber(values, 'year')) {
+    return {
+        consumption: requiredNumber(values, 'consumption'),
+        persons: requiredNumber(values, 'persons'),
+        period: requiredNumber(values, 'period'),
+        hasDisability: values.disability,
+        year,
+        fees: readFees(values)
+    };
+}
+
+// ============================================
+// OUTPUT
+// ============================================
+
+/**
+ * Width of a cell as shown in a terminal (bidi marks take no space)
+ */
+function displayWidth(text) {
+    return text.replace(/[\u200e\u200f\u061c]/g, '').length;
+}
+
+/**
+ * Rows of cells as aligned plain-text columns; the first row is the header.
+ * The last column is not padded, so long text (findings) does not widen the
+ * table.
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+function formatTable(rows) {
+    const widths = rows[0].map((unused, column) => Math.max(...rows.map(row => displayWidth(String(row[column])))));
+    const line = row => row
+        .map((cell, column) => (column === row.length - 1
+            ? String(cell)
+            : String(cell) + ' '.repeat(widths[column] - displayWidth(String(cell)))))
+        .join('  ')
+        .trimEnd();
+    return [line(rows[0]), widths.map(width => '-'.repeat(width)).join('  '), ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Findings as indented lines: category, title, description and action
+ */
+function formatFindings(findings) {
+    return findings.map(finding =>
+        `  [${finding.category}] ${finding.title}\n    ${finding.description}\n    ${finding.action}`
+    ).join('\n');
+}
+
+/**
+ * A finding without its rule internals, for JSON output
+ */
+function findingToJSON({ id, category, severity, title, description, action, values }) {
+    return { id, category, severity, title, description, action, values };
+}
+
+function print(text) {
+    process.stdout.write(`${text}\n`);
+}
+
+// ============================================
+// COMMANDS
+// ============================================
+
+/**
+ * Table rows for a priced bill: tiers, fees and total
+ */
+function resultRows(result) {
+    return [
+        ['', 'm³', 'NIS/m³', 'NIS'],
+        [t('tiers.tiered.reduced'), formatNumber(result.reducedConsumption), formatNumber(result.tariffs.reduced, 3), formatNumber(result.reducedPrice)],
+        [t('tiers.tiered.full'), formatNumber(result.fullConsumption), formatNumber(result.tariffs.full, 3), formatNumber(result.fullPrice)],
+        ...result.lineItems.map(item => [t(`fees.${item.id}`), '', '', formatNumber(item.amount)]),
+        [t('results.total'), formatNumber(result.actualConsumption), '', formatNumber(result.totalPrice)]
+    ];
+}
+
+/**
+ * Whether a check found an overcharge, the one finding the exit code reports
+ */
+function isOvercharged(check) {
+    return Boolean(check) && check.findings.some(finding => finding.id === 'overcharge');
+}
+
+/**
+ * A difference with its sign (+12.50, -3.00)
+ */
+function formatSigned(value) {
+    return (value > 0 ? '+' : '') + formatNumber(value);
+}
+
+/**
+ * calc: price one bill and check it when the billed amount is given
+ * @returns {number} exit code
+ */
+function runCalc(values) {
+    const input = readBillInput(values);
+    const result = calculateWaterBill(input);
+    const billed = numberOption(values, 'billed');
+
+    let check = null;
+    if (billed !== null) {
+        const previousConsumption = numberOption(values, 'previous');
+        check = checkBill(result, {
+            consumption: input.consumption,
+            persons: input.persons,
+            hasDisability: input.hasDisability,
+            input,
+            actualBillAmount: billed,
+            billingType: values['billing-type'],
+            previousConsumption: previousConsumption === null ? NaN : previousConsumption
+        }, { lang: i18n.getLocale() });
+    }
+    const status = check ? checkStatus(check) : 'ok';
+
+    if (values.json) {
+        print(JSON.stringify({
+            input,
+            result,
+            check: check && {
+                status,
+                billedAmount: billed,
+                difference: billed - result.totalPrice,
+                findings: check.findings.map(findingToJSON)
+            }
+        }, null, 2));
+    } else {
+        print(`${input.year}: ${formatNumber(input.consumption)} m³, ${input.persons} persons, ${input.period} months` +
+            (input.hasDisability ? ', disability' : ''));
+        print(formatTable(resultRows(result)));
+        if (check) {
+            print('');
+            print(`Billed: ${formatNumber(billed)} NIS (${formatSigned(billed - result.totalPrice)} NIS) - ${t(`audit.statuses.${status}`)}`);
+            if (check.findings.length > 0) {
+                print(formatFindings(check.findings));
+            }
+        }
+    }
+    return isOvercharged(check) ? EXIT_FINDINGS : EXIT_OK;
+}
+
+/**
+ * compare: price the same bill with the tariffs of two years
+ * (whole-year tariffs, as in the calculator's year comparison)
+ * @returns {number} exit code
+ */
+function runCompare(values) {
+    const current = readBillInput(values);
+    const base = readBillInput(values, requiredNumber(values, 'base-year'));
+    const currentResult = calculateWaterBill(current);
+    const baseResult = calculateWaterBill(base);
+    const difference = currentResult.totalPrice - baseResult.totalPrice;
+    const percent = baseResult.totalPrice === 0 ? null : (difference / baseResult.totalPrice) * 100;
+
+    if (values.json) {
+        print(JSON.stringify({
+            input: current,
+            years: [
+                { year: base.year, result: baseResult },
+                { year: current.year, result: currentResult }
+            ],
+            difference,
+            percent
+        }, null, 2));
+    } else {
+        print(formatTable([
+            ['Year', 'Reduced NIS/m³', 'Full NIS/m³', 'Water NIS', 'Fees NIS', 'Total NIS'],
+            ...[[base.year, baseResult], [current.year, currentResult]].map(([year, result]) => [
+                String(year),
+                formatNumber(result.tariffs.reduced, 3),
+                formatNumber(result.tariffs.full, 3),
+                formatNumber(result.waterPrice),
+                formatNumber(result.feesTotal),
+                formatNumber(result.totalPrice)
+            ])
+        ]));
+        print('');
+        print(`Difference: ${formatSigned(difference)} NIS` + (percent === null ? '' : ` (${percent > 0 ? '+' : ''}${formatPercent(percent)})`));
+    }
+    return EXIT_OK;
+}
+
+/**
+ * audit: check a CSV of past bills
+ * @returns {number} exit code
+ */
+function runAudit(values, files) {
+    if (files.length !== 1) {
+        throw new UsageError('audit needs one CSV file (or - for standard input)');
+    }
+    const text = fs.readFileSync(files[0] === '-' ? 0 : files[0], 'utf8');
+    const { bills, errors: parseErrors } = parseBillsCSV(text);
+    const rows = auditBills(bills, { fees: readFees(values), lang: i18n.getLocale() });
+
+    const counts = { error: 0, warning: 0, ok: 0, invalid: 0 };
+    rows.forEach(row => counts[row.status]++);
+    const overcharged = rows.filter(row => isOvercharged(row.check)).length;
+
+    if (values.json) {
+        print(JSON.stringify({
+            summary: { bills: rows.length, ...counts, overcharged, skippedLines: parseErrors.length },
+            rows: rows.map(({ bill, result, check, status, error }) => ({
+                ...bill,
+                calculatedAmount: result ? result.totalPrice : null,
+                status,
+                findings: check ? check.findings.map(findingToJSON) : [],
+                error: error ? { code: error.code, message: t(`errors.${error.code}`) } : null
+            })),
+            parseErrors
+        }, null, 2));
+    } else {
+        print(formatTable([
+            ['Date', 'm³', 'Persons', 'Billed NIS', 'Calculated NIS', 'Status', 'Findings'],
+            ...rows.map(({ bill, result, check, status, error }) => [
+                bill.date,
+                formatNumber(bill.consumption),
+                String(bill.persons),
+                bill.actualBillAmount === null ? '-' : formatNumber(bill.actualBillAmount),
+                result ? formatNumber(result.totalPrice) : '-',
+                t(`audit.statuses.${status}`),
+                check
+                    ? [...check.errors, ...check.warnings].map(finding => finding.title).join('; ')
+                    : t(`errors.${error.code}`)
+            ])
+        ]));
+        print('');
+        print(`${rows.length} bills: ${counts.error} look wrong (${overcharged} overcharged), ${counts.warning} to review, ${counts.ok} OK, ${counts.invalid} cannot be priced`);
+    }
+    parseErrors.forEach(({ line, field }) => {
+        process.stderr.write(`Skipped line ${line}: ${t(`audit.rowErrors.${field}`)}\n`);
+    });
+    return overcharged > 0 ? EXIT_FINDINGS : EXIT_OK;
+}
+
+const COMMANDS = {
+    calc: runCalc,
+    compare: runCompare,
+    audit: runAudit
+};
+
+// ============================================
+// MAIN
+// ============================================
+
+/**
+ * Run a command line and return the exit code
+ * @param {string[]} argv - arguments after `node cli.js`
+ * @returns {number}
+ */
+function main(argv) {
+    try {
+        const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        const [command, ...files] = positionals;
+        if (values.help || !command) {
+            print(USAGE);
+            return values.help ? EXIT_OK : EXIT_USAGE;
+        }
+        if (!COMMANDS[command]) {
+            throw new UsageError(`Unknown command: ${command}`);
+        }
+        if (command !== 'audit' && files.length > 0) {
+            throw new UsageError(`Unexpected argument: ${files[0]}`);
+        }
+        i18n.setLocale(values.lang);
+        return COMMANDS[command](values, files);
+    } catch (e) {
+        if (e instanceof TariffEngineError) {
+            const message = e.code !== 'INVALID_LOCALE' && i18n.hasMessage(`errors.${e.code}`) ? t(`errors.${e.code}`) : e.message;
+            process.stderr.write(`${message}\n`);
+        } else if (e instanceof UsageError || e.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ||
+            e.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE' || e.code === 'ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL') {
+            process.stderr.write(`${e.message}\nRun node cli.js --help for the options.\n`);
+        } else if (e.code === 'ENOENT' || e.code === 'EISDIR') {
+            process.stderr.write(`Cannot read ${e.path}\n`);
+        } else {
+            throw e;
+        }
+        return EXIT_USAGE;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
@@ -0,0 +1,333 @@
+/**
+ * Data Exchange
+ * Machine-readable CSV/JSON export of calculations and bill history, and
+ * CSV import of past bills for bulk checking.
+ *
+ * Browser: loaded as a classic script after tariff-engine.js,
+ *          exposed as window.WaterDataExchange
+ * Node:    const exchange = require('./data-exchange');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./tariff-engine'));
+    } else {
+        root.WaterDataExchange = factory(root.WaterTariffEngine);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine) {
+    'use strict';
+
+    const { TariffEngineError, toUtc } = engine;
+
+    const EXPORT_VERSION = 1;
+
+    /**
+     * Columns of the past-bills CSV. `billedAmount` may also be called
+     * `actualBillAmount`; hasDisability and billingType are optional.
+     */
+    const BILL_CSV_COLUMNS = ['date', 'consumption', 'persons', 'period', 'billedAmount'];
+
+    /**
+     * English fallback for an invalid row, by failing column
+     */
+    const ROW_ERRORS = {
+        date: 'date must be a valid YYYY-MM-DD date',
+        consumption: 'consumption must be a non-negative number',
+        persons: 'persons must be a whole number of at least 1',
+        period: 'period must be a whole number of months',
+        billedAmount: 'billedAmount must be a non-negative number'
+    };
+
+    // ============================================
+    // CSV
+    // ============================================
+
+    /**
+     * Quote a CSV cell when it holds a separator, quote or line break
+     */
+    function csvCell(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Join rows of cells into CSV text
+     * @param {Array<Array<*>>} rows
+     * @returns {string}
+     */
+    function toCSV(rows) {
+        return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Read CSV text into records, each with the physical line it starts on.
+     * A quoted cell may hold line breaks, so records and lines differ.
+     * @param {string} text
+     * @returns {{line: number, cells: string[]}[]}
+     */
+    function readRecords(text) {
+        const source = String(text).replace(/^\uFEFF/, '');
+        const records = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let startLine = 1;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) {
+                        line++;
+                    }
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                records.push({ line: startLine, cells: row });
+                row = [];
+                cell = '';
+                line++;
+                startLine = line;
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            records.push({ line: startLine, cells: row });
+        }
+        return records;
+    }
+
+    /**
+     * Parse CSV text (RFC 4180 quoting, CRLF or LF, optional BOM) into rows.
+     * Blank lines come back as a row with one empty cell.
+     * @param {string} text
+     * @returns {string[][]}
+     */
+    function parseCSV(text) {
+        return readRecords(text).map(record => record.cells);
+    }
+
+    /**
+     * True for a row with no content
+     */
+    function isBlankRow(cells) {
+        return cells.every(value => value.trim() === '');
+    }
+
+    /**
+     * Round money and m³ amounts for tabular export
+     */
+    function round2(value) {
+        return typeof value === 'number' ? Math.round(value * 100) / 100 : value;
+    }
+
+    /**
+     * Flatten nested objects/arrays into [path, value] pairs
+     * (e.g. ['segments.0.reducedPrice', 12.5])
+     */
+    function flatten(value, prefix = '') {
+        if (value !== null && typeof value === 'object') {
+            const pairs = Object.keys(value).flatMap(key => flatten(value[key], prefix ? `${prefix}.${key}` : key));
+            return pairs.length > 0 ? pairs : [[prefix, '']];
+        }
+        return [[prefix, value]];
+    }
+
+    // ============================================
+    // EXPORT
+    // ============================================
+
+    /**
+     * Calculation as JSON: the input parameters and the full BillResult
+     * @param {Object} input  - tariff-engine BillInput
+     * @param {Object} result - tariff-engine BillResult
+     * @returns {string}
+     */
+    function calculationToJSON(input, result) {
+        return JSON.stringify({
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            input,
+            result
+        }, null, 2);
+    }
+
+    /**
+     * Calculation as a two-column field,value CSV
+     * (input.* and result.* with dotted paths into line items and segments)
+     * @param {Object} input
+     * @param {Object} result
+     * @returns {string}
+     */
+    function calculationToCSV(input, result) {
+        return toCSV([
+            ['field', 'value'],
+            ...flatten(input, 'input'),
+            ...flatten(result, 'result')
+        ]);
+    }
+
+    /**
+     * Bill history as JSON
+     * @param {Object[]} entries - bill-history HistoryEntry list
+     * @returns {string}
+     */
+    function historyToJSON(entries) {
+        return JSON.stringify({
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            entries
+        }, null, 2);
+    }
+
+    /**
+     * Bill history as one CSV row per entry. The leading columns match the
+     * past-bills import format, so an exported history can be re-imported.
+     * @param {Object[]} entries
+     * @returns {string}
+     */
+    function historyToCSV(entries) {
+        return toCSV([
+            [...BILL_CSV_COLUMNS, 'hasDisability', 'calculatedAmount', 'reducedConsumption', 'fullConsumption', 'waterPrice', 'feesTotal', 'tariffYear', 'city'],
+            ...entries.map(entry => [
+                entry.date,
+                entry.input.consumption,
+                entry.input.persons,
+                entry.input.period,
+                entry.actualBillAmount,
+                entry.input.hasDisability ? 1 : 0,
+                round2(entry.result.totalPrice),
+                round2(entry.result.reducedConsumption),
+                round2(entry.result.fullConsumption),
+                round2(entry.result.waterPrice),
+                round2(entry.result.feesTotal),
+                entry.result.tariffYear,
+                entry.city
+            ])
+        ]);
+    }
+
+    /**
+     * Bulk audit results as CSV, one row per bill with its status and findings
+     * @param {Object[]} rows - bill-checker AuditRow list
+     * @returns {string}
+     */
+    function auditToCSV(rows) {
+        return toCSV([
+            [...BILL_CSV_COLUMNS, 'calculatedAmount', 'status', 'findings'],
+            ...rows.map(({ bill, result, check, status, error }) => [
+                bill.date,
+                bill.consumption,
+                bill.persons,
+                bill.period,
+                bill.actualBillAmount,
+                result ? round2(result.totalPrice) : '',
+                status,
+                check
+                    ? [...check.errors, ...check.warnings].map(finding => finding.type).join(' ')
+                    : error.code
+            ])
+        ]);
+    }
+
+    // ============================================
+    // IMPORT
+    // ============================================
+
+    /**
+     * Parse a CSV of past bills.
+     * Rows that fail validation are reported with their line number and
+     * left out of `bills`, so one bad line does not block the import. Each
+     * error names the failing column in `field`, for a translated message
+     * (`audit.rowErrors.<field>`); `message` is the English fallback.
+     * @param {string} text
+     * @returns {{bills: Object[], errors: {line: number, field: string, message: string}[]}}
+     * @throws {TariffEngineError} INVALID_CSV when the header is missing columns
+     */
+    function parseBillsCSV(text) {
+        const [{ cells: header } = { cells: [] }, ...records] = readRecords(text);
+        const columns = header.map(name => name.trim());
+        const indexOf = name => columns.indexOf(name);
+
+        const billedIndex = indexOf('billedAmount') !== -1 ? indexOf('billedAmount') : indexOf('actualBillAmount');
+        const missing = BILL_CSV_COLUMNS.filter(name => name === 'billedAmount' ? billedIndex === -1 : indexOf(name) === -1);
+        if (missing.length > 0) {
+            throw new TariffEngineError('INVALID_CSV', `CSV header is missing: ${missing.join(', ')}`, 'csv');
+        }
+
+        const bills = [];
+        const errors = [];
+
+        records.forEach(({ line, cells }) => {
+            if (isBlankRow(cells)) {
+                return;
+            }
+            const cell = name => (cells[indexOf(name)] || '').trim();
+
+            const date = cell('date');
+            const consumption = Number(cell('consumption'));
+            const persons = Number(cell('persons'));
+            const period = cell('period') === '' ? 2 : Number(cell('period'));
+            const billed = (cells[billedIndex] || '').trim();
+            const actualBillAmount = billed === '' ? null : Number(billed);
+
+            let field = null;
+            if (Number.isNaN(toUtc(date))) {
+                field = 'date';
+            } else if (cell('consumption') === '' || !Number.isFinite(consumption) || consumption < 0) {
+                field = 'consumption';
+            } else if (!Number.isInteger(persons) || persons < 1) {
+                field = 'persons';
+            } else if (!Number.isInteger(period)) {
+                field = 'period';
+            } else if (actualBillAmount !== null && (!Number.isFinite(actualBillAmount) || actualBillAmount < 0)) {
+                field = 'billedAmount';
+            }
+            if (field) {
+                errors.push({ line, field, message: ROW_ERRORS[field] });
+                return;
+            }
+
+            const bill = { date, consumption, persons, period, actualBillAmount };
+            if (indexOf('hasDisability') !== -1) {
+                bill.hasDisability = ['1', 'true', 'yes', 'כן'].includes(cell('hasDisability').toLowerCase());
+            }
+            if (indexOf('billingType') !== -1 && cell('billingType') !== '') {
+                bill.billingType = cell('billingType');
+            }
+            bills.push(bill);
+        });
+
+        return { bills, errors };
+    }
+
+    return {
+        EXPORT_VERSION,
+        BILL_CSV_COLUMNS,
+        toCSV,
+        parseCSV,
+        calculationToJSON,
+        calculationToCSV,
+        historyToJSON,
+        historyToCSV,
+        auditToCSV,
+        parseBillsCSV
+    };
+}));
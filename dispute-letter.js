@@ -0,0 +1,325 @@
+/**
+ * Dispute Letter
+ * Turns bill-checker findings into a Hebrew dispute letter to the water
+ * corporation, with the household details, calculated-versus-billed
+ * figures and the relevant regulation references.
+ *
+ * Browser: loaded as a classic script after tariff-engine.js and i18n.js,
+ *          exposed as window.WaterDisputeLetter
+ * Node:    const letters = require('./dispute-letter');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./tariff-engine'), require('./i18n'));
+    } else {
+        root.WaterDisputeLetter = factory(root.WaterTariffEngine, root.WaterI18n);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine, i18n) {
+    'use strict';
+
+    const { TariffEngineError, validateInput, toUtc, fromUtc } = engine;
+    const { formatNumber, formatCurrency, formatPercent, formatDate } = i18n;
+
+    /**
+     * Legislation cited in letters. Section numbers are left out on purpose:
+     * residents should check the current consolidated text before sending.
+     */
+    const REGULATIONS = {
+        corporationsLaw: 'חוק תאגידי מים וביוב, התשס"א-2001',
+        tariffRules: 'כללי תאגידי מים וביוב (אמות מידה ותעריפים לשירותי מים וביוב), התשע"ה-2014'
+    };
+
+    /**
+     * Finding types a letter can dispute, in the order they appear in the letter
+     */
+    const DISPUTABLE_FINDINGS = ['overcharge', 'personsMismatch', 'wrongTariffYear', 'duplicatePeriod', 'estimation', 'spike', 'disability'];
+
+    /**
+     * Hebrew names of the built-in consumer types and eligibility categories.
+     * The letter is always in Hebrew, whatever the interface language;
+     * registered ids without a name here are quoted as they are.
+     */
+    const CONSUMER_TYPE_NAMES = {
+        residential: 'ביתי',
+        business: 'עסק',
+        garden: 'גינה',
+        agriculture: 'משק ביתי חקלאי'
+    };
+    const ELIGIBILITY_NAMES = {
+        disability: 'אדם נוסף עם נכות של 70% ומעלה',
+        foster: 'ילדי אומנה',
+        medical: 'מצב רפואי המחייב תוספת מים',
+        institution: 'מסגרת מוסדית'
+    };
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /**
+     * @typedef {Object} Household
+     * @property {string} [name]
+     * @property {string} [address]
+     * @property {string} [accountNumber] - consumer / account number on the bill
+     * @property {string} [phone]
+     * @property {string} [email]
+     */
+
+    /**
+     * @typedef {Object} LetterInput
+     * @property {Object}    input               - tariff-engine BillInput of the checked bill
+     * @property {Object}    result              - BillResult for that input
+     * @property {{errors: Object[], warnings: Object[], recommendations: Object[]}} check
+     * @property {number}    [actualBillAmount]
+     * @property {number}    [previousConsumption]
+     * @property {Household} [household]
+     * @property {string[]}  [include]           - finding types to dispute, defaults to all disputable ones
+     * @property {{name: string}} [corporation]  - water-corporations entry
+     * @property {string}    [date]              - letter date (YYYY-MM-DD), defaults to today
+     */
+
+    /**
+     * @typedef {Object} DisputeLetter
+     * @property {string}   date
+     * @property {string}   recipient
+     * @property {string[]} sender
+     * @property {string}   subject
+     * @property {string[]} paragraphs
+     * @property {string[]} requests
+     * @property {string[]} references
+     * @property {string[]} attachments
+     * @property {string}   signature
+     * @property {string[]} findings - finding types the letter disputes
+     */
+
+    // ============================================
+    // LETTER
+    // ============================================
+
+    /**
+     * Whether the bill was priced for a household (persons and allocation)
+     */
+    function isHousehold(input) {
+        return validateInput(input).persons !== null;
+    }
+
+    /**
+     * Today's local date as YYYY-MM-DD
+     */
+    function today() {
+        return fromUtc(toUtc(new Date()));
+    }
+
+    /**
+     * Household or consumer details paragraph. Non-residential consumers
+     * have no persons, and eligibility claims add to the reduced allocation.
+     */
+    function detailsParagraph(input, result) {
+        const { persons } = validateInput(input);
+        const consumptionText = `צריכת המים לתקופה היא ${formatNumber(input.consumption)} מ"ק`;
+
+        if (!isHousehold(input)) {
+            const typeName = CONSUMER_TYPE_NAMES[result.consumerType] || result.consumerType;
+            return `פרטי הצרכן: צרכן שאינו ביתי (${typeName}). ${consumptionText}` +
+                `${result.allocation > 0 ? `, והמכסה לתקופה היא ${formatNumber(result.allocation)} מ"ק` : ''}.`;
+        }
+
+        const claims = (result.eligibility || []).map(effect => {
+            const name = ELIGIBILITY_NAMES[effect.category] || effect.category;
+            return `${name}${effect.count > 1 ? ` (${effect.count})` : ''} - ${formatNumber(effect.allocation)} מ"ק`;
+        });
+        return `פרטי משק הבית: ${persons} נפשות` +
+            `${input.hasDisability ? ', ובהם אדם עם נכות המזכה בהקצאה נוספת' : ''}. ` +
+            (claims.length > 0 ? `למשק הבית זכאויות נוספות להקצאה בתעריף המופחת: ${claims.join('; ')}. ` : '') +
+            `${consumptionText}, ` +
+            `וההקצאה בתעריף המופחת${claims.length > 0 ? ', כולל הזכאויות,' : ' לפי מספר הנפשות'} היא ${formatNumber(result.allocation)} מ"ק.`;
+    }
+
+    /**
+     * Consumption split the way the bill was priced: reduced and full tariff
+     * for households, within and above the quota, or all at a flat rate
+     */
+    function tiersText(input, result) {
+        if (isHousehold(input)) {
+            return `${formatNumber(result.reducedConsumption)} מ"ק בתעריף מופחת ו-${formatNumber(result.fullConsumption)} מ"ק בתעריף מלא`;
+        }
+        return result.allocation > 0
+            ? `${formatNumber(result.reducedConsumption)} מ"ק בתוך המכסה ו-${formatNumber(result.fullConsumption)} מ"ק מעל המכסה`
+            : `${formatNumber(result.actualConsumption)} מ"ק בתעריף אחיד`;
+    }
+
+    /**
+     * Findings from a check that a letter can dispute
+     * @param {{errors: Object[], warnings: Object[], recommendations: Object[]}} check
+     * @returns {Object[]}
+     */
+    function disputableFindings(check) {
+        const all = [...check.errors, ...check.warnings, ...check.recommendations];
+        return DISPUTABLE_FINDINGS
+            .map(type => all.find(finding => finding.type === type))
+            .filter(Boolean);
+    }
+
+    /**
+     * Build a dispute letter from bill-checker findings
+     * @param {LetterInput} data
+     * @returns {DisputeLetter}
+     * @throws {TariffEngineError} NO_DISPUTABLE_FINDINGS when there is nothing to dispute
+     */
+    function buildDisputeLetter(data) {
+        const { input, result, check, actualBillAmount, previousConsumption } = data;
+        const household = data.household || {};
+        const findings = disputableFindings(check)
+            .filter(finding => !data.include || data.include.includes(finding.type));
+        if (findings.length === 0) {
+            throw new TariffEngineError('NO_DISPUTABLE_FINDINGS', 'The bill check found nothing to dispute', 'check');
+        }
+
+        const types = findings.map(finding => finding.type);
+        const has = type => types.includes(type);
+        const valuesOf = type => findings.find(finding => finding.type === type).values || {};
+
+        const periodText = input.startDate && input.endDate
+            ? `לתקופה ${formatDate(input.startDate)} - ${formatDate(input.endDate)}`
+            : `לתקופת חיוב ${input.period === 1 ? 'חודשית' : 'דו-חודשית'}`;
+        const accountText = household.accountNumber ? `, מספר חשבון ${household.accountNumber}` : '';
+
+        const paragraphs = [];
+        const requests = [];
+        const attachments = ['דוח חישוב החשבון (PDF)', 'העתק החשבון שבמחלוקת'];
+
+        paragraphs.push(
+            `הריני להגיש השגה על חשבון המים ${periodText}${accountText}, ` +
+            `בנכס${household.address ? ` בכתובת ${household.address}` : ' שבשימושי'}.`
+        );
+
+        paragraphs.push(detailsParagraph(input, result));
+
+        if (has('overcharge')) {
+            const difference = actualBillAmount - result.totalPrice;
+            const percentDiff = (difference / result.totalPrice) * 100;
+            paragraphs.push(
+                `לפי תעריפי רשות המים, החיוב הצפוי לתקופה הוא ${formatCurrency(result.totalPrice)} ` +
+                `(${tiersText(input, result)}` +
+                `${result.feesTotal > 0 ? `, וחיובים נוספים של ${formatCurrency(result.feesTotal)}` : ''}). ` +
+                `בחשבון שקיבלתי חויבתי ב-${formatCurrency(actualBillAmount)}, ` +
+                `כלומר ${formatCurrency(difference)} (${formatPercent(percentDiff)}) יותר מהחיוב הצפוי.`
+            );
+            requests.push(`לבדוק את החשבון ולתקן את החיוב, ולזכות אותי בסך ${formatCurrency(difference)} או בכל סכום שיימצא שחויב ביתר.`);
+        }
+
+        if (has('personsMismatch')) {
+            const { billed, declared } = valuesOf('personsMismatch');
+            paragraphs.push(
+                `הסכום שבחשבון תואם חישוב לפי ${billed} נפשות, בעוד שבנכס מתגוררות ${declared} נפשות. ` +
+                'כתוצאה מכך ההקצאה בתעריף המופחת שחושבה לי שגויה.'
+            );
+            requests.push(`לעדכן את מספר הנפשות בנכס ל-${declared} ולחשב מחדש את החשבון.`);
+            attachments.push('הצהרה על מספר הנפשות המתגוררות בנכס');
+        }
+
+        if (has('wrongTariffYear')) {
+            const { billedYear, expectedYear } = valuesOf('wrongTariffYear');
+            paragraphs.push(
+                `הסכום שבחשבון תואם את תעריפי שנת ${billedYear}, ` +
+                `ואילו על תקופת החיוב חלים תעריפי שנת ${expectedYear}.`
+            );
+            requests.push('לחשב מחדש את החשבון לפי התעריפים שבתוקף בתקופת החיוב.');
+        }
+
+        if (has('duplicatePeriod')) {
+            const { from, to } = valuesOf('duplicatePeriod');
+            const otherText = from === to ? formatDate(from) : `${formatDate(from)} - ${formatDate(to)}`;
+            paragraphs.push(
+                `תקופת החיוב בחשבון זה חופפת לחשבון קודם שקיבלתי (${otherText}), ` +
+                'כך שחויבתי פעמיים על אותה תקופה.'
+            );
+            requests.push('לבטל את החיוב הכפול ולזכות אותי בסכום שחויב פעמיים.');
+            attachments.push('העתק החשבון הקודם לאותה תקופה');
+        }
+
+        if (has('estimation')) {
+            paragraphs.push(
+                'החשבון הופק על בסיס הערכת צריכה ולא על בסיס קריאת מונה בפועל. ' +
+                'מצורף צילום עדכני של המונה, ואני מבקש/ת לחייב לפי הצריכה בפועל.'
+            );
+            requests.push('להפיק חשבון מתוקן לפי קריאת המונה בפועל במקום הערכה.');
+            attachments.push('צילום המונה עם תאריך הצילום');
+        }
+
+        if (has('spike')) {
+            const spikeText = previousConsumption > 0
+                ? `מ-${formatNumber(previousConsumption)} מ"ק בחשבון הקודם ל-${formatNumber(input.consumption)} מ"ק בחשבון הנוכחי`
+                : 'בחדות לעומת החשבון הקודם';
+            paragraphs.push(
+                `הצריכה בחשבון עלתה ${spikeText}, ללא שינוי בהרגלי הצריכה של משק הבית. ` +
+                'עלייה כזו עשויה להעיד על תקלה במונה או על טעות בקריאה.'
+            );
+            requests.push('לבדוק את תקינות המונה ואת הקריאה שעליה מבוסס החשבון.');
+        }
+
+        if (has('disability')) {
+            paragraphs.push(
+                'במשק הבית מתגורר אדם עם נכות המזכה בהקצאה נוספת של כמות מים בתעריף המופחת. ' +
+                'מצורף אישור מהמוסד לביטוח לאומי.'
+            );
+            requests.push('לעדכן את ההקצאה בתעריף המופחת בגין הנכות, ולחשב מחדש את החשבון.');
+            attachments.push('אישור נכות מהמוסד לביטוח לאומי');
+        }
+
+        return {
+            date: data.date || today(),
+            recipient: data.corporation ? `${data.corporation.name} - מחלקת פניות הציבור` : 'תאגיד המים - מחלקת פניות הציבור',
+            sender: [household.name, household.address, household.phone, household.email].filter(Boolean),
+            subject: `השגה על חשבון מים ${periodText}${accountText}`,
+            paragraphs,
+            requests,
+            references: [REGULATIONS.corporationsLaw, REGULATIONS.tariffRules],
+            attachments,
+            signature: household.name || '',
+            findings: types
+        };
+    }
+
+    /**
+     * Render a letter as plain text
+     * @param {DisputeLetter} letter
+     * @returns {string}
+     */
+    function letterToText(letter) {
+        const lines = [
+            `תאריך: ${formatDate(letter.date)}`,
+            '',
+            'לכבוד',
+            letter.recipient,
+            ''
+        ];
+        if (letter.sender.length > 0) {
+            lines.push('מאת:', ...letter.sender, '');
+        }
+        lines.push(`הנדון: ${letter.subject}`, '');
+        letter.paragraphs.forEach(paragraph => lines.push(paragraph, ''));
+
+        lines.push('לפיכך אבקש:');
+        letter.requests.forEach((request, index) => lines.push(`${index + 1}. ${request}`));
+        lines.push('');
+
+        lines.push(`פנייה זו מוגשת בהתאם ל${letter.references.join(' ול')}.`);
+        lines.push('אבקש לקבל את תשובתכם בכתב. אם לא תתקבל תשובה מספקת, אשקול לפנות לממונה על פניות הציבור ברשות המים.', '');
+
+        lines.push('מצורפים:');
+        letter.attachments.forEach(attachment => lines.push(`- ${attachment}`));
+        lines.push('', 'בכבוד רב,', letter.signature || '________________');
+
+        return lines.join('\n');
+    }
+
+    return {
+        REGULATIONS,
+        DISPUTABLE_FINDINGS,
+        disputableFindings,
+        buildDisputeLetter,
+        letterToText
+    };
+}));
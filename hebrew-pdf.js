@@ -0,0 +1,399 @@
+/**
+ * Hebrew PDF
+ * Embeds the Heebo font (and Noto Sans Arabic for Arabic reports) in jsPDF
+ * documents and writes right-to-left or left-to-right text top to bottom
+ * with automatic page breaks.
+ *
+ * jsPDF places glyphs left to right, so Hebrew and Arabic are passed
+ * through jsPDF's bidi engine (logical in, visual out) with mirrored
+ * brackets. Neither font covers both scripts, so with the Arabic font
+ * loaded each line is shaped, reordered and drawn as runs, one per font.
+ *
+ * Browser: loaded as a classic script, exposed as window.WaterHebrewPdf
+ * Node:    const hebrewPdf = require('./hebrew-pdf');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.WaterHebrewPdf = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FONT_FAMILY = 'Heebo';
+    const ARABIC_FONT_FAMILY = 'NotoSansArabic';
+
+    /**
+     * Bundled font files, with a CDN copy of the same release for pages
+     * opened from file:// where fetching local files is blocked
+     */
+    const FONT_FILES = [
+        {
+            style: 'normal',
+            file: 'Heebo-Regular.ttf',
+            cdn: 'https://cdn.jsdelivr.net/npm/@expo-google-fonts/heebo@0.4.2/400Regular/Heebo_400Regular.ttf'
+        },
+        {
+            style: 'bold',
+            file: 'Heebo-Bold.ttf',
+            cdn: 'https://cdn.jsdelivr.net/npm/@expo-google-fonts/heebo@0.4.2/700Bold/Heebo_700Bold.ttf'
+        }
+    ];
+
+    const ARABIC_FONT_FILES = [
+        {
+            style: 'normal',
+            file: 'NotoSansArabic-Regular.ttf',
+            cdn: 'https://cdn.jsdelivr.net/npm/@expo-google-fonts/noto-sans-arabic@0.4.3/400Regular/NotoSansArabic_400Regular.ttf'
+        },
+        {
+            style: 'bold',
+            file: 'NotoSansArabic-Bold.ttf',
+            cdn: 'https://cdn.jsdelivr.net/npm/@expo-google-fonts/noto-sans-arabic@0.4.3/700Bold/NotoSansArabic_700Bold.ttf'
+        }
+    ];
+
+    /**
+     * jsPDF bidi engine options: logical Hebrew in, visual left-to-right out
+     */
+    const RTL_TEXT_OPTIONS = {
+        isInputVisual: false,
+        isOutputVisual: true,
+        isInputRtl: true,
+        isOutputRtl: false,
+        isSymmetricSwapping: true
+    };
+
+    /**
+     * The same for a left-to-right paragraph that may embed Hebrew
+     */
+    const LTR_TEXT_OPTIONS = { ...RTL_TEXT_OPTIONS, isInputRtl: false };
+
+    const ARABIC_CHARS = /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/;
+    const HEBREW_CHARS = /[\u0590-\u05FF\u20AA]/; // Hebrew letters and the shekel sign
+    const BIDI_MARKS = /[\u200E\u200F\u061C\u202A-\u202E\u2066-\u2069]/g; // Intl output adds these
+
+    /**
+     * Characters Heebo has no glyph for, and their replacement
+     */
+    const MISSING_GLYPHS = {
+        '→': '-',
+        '✓': 'V'
+    };
+
+    const fontCache = {}; // file -> Promise<base64>
+
+    // ============================================
+    // FONT LOADING
+    // ============================================
+
+    /**
+     * Encode an ArrayBuffer as base64
+     */
+    function toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Fetch a font file as base64, trying each URL in turn
+     */
+    async function fetchFont(urls, fetchFn) {
+        let lastError;
+        for (const url of urls) {
+            try {
+                const response = await fetchFn(url);
+                if (!response.ok) {
+                    throw new Error(`${url}: HTTP ${response.status}`);
+                }
+                return toBase64(await response.arrayBuffer());
+            } catch (e) {
+                lastError = e;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Embed a font family's files in a jsPDF document
+     */
+    async function loadFonts(doc, files, family, options) {
+        const basePath = options.basePath === undefined ? 'fonts/' : options.basePath;
+        const fetchFn = options.fetch || fetch;
+
+        for (const font of files) {
+            if (!fontCache[font.file]) {
+                fontCache[font.file] = fetchFont([basePath + font.file, font.cdn], fetchFn);
+                // Let a failed download be retried on the next export
+                fontCache[font.file].catch(() => delete fontCache[font.file]);
+            }
+            doc.addFileToVFS(font.file, await fontCache[font.file]);
+            doc.addFont(font.file, family, font.style);
+        }
+    }
+
+    /**
+     * Embed the Hebrew font (regular and bold) in a jsPDF document
+     * and make it the current font
+     * @param {Object} doc - jsPDF instance
+     * @param {{basePath?: string, fetch?: Function}} [options]
+     * @returns {Promise<void>}
+     * @throws {Error} when the font could not be fetched from any source
+     */
+    async function loadHebrewFonts(doc, options = {}) {
+        await loadFonts(doc, FONT_FILES, FONT_FAMILY, options);
+        doc.setFont(FONT_FAMILY, 'normal');
+    }
+
+    /**
+     * Embed the Arabic font (regular and bold) alongside the Hebrew one,
+     * which still draws Hebrew and the shekel sign
+     * @param {Object} doc - jsPDF instance
+     * @param {{basePath?: string, fetch?: Function}} [options]
+     * @returns {Promise<void>}
+     * @throws {Error} when the font could not be fetched from any source
+     */
+    async function loadArabicFonts(doc, options = {}) {
+        await loadFonts(doc, ARABIC_FONT_FILES, ARABIC_FONT_FAMILY, options);
+    }
+
+    // ============================================
+    // WRITER
+    // ============================================
+
+    /**
+     * Replace characters the font cannot draw, and drop the direction
+     * marks and no-break spaces that Intl formatting inserts
+     */
+    function sanitize(text) {
+        return String(text)
+            .replace(/[→✓]/g, char => MISSING_GLYPHS[char])
+            .replace(BIDI_MARKS, '')
+            .replace(/[\u00A0\u202F]/g, ' ');
+    }
+
+    /**
+     * Create a top-to-bottom writer over a jsPDF document.
+     * Every method advances the cursor and adds pages as needed.
+     * When the Arabic font is loaded, pass the jsPDF constructor: its bidi
+     * engine orders the runs each line is drawn in.
+     * @param {Object} doc - jsPDF instance with the Hebrew font loaded
+     * @param {{direction?: 'rtl'|'ltr', family?: string, jsPDF?: Function,
+     *          margin?: number, lineHeight?: number}} [options] - margin in mm
+     */
+    function createPdfWriter(doc, options = {}) {
+        const rtl = options.direction !== 'ltr';
+        const family = options.family || FONT_FAMILY;
+        const margin = options.margin || 20;
+        const lineFactor = options.lineHeight || 0.5; // mm per font point
+        const pageWidth = doc.internal.pageSize.getWidth();
+        const pageHeight = doc.internal.pageSize.getHeight();
+        const right = pageWidth - margin;
+        const width = pageWidth - margin * 2;
+        const bidiOptions = rtl ? RTL_TEXT_OPTIONS : LTR_TEXT_OPTIONS;
+        const bidiEngine = options.jsPDF && doc.getFontList()[ARABIC_FONT_FAMILY]
+            ? new options.jsPDF.__bidiEngine__(bidiOptions)
+            : null;
+
+        let y = margin;
+        let fontStyle = 'normal';
+
+        function ensureSpace(height) {
+            if (y + height > pageHeight - margin) {
+                doc.addPage();
+                y = margin;
+            }
+        }
+
+        function setFont(fontFamily, style) {
+            fontStyle = style;
+            doc.setFont(fontFamily, style);
+        }
+
+        /**
+         * Split shaped text into runs of one font, measured in the current size
+         */
+        function fontRuns(value) {
+            const runs = [];
+            Array.from(value).forEach(char => {
+                const last = runs[runs.length - 1];
+                let runFamily = last ? last.family : family;
+                if (ARABIC_CHARS.test(char)) {
+                    runFamily = ARABIC_FONT_FAMILY;
+                } else if (HEBREW_CHARS.test(char)) {
+                    runFamily = FONT_FAMILY;
+                }
+                if (last && last.family === runFamily) {
+                    last.text += char;
+                } else {
+                    runs.push({ family: runFamily, text: char });
+                }
+            });
+            runs.forEach(run => {
+                doc.setFont(run.family, fontStyle);
+                run.width = doc.getTextWidth(run.text);
+            });
+            doc.setFont(family, fontStyle);
+            return runs;
+        }
+
+        function measure(value) {
+            return fontRuns(doc.processArabic(value)).reduce((sum, run) => sum + run.width, 0);
+        }
+
+        /**
+         * Wrap a paragraph to a width. Font runs are measured word by word,
+         * since splitTextToSize only knows the current font.
+         */
+        function wrap(value, maxWidth) {
+            if (!bidiEngine) {
+                return doc.splitTextToSize(value, maxWidth);
+            }
+            return value.split('\n').flatMap(paragraph => paragraph.split(' ').reduce((lines, word) => {
+                const candidate = lines.length > 0 ? `${lines[lines.length - 1]} ${word}` : word;
+                if (lines.length > 0 && measure(candidate) <= maxWidth) {
+                    lines[lines.length - 1] = candidate;
+                } else {
+                    lines.push(word);
+                }
+                return lines;
+            }, []));
+        }
+
+        /**
+         * Draw one line at a baseline, aligned on x
+         */
+        function drawLine(line, x, baseline, align) {
+            if (!bidiEngine) {
+                doc.text(line, x, baseline, { ...bidiOptions, align });
+                return;
+            }
+            const runs = fontRuns(bidiEngine.doBidiReorder(doc.processArabic(line)));
+            const lineWidth = runs.reduce((sum, run) => sum + run.width, 0);
+            let left = { right: x - lineWidth, center: x - lineWidth / 2, left: x }[align];
+            runs.forEach(run => {
+                doc.setFont(run.family, fontStyle);
+                doc.text(run.text, left, baseline);
+                left += run.width;
+            });
+            doc.setFont(family, fontStyle);
+        }
+
+        /**
+         * Write a paragraph, wrapped to the page width
+         * @param {string} value
+         * @param {{size?: number, bold?: boolean, indent?: number,
+         *          align?: 'start'|'center', color?: number[]}} [style]
+         */
+        function text(value, style = {}) {
+            const size = style.size || 11;
+            const indent = style.indent || 0;
+            const lineHeight = size * lineFactor;
+
+            setFont(family, style.bold ? 'bold' : 'normal');
+            doc.setFontSize(size);
+            doc.setTextColor(...(style.color || [44, 62, 80]));
+
+            wrap(sanitize(value), width - indent).forEach(line => {
+                ensureSpace(lineHeight);
+                y += lineHeight;
+                if (style.align === 'center') {
+                    drawLine(line, pageWidth / 2, y, 'center');
+                } else if (rtl) {
+                    drawLine(line, right - indent, y, 'right');
+                } else {
+                    drawLine(line, margin + indent, y, 'left');
+                }
+            });
+            y += lineHeight * 0.3;
+        }
+
+        return {
+            doc,
+
+            /** Current vertical position (mm) */
+            get y() {
+                return y;
+            },
+
+            text,
+
+            title(value) {
+                text(value, { size: 18, bold: true, align: 'center', color: [0, 90, 140] });
+            },
+
+            /** Section heading with a rule underneath */
+            heading(value) {
+                ensureSpace(20);
+                y += 4;
+                text(value, { size: 14, bold: true, color: [0, 90, 140] });
+                doc.setDrawColor(0, 119, 190);
+                doc.line(margin, y, right, y);
+                y += 2;
+            },
+
+            /** "label: value" line */
+            row(label, value, style = {}) {
+                text(`${label}: ${value}`, { indent: 4, ...style });
+            },
+
+            space(height = 4) {
+                y += height;
+            },
+
+            /**
+             * Centered image
+             * @param {string} dataUrl - PNG data URL
+             * @param {number} imageWidth  - mm
+             * @param {number} imageHeight - mm
+             */
+            image(dataUrl, imageWidth, imageHeight) {
+                ensureSpace(imageHeight + 4);
+                doc.addImage(dataUrl, 'PNG', (pageWidth - imageWidth) / 2, y + 2, imageWidth, imageHeight);
+                y += imageHeight + 4;
+            },
+
+            /**
+             * Footer line and page numbers on every page
+             * @param {string} value
+             * @param {function(number, number): string} [pageLabel] - page x of y
+             */
+            footer(value, pageLabel = (page, pages) => `עמוד ${page} מתוך ${pages}`) {
+                const pages = doc.internal.getNumberOfPages();
+                for (let page = 1; page <= pages; page++) {
+                    doc.setPage(page);
+                    setFont(family, 'normal');
+                    doc.setFontSize(8);
+                    doc.setTextColor(108, 117, 125);
+                    drawLine(sanitize(`${value} | ${pageLabel(page, pages)}`), pageWidth / 2, pageHeight - 10, 'center');
+                }
+            }
+        };
+    }
+
+    /**
+     * Right-to-left writer in the Hebrew font
+     * @param {Object} doc - jsPDF instance with the Hebrew font loaded
+     * @param {{margin?: number, lineHeight?: number}} [options] - in mm
+     */
+    function createRtlWriter(doc, options = {}) {
+        return createPdfWriter(doc, { ...options, direction: 'rtl' });
+    }
+
+    return {
+        FONT_FAMILY,
+        ARABIC_FONT_FAMILY,
+        RTL_TEXT_OPTIONS,
+        LTR_TEXT_OPTIONS,
+        loadHebrewFonts,
+        loadArabicFonts,
+        createPdfWriter,
+        createRtlWriter
+    };
+}));
@@ -0,0 +1,281 @@
+/**
+ * Internationalization
+ * Message catalogs (Hebrew, Arabic, English), lookup with placeholders and
+ * plural forms, and locale-aware number, currency and date formatting.
+ * Catalogs live in locales/ and are registered with registerMessages(), so
+ * a language is added without touching the lookup code. Hebrew is the
+ * fallback for keys a catalog does not have yet.
+ *
+ * Browser: loaded as a classic script after tariff-engine.js and before
+ *          locales/*.js, exposed as window.WaterI18n
+ * Node:    const i18n = require('./i18n'); // the bundled catalogs are registered
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        const i18n = factory(require('./tariff-engine'));
+        ['he', 'ar', 'en'].forEach(locale => i18n.registerMessages(locale, require(`./locales/${locale}`)));
+        module.exports = i18n;
+    } else {
+        root.WaterI18n = factory(root.WaterTariffEngine);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine) {
+    'use strict';
+
+    const { TariffEngineError } = engine;
+
+    /**
+     * Supported locales: native name, text direction and the Intl locale
+     * used for formatting. Arabic keeps Latin digits, as printed on bills.
+     */
+    const LOCALES = Object.freeze({
+        he: Object.freeze({ name: 'עברית', dir: 'rtl', intl: 'he-IL' }),
+        ar: Object.freeze({ name: 'العربية', dir: 'rtl', intl: 'ar-IL-u-nu-latn' }),
+        en: Object.freeze({ name: 'English', dir: 'ltr', intl: 'en-IL' })
+    });
+
+    const DEFAULT_LOCALE = 'he';
+    const CURRENCY = 'ILS';
+    const PLURAL_FORMS = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+    const catalogs = { he: {}, ar: {}, en: {} };
+    const formatters = {}; // locale + options -> Intl formatter
+    let currentLocale = DEFAULT_LOCALE;
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /**
+     * A catalog is a nested object of messages. A message is a string with
+     * {name} placeholders, or an object of plural forms (zero, one, two,
+     * few, many, other) chosen by the `count` parameter.
+     * @typedef {Object<string, (string|Object)>} Catalog
+     */
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    function isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    function isPlural(message) {
+        return isObject(message) && typeof message.other === 'string' &&
+            Object.keys(message).every(form => PLURAL_FORMS.includes(form));
+    }
+
+    /**
+     * Deep-merge a catalog into another, later messages replacing earlier ones
+     */
+    function merge(target, source) {
+        Object.keys(source).forEach(key => {
+            if (isObject(source[key]) && !isPlural(source[key]) && isObject(target[key])) {
+                merge(target[key], source[key]);
+            } else {
+                target[key] = source[key];
+            }
+        });
+        return target;
+    }
+
+    function lookup(catalog, key) {
+        return key.split('.').reduce((node, part) => (isObject(node) ? node[part] : undefined), catalog);
+    }
+
+    function validateLocale(locale) {
+        if (!Object.prototype.hasOwnProperty.call(LOCALES, locale)) {
+            throw new TariffEngineError('INVALID_LOCALE', `Locale must be one of ${Object.keys(LOCALES).join('/')}`, 'locale');
+        }
+    }
+
+    function formatter(type, options) {
+        const intl = LOCALES[currentLocale].intl;
+        const cacheKey = `${type}|${intl}|${JSON.stringify(options)}`;
+        if (!formatters[cacheKey]) {
+            formatters[cacheKey] = new Intl[type](intl, options);
+        }
+        return formatters[cacheKey];
+    }
+
+    // ============================================
+    // CATALOGS AND LOCALE
+    // ============================================
+
+    /**
+     * Add messages to a locale's catalog (merged over what is already there)
+     * @param {string} locale
+     * @param {Catalog} messages
+     * @throws {TariffEngineError} INVALID_LOCALE for an unsupported locale
+     */
+    function registerMessages(locale, messages) {
+        validateLocale(locale);
+        if (!isObject(messages)) {
+            throw new TariffEngineError('INVALID_MESSAGES', 'Messages must be an object', 'messages');
+        }
+        merge(catalogs[locale], messages);
+    }
+
+    /**
+     * Switch the locale used by t() and the formatters
+     * @param {string} locale
+     * @throws {TariffEngineError} INVALID_LOCALE for an unsupported locale
+     */
+    function setLocale(locale) {
+        validateLocale(locale);
+        currentLocale = locale;
+    }
+
+    function getLocale() {
+        return currentLocale;
+    }
+
+    /**
+     * Name, direction and Intl locale of a locale (the current one by default)
+     * @param {string} [locale]
+     * @returns {{name: string, dir: 'rtl'|'ltr', intl: string}}
+     */
+    function getLocaleInfo(locale = currentLocale) {
+        validateLocale(locale);
+        return LOCALES[locale];
+    }
+
+    /**
+     * First supported locale among preferred language tags (e.g. navigator.languages)
+     * @param {string[]} languages
+     * @returns {string|null}
+     */
+    function matchLocale(languages) {
+        const match = (languages || [])
+            .map(tag => String(tag).toLowerCase().split('-')[0])
+            .find(language => Object.prototype.hasOwnProperty.call(LOCALES, language));
+        return match || null;
+    }
+
+    // ============================================
+    // MESSAGES
+    // ============================================
+
+    /**
+     * Whether the current locale or the fallback has a message for a key
+     * @param {string} key - dotted path, e.g. 'results.total'
+     */
+    function hasMessage(key) {
+        return lookup(catalogs[currentLocale], key) !== undefined || lookup(catalogs[DEFAULT_LOCALE], key) !== undefined;
+    }
+
+    /**
+     * Translate a message key
+     * @param {string} key - dotted path, e.g. 'results.total'
+     * @param {Object} [params] - placeholder values; `count` selects the plural form
+     * @returns {string} the message, or the key itself when no catalog has it
+     */
+    function t(key, params = {}) {
+        let message = lookup(catalogs[currentLocale], key);
+        if (message === undefined) {
+            message = lookup(catalogs[DEFAULT_LOCALE], key);
+        }
+        if (isPlural(message)) {
+            const form = formatter('PluralRules', {}).select(Number(params.count));
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+        if (typeof message !== 'string') {
+            return key;
+        }
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+            params[name] === undefined ? placeholder : String(params[name])
+        ));
+    }
+
+    // ============================================
+    // FORMATTING
+    // ============================================
+
+    /**
+     * @param {number} value
+     * @param {number} [decimals=2]
+     */
+    function formatNumber(value, decimals = 2) {
+        return formatter('NumberFormat', { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(Number(value));
+    }
+
+    /**
+     * Amount in shekels, with the symbol where the locale puts it
+     * @param {number} value
+     */
+    function formatCurrency(value) {
+        return formatter('NumberFormat', { style: 'currency', currency: CURRENCY }).format(Number(value));
+    }
+
+    /**
+     * Amount and symbol separately, for layouts that style the symbol
+     * @param {number} value
+     * @returns {{amount: string, symbol: string, symbolFirst: boolean}}
+     */
+    function formatCurrencyParts(value) {
+        const parts = formatter('NumberFormat', { style: 'currency', currency: CURRENCY }).formatToParts(Number(value));
+        const symbolIndex = parts.findIndex(part => part.type === 'currency');
+        const numberIndex = parts.findIndex(part => part.type === 'integer');
+        return {
+            amount: parts
+                .filter(part => ['minusSign', 'plusSign', 'integer', 'group', 'decimal', 'fraction'].includes(part.type))
+                .map(part => part.value)
+                .join(''),
+            symbol: parts[symbolIndex].value,
+            symbolFirst: symbolIndex < numberIndex
+        };
+    }
+
+    /**
+     * @param {number} value - percentage points (12.5 for 12.5%)
+     * @param {number} [decimals=1]
+     */
+    function formatPercent(value, decimals = 1) {
+        return formatter('NumberFormat', { style: 'percent', minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+            .format(Number(value) / 100);
+    }
+
+    /**
+     * @param {string} isoDate - YYYY-MM-DD
+     */
+    function formatDate(isoDate) {
+        const [year, month, day] = isoDate.split('-').map(Number);
+        return formatter('DateTimeFormat', { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: 'UTC' })
+            .format(Date.UTC(year, month - 1, day));
+    }
+
+    /**
+     * @param {Date} date
+     */
+    function formatDateTime(date) {
+        return formatter('DateTimeFormat', { dateStyle: 'short', timeStyle: 'short' }).format(date);
+    }
+
+    /**
+     * Month name
+     * @param {number} month - 1 to 12
+     */
+    function formatMonth(month) {
+        return formatter('DateTimeFormat', { month: 'long', timeZone: 'UTC' }).format(Date.UTC(2000, month - 1, 1));
+    }
+
+    return {
+        LOCALES,
+        DEFAULT_LOCALE,
+        registerMessages,
+        setLocale,
+        getLocale,
+        getLocaleInfo,
+        matchLocale,
+        hasMessage,
+        t,
+        formatNumber,
+        formatCurrency,
+        formatCurrencyParts,
+        formatPercent,
+        formatDate,
+        formatDateTime,
+        formatMonth
+    };
+}));
@@ -0,0 +1,261 @@
+/**
+ * Leak Detection
+ * Looks for leaks in a meter reading history (periodic or daily) and in
+ * optional minimum night-flow readings: a steady flow at night when nobody
+ * uses water, or consumption that stays above the same season's level.
+ * Estimates the leaked volume and prices it at the full tariff, since
+ * leaked water comes on top of the household's normal use.
+ *
+ * Browser: loaded as a classic script after tariff-engine.js and
+ *          meter-readings.js, exposed as window.WaterLeakDetection
+ * Node:    const leaks = require('./leak-detection');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./tariff-engine'), require('./meter-readings'));
+    } else {
+        root.WaterLeakDetection = factory(root.WaterTariffEngine, root.WaterMeterReadings);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine, meterReadings) {
+    'use strict';
+
+    const { TariffEngineError, CURRENT_YEAR, MS_PER_DAY, getTariffs, isSupportedYear, toUtc, fromUtc } = engine;
+    const { intervalsFromHistory, consumptionBetween } = meterReadings;
+
+    /**
+     * Default thresholds, each overridable in the options
+     */
+    const LEAK_DEFAULTS = {
+        anomalyPercent: 30,         // daily use above the expected rate by more than this is an anomaly
+        persistentIntervals: 2,     // trailing anomalous intervals that count as a persistent excess
+        nightFlowLitersPerHour: 1,  // night flow above this means water runs when it should not
+        persistentNights: 3         // trailing night readings above the threshold that count as a leak
+    };
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /**
+     * Lowest flow seen on the meter during the night, when no water is used
+     * @typedef {Object} NightFlowReading
+     * @property {string} date           - YYYY-MM-DD
+     * @property {number} litersPerHour
+     */
+
+    /**
+     * @typedef {Object} IntervalAnalysis
+     * @property {string}  startDate
+     * @property {string}  endDate
+     * @property {number}  days
+     * @property {number}  consumption       - m³
+     * @property {number}  dailyRate         - m³ per day
+     * @property {number|null} expectedDailyRate - same period a year earlier, else the median of the other intervals
+     * @property {boolean} seasonal          - whether the expectation comes from the same season
+     * @property {number|null} excessPercent
+     * @property {boolean} anomaly
+     */
+
+    /**
+     * @typedef {Object} LeakEstimate
+     * @property {boolean} detected
+     * @property {'nightFlow'|'consumption'|null} source
+     * @property {string|null} since       - first date the leak is seen
+     * @property {number} days
+     * @property {number} volume           - m³ leaked since `since`
+     * @property {number} dailyVolume      - m³ per day
+     * @property {number} tariffYear
+     * @property {number} fullTariff       - NIS per m³
+     * @property {number} cost             - NIS for `volume`
+     * @property {number} dailyCost        - NIS per day while the leak continues
+     */
+
+    /**
+     * @typedef {Object} LeakAnalysis
+     * @property {IntervalAnalysis[]} intervals
+     * @property {IntervalAnalysis[]} anomalies
+     * @property {{readings: NightFlowReading[], persistent: boolean,
+     *             baseline: number|null, since: string|null}} nightFlow
+     * @property {LeakEstimate} leak
+     */
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    /**
+     * The same calendar date a year earlier (29 February becomes 28 February)
+     */
+    function yearBefore(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        const time = Date.UTC(year - 1, month - 1, day);
+        return new Date(time).getUTCMonth() === month - 1 ? fromUtc(time) : fromUtc(Date.UTC(year - 1, month - 1, day - 1));
+    }
+
+    function median(values) {
+        if (values.length === 0) {
+            return null;
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Validate night-flow readings and sort them by date
+     * @returns {NightFlowReading[]}
+     * @throws {TariffEngineError}
+     */
+    function normalizeNightFlow(readings) {
+        if (readings === undefined || readings === null) {
+            return [];
+        }
+        if (!Array.isArray(readings)) {
+            throw new TariffEngineError('INVALID_NIGHT_FLOW', 'Night-flow readings must be an array', 'nightFlow');
+        }
+        return readings.map((entry, index) => {
+            const litersPerHour = Number(entry && entry.litersPerHour);
+            if (!entry || Number.isNaN(toUtc(entry.date)) || entry.litersPerHour === '' || !Number.isFinite(litersPerHour) || litersPerHour < 0) {
+                throw new TariffEngineError('INVALID_NIGHT_FLOW', `Night-flow reading #${index + 1} needs a YYYY-MM-DD date and a non-negative flow`, 'nightFlow');
+            }
+            return { date: entry.date, litersPerHour };
+        }).sort((a, b) => toUtc(a.date) - toUtc(b.date));
+    }
+
+    // ============================================
+    // ANALYSIS
+    // ============================================
+
+    /**
+     * Daily rate of each interval against the expected rate
+     * @returns {IntervalAnalysis[]}
+     */
+    function analyzeIntervals(readings, settings) {
+        const intervals = intervalsFromHistory(readings, settings);
+        const rates = intervals.map(interval => interval.consumption / interval.days);
+
+        return intervals.map((interval, index) => {
+            let expectedDailyRate = null;
+            let seasonal = false;
+            try {
+                const lastYear = consumptionBetween(readings, yearBefore(interval.startDate), yearBefore(interval.endDate), settings);
+                expectedDailyRate = lastYear.consumption / interval.days;
+                seasonal = true;
+            } catch (e) {
+                if (!(e instanceof TariffEngineError)) {
+                    throw e;
+                }
+                // No history a year back: compare with the other intervals
+                expectedDailyRate = median(rates.filter((rate, other) => other !== index));
+            }
+
+            const dailyRate = rates[index];
+            const excessPercent = expectedDailyRate > 0 ? ((dailyRate - expectedDailyRate) / expectedDailyRate) * 100 : null;
+            return {
+                startDate: interval.startDate,
+                endDate: interval.endDate,
+                days: interval.days,
+                consumption: interval.consumption,
+                dailyRate,
+                expectedDailyRate,
+                seasonal,
+                excessPercent,
+                anomaly: excessPercent !== null && excessPercent > settings.anomalyPercent
+            };
+        });
+    }
+
+    /**
+     * Trailing run of night readings above the threshold
+     */
+    function analyzeNightFlow(nightFlow, settings) {
+        let start = nightFlow.length;
+        while (start > 0 && nightFlow[start - 1].litersPerHour > settings.nightFlowLitersPerHour) {
+            start--;
+        }
+        const run = nightFlow.slice(start);
+        const persistent = run.length >= settings.persistentNights;
+        return {
+            readings: nightFlow,
+            persistent,
+            // The lowest flow in the run, so a single high night does not inflate the estimate
+            baseline: persistent ? Math.min(...run.map(entry => entry.litersPerHour)) : null,
+            since: persistent ? run[0].date : null
+        };
+    }
+
+    /**
+     * Analyse a reading history for leaks
+     * @param {Object[]} readings - meter-readings MeterReading list (may be empty)
+     * @param {NightFlowReading[]} [nightFlow]
+     * @param {Object} [options] - LEAK_DEFAULTS overrides, plus `year` for the tariff
+     *                             and `meterDigits` for rollover
+     * @returns {LeakAnalysis}
+     * @throws {TariffEngineError} for invalid readings
+     */
+    function analyzeLeaks(readings, nightFlow, options = {}) {
+        const settings = { ...LEAK_DEFAULTS, ...options };
+        const intervals = readings.length > 1 ? analyzeIntervals(readings, settings) : [];
+        const night = analyzeNightFlow(normalizeNightFlow(nightFlow), settings);
+
+        const lastDates = [
+            intervals.length > 0 ? intervals[intervals.length - 1].endDate : null,
+            night.readings.length > 0 ? night.readings[night.readings.length - 1].date : null
+        ].filter(Boolean).sort();
+        const end = lastDates[lastDates.length - 1] || null;
+
+        let source = null;
+        let since = null;
+        let days = 0;
+        let volume = 0;
+
+        if (night.persistent) {
+            source = 'nightFlow';
+            since = night.since;
+            days = Math.max(1, Math.round((toUtc(end) - toUtc(since)) / MS_PER_DAY));
+            volume = (night.baseline * 24 / 1000) * days;
+        } else {
+            let start = intervals.length;
+            while (start > 0 && intervals[start - 1].anomaly) {
+                start--;
+            }
+            const run = intervals.slice(start);
+            if (run.length >= settings.persistentIntervals) {
+                source = 'consumption';
+                since = run[0].startDate;
+                days = run.reduce((total, interval) => total + interval.days, 0);
+                volume = run.reduce((total, interval) => total + interval.consumption - interval.expectedDailyRate * interval.days, 0);
+            }
+        }
+
+        const endYear = end ? Number(end.slice(0, 4)) : CURRENT_YEAR;
+        const tariffYear = options.year || (isSupportedYear(endYear) ? endYear : CURRENT_YEAR);
+        const fullTariff = getTariffs(tariffYear).full;
+        const dailyVolume = days > 0 ? volume / days : 0;
+
+        return {
+            intervals,
+            anomalies: intervals.filter(interval => interval.anomaly),
+            nightFlow: night,
+            leak: {
+                detected: source !== null,
+                source,
+                since,
+                days,
+                volume,
+                dailyVolume,
+                tariffYear,
+                fullTariff,
+                cost: volume * fullTariff,
+                dailyCost: dailyVolume * fullTariff
+            }
+        };
+    }
+
+    return {
+        LEAK_DEFAULTS,
+        normalizeNightFlow,
+        analyzeLeaks
+    };
+}));
@@ -0,0 +1,687 @@
+/**
+ * Arabic messages
+ *
+ * Browser: loaded as a classic script after i18n.js
+ * Node:    registered by require('./i18n')
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.WaterI18n.registerMessages('ar', factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    return {
+        meta: {
+            title: 'حاسبة فاتورة المياه في إسرائيل 2026',
+            description: 'حاسبة فاتورة المياه في إسرائيل 2026 - افحصوا صحة فاتورة المياه الخاصة بكم'
+        },
+        header: {
+            title: 'حاسبة فاتورة المياه',
+            subtitle: 'افحصوا صحة فاتورة المياه حسب تعرفة 2026 المحدّثة',
+            language: 'اللغة'
+        },
+        nav: {
+            calculator: 'حاسبة المياه',
+            errors: 'فحص الأخطاء',
+            history: 'السجل والاتجاهات',
+            projection: 'التوقع والميزانية',
+            leaks: 'فحص التسرّب',
+            building: 'التقسيم في المبنى'
+        },
+        infoAlert: 'التعرفة سارية لعام 2026 | مخفّضة: 8.508 ₪/م³ | كاملة: 15.623 ₪/م³',
+        instructions: {
+            toggle: 'كيف تُستخدم الحاسبة؟',
+            title: 'دليل استخدام الحاسبة',
+            findConsumption: {
+                title: '1. ابحثوا عن بيانات الاستهلاك في فاتورة المياه:',
+                text: 'ابحثوا في الفاتورة عن كمية الاستهلاك بالمتر المكعب (م³). تظهر عادةً في الجزء العلوي من الفاتورة.'
+            },
+            persons: {
+                title: '2. أدخلوا عدد الأنفس في البيت:',
+                text: 'يحق لكل نفس 3.5 م³ شهرياً بالتعرفة المخفّضة (نحو 115 لتراً يومياً). إذا لم تصرّحوا عن عدد الأنفس، تحسب الشركة نفسين كقيمة افتراضية.'
+            },
+            period: {
+                title: '3. اختاروا فترة الفوترة:',
+                text: 'معظم شركات المياه تصدر فاتورة كل شهرين. تحققوا من فترة الفوترة في فاتورتكم.'
+            },
+            disability: {
+                title: '4. الإعاقة:',
+                text: 'إذا كان في البيت شخص بنسبة إعاقة 70% أو أكثر معترف بها في مؤسسة التأمين الوطني، فأشّروا على المربع. يمنح ذلك 3.5 م³ إضافية بالتعرفة المخفّضة.'
+            },
+            declare: {
+                title: '5. كيف تصرّحون عن عدد الأنفس:',
+                text: 'توجهوا إلى شركة المياه المحلية مع بطاقات هوية جميع أفراد البيت. معظم الشركات تتيح التصريح عبر الموقع أو الهاتف.'
+            },
+            whenToCheck: {
+                title: 'متى يجب فحص الأخطاء:',
+                text: 'افحصوا فاتورتكم إذا: ارتفع المبلغ بشكل حاد دون سبب، أو كان عدد الأنفس في الفاتورة خاطئاً، أو كان الاستهلاك مرتفعاً بشكل غير عادي (قد يكون هناك تسرّب).'
+            }
+        },
+        form: {
+            title: 'حساب فاتورة المياه',
+            city: {
+                label: 'البلدة / شركة المياه (اختياري):',
+                placeholder: 'اكتبوا اسم بلدة أو شركة',
+                hint: 'اختيار البلدة يملأ فترة الفوترة والرسوم الإضافية للشركة',
+                notFound: 'البلدة غير موجودة في القائمة - أدخلوا فترة الفوترة والرسوم الإضافية يدوياً',
+                corporation: 'شركة المياه: {name}'
+            },
+            consumption: {
+                label: 'استهلاك المياه (متر مكعب):',
+                placeholder: 'مثال: 18.5',
+                hint: 'أدخلوا كمية المياه المستهلكة كما تظهر في الفاتورة'
+            },
+            readings: {
+                toggle: 'حساب الاستهلاك حسب قراءات العداد',
+                previousValue: 'القراءة السابقة (م³)',
+                previousPlaceholder: 'مثال: 1234.5',
+                previousDate: 'تاريخ القراءة السابقة',
+                currentValue: 'القراءة الحالية (م³)',
+                currentPlaceholder: 'مثال: 1258.2',
+                currentDate: 'تاريخ القراءة الحالية',
+                replaced: 'استُبدل العداد بين القراءتين',
+                oldFinal: 'القراءة الأخيرة في العداد القديم',
+                newInitial: 'القراءة الأولى في العداد الجديد',
+                newInitialPlaceholder: 'عادةً 0',
+                calculate: 'احسب الاستهلاك',
+                save: 'احفظ في السجل',
+                fromHistory: 'الاستهلاك لتواريخ الفترة من السجل',
+                date: 'التاريخ',
+                reading: 'القراءة',
+                sinceLast: 'الاستهلاك منذ القراءة السابقة',
+                result: 'الاستهلاك المحسوب: {consumption} خلال {days}',
+                rollover: ' (عاد العداد إلى الصفر بعد بلوغ قيمته القصوى)',
+                withReplacement: ' (يشمل استبدال العداد)',
+                saved: 'حُفظت القراءات في السجل',
+                historyEstimated: 'الاستهلاك المقدّر من السجل: {consumption} (قُدّر بين القراءات حسب عدد الأيام)',
+                historyExact: 'الاستهلاك من السجل: {consumption}',
+                newMeter: ' (عداد جديد)',
+                calculateInterval: 'احسب الفاتورة لهذه الفترة',
+                remove: 'احذف القراءة'
+            },
+            consumerType: {
+                label: 'نوع المستهلك:',
+                residential: 'منزلي',
+                business: 'تجاري (تعرفة موحّدة)',
+                garden: 'حديقة (حصة ري)',
+                agriculture: 'مزرعة منزلية زراعية (حصة زراعية)',
+                hint: 'المستهلك غير المنزلي ليس له مخصص حسب الأنفس - أدخلوا التعرفة والحصة من الفاتورة أو من المصادقة'
+            },
+            rates: {
+                label: 'تعرفة المستهلك (من الفاتورة أو المصادقة):',
+                flat: 'تعرفة موحّدة (₪ للمتر المكعب)',
+                quota: 'الحصة (م³ شهرياً)',
+                quotaRate: 'التعرفة ضمن الحصة (₪ للمتر المكعب)',
+                excessRate: 'التعرفة فوق الحصة (₪ للمتر المكعب)'
+            },
+            persons: {
+                label: 'عدد الأنفس في البيت:',
+                option: { one: 'نفس واحدة', two: 'نفسان', few: '{count} أنفس', many: '{count} نفساً', other: '{count} نفس' },
+                tenOrMore: '10+ أنفس',
+                hint: 'يحق لكل نفس 3.5 م³ شهرياً بالتعرفة المخفّضة'
+            },
+            period: {
+                label: 'فترة الفوترة:',
+                monthly: 'شهرية',
+                bimonthly: 'كل شهرين',
+                hint: 'معظم الفواتير تصدر كل شهرين'
+            },
+            dates: {
+                label: 'تواريخ فترة الفوترة (اختياري):',
+                start: 'تاريخ بداية الفترة',
+                end: 'تاريخ نهاية الفترة',
+                separator: 'حتى',
+                hint: 'إذا تغيّرت التعرفة خلال الفترة، يُقسَّم الاستهلاك بالتناسب حسب الأيام'
+            },
+            disability: {
+                label: 'في البيت شخص بنسبة إعاقة 70%+ (التأمين الوطني)',
+                hint: 'يضيف ذلك 3.5 م³ بالتعرفة المخفّضة'
+            },
+            members: {
+                toggle: 'تفصيل الأنفس: شخص انتقل للسكن أو غادر خلال الفترة، أو أكثر من شخص واحد ذو إعاقة',
+                name: 'الاسم',
+                from: 'انتقل/ت للسكن',
+                to: 'غادر/ت',
+                disability: 'إعاقة 70%+',
+                add: 'أضف نفساً',
+                hint: 'تحصل كل نفس على مخصص حسب الأيام التي سكنت فيها البيت خلال فترة الفوترة (اتركوا التاريخ فارغاً إذا سكنت طوال الفترة). تواريخ الانتقال والمغادرة تتطلب تواريخ فترة الفوترة. لا يؤخذ في الحساب عدد الأنفس ومربع الإعاقة أعلاه.',
+                defaultName: 'نفس {number}',
+                fromDate: 'تاريخ الانتقال',
+                toDate: 'تاريخ المغادرة',
+                remove: 'أزل النفس'
+            },
+            eligibility: {
+                label: 'استحقاقات إضافية (اختياري):',
+                foster: 'أطفال في رعاية بديلة في البيت',
+                medical: 'حالة طبية - الكمية المصادق عليها (م³ شهرياً)',
+                institution: 'إطار مؤسساتي - الكمية المصادق عليها (م³ شهرياً)',
+                hint: 'يُحسب أطفال الرعاية البديلة كأنفس في البيت. للإضافة لأسباب طبية أو لإطار مؤسساتي أدخلوا الكمية الواردة في المصادقة.'
+            },
+            fees: {
+                label: 'رسوم إضافية للشركة (اختياري):',
+                fixed: 'رسوم خدمة ثابتة (₪ شهرياً)',
+                sewage: 'مجاري (₪ للمتر المكعب)',
+                other: 'رسوم أخرى (₪ للفاتورة)',
+                hint: 'انسخوا من الفاتورة الرسوم الثابتة ورسوم المجاري كي يطابق المبلغ الإجمالي الفاتورة الفعلية'
+            },
+            year: {
+                label: 'مقارنة بسنة:',
+                hint: 'اختاروا سنة أخرى لرؤية الفرق في السعر',
+                current: '{year} (الحالية)',
+                compare: '{year} (للمقارنة)'
+            },
+            submit: 'احسب فاتورة المياه'
+        },
+        units: {
+            cubic: '{value} م³',
+            cubicShort: 'م³',
+            ratePerCubic: '{value} ₪/م³',
+            perMonth: '{value} م³ شهرياً',
+            days: { zero: '{count} يوم', one: 'يوم واحد', two: 'يومان', few: '{count} أيام', many: '{count} يوماً', other: '{count} يوم' },
+            litersPerHour: '{value} لتر في الساعة'
+        },
+        common: {
+            yes: 'نعم',
+            no: 'لا',
+            range: '{from} - {to}'
+        },
+        consumerTypes: {
+            residential: 'منزلي',
+            business: 'تجاري',
+            garden: 'حديقة',
+            agriculture: 'مزرعة منزلية زراعية'
+        },
+        tiers: {
+            tiered: { reduced: 'تعرفة مخفّضة', full: 'تعرفة كاملة', reducedTitle: 'المخصص بالتعرفة المخفّضة', fullTitle: 'الاستهلاك الزائد بالتعرفة الكاملة', allocation: 'المخصص بالتعرفة المخفّضة' },
+            flat: { reduced: 'بدون مخصص', full: 'تعرفة موحّدة', reducedTitle: 'بدون مخصص مخفّض', fullTitle: 'كل الاستهلاك بتعرفة موحّدة', allocation: 'المخصص' },
+            quota: { reduced: 'ضمن الحصة', full: 'فوق الحصة', reducedTitle: 'الاستهلاك ضمن الحصة', fullTitle: 'الاستهلاك فوق الحصة', allocation: 'الحصة للفترة' }
+        },
+        fees: {
+            fixed: 'رسوم خدمة ثابتة',
+            sewage: 'مجاري',
+            other: 'رسوم أخرى',
+            basis: { monthly: 'أشهر', cubic: 'م³', bill: 'فاتورة' }
+        },
+        eligibility: {
+            foster: 'أطفال في رعاية بديلة',
+            medical: 'حالة طبية تستوجب مياهاً إضافية',
+            institution: 'إطار مؤسساتي',
+            children: { one: 'طفل واحد', two: 'طفلان', few: '{count} أطفال', many: '{count} طفلاً', other: '{count} طفل' },
+            impact: '+{value} بالتعرفة المخفّضة'
+        },
+        results: {
+            title: 'نتائج الحساب',
+            rate: 'التعرفة:',
+            fees: 'رسوم إضافية',
+            total: 'المبلغ الإجمالي للدفع',
+            minCharge: '* طُبّق حد أدنى للفوترة قدره {amount} م³ لفترة شهرين',
+            periods: {
+                title: 'تفصيل حسب فترات التعرفة',
+                period: 'الفترة',
+                days: 'الأيام',
+                consumption: 'الاستهلاك (م³)',
+                reduced: 'مخفّضة (م³ × ₪)',
+                full: 'كاملة (م³ × ₪)',
+                cost: 'التكلفة'
+            },
+            members: {
+                title: 'المخصص حسب الأنفس',
+                member: 'النفس',
+                days: 'الأيام في الفترة',
+                share: 'الجزء من الفترة',
+                allocation: 'المخصص المخفّض (م³)',
+                wholePeriod: 'كل الفترة',
+                disability: 'إعاقة 70%+'
+            },
+            eligibility: {
+                title: 'استحقاقات إضافية',
+                category: 'الاستحقاق',
+                detail: 'التفاصيل',
+                impact: 'التأثير على الفاتورة'
+            },
+            comparison: {
+                title: 'مقارنة بالسنوات',
+                current: '{year} (الحالية):',
+                other: '{year}:',
+                difference: 'الفرق:',
+                noTariff: 'لا توجد تعرفة لسنة {year} في تواريخ فترة الفوترة، لذلك لا تظهر المقارنة'
+            },
+            chart: {
+                title: 'توزيع التكلفة حسب التعرفة',
+                titleWithFees: 'توزيع التكلفة حسب التعرفة والرسوم',
+                tier: '{label} ({consumption})'
+            }
+        },
+        savings: {
+            title: 'محاكي التوفير - ماذا لو؟',
+            intro: 'املأوا تغييراً واحداً أو أكثر لرؤية الفاتورة الجديدة إلى جانب الفاتورة الحالية. يمكن قياس سرعة التدفق بدلو: كم لتراً يمتلئ في دقيقة.',
+            shower: 'استحمام أقصر',
+            showerMinutes: 'دقائق أقل يومياً',
+            showerFlow: 'تدفق الدش (لتر في الدقيقة)',
+            fixture: 'موفّر مياه / حنفية موفّرة',
+            fixtureMinutes: 'دقائق الاستخدام يومياً',
+            fixtureCurrent: 'التدفق حالياً (لتر في الدقيقة)',
+            fixtureNew: 'التدفق بعد الاستبدال (لتر في الدقيقة)',
+            leak: 'إصلاح تسرّب',
+            leakFlow: 'تدفق التسرّب (لتر في الساعة)',
+            leakHint: 'حسب فحص التدفق الليلي',
+            allocation: 'المخصص',
+            extraPersons: 'أنفس إضافية للتصريح',
+            disability: 'الاستفادة من امتياز الإعاقة',
+            run: 'احسبوا التوفير',
+            noChanges: 'املأوا تغييراً واحداً على الأقل في المحاكي',
+            current: 'الفاتورة الحالية',
+            combined: 'كل التغييرات',
+            consumption: 'الاستهلاك (م³)',
+            reduced: 'بالتعرفة المخفّضة (م³)',
+            full: 'بالتعرفة الكاملة (م³)',
+            total: 'المجموع للدفع',
+            perBill: 'التوفير لكل فاتورة',
+            monthly: 'التوفير الشهري',
+            annual: 'التوفير السنوي',
+            underAllocation: 'تحت المخصص',
+            allReduced: 'كل الاستهلاك بالتعرفة المخفّضة',
+            scenarios: {
+                showerMinutes: 'استحمام أقصر',
+                lowFlowFixture: 'موفّر مياه',
+                fixLeak: 'إصلاح تسرّب',
+                extraPersons: 'أنفس إضافية',
+                disability: 'امتياز الإعاقة'
+            }
+        },
+        actions: {
+            pdf: 'تصدير إلى PDF',
+            csv: 'تصدير إلى CSV',
+            json: 'تصدير إلى JSON',
+            reset: 'حساب جديد'
+        },
+        share: {
+            includeChecker: 'تضمين بيانات فحص الفاتورة في الرابط',
+            copy: 'نسخ رابط للحساب',
+            link: 'رابط الحساب',
+            hint: 'من يفتح الرابط يرى نفس الحساب - البيانات محفوظة في الرابط نفسه ولا تُرسل إلى أي خادم',
+            copied: 'نُسخ الرابط',
+            openedOtherYear: 'فُتح الحساب من رابط أُنشئ حسب تعرفة {linkYear}؛ النتائج محسوبة حسب تعرفة {year}.',
+            opened: 'فُتح الحساب من رابط مشترك ولم يُحفظ على هذا الجهاز.'
+        },
+        check: {
+            title: 'فحص الأخطاء في فاتورة المياه',
+            description: 'اكتشفوا الأخطاء الشائعة في فاتورة المياه وتعرّفوا على كيفية تصحيحها',
+            toggle: 'افحصوا فاتورتكم بحثاً عن أخطاء',
+            actualAmount: {
+                label: 'المبلغ في الفاتورة الفعلية (₪):',
+                placeholder: 'مثال: 145.50',
+                hint: 'المبلغ الظاهر في فاتورة المياه التي وصلتكم'
+            },
+            billingType: {
+                label: 'نوع القراءة:',
+                actual: 'قراءة العداد',
+                estimated: 'تقدير',
+                unknown: 'لا أعرف',
+                hint: 'تحققوا في الفاتورة مما إذا كانت قراءة عداد أم تقديراً'
+            },
+            previous: {
+                label: 'الاستهلاك في الفاتورة السابقة (م³):',
+                placeholder: 'مثال: 16.2',
+                hint: 'يساعد في كشف التغييرات غير العادية في الاستهلاك'
+            },
+            meterReading: {
+                label: 'قراءة العداد الحالية (اختياري):',
+                placeholder: 'مثال: 1234.5',
+                hint: 'صوّروا العداد واكتبوا الرقم الظاهر'
+            },
+            submit: 'افحصوا الأخطاء',
+            resultsTitle: 'نتائج فحص الأخطاء',
+            noErrors: {
+                title: 'لم يُعثر على أخطاء',
+                text: 'فاتورتكم تبدو سليمة حسب فحصنا.'
+            },
+            summary: {
+                title: 'ملخص المقارنة',
+                actual: 'الفاتورة الفعلية:',
+                expected: 'الحساب المتوقع:',
+                expectedWithFees: 'الحساب المتوقع (شامل الرسوم الإضافية):',
+                difference: 'الفرق:'
+            },
+            implied: {
+                title: 'ما تفترضه الفاتورة (حسب المبلغ المطلوب)',
+                consumptionHousehold: 'الاستهلاك (بعدد الأنفس والتعرفة كما أُدخلت):',
+                consumptionRates: 'الاستهلاك (بالتعرفة التي أُدخلت):',
+                consumptionNone: 'لا يوجد استهلاك يصل إلى هذا المبلغ',
+                belowMinimum: 'أقل من الحد الأدنى للفوترة',
+                persons: 'عدد الأنفس (بالاستهلاك كما أُدخل):',
+                personsNone: 'لا يوجد عدد أنفس يطابق المبلغ',
+                personsRange: '{from}-{to} أنفس',
+                personsCount: { one: 'نفس واحدة', two: 'نفسان', few: '{count} أنفس', many: '{count} نفساً', other: '{count} نفس' },
+                year: 'سنة التعرفة:',
+                yearNone: 'لا يطابق أي سنة'
+            },
+            whatToDo: 'ماذا تفعلون:',
+            contact: 'التوجه إلى {name}: {details}',
+            contactOnBill: 'التوجه إلى {name} - تفاصيل الاتصال تظهر على الفاتورة',
+            consumptionRequired: 'الرجاء إدخال كمية استهلاك صحيحة في الحاسبة الرئيسية'
+        },
+        dispute: {
+            title: 'رسالة اعتراض إلى شركة المياه',
+            intro: 'اختاروا النتائج التي تريدون تضمينها واملأوا بيانات البيت. تُكتب الرسالة بالعبرية مع بيانات الحساب، ويمكنكم تعديلها قبل الإرسال.',
+            name: 'الاسم الكامل:',
+            address: 'عنوان العقار:',
+            account: 'رقم الحساب / المستهلك:',
+            accountHint: 'يظهر في أعلى فاتورة المياه',
+            phone: 'الهاتف:',
+            email: 'البريد الإلكتروني:',
+            generate: 'أنشئوا رسالة اعتراض',
+            text: 'نص الرسالة',
+            legalNote: 'الإشارات إلى التشريعات واردة دون أرقام البنود - يُنصح بالتحقق من الصيغة المحدّثة قبل الإرسال.',
+            downloadPdf: 'تنزيل كملف PDF',
+            downloadText: 'تنزيل كنص',
+            copy: 'نسخ',
+            copied: 'نُسخت الرسالة',
+            findings: {
+                overcharge: 'احتساب زائد',
+                personsMismatch: 'احتساب حسب عدد أنفس خاطئ',
+                wrongTariffYear: 'احتساب حسب تعرفة سنة أخرى',
+                duplicatePeriod: 'فاتورة مزدوجة لنفس الفترة',
+                estimation: 'احتساب حسب التقدير',
+                spike: 'ارتفاع حاد في الاستهلاك',
+                disability: 'مخصص الإعاقة'
+            }
+        },
+        audit: {
+            title: 'فحص فواتير سابقة من ملف CSV',
+            intro: 'ارفعوا ملف CSV يحتوي على الأعمدة <code>date, consumption, persons, period, billedAmount</code> (التاريخ بصيغة YYYY-MM-DD). تُحسب كل فاتورة حسب تعرفة سنتها ويُشار إليها إذا بدت خاطئة. تُطبَّق الرسوم الإضافية من الحاسبة الرئيسية على جميع الفواتير.',
+            choose: 'اختاروا ملف CSV',
+            date: 'التاريخ',
+            consumption: 'الاستهلاك (م³)',
+            persons: 'الأنفس',
+            calculated: 'الحساب',
+            billed: 'المبلغ الفعلي',
+            status: 'الحالة',
+            findings: 'النتائج',
+            exportCsv: 'تصدير النتائج إلى CSV',
+            addToHistory: 'أضف إلى السجل',
+            summary: {
+                one: 'فُحصت فاتورة واحدة:',
+                two: 'فُحصت فاتورتان:',
+                few: 'فُحصت {count} فواتير:',
+                other: 'فُحصت {count} فاتورة:'
+            },
+            statuses: {
+                error: 'تبدو خاطئة',
+                warning: 'للفحص',
+                ok: 'سليمة',
+                invalid: 'تعذّر الحساب'
+            },
+            parseError: 'السطر {line}: {message}',
+            rowErrors: {
+                date: 'يجب أن يكون التاريخ صالحًا بصيغة YYYY-MM-DD',
+                consumption: 'يجب أن يكون الاستهلاك رقمًا، 0 أو أكثر',
+                persons: 'يجب أن يكون عدد الأفراد عددًا صحيحًا، 1 أو أكثر',
+                period: 'يجب أن تكون فترة الفوترة عددًا صحيحًا من الأشهر',
+                billedAmount: 'يجب أن يكون المبلغ في الفاتورة رقمًا، 0 أو أكثر'
+            },
+            added: {
+                one: 'أُضيفت فاتورة واحدة إلى السجل',
+                two: 'أُضيفت فاتورتان إلى السجل',
+                few: 'أُضيفت {count} فواتير إلى السجل',
+                other: 'أُضيفت {count} فاتورة إلى السجل'
+            }
+        },
+        commonErrors: {
+            title: 'أخطاء شائعة في فواتير المياه',
+            solution: 'الحل:',
+            estimation: {
+                title: 'فوترة حسب التقدير',
+                text: 'تحسب الشركة حسب تقدير بدلاً من قراءة العداد. قد يؤدي ذلك إلى احتساب زائد أو ناقص.',
+                solution: 'صوّروا العداد وأرسلوا الصورة إلى شركة المياه للتحديث واسترداد المبلغ عند الحاجة.'
+            },
+            persons: {
+                title: 'عدد أنفس خاطئ',
+                text: 'تحسب الشركة نفسين كقيمة افتراضية إذا لم تصرّحوا عن عدد الأنفس.',
+                solution: 'توجهوا إلى الشركة مع بطاقات الهوية لتحديث عدد الأنفس.'
+            },
+            reading: {
+                title: 'خطأ في قراءة العداد',
+                text: 'قراءة خاطئة من قارئ العدادات - خطأ بشري في إدخال البيانات.',
+                solution: 'صوّروا العداد وقارنوه بالفاتورة. توجهوا إلى الشركة للتصحيح.'
+            },
+            spike: {
+                title: 'ارتفاع حاد في الاستهلاك',
+                text: 'ارتفاع مفاجئ وحاد في الاستهلاك قد يشير إلى تسرّب أو عداد معطّل.',
+                solution: 'افحصوا وجود تسرّب في الشبكة. إذا لم يوجد - اطلبوا فحص العداد.'
+            },
+            disability: {
+                title: 'عدم تفعيل تخفيض الإعاقة',
+                text: 'الإعاقة بنسبة 70%+ تمنح 3.5 م³ إضافية بالتعرفة المخفّضة لا تُفعَّل دائماً.',
+                solution: 'توجهوا إلى الشركة مع مصادقة من التأمين الوطني لتفعيل التخفيض.'
+            },
+            tariff: {
+                title: 'خطأ في حساب التعرفة',
+                text: 'استخدام تعرفة خاطئة أو حساب خاطئ لدرجات التعرفة.',
+                solution: 'استخدموا حاسبتنا للمقارنة وتوجهوا إلى الشركة عند الحاجة.'
+            }
+        },
+        history: {
+            title: 'سجل الفواتير والاتجاهات',
+            description: 'يُحفظ كل حساب في المتصفح مع المبلغ المطلوب فعلياً، لمتابعة الاستهلاك والتكلفة على مدار السنة',
+            emptyTitle: 'لا توجد فواتير محفوظة بعد',
+            emptyText: 'احسبوا فاتورة مياه في الحاسبة وستُضاف إلى السجل.',
+            date: 'التاريخ',
+            consumption: 'الاستهلاك (م³)',
+            split: 'مخفّضة / كاملة (م³)',
+            calculated: 'الحساب',
+            billed: 'المبلغ الفعلي',
+            clear: 'احذف السجل',
+            clearConfirm: 'هل تريدون حذف سجل الفواتير كله؟',
+            remove: 'احذف الإدخال',
+            chart: {
+                title: 'الاستهلاك والتكلفة على مر الزمن',
+                reduced: 'تعرفة مخفّضة (م³)',
+                full: 'تعرفة كاملة (م³)',
+                calculated: 'التكلفة المحسوبة (₪)',
+                billed: 'المبلغ الفعلي (₪)'
+            }
+        },
+        projection: {
+            title: 'التوقع السنوي والميزانية',
+            description: 'أدخلوا الاستهلاك في الفواتير التي وصلت هذه السنة، وإن أمكن أيضاً الاستهلاك في السنة الماضية للنمط الموسمي (مثل الري في الصيف). تُحسب باقي الفترات كتوقع، كل منها حسب التعرفة السارية في تواريخها. عدد الأنفس والإعاقة والرسوم الإضافية مأخوذة من الحاسبة الرئيسية.',
+            period: 'فترة الفوترة:',
+            bimonthly: 'كل شهرين',
+            monthly: 'شهرية',
+            budget: 'الميزانية السنوية (₪، اختياري):',
+            budgetPlaceholder: 'مثال: 1500',
+            periodColumn: 'الفترة',
+            lastYear: 'السنة الماضية (م³)',
+            thisYear: 'هذه السنة فعلياً (م³)',
+            consumption: 'الاستهلاك (م³)',
+            split: 'مخفّضة / كاملة (م³)',
+            cost: 'التكلفة',
+            cumulative: 'التراكمي',
+            fill: 'املأ من السجل',
+            run: 'احسبوا التوقع',
+            months: '{first}-{last}',
+            lastYearInput: 'الاستهلاك في السنة الماضية',
+            thisYearInput: 'الاستهلاك هذه السنة',
+            forecast: '{value} (توقع)',
+            noHistory: 'لا توجد في السجل فواتير من هذه السنة أو السنة الماضية بنفس فترة الفوترة',
+            overBudget: 'التوقع يتجاوز الميزانية',
+            overBudgetText: 'التكلفة السنوية المتوقعة أعلى من الميزانية بـ {difference} ({percent} من الميزانية). يُتوقع أن تنفد الميزانية في فترة {months}.',
+            withinBudget: 'التوقع ضمن الميزانية',
+            withinBudgetText: 'يتبقى {remaining} (استُخدم {percent} من الميزانية).',
+            summary: 'ملخص سنة {year}',
+            annualCost: 'التكلفة السنوية المتوقعة:',
+            paidAndForecast: 'المدفوع حتى الآن / التوقع:',
+            annualConsumption: 'الاستهلاك السنوي (مخفّضة / كاملة):',
+            patternPreviousYear: 'يتبع التوقع النمط الموسمي للسنة الماضية.',
+            patternFlat: 'دون بيانات السنة الماضية يفترض التوقع استهلاكاً متساوياً في كل فترة.'
+        },
+        leaks: {
+            title: 'فحص التسرّب',
+            description: 'تحليل قراءات العداد المحفوظة (في حساب الاستهلاك حسب قراءات العداد) وقراءات التدفق الليلي، لكشف التسرّب وتقدير تكلفته بالتعرفة الكاملة',
+            nightDate: 'تاريخ الفحص الليلي:',
+            nightFlow: 'أدنى تدفق ليلي (لتر في الساعة):',
+            nightFlowPlaceholder: 'مثال: 0',
+            nightFlowHint: 'سجّلوا خانات اللترات في العداد قبل النوم وفي الصباح قبل استخدام المياه، واقسموا الفرق على عدد الساعات',
+            add: 'أضف فحصاً ليلياً',
+            analyze: 'حلّلوا التسرّب',
+            date: 'التاريخ',
+            flow: 'التدفق الليلي (لتر في الساعة)',
+            period: 'الفترة',
+            dailyRate: 'الاستهلاك اليومي (م³)',
+            expectedRate: 'المتوقع يومياً (م³)',
+            excess: 'التجاوز',
+            expectedNote: 'المتوقع هو الاستهلاك في نفس الفترة من السنة السابقة، أو وسيط باقي الفترات (*) عند عدم وجود قراءات من السنة السابقة.',
+            remove: 'احذف الفحص',
+            needData: 'احفظوا قراءتَي عداد على الأقل أو فحصاً ليلياً واحداً لفحص التسرّب',
+            suspected: 'اشتباه بتسرّب منذ {date}',
+            sourceNightFlow: 'تدفق ثابت قدره {flow} في الليل',
+            sourceSeasonal: 'استهلاك أعلى من المعتاد للموسم',
+            advice: '{source}. أغلقوا جميع الحنفيات وافحصوا ما إذا كان العداد يستمر في الدوران.',
+            estimate: 'تقدير التسرّب',
+            volume: 'الكمية المقدّرة ({days}):',
+            cost: 'التكلفة بالتعرفة الكاملة ({rate}):',
+            dailyCost: 'تكلفة كل يوم إضافي من التسرّب:',
+            noneTitle: 'لم يُعثر على علامة تسرّب',
+            pastAnomalies: 'وُجدت فترات باستهلاك غير عادي (مؤشّرة في الجدول)، لكن التجاوز لا يستمر حتى اليوم.',
+            normal: 'الاستهلاك والتدفق الليلي ضمن المعتاد.'
+        },
+        building: {
+            title: 'تقسيم الفاتورة في مبنى مشترك',
+            description: 'عداد رئيسي وعدادات الشقق: تقسيم الاستهلاك المشترك (حديقة، مدخل) بين السكان وحساب فاتورة لكل شقة',
+            main: 'الاستهلاك في العداد الرئيسي (م³):',
+            mainPlaceholder: 'مثال: 120',
+            mainHint: 'الاستهلاك في الفترة حسب العداد الرئيسي للمبنى',
+            period: 'فترة الفوترة:',
+            split: 'تقسيم الاستهلاك المشترك:',
+            splitEqual: 'بالتساوي بين الشقق',
+            splitPersons: 'حسب عدد الأنفس',
+            splitConsumption: 'حسب استهلاك الشقة',
+            apartment: 'الشقة',
+            apartmentConsumption: 'الاستهلاك في عداد الشقة (م³)',
+            apartmentConsumptionInput: 'الاستهلاك في عداد الشقة',
+            persons: 'الأنفس',
+            disability: 'إعاقة 70%+',
+            add: 'أضف شقة',
+            remove: 'أزل الشقة',
+            calculate: 'احسب التقسيم',
+            resultsTitle: 'التقسيم حسب الشقق',
+            own: 'استهلاك الشقة',
+            common: 'الحصة من المشترك',
+            total: 'مجموع الاستهلاك',
+            reduced: 'مخفّضة (م³)',
+            full: 'كاملة (م³)',
+            payable: 'للدفع',
+            summary: 'العداد الرئيسي: {main} | عدادات الشقق: {subMeters} | الاستهلاك المشترك: {common} | المجموع للمبنى: {total}'
+        },
+        footer: {
+            sources: 'مصادر المعلومات',
+            waterAuthority: 'سلطة المياه',
+            mekorot: 'مكوروت - شركة المياه القُطرية',
+            tariffs: 'تعرفة المياه المحدّثة لعام 2026',
+            notes: 'ملاحظات مهمة',
+            tariffsChange: 'قد تتغير التعرفة خلال السنة',
+            localCharges: 'قد تضيف الشركات المحلية تكاليف ثابتة',
+            basedOn: 'تستند الحاسبة إلى تعرفة سلطة المياه',
+            copyright: '2026 حاسبة فاتورة المياه في إسرائيل | أُنشئت لخدمة الجمهور'
+        },
+        billImport: {
+            toggle: 'التعبئة التلقائية من فاتورة المياه (لصق أو PDF)',
+            textLabel: 'نص الفاتورة',
+            textPlaceholder: 'الصقوا هنا نص الفاتورة (حدّدوا الكل في ملف PDF أو البريد الإلكتروني وانسخوا)',
+            extract: 'استخراج البيانات',
+            choose: 'اختاروا ملف PDF أو ملفاً نصياً',
+            reading: 'جارٍ قراءة الملف...',
+            result: { zero: 'لم يُملأ أي حقل من الفاتورة.', one: 'مُلئ حقل واحد من الفاتورة.', two: 'مُلئ حقلان من الفاتورة.', few: 'مُلئت {count} حقول من الفاتورة.', many: 'مُلئ {count} حقلاً من الفاتورة.', other: 'مُلئ {count} حقل من الفاتورة.' },
+            corporation: ' شركة المياه: {name}.',
+            derived: ' حُسب الاستهلاك من قراءات العدّاد.',
+            checkerFilled: ' مُلئت حقول فحص الفاتورة أيضاً.',
+            verify: ' تحقّقوا من كل قيمة مقابل الفاتورة قبل الحساب.',
+            nothingFound: 'لم يتم التعرّف على أي بيانات في النص. تأكّدوا من أنه نص فاتورة مياه، أو أدخلوا البيانات بأنفسكم.',
+            noText: 'لا يحتوي ملف PDF على نص - على الأرجح أنه صورة ممسوحة ضوئياً. أدخلوا بيانات الفاتورة بأنفسكم.',
+            pdfFailed: 'تعذّرت قراءة الملف كملف PDF.'
+        },
+        library: {
+            chartMissing: 'الرسم البياني غير متاح: لم يتم تحميل مكتبة الرسوم البيانية. الحساب نفسه سليم.',
+            pdfMissing: 'تصدير PDF غير متاح: لم يتم تحميل مكتبة PDF. حدّثوا الصفحة عند توفر اتصال بالإنترنت وحاولوا مرة أخرى.',
+            pdfReaderMissing: 'قراءة ملفات PDF غير متاحة: لم يتم تحميل قارئ PDF. الصقوا نص الفاتورة بدلاً من ذلك.'
+        },
+        pdf: {
+            fontError: 'تعذّر تحميل خط التقرير. تحققوا من الاتصال بالإنترنت وحاولوا مرة أخرى.',
+            title: 'تقرير حساب فاتورة المياه - {year}',
+            generated: 'أُصدر بتاريخ: {date}',
+            inputs: 'بيانات الفاتورة',
+            city: 'البلدة',
+            consumerType: 'نوع المستهلك',
+            consumption: 'الاستهلاك',
+            persons: 'عدد الأنفس',
+            period: 'فترة الفوترة',
+            monthly: 'شهرية',
+            bimonthly: 'كل شهرين',
+            dates: 'تواريخ الفوترة',
+            disability: 'امتياز الإعاقة',
+            eligibility: 'استحقاقات إضافية:',
+            members: 'المخصص حسب الأنفس:',
+            member: '{name}{disability} - {presence}',
+            memberDisability: ' (إعاقة 70%+)',
+            calculation: 'تفاصيل الحساب',
+            segments: 'التقسيم حسب فترات التعرفة:',
+            segment: '{range} ({days}، {consumption})',
+            waterTotal: 'مجموع استهلاك المياه',
+            fees: 'رسوم إضافية:',
+            total: 'المجموع للدفع: {amount}',
+            comparison: 'مقارنة بالسنوات السابقة',
+            current: '{year} (الحالية)',
+            difference: 'الفرق',
+            check: 'نتائج فحص الفاتورة',
+            actual: 'الفاتورة الفعلية',
+            expected: 'الحساب المتوقع',
+            error: 'خطأ',
+            warning: 'تحذير',
+            recommendation: 'توصية',
+            noFindings: 'لم يُعثر على أخطاء - الفاتورة تبدو سليمة حسب الفحص.',
+            whatToDo: 'ماذا تفعلون: {action}',
+            notes: 'ملاحظات',
+            notesTariffs: 'التعرفة مبنية على تعرفة سلطة المياه لعام {year}، شاملة ضريبة القيمة المضافة.',
+            notesRates: 'التعرفة والحصة هي التي أُدخلت من فاتورة المستهلك أو من المصادقة.',
+            notesFees: 'يشمل المبلغ الإجمالي رسوم الشركة التي أُدخلت.',
+            notesNoFees: 'قد تضيف شركات المياه رسوماً ثابتة ورسوم مجاري.',
+            notesProRated: 'تغيير التعرفة خلال فترة الفوترة يُحسب بالتناسب حسب الأيام.',
+            footer: 'حاسبة فاتورة المياه - إسرائيل | أُنشئت لخدمة الجمهور',
+            page: 'صفحة {page} من {pages}'
+        },
+        errors: {
+            INVALID_CONSUMPTION: 'الرجاء إدخال كمية استهلاك صحيحة',
+            INVALID_PERSONS: 'الرجاء اختيار عدد أنفس صحيح',
+            INVALID_PERIOD: 'الرجاء اختيار فترة فوترة صحيحة',
+            INVALID_YEAR: 'الرجاء اختيار سنة صحيحة',
+            UNSUPPORTED_YEAR: 'لا توجد بيانات تعرفة للسنة المختارة',
+            INVALID_DATES: 'الرجاء إدخال تاريخ بداية وتاريخ نهاية صحيحين لفترة الفوترة',
+            INVALID_FEES: 'الرجاء إدخال مبالغ صحيحة للرسوم الإضافية (0 أو أكثر)',
+            INVALID_ELIGIBILITY: 'الرجاء إدخال قيم صحيحة للاستحقاقات الإضافية (عدد صحيح من الأطفال أو كمية مصادق عليها 0 أو أكثر)',
+            INVALID_CONSUMER_TYPE: 'الرجاء اختيار نوع مستهلك صحيح',
+            INVALID_RATES: 'الرجاء إدخال تعرفة المستهلك (والحصة) من الفاتورة - 0 أو أكثر',
+            INVALID_MEMBERS: 'الرجاء إضافة نفس واحدة على الأقل بتواريخ صحيحة (المغادرة ليست قبل الانتقال، وتواريخ فترة الفوترة عند إدخال تواريخ انتقال أو مغادرة)',
+            INVALID_BUILDING: 'الرجاء إضافة شقة واحدة على الأقل',
+            INVALID_SPLIT_METHOD: 'الرجاء اختيار طريقة تقسيم صحيحة',
+            SUBMETERS_EXCEED_MAIN: 'مجموع الاستهلاك في عدادات الشقق أعلى من الاستهلاك في العداد الرئيسي - افحصوا القراءات',
+            INVALID_READING: 'الرجاء إدخال قراءات عداد وتواريخ صحيحة (القراءة الحالية بعد السابقة)',
+            READING_DECREASED: 'انخفضت قراءة العداد - إذا استُبدل العداد فأشّروا على ذلك وأدخلوا قراءات الاستبدال',
+            DUPLICATE_READING: 'توجد قراءة محفوظة بهذا التاريخ',
+            OUT_OF_RANGE: 'القراءات المحفوظة لا تغطي تواريخ الفترة المختارة',
+            NO_TARIFF_FOR_DATE: 'لا توجد تعرفة محددة لجزء من فترة الفوترة المختارة',
+            INVALID_NIGHT_FLOW: 'الرجاء إدخال تاريخ وتدفق ليلي صحيح (0 أو أكثر)',
+            INVALID_SCENARIO: 'الرجاء ملء حقول التغيير بأرقام صحيحة (0 أو أكثر، والتدفق الجديد ليس أعلى من الحالي)',
+            INVALID_PROJECTION: 'الرجاء إدخال استهلاك (0 أو أكثر) وميزانية موجبة',
+            NO_PROJECTION_DATA: 'أدخلوا الاستهلاك لفترة واحدة على الأقل هذه السنة أو في السنة الماضية',
+            NO_DISPUTABLE_FINDINGS: 'اختاروا نتيجة واحدة على الأقل لتضمينها في الرسالة',
+            INVALID_CSV: 'يجب أن يحتوي الملف على الأعمدة date, consumption, persons, period, billedAmount',
+            INVALID_SHARE_LINK: 'تعذّر فتح الرابط - ربما قُطع أو أُنشئ بإصدار أحدث من الحاسبة',
+            EMPTY_BILL_TEXT: 'الصقوا نص الفاتورة أو اختاروا ملف فاتورة',
+            INVALID_TEMPLATE: 'قالب الفاتورة غير صالح'
+        }
+    };
+}));
@@ -0,0 +1,677 @@
+/**
+ * English messages
+ *
+ * Browser: loaded as a classic script after i18n.js
+ * Node:    registered by require('./i18n')
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.WaterI18n.registerMessages('en', factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    return {
+        meta: {
+            title: 'Israel Water Bill Calculator 2026',
+            description: 'Water bill calculator for Israel 2026 - check whether your water bill is correct'
+        },
+        header: {
+            title: 'Water Bill Calculator',
+            subtitle: 'Check your water bill against the current 2026 tariffs',
+            language: 'Language'
+        },
+        nav: {
+            calculator: 'Calculator',
+            errors: 'Bill check',
+            history: 'History and trends',
+            projection: 'Forecast and budget',
+            leaks: 'Leak check',
+            building: 'Building split'
+        },
+        infoAlert: 'Tariffs for 2026 | Reduced: 8.508 ₪/m³ | Full: 15.623 ₪/m³',
+        instructions: {
+            toggle: 'How do I use the calculator?',
+            title: 'Calculator guide',
+            findConsumption: {
+                title: '1. Find the consumption on your water bill:',
+                text: 'Look for the amount of water used, in cubic meters (m³). It usually appears at the top of the bill.'
+            },
+            persons: {
+                title: '2. Enter the number of persons in the home:',
+                text: 'Each person is entitled to 3.5 m³ a month at the reduced rate (about 115 liters a day). If you have not declared the number of persons, the corporation bills a default of 2.'
+            },
+            period: {
+                title: '3. Choose the billing period:',
+                text: 'Most water corporations bill every two months. Check the billing period on your bill.'
+            },
+            disability: {
+                title: '4. Disability:',
+                text: 'If someone in the home has a disability rating of 70% or more recognized by National Insurance, tick the box. It adds 3.5 m³ at the reduced rate.'
+            },
+            declare: {
+                title: '5. How to declare the number of persons:',
+                text: 'Contact your local water corporation with the ID cards of everyone in the household. Most corporations accept the declaration online or by phone.'
+            },
+            whenToCheck: {
+                title: 'When to check for errors:',
+                text: 'Check your bill if the charge rose sharply for no reason, the number of persons on the bill is wrong, or consumption is unusually high (there may be a leak).'
+            }
+        },
+        form: {
+            title: 'Water bill calculation',
+            city: {
+                label: 'Town / water corporation (optional):',
+                placeholder: 'Type a town or corporation name',
+                hint: "Choosing a town fills in the corporation's billing period and extra charges",
+                notFound: 'Town not found - enter the billing period and extra charges manually',
+                corporation: 'Water corporation: {name}'
+            },
+            consumption: {
+                label: 'Water consumption (cubic meters):',
+                placeholder: 'e.g. 18.5',
+                hint: 'Enter the amount of water used as shown on the bill'
+            },
+            readings: {
+                toggle: 'Calculate consumption from meter readings',
+                previousValue: 'Previous reading (m³)',
+                previousPlaceholder: 'e.g. 1234.5',
+                previousDate: 'Date of the previous reading',
+                currentValue: 'Current reading (m³)',
+                currentPlaceholder: 'e.g. 1258.2',
+                currentDate: 'Date of the current reading',
+                replaced: 'The meter was replaced between the two readings',
+                oldFinal: 'Final reading on the old meter',
+                newInitial: 'Initial reading on the new meter',
+                newInitialPlaceholder: 'Usually 0',
+                calculate: 'Calculate consumption',
+                save: 'Save to history',
+                fromHistory: 'Consumption for the period dates from history',
+                date: 'Date',
+                reading: 'Reading',
+                sinceLast: 'Used since previous reading',
+                result: 'Calculated consumption: {consumption} in {days}',
+                rollover: ' (the meter rolled over after reaching its maximum)',
+                withReplacement: ' (including a meter replacement)',
+                saved: 'The readings were saved to history',
+                historyEstimated: 'Estimated consumption from history: {consumption} (interpolated between readings by days)',
+                historyExact: 'Consumption from history: {consumption}',
+                newMeter: ' (new meter)',
+                calculateInterval: 'Calculate the bill for this period',
+                remove: 'Delete reading'
+            },
+            consumerType: {
+                label: 'Consumer type:',
+                residential: 'Residential',
+                business: 'Business (flat rate)',
+                garden: 'Garden (irrigation quota)',
+                agriculture: 'Agricultural household (agricultural quota)',
+                hint: 'Non-residential consumers have no per-person allocation - enter the rates and quota from the bill or approval'
+            },
+            rates: {
+                label: 'Consumer rates (from the bill or approval):',
+                flat: 'Flat rate (₪ per m³)',
+                quota: 'Quota (m³ a month)',
+                quotaRate: 'Rate within the quota (₪ per m³)',
+                excessRate: 'Rate above the quota (₪ per m³)'
+            },
+            persons: {
+                label: 'Persons in the home:',
+                option: { one: '{count} person', other: '{count} persons' },
+                tenOrMore: '10+ persons',
+                hint: 'Each person is entitled to 3.5 m³ a month at the reduced rate'
+            },
+            period: {
+                label: 'Billing period:',
+                monthly: 'Monthly',
+                bimonthly: 'Bimonthly (two months)',
+                hint: 'Most bills are bimonthly'
+            },
+            dates: {
+                label: 'Billing period dates (optional):',
+                start: 'Period start date',
+                end: 'Period end date',
+                separator: 'to',
+                hint: 'If the tariff changed during the period, consumption is split pro rata by days'
+            },
+            disability: {
+                label: 'Someone in the home has a 70%+ disability (National Insurance)',
+                hint: 'This adds 3.5 m³ at the reduced rate'
+            },
+            members: {
+                toggle: 'Per-person details: someone moved in or out during the period, or more than one person has a disability',
+                name: 'Name',
+                from: 'Moved in',
+                to: 'Moved out',
+                disability: '70%+ disability',
+                add: 'Add person',
+                hint: 'Each person gets an allocation for the days they lived in the home during the billing period (leave a date empty if they lived there the whole period). Move-in and move-out dates require the billing period dates. The number of persons and the disability box above are not used.',
+                defaultName: 'Person {number}',
+                fromDate: 'Move-in date',
+                toDate: 'Move-out date',
+                remove: 'Remove person'
+            },
+            eligibility: {
+                label: 'Additional eligibility (optional):',
+                foster: 'Foster children in the home',
+                medical: 'Medical condition - approved amount (m³ a month)',
+                institution: 'Institutional setting - approved amount (m³ a month)',
+                hint: 'Foster children count like persons in the home. For a medical or institutional addition, enter the amount on your approval.'
+            },
+            fees: {
+                label: 'Extra corporation charges (optional):',
+                fixed: 'Fixed service charge (₪ a month)',
+                sewage: 'Sewage (₪ per m³)',
+                other: 'Other charges (₪ per bill)',
+                hint: 'Copy the fixed charges and sewage fees from the bill so the total matches the actual bill'
+            },
+            year: {
+                label: 'Compare with year:',
+                hint: 'Choose a different year to see the price difference',
+                current: '{year} (current)',
+                compare: '{year} (compare)'
+            },
+            submit: 'Calculate water bill'
+        },
+        units: {
+            cubic: '{value} m³',
+            cubicShort: 'm³',
+            ratePerCubic: '{value} ₪/m³',
+            perMonth: '{value} m³ a month',
+            days: { one: '1 day', other: '{count} days' },
+            litersPerHour: '{value} liters an hour'
+        },
+        common: {
+            yes: 'Yes',
+            no: 'No',
+            range: '{from} - {to}'
+        },
+        consumerTypes: {
+            residential: 'Residential',
+            business: 'Business',
+            garden: 'Garden',
+            agriculture: 'Agricultural household'
+        },
+        tiers: {
+            tiered: { reduced: 'Reduced rate', full: 'Full rate', reducedTitle: 'Allocation at the reduced rate', fullTitle: 'Excess consumption at the full rate', allocation: 'Reduced-rate allocation' },
+            flat: { reduced: 'No allocation', full: 'Flat rate', reducedTitle: 'No reduced allocation', fullTitle: 'All consumption at the flat rate', allocation: 'Allocation' },
+            quota: { reduced: 'Within quota', full: 'Above quota', reducedTitle: 'Consumption within the quota', fullTitle: 'Consumption above the quota', allocation: 'Quota for the period' }
+        },
+        fees: {
+            fixed: 'Fixed service charge',
+            sewage: 'Sewage',
+            other: 'Other charges',
+            basis: { monthly: 'months', cubic: 'm³', bill: 'bill' }
+        },
+        eligibility: {
+            foster: 'Foster children',
+            medical: 'Medical condition requiring extra water',
+            institution: 'Institutional setting',
+            children: { one: '1 child', other: '{count} children' },
+            impact: '+{value} at the reduced rate'
+        },
+        results: {
+            title: 'Calculation results',
+            rate: 'Rate:',
+            fees: 'Extra charges',
+            total: 'Total to pay',
+            minCharge: '* A minimum charge of {amount} m³ per bimonthly period was applied',
+            periods: {
+                title: 'Breakdown by tariff period',
+                period: 'Period',
+                days: 'Days',
+                consumption: 'Consumption (m³)',
+                reduced: 'Reduced (m³ × ₪)',
+                full: 'Full (m³ × ₪)',
+                cost: 'Cost'
+            },
+            members: {
+                title: 'Allocation by person',
+                member: 'Person',
+                days: 'Days in period',
+                share: 'Share of period',
+                allocation: 'Reduced allocation (m³)',
+                wholePeriod: 'Whole period',
+                disability: '70%+ disability'
+            },
+            eligibility: {
+                title: 'Additional eligibility',
+                category: 'Eligibility',
+                detail: 'Details',
+                impact: 'Effect on the bill'
+            },
+            comparison: {
+                title: 'Year comparison',
+                current: '{year} (current):',
+                other: '{year}:',
+                difference: 'Difference:',
+                noTariff: 'There is no tariff for {year} over the billing period dates, so the year comparison is not shown'
+            },
+            chart: {
+                title: 'Cost by tariff',
+                titleWithFees: 'Cost by tariff and charges',
+                tier: '{label} ({consumption})'
+            }
+        },
+        savings: {
+            title: 'Savings simulator - what if?',
+            intro: 'Fill in one or more changes to see the new bill next to the current one. You can measure a flow rate with a bucket: how many liters fill up in a minute.',
+            shower: 'Shorter showers',
+            showerMinutes: 'Fewer minutes a day',
+            showerFlow: 'Shower flow (liters a minute)',
+            fixture: 'Aerator / water-saving tap',
+            fixtureMinutes: 'Minutes of use a day',
+            fixtureCurrent: 'Current flow (liters a minute)',
+            fixtureNew: 'Flow after the change (liters a minute)',
+            leak: 'Fix a leak',
+            leakFlow: 'Leak flow (liters an hour)',
+            leakHint: 'From the night-flow check',
+            allocation: 'Allocation',
+            extraPersons: 'Additional persons to declare',
+            disability: 'Claim the disability benefit',
+            run: 'Calculate savings',
+            noChanges: 'Fill in at least one change in the simulator',
+            current: 'Current bill',
+            combined: 'All changes',
+            consumption: 'Consumption (m³)',
+            reduced: 'At the reduced rate (m³)',
+            full: 'At the full rate (m³)',
+            total: 'Total to pay',
+            perBill: 'Savings per bill',
+            monthly: 'Monthly savings',
+            annual: 'Annual savings',
+            underAllocation: 'Below the allocation',
+            allReduced: 'All consumption at the reduced rate',
+            scenarios: {
+                showerMinutes: 'Shorter showers',
+                lowFlowFixture: 'Aerator',
+                fixLeak: 'Leak fix',
+                extraPersons: 'More persons',
+                disability: 'Disability benefit'
+            }
+        },
+        actions: {
+            pdf: 'Export to PDF',
+            csv: 'Export to CSV',
+            json: 'Export to JSON',
+            reset: 'New calculation'
+        },
+        share: {
+            includeChecker: 'Include the bill check details in the link',
+            copy: 'Copy a link to this calculation',
+            link: 'Calculation link',
+            hint: 'Anyone who opens the link sees the same calculation - the data is stored in the link itself and is not sent to a server',
+            copied: 'Link copied',
+            openedOtherYear: 'This calculation was opened from a link made with the {linkYear} tariffs; the results use the {year} tariffs.',
+            opened: 'This calculation was opened from a shared link and is not saved on this device.'
+        },
+        check: {
+            title: 'Check your water bill for errors',
+            description: 'Find common errors in your water bill and learn how to get them fixed',
+            toggle: 'Check your bill for errors',
+            actualAmount: {
+                label: 'Amount on the bill (₪):',
+                placeholder: 'e.g. 145.50',
+                hint: 'The amount shown on the water bill you received'
+            },
+            billingType: {
+                label: 'Reading type:',
+                actual: 'Meter reading',
+                estimated: 'Estimate',
+                unknown: "Don't know",
+                hint: 'Check on the bill whether it is based on a meter reading or an estimate'
+            },
+            previous: {
+                label: 'Consumption on the previous bill (m³):',
+                placeholder: 'e.g. 16.2',
+                hint: 'Helps spot unusual changes in consumption'
+            },
+            meterReading: {
+                label: 'Current meter reading (optional):',
+                placeholder: 'e.g. 1234.5',
+                hint: 'Photograph the meter and write down the number you see'
+            },
+            submit: 'Check for errors',
+            resultsTitle: 'Bill check results',
+            noErrors: {
+                title: 'No errors found',
+                text: 'Your bill looks correct according to our check.'
+            },
+            summary: {
+                title: 'Comparison summary',
+                actual: 'Actual bill:',
+                expected: 'Expected amount:',
+                expectedWithFees: 'Expected amount (with extra charges):',
+                difference: 'Difference:'
+            },
+            implied: {
+                title: 'What the bill assumes (from the billed amount)',
+                consumptionHousehold: 'Consumption (with the persons and tariff entered):',
+                consumptionRates: 'Consumption (at the rates entered):',
+                consumptionNone: 'No consumption reaches this amount',
+                belowMinimum: 'Below the minimum charge',
+                persons: 'Number of persons (with the consumption entered):',
+                personsNone: 'No number of persons matches the amount',
+                personsRange: '{from}-{to} persons',
+                personsCount: { one: '1 person', other: '{count} persons' },
+                year: 'Tariff year:',
+                yearNone: 'Does not match any year'
+            },
+            whatToDo: 'What to do:',
+            contact: 'Contact {name}: {details}',
+            contactOnBill: 'Contact {name} - the contact details are on the bill',
+            consumptionRequired: 'Please enter a valid consumption in the main calculator'
+        },
+        dispute: {
+            title: 'Dispute letter to the water corporation',
+            intro: 'Choose the findings to include and fill in the household details. The letter is written in Hebrew with the calculation figures, and you can edit it before sending.',
+            name: 'Full name:',
+            address: 'Property address:',
+            account: 'Account / consumer number:',
+            accountHint: 'Shown at the top of the water bill',
+            phone: 'Phone:',
+            email: 'Email:',
+            generate: 'Create dispute letter',
+            text: 'Letter text',
+            legalNote: 'References to legislation are given without section numbers - check the current wording before sending.',
+            downloadPdf: 'Download as PDF',
+            downloadText: 'Download as text',
+            copy: 'Copy',
+            copied: 'Letter copied',
+            findings: {
+                overcharge: 'Overcharge',
+                personsMismatch: 'Billed for the wrong number of persons',
+                wrongTariffYear: "Billed at another year's tariffs",
+                duplicatePeriod: 'Same period billed twice',
+                estimation: 'Billed on an estimate',
+                spike: 'Sharp rise in consumption',
+                disability: 'Disability allocation'
+            }
+        },
+        audit: {
+            title: 'Check past bills from a CSV file',
+            intro: 'Upload a CSV file with the columns <code>date, consumption, persons, period, billedAmount</code> (dates as YYYY-MM-DD). Each bill is priced with the tariffs of its year and flagged if it looks wrong. Extra charges from the main calculator apply to every bill.',
+            choose: 'Choose a CSV file',
+            date: 'Date',
+            consumption: 'Consumption (m³)',
+            persons: 'Persons',
+            calculated: 'Calculated',
+            billed: 'Billed',
+            status: 'Status',
+            findings: 'Findings',
+            exportCsv: 'Export results to CSV',
+            addToHistory: 'Add to history',
+            summary: { one: '1 bill checked:', other: '{count} bills checked:' },
+            statuses: {
+                error: 'Looks wrong',
+                warning: 'To review',
+                ok: 'OK',
+                invalid: 'Cannot be priced'
+            },
+            parseError: 'Line {line}: {message}',
+            rowErrors: {
+                date: 'date must be a valid YYYY-MM-DD date',
+                consumption: 'consumption must be a number, 0 or more',
+                persons: 'persons must be a whole number, at least 1',
+                period: 'period must be a whole number of months',
+                billedAmount: 'the billed amount must be a number, 0 or more'
+            },
+            added: { one: '1 bill added to history', other: '{count} bills added to history' }
+        },
+        commonErrors: {
+            title: 'Common water billing errors',
+            solution: 'Solution:',
+            estimation: {
+                title: 'Billing on an estimate',
+                text: 'The corporation bills an estimate instead of a meter reading. This can lead to an overcharge or undercharge.',
+                solution: 'Photograph the meter and send it to the water corporation for an update and a credit where due.'
+            },
+            persons: {
+                title: 'Wrong number of persons',
+                text: 'The corporation bills a default of 2 persons if you have not declared the number of persons.',
+                solution: 'Contact the corporation with ID cards to update the number of persons.'
+            },
+            reading: {
+                title: 'Meter reading error',
+                text: 'A wrong reading by a manual meter reader - a human error when entering the data.',
+                solution: 'Photograph the meter and compare it with the bill. Ask the corporation to correct it.'
+            },
+            spike: {
+                title: 'Sharp rise in consumption',
+                text: 'A sudden sharp rise in consumption may point to a leak or a faulty meter.',
+                solution: 'Check the plumbing for leaks. If there are none, ask for a meter test.'
+            },
+            disability: {
+                title: 'Disability benefit not applied',
+                text: 'A 70%+ disability entitles the household to 3.5 m³ more at the reduced rate, which is not always applied.',
+                solution: 'Send the corporation the National Insurance approval to activate the benefit.'
+            },
+            tariff: {
+                title: 'Tariff calculation error',
+                text: 'Wrong tariffs or a wrong calculation of the tariff tiers.',
+                solution: 'Compare with our calculator and contact the corporation if needed.'
+            }
+        },
+        history: {
+            title: 'Bill history and trends',
+            description: 'Every calculation is saved in the browser with the amount actually billed, to follow consumption and cost over the year',
+            emptyTitle: 'No saved bills yet',
+            emptyText: 'Calculate a water bill and it will be added to the history.',
+            date: 'Date',
+            consumption: 'Consumption (m³)',
+            split: 'Reduced / full (m³)',
+            calculated: 'Calculated',
+            billed: 'Billed',
+            clear: 'Clear history',
+            clearConfirm: 'Delete the whole bill history?',
+            remove: 'Delete entry',
+            chart: {
+                title: 'Consumption and cost over time',
+                reduced: 'Reduced rate (m³)',
+                full: 'Full rate (m³)',
+                calculated: 'Calculated cost (₪)',
+                billed: 'Billed (₪)'
+            }
+        },
+        projection: {
+            title: 'Annual forecast and budget',
+            description: "Enter the consumption on the bills already received this year, and if you can, last year's consumption for the seasonal pattern (such as summer irrigation). The remaining periods are forecast, each at the tariff in force on its dates. Persons, disability and extra charges are taken from the main calculator.",
+            period: 'Billing period:',
+            bimonthly: 'Bimonthly',
+            monthly: 'Monthly',
+            budget: 'Annual budget (₪, optional):',
+            budgetPlaceholder: 'e.g. 1500',
+            periodColumn: 'Period',
+            lastYear: 'Last year (m³)',
+            thisYear: 'This year, actual (m³)',
+            consumption: 'Consumption (m³)',
+            split: 'Reduced / full (m³)',
+            cost: 'Cost',
+            cumulative: 'Cumulative',
+            fill: 'Fill from history',
+            run: 'Forecast',
+            months: '{first}-{last}',
+            lastYearInput: 'Consumption last year',
+            thisYearInput: 'Consumption this year',
+            forecast: '{value} (forecast)',
+            noHistory: 'The history has no bills from this year or last year with the same billing period',
+            overBudget: 'The forecast exceeds the budget',
+            overBudgetText: 'The expected annual cost is {difference} over the budget ({percent} of the budget). The budget is expected to run out in {months}.',
+            withinBudget: 'The forecast is within the budget',
+            withinBudgetText: '{remaining} left ({percent} of the budget used).',
+            summary: '{year} summary',
+            annualCost: 'Expected annual cost:',
+            paidAndForecast: 'Paid so far / forecast:',
+            annualConsumption: 'Annual consumption (reduced / full):',
+            patternPreviousYear: "The forecast follows last year's seasonal pattern.",
+            patternFlat: 'Without last year\'s data the forecast assumes equal consumption in every period.'
+        },
+        leaks: {
+            title: 'Leak check',
+            description: 'Analyzes the saved meter readings (from the meter-reading calculation) and night-flow readings to spot a leak and estimate its cost at the full tariff',
+            nightDate: 'Night check date:',
+            nightFlow: 'Minimum night flow (liters an hour):',
+            nightFlowPlaceholder: 'e.g. 0',
+            nightFlowHint: 'Note the liter digits on the meter before bed and in the morning, before using water, and divide the difference by the number of hours',
+            add: 'Add night check',
+            analyze: 'Analyze leaks',
+            date: 'Date',
+            flow: 'Night flow (liters an hour)',
+            period: 'Period',
+            dailyRate: 'Per day (m³)',
+            expectedRate: 'Expected per day (m³)',
+            excess: 'Excess',
+            expectedNote: 'The expected rate is the consumption in the same period a year earlier, or the median of the other periods (*) when there are no readings from the previous year.',
+            remove: 'Delete check',
+            needData: 'Save at least two meter readings or one night check to look for leaks',
+            suspected: 'Suspected leak since {date}',
+            sourceNightFlow: 'A steady flow of {flow} at night',
+            sourceSeasonal: 'Consumption above the usual level for the season',
+            advice: '{source}. Close every tap and check whether the meter keeps turning.',
+            estimate: 'Leak estimate',
+            volume: 'Estimated volume ({days}):',
+            cost: 'Cost at the full tariff ({rate}):',
+            dailyCost: 'Cost of each further day of leaking:',
+            noneTitle: 'No sign of a leak',
+            pastAnomalies: 'Some periods had unusual consumption (marked in the table), but it does not continue to the present.',
+            normal: 'Consumption and night flow are as usual.'
+        },
+        building: {
+            title: 'Shared building bill split',
+            description: 'Main meter and apartment meters: split the common consumption (garden, lobby) between the residents and calculate a bill for each apartment',
+            main: 'Main meter consumption (m³):',
+            mainPlaceholder: 'e.g. 120',
+            mainHint: "The period's consumption on the building's main meter",
+            period: 'Billing period:',
+            split: 'Split common consumption:',
+            splitEqual: 'Equally between apartments',
+            splitPersons: 'By number of persons',
+            splitConsumption: 'By apartment consumption',
+            apartment: 'Apartment',
+            apartmentConsumption: 'Apartment meter consumption (m³)',
+            apartmentConsumptionInput: 'Apartment meter consumption',
+            persons: 'Persons',
+            disability: '70%+ disability',
+            add: 'Add apartment',
+            remove: 'Remove apartment',
+            calculate: 'Calculate split',
+            resultsTitle: 'Split by apartment',
+            own: 'Own consumption',
+            common: 'Common share',
+            total: 'Total consumption',
+            reduced: 'Reduced (m³)',
+            full: 'Full (m³)',
+            payable: 'To pay',
+            summary: 'Main meter: {main} | Apartment meters: {subMeters} | Common consumption: {common} | Building total: {total}'
+        },
+        footer: {
+            sources: 'Sources',
+            waterAuthority: 'Water Authority',
+            mekorot: 'Mekorot - the national water company',
+            tariffs: 'Water tariffs updated for 2026',
+            notes: 'Important notes',
+            tariffsChange: 'Tariffs may change during the year',
+            localCharges: 'Local corporations may add fixed charges',
+            basedOn: 'The calculator is based on the Water Authority tariffs',
+            copyright: '2026 Israel Water Bill Calculator | Made for the public'
+        },
+        billImport: {
+            toggle: 'Fill in from a water bill (paste or PDF)',
+            textLabel: 'Bill text',
+            textPlaceholder: 'Paste the text of the bill here (select all in the bill PDF or e-mail and copy)',
+            extract: 'Extract figures',
+            choose: 'Choose a PDF or text file',
+            reading: 'Reading the file...',
+            result: { one: '1 field was filled in from the bill.', other: '{count} fields were filled in from the bill.' },
+            corporation: ' Water corporation: {name}.',
+            derived: ' The consumption was calculated from the meter readings.',
+            checkerFilled: ' The bill check fields were filled in too.',
+            verify: ' Check every value against the bill before calculating.',
+            nothingFound: 'No figures were recognised in the text. Check that this is the text of a water bill, or type the figures in yourself.',
+            noText: 'The PDF has no text - it is probably a scanned image. Type the figures from the bill in yourself.',
+            pdfFailed: 'The file could not be read as a PDF.'
+        },
+        library: {
+            chartMissing: 'The chart is unavailable: the charting library did not load. The calculation itself is correct.',
+            pdfMissing: 'PDF export is unavailable: the PDF library did not load. Reload the page while online and try again.',
+            pdfReaderMissing: 'Reading PDF files is unavailable: the PDF reader did not load. Paste the text of the bill instead.'
+        },
+        pdf: {
+            fontError: 'The report font could not be loaded. Check your internet connection and try again.',
+            title: 'Water bill calculation report - {year}',
+            generated: 'Generated on: {date}',
+            inputs: 'Bill details',
+            city: 'Town',
+            consumerType: 'Consumer type',
+            consumption: 'Consumption',
+            persons: 'Persons',
+            period: 'Billing period',
+            monthly: 'Monthly',
+            bimonthly: 'Bimonthly',
+            dates: 'Billing dates',
+            disability: 'Disability benefit',
+            eligibility: 'Additional eligibility:',
+            members: 'Allocation by person:',
+            member: '{name}{disability} - {presence}',
+            memberDisability: ' (70%+ disability)',
+            calculation: 'Calculation details',
+            segments: 'Split by tariff period:',
+            segment: '{range} ({days}, {consumption})',
+            waterTotal: 'Total water consumption',
+            fees: 'Extra charges:',
+            total: 'Total to pay: {amount}',
+            comparison: 'Comparison with previous years',
+            current: '{year} (current)',
+            difference: 'Difference',
+            check: 'Bill check findings',
+            actual: 'Actual bill',
+            expected: 'Expected amount',
+            error: 'Error',
+            warning: 'Warning',
+            recommendation: 'Recommendation',
+            noFindings: 'No errors found - the bill looks correct according to the check.',
+            whatToDo: 'What to do: {action}',
+            notes: 'Notes',
+            notesTariffs: 'Tariffs are based on the Water Authority tariffs for {year}, including VAT.',
+            notesRates: "The rates and quota are those entered from the consumer's bill or approval.",
+            notesFees: 'The total includes the corporation charges entered.',
+            notesNoFees: 'Water corporations may add fixed charges and sewage fees.',
+            notesProRated: 'A tariff change within a billing period is calculated pro rata by days.',
+            footer: 'Water Bill Calculator - Israel | Made for the public',
+            page: 'Page {page} of {pages}'
+        },
+        errors: {
+            INVALID_CONSUMPTION: 'Please enter a valid consumption',
+            INVALID_PERSONS: 'Please choose a valid number of persons',
+            INVALID_PERIOD: 'Please choose a valid billing period',
+            INVALID_YEAR: 'Please choose a valid year',
+            UNSUPPORTED_YEAR: 'There are no tariffs for the chosen year',
+            INVALID_DATES: 'Please enter a valid start and end date for the billing period',
+            INVALID_FEES: 'Please enter valid extra charges (0 or more)',
+            INVALID_ELIGIBILITY: 'Please enter valid eligibility values (a whole number of children, or an approved amount of 0 or more)',
+            INVALID_CONSUMER_TYPE: 'Please choose a valid consumer type',
+            INVALID_RATES: 'Please enter the consumer rates (and quota) from the bill - 0 or more',
+            INVALID_MEMBERS: 'Please add at least one person with valid dates (moving out not before moving in, and the billing period dates when move-in or move-out dates are entered)',
+            INVALID_BUILDING: 'Please add at least one apartment',
+            INVALID_SPLIT_METHOD: 'Please choose a valid split method',
+            SUBMETERS_EXCEED_MAIN: 'The apartment meters add up to more than the main meter - check the readings',
+            INVALID_READING: 'Please enter valid meter readings and dates (the current reading after the previous one)',
+            READING_DECREASED: 'The meter reading went down - if the meter was replaced, tick the box and enter the replacement readings',
+            DUPLICATE_READING: 'A reading is already saved for this date',
+            OUT_OF_RANGE: 'The saved readings do not cover the chosen period dates',
+            NO_TARIFF_FOR_DATE: 'There is no tariff for part of the chosen billing period',
+            INVALID_NIGHT_FLOW: 'Please enter a date and a valid night flow (0 or more)',
+            INVALID_SCENARIO: 'Please fill in the change fields with valid numbers (0 or more, and the new flow not above the current one)',
+            INVALID_PROJECTION: 'Please enter consumption (0 or more) and a positive budget',
+            NO_PROJECTION_DATA: 'Enter consumption for at least one period this year or last year',
+            NO_DISPUTABLE_FINDINGS: 'Choose at least one finding to include in the letter',
+            INVALID_CSV: 'The file must include the columns date, consumption, persons, period, billedAmount',
+            INVALID_SHARE_LINK: 'The link cannot be opened - it may be cut off or made with a newer version of the calculator',
+            EMPTY_BILL_TEXT: 'Paste the text of the bill or choose a bill file',
+            INVALID_TEMPLATE: 'The bill template is invalid'
+        }
+    };
+}));
@@ -0,0 +1,677 @@
+/**
+ * Hebrew messages (the fallback catalog)
+ *
+ * Browser: loaded as a classic script after i18n.js
+ * Node:    registered by require('./i18n')
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.WaterI18n.registerMessages('he', factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    return {
+        meta: {
+            title: 'מחשבון חיוב מים ישראל 2026',
+            description: 'מחשבון חיוב מים לישראל 2026 - בדקו את נכונות חשבון המים שלכם'
+        },
+        header: {
+            title: 'מחשבון חיוב מים',
+            subtitle: 'בדקו את נכונות חשבון המים שלכם לפי התעריפים העדכניים של 2026',
+            language: 'שפה'
+        },
+        nav: {
+            calculator: 'מחשבון מים',
+            errors: 'בדיקת טעויות',
+            history: 'היסטוריה ומגמות',
+            projection: 'תחזית ותקציב',
+            leaks: 'בדיקת דליפות',
+            building: 'חלוקה בבניין'
+        },
+        infoAlert: 'תעריפים נכונים לשנת 2026 | מופחת: 8.508 ₪/מ"ק | מלא: 15.623 ₪/מ"ק',
+        instructions: {
+            toggle: 'איך להשתמש במחשבון?',
+            title: 'מדריך שימוש במחשבון',
+            findConsumption: {
+                title: '1. מצאו את נתוני הצריכה בחשבון המים:',
+                text: 'חפשו בחשבון המים שלכם את כמות הצריכה במטר קוב (מ"ק). הנתון מופיע בדרך כלל בחלק העליון של החשבון.'
+            },
+            persons: {
+                title: '2. הכניסו את מספר הנפשות בבית:',
+                text: 'כל נפש זכאית ל-3.5 מ"ק בחודש בתעריף מופחת (כ-115 ליטר ליום). אם לא הצהרתם על מספר הנפשות, התאגיד מחשב ברירת מחדל של 2 נפשות.'
+            },
+            period: {
+                title: '3. בחרו את תקופת החיוב:',
+                text: 'רוב תאגידי המים מחייבים אחת לחודשיים. בדקו בחשבון שלכם את תקופת החיוב.'
+            },
+            disability: {
+                title: '4. נכות:',
+                text: 'אם יש בבית נפש עם אחוז נכות 70% ומעלה המוכרת בביטוח לאומי, סמנו את התיבה. זכאות זו מקנה 3.5 מ"ק נוספים בתעריף מופחת.'
+            },
+            declare: {
+                title: '5. איך להצהיר על מספר נפשות:',
+                text: 'פנו לתאגיד המים המקומי שלכם עם תעודות זהות של כל בני הבית. רוב התאגידים מאפשרים הצהרה באתר או בטלפון.'
+            },
+            whenToCheck: {
+                title: 'מתי לבדוק שגיאות:',
+                text: 'בדקו את חשבונכם אם: החיוב עלה בצורה חדה ללא סיבה, מספר הנפשות בחשבון שגוי, הצריכה גבוהה באופן חריג (ייתכן דליפה).'
+            }
+        },
+        form: {
+            title: 'חישוב חשבון מים',
+            city: {
+                label: 'יישוב / תאגיד מים (אופציונלי):',
+                placeholder: 'הקלידו שם יישוב או תאגיד',
+                hint: 'בחירת יישוב ממלאת את תקופת החיוב והחיובים הנוספים של התאגיד',
+                notFound: 'היישוב לא נמצא במאגר - הזינו את תקופת החיוב והחיובים הנוספים ידנית',
+                corporation: 'תאגיד המים: {name}'
+            },
+            consumption: {
+                label: 'צריכת מים (מטר קוב):',
+                placeholder: 'לדוגמה: 18.5',
+                hint: 'הכניסו את כמות המים שצרכתם כפי שמופיע בחשבון'
+            },
+            readings: {
+                toggle: 'חישוב הצריכה לפי קריאות מונה',
+                previousValue: 'קריאה קודמת (מ"ק)',
+                previousPlaceholder: 'לדוגמה: 1234.5',
+                previousDate: 'תאריך הקריאה הקודמת',
+                currentValue: 'קריאה נוכחית (מ"ק)',
+                currentPlaceholder: 'לדוגמה: 1258.2',
+                currentDate: 'תאריך הקריאה הנוכחית',
+                replaced: 'המונה הוחלף בין שתי הקריאות',
+                oldFinal: 'קריאה אחרונה במונה הישן',
+                newInitial: 'קריאה התחלתית במונה החדש',
+                newInitialPlaceholder: 'בדרך כלל 0',
+                calculate: 'חשב צריכה',
+                save: 'שמור בהיסטוריה',
+                fromHistory: 'צריכה לתאריכי התקופה מההיסטוריה',
+                date: 'תאריך',
+                reading: 'קריאה',
+                sinceLast: 'צריכה מהקריאה הקודמת',
+                result: 'צריכה מחושבת: {consumption} ב-{days}',
+                rollover: ' (המונה התאפס לאחר שהגיע לערך המרבי)',
+                withReplacement: ' (כולל החלפת מונה)',
+                saved: 'הקריאות נשמרו בהיסטוריה',
+                historyEstimated: 'צריכה משוערת מההיסטוריה: {consumption} (הוערכה בין קריאות לפי מספר הימים)',
+                historyExact: 'צריכה מההיסטוריה: {consumption}',
+                newMeter: ' (מונה חדש)',
+                calculateInterval: 'חשב חשבון לתקופה',
+                remove: 'מחק קריאה'
+            },
+            consumerType: {
+                label: 'סוג צרכן:',
+                residential: 'ביתי',
+                business: 'עסק (תעריף אחיד)',
+                garden: 'גינה (מכסת השקיה)',
+                agriculture: 'משק ביתי חקלאי (מכסה חקלאית)',
+                hint: 'לצרכן שאינו ביתי אין הקצאה לפי נפשות - הזינו את התעריפים והמכסה שבחשבון או באישור'
+            },
+            rates: {
+                label: 'תעריפי הצרכן (מהחשבון או מהאישור):',
+                flat: 'תעריף אחיד (₪ למ"ק)',
+                quota: 'מכסה (מ"ק לחודש)',
+                quotaRate: 'תעריף בתוך המכסה (₪ למ"ק)',
+                excessRate: 'תעריף מעל המכסה (₪ למ"ק)'
+            },
+            persons: {
+                label: 'מספר נפשות בבית:',
+                option: { one: '{count} נפש', other: '{count} נפשות' },
+                tenOrMore: '10+ נפשות',
+                hint: 'כל נפש זכאית ל-3.5 מ"ק בחודש בתעריף מופחת'
+            },
+            period: {
+                label: 'תקופת חיוב:',
+                monthly: 'חודשי',
+                bimonthly: 'דו-חודשי (חודשיים)',
+                hint: 'רוב החשבונות הם דו-חודשיים'
+            },
+            dates: {
+                label: 'תאריכי תקופת החיוב (אופציונלי):',
+                start: 'תאריך תחילת התקופה',
+                end: 'תאריך סיום התקופה',
+                separator: 'עד',
+                hint: 'אם התעריף השתנה במהלך התקופה, הצריכה תחולק באופן יחסי לפי ימים'
+            },
+            disability: {
+                label: 'יש בבית נפש עם נכות 70%+ (ביטוח לאומי)',
+                hint: 'זכאות זו מוסיפה 3.5 מ"ק נוספים בתעריף מופחת'
+            },
+            members: {
+                toggle: 'פירוט נפשות: מישהו נכנס או עזב במהלך התקופה, או שיש יותר מנפש אחת עם נכות',
+                name: 'שם',
+                from: 'נכנס/ה לגור',
+                to: 'עזב/ה',
+                disability: 'נכות 70%+',
+                add: 'הוסף נפש',
+                hint: 'כל נפש מקבלת הקצאה לפי הימים שגרה בבית בתקופת החיוב (השאירו תאריך ריק אם גרה בבית כל התקופה). תאריכי כניסה ועזיבה דורשים את תאריכי תקופת החיוב. מספר הנפשות וסימון הנכות שלמעלה אינם נלקחים בחשבון.',
+                defaultName: 'נפש {number}',
+                fromDate: 'תאריך כניסה',
+                toDate: 'תאריך עזיבה',
+                remove: 'הסר נפש'
+            },
+            eligibility: {
+                label: 'זכאויות נוספות (אופציונלי):',
+                foster: 'ילדי אומנה בבית',
+                medical: 'מצב רפואי - כמות מאושרת (מ"ק לחודש)',
+                institution: 'מסגרת מוסדית - כמות מאושרת (מ"ק לחודש)',
+                hint: 'ילדי אומנה נספרים כמו נפשות בבית. לתוספת מטעמים רפואיים או למסגרת מוסדית הזינו את הכמות שבאישור שקיבלתם.'
+            },
+            fees: {
+                label: 'חיובים נוספים של התאגיד (אופציונלי):',
+                fixed: 'דמי שירות קבועים (₪ לחודש)',
+                sewage: 'ביוב (₪ למ"ק)',
+                other: 'חיובים אחרים (₪ לחשבון)',
+                hint: 'העתיקו מהחשבון את החיובים הקבועים ודמי הביוב כדי שהסכום הכולל יתאים לחשבון בפועל'
+            },
+            year: {
+                label: 'השוואה לשנה:',
+                hint: 'בחרו שנה שונה כדי לראות את ההבדל במחיר',
+                current: '{year} (נוכחי)',
+                compare: '{year} (השוואה)'
+            },
+            submit: 'חשב חשבון מים'
+        },
+        units: {
+            cubic: '{value} מ"ק',
+            cubicShort: 'מ"ק',
+            ratePerCubic: '{value} ₪/מ"ק',
+            perMonth: '{value} מ"ק לחודש',
+            days: { one: 'יום אחד', two: 'יומיים', other: '{count} ימים' },
+            litersPerHour: '{value} ליטר לשעה'
+        },
+        common: {
+            yes: 'כן',
+            no: 'לא',
+            range: '{from} - {to}'
+        },
+        consumerTypes: {
+            residential: 'ביתי',
+            business: 'עסק',
+            garden: 'גינה',
+            agriculture: 'משק ביתי חקלאי'
+        },
+        tiers: {
+            tiered: { reduced: 'תעריף מופחת', full: 'תעריף מלא', reducedTitle: 'הקצאה בתעריף מופחת', fullTitle: 'צריכה עודפת בתעריף מלא', allocation: 'הקצאה בתעריף מופחת' },
+            flat: { reduced: 'ללא הקצאה', full: 'תעריף אחיד', reducedTitle: 'ללא הקצאה מופחתת', fullTitle: 'כל הצריכה בתעריף אחיד', allocation: 'הקצאה' },
+            quota: { reduced: 'בתוך המכסה', full: 'מעל המכסה', reducedTitle: 'צריכה בתוך המכסה', fullTitle: 'צריכה מעל המכסה', allocation: 'מכסה לתקופה' }
+        },
+        fees: {
+            fixed: 'דמי שירות קבועים',
+            sewage: 'ביוב',
+            other: 'חיובים אחרים',
+            basis: { monthly: 'חודשים', cubic: 'מ"ק', bill: 'חשבון' }
+        },
+        eligibility: {
+            foster: 'ילדי אומנה',
+            medical: 'מצב רפואי המחייב תוספת מים',
+            institution: 'מסגרת מוסדית',
+            children: { one: 'ילד אחד', other: '{count} ילדים' },
+            impact: '+{value} בתעריף מופחת'
+        },
+        results: {
+            title: 'תוצאות החישוב',
+            rate: 'תעריף:',
+            fees: 'חיובים נוספים',
+            total: 'סכום כולל לתשלום',
+            minCharge: '* הוחל חיוב מינימלי של {amount} מ"ק לתקופה דו-חודשית',
+            periods: {
+                title: 'פירוט לפי תקופות תעריף',
+                period: 'תקופה',
+                days: 'ימים',
+                consumption: 'צריכה (מ"ק)',
+                reduced: 'מופחת (מ"ק × ₪)',
+                full: 'מלא (מ"ק × ₪)',
+                cost: 'עלות'
+            },
+            members: {
+                title: 'הקצאה לפי נפשות',
+                member: 'נפש',
+                days: 'ימים בתקופה',
+                share: 'חלק מהתקופה',
+                allocation: 'הקצאה מופחתת (מ"ק)',
+                wholePeriod: 'כל התקופה',
+                disability: 'נכות 70%+'
+            },
+            eligibility: {
+                title: 'זכאויות נוספות',
+                category: 'זכאות',
+                detail: 'פירוט',
+                impact: 'השפעה על החשבון'
+            },
+            comparison: {
+                title: 'השוואה היסטורית',
+                current: '{year} (נוכחי):',
+                other: '{year}:',
+                difference: 'הפרש:',
+                noTariff: 'אין תעריף לשנת {year} בתאריכי תקופת החיוב, ולכן ההשוואה לא מוצגת'
+            },
+            chart: {
+                title: 'פיצול עלות לפי תעריף',
+                titleWithFees: 'פיצול עלות לפי תעריף וחיובים',
+                tier: '{label} ({consumption})'
+            }
+        },
+        savings: {
+            title: 'סימולטור חיסכון - מה אם?',
+            intro: 'מלאו שינוי אחד או יותר כדי לראות את החשבון החדש לצד החשבון הנוכחי. את קצב הזרימה אפשר למדוד בדלי: כמה ליטרים מתמלאים בדקה.',
+            shower: 'מקלחות קצרות יותר',
+            showerMinutes: 'דקות פחות ביום',
+            showerFlow: 'זרימת המקלחת (ליטר לדקה)',
+            fixture: 'חסכם / ברז חסכוני',
+            fixtureMinutes: 'דקות שימוש ביום',
+            fixtureCurrent: 'זרימה כיום (ליטר לדקה)',
+            fixtureNew: 'זרימה אחרי ההחלפה (ליטר לדקה)',
+            leak: 'תיקון דליפה',
+            leakFlow: 'זרימת הדליפה (ליטר לשעה)',
+            leakHint: 'לפי בדיקת הזרימה הלילית',
+            allocation: 'הקצאה',
+            extraPersons: 'נפשות נוספות להצהרה',
+            disability: 'מימוש הטבת נכות',
+            run: 'חשבו חיסכון',
+            noChanges: 'מלאו לפחות שינוי אחד בסימולטור',
+            current: 'החשבון הנוכחי',
+            combined: 'כל השינויים',
+            consumption: 'צריכה (מ"ק)',
+            reduced: 'בתעריף מופחת (מ"ק)',
+            full: 'בתעריף מלא (מ"ק)',
+            total: 'סה"כ לתשלום',
+            perBill: 'חיסכון לחשבון',
+            monthly: 'חיסכון חודשי',
+            annual: 'חיסכון שנתי',
+            underAllocation: 'מתחת להקצאה',
+            allReduced: 'כל הצריכה בתעריף המופחת',
+            scenarios: {
+                showerMinutes: 'מקלחות קצרות',
+                lowFlowFixture: 'חסכם',
+                fixLeak: 'תיקון דליפה',
+                extraPersons: 'נפשות נוספות',
+                disability: 'הטבת נכות'
+            }
+        },
+        actions: {
+            pdf: 'ייצא ל-PDF',
+            csv: 'ייצא ל-CSV',
+            json: 'ייצא ל-JSON',
+            reset: 'חישוב חדש'
+        },
+        share: {
+            includeChecker: 'לכלול בקישור את נתוני בדיקת החשבון',
+            copy: 'העתקת קישור לחישוב',
+            link: 'קישור לחישוב',
+            hint: 'מי שיפתח את הקישור יראה את אותו חישוב - הנתונים נשמרים בקישור עצמו ולא נשלחים לשרת',
+            copied: 'הקישור הועתק',
+            openedOtherYear: 'החישוב נפתח מקישור שנוצר לפי תעריפי {linkYear}; התוצאות מחושבות לפי תעריפי {year}.',
+            opened: 'החישוב נפתח מקישור ששותף ואינו נשמר במכשיר זה.'
+        },
+        check: {
+            title: 'בדיקת טעויות בחשבון המים',
+            description: 'מצאו טעויות נפוצות בחשבון המים שלכם והבינו איך לתקן אותן',
+            toggle: 'בדקו את החשבון שלכם לטעויות',
+            actualAmount: {
+                label: 'הסכום בחשבון בפועל (₪):',
+                placeholder: 'לדוגמה: 145.50',
+                hint: 'הסכום שמופיע בחשבון המים שקיבלתם'
+            },
+            billingType: {
+                label: 'סוג הקריאה:',
+                actual: 'קריאה ממונה',
+                estimated: 'הערכה',
+                unknown: 'לא יודע/ת',
+                hint: 'בדקו בחשבון האם זו קריאה ממונה או הערכה'
+            },
+            previous: {
+                label: 'צריכה בחשבון הקודם (מ"ק):',
+                placeholder: 'לדוגמה: 16.2',
+                hint: 'עזר לזיהוי שינויים חריגים בצריכה'
+            },
+            meterReading: {
+                label: 'קריאת מונה נוכחית (אופציונלי):',
+                placeholder: 'לדוגמה: 1234.5',
+                hint: 'צלמו את המונה ורשמו את המספר שרואים'
+            },
+            submit: 'בדקו טעויות',
+            resultsTitle: 'תוצאות בדיקת טעויות',
+            noErrors: {
+                title: 'לא נמצאו טעויות',
+                text: 'החשבון שלכם נראה תקין על פי הבדיקה שלנו.'
+            },
+            summary: {
+                title: 'סיכום השוואה',
+                actual: 'חשבון בפועל:',
+                expected: 'חישוב מצופה:',
+                expectedWithFees: 'חישוב מצופה (כולל חיובים נוספים):',
+                difference: 'הפרש:'
+            },
+            implied: {
+                title: 'מה החשבון מניח (לפי הסכום שחויב)',
+                consumptionHousehold: 'צריכה (כשהנפשות והתעריף כפי שהוזנו):',
+                consumptionRates: 'צריכה (בתעריפים שהוזנו):',
+                consumptionNone: 'אין צריכה שמגיעה לסכום',
+                belowMinimum: 'נמוך מהחיוב המינימלי',
+                persons: 'מספר נפשות (כשהצריכה כפי שהוזנה):',
+                personsNone: 'אין מספר נפשות שמתאים לסכום',
+                personsRange: '{from}-{to} נפשות',
+                personsCount: { one: 'נפש אחת', other: '{count} נפשות' },
+                year: 'שנת תעריף:',
+                yearNone: 'אינו תואם אף שנה'
+            },
+            whatToDo: 'מה לעשות:',
+            contact: 'פנייה ל{name}: {details}',
+            contactOnBill: 'פנייה ל{name} - פרטי הקשר מופיעים על גבי החשבון',
+            consumptionRequired: 'אנא הכנס כמות צריכה תקינה במחשבון הראשי'
+        },
+        dispute: {
+            title: 'מכתב השגה לתאגיד המים',
+            intro: 'בחרו את הממצאים לכלול ומלאו את פרטי משק הבית. המכתב ייווצר בעברית עם נתוני החישוב, ותוכלו לערוך אותו לפני השליחה.',
+            name: 'שם מלא:',
+            address: 'כתובת הנכס:',
+            account: 'מספר חשבון / צרכן:',
+            accountHint: 'מופיע בראש חשבון המים',
+            phone: 'טלפון:',
+            email: 'דוא"ל:',
+            generate: 'צרו מכתב השגה',
+            text: 'נוסח המכתב',
+            legalNote: 'הפניות לחקיקה מובאות ללא מספרי סעיפים - מומלץ לוודא את הנוסח העדכני לפני השליחה.',
+            downloadPdf: 'הורדה כ-PDF',
+            downloadText: 'הורדה כטקסט',
+            copy: 'העתקה',
+            copied: 'המכתב הועתק',
+            findings: {
+                overcharge: 'חיוב יתר',
+                personsMismatch: 'חיוב לפי מספר נפשות שגוי',
+                wrongTariffYear: 'חיוב לפי תעריפי שנה אחרת',
+                duplicatePeriod: 'חיוב כפול על אותה תקופה',
+                estimation: 'חיוב לפי הערכה',
+                spike: 'עלייה חדה בצריכה',
+                disability: 'הקצאה בגין נכות'
+            }
+        },
+        audit: {
+            title: 'בדיקת חשבונות קודמים מקובץ CSV',
+            intro: 'העלו קובץ CSV עם העמודות <code>date, consumption, persons, period, billedAmount</code> (תאריך בפורמט YYYY-MM-DD). כל חשבון יחושב לפי תעריפי השנה שלו ויסומן אם נראה שגוי. חיובים נוספים מהמחשבון הראשי יחולו על כל החשבונות.',
+            choose: 'בחרו קובץ CSV',
+            date: 'תאריך',
+            consumption: 'צריכה (מ"ק)',
+            persons: 'נפשות',
+            calculated: 'חישוב',
+            billed: 'חויב בפועל',
+            status: 'סטטוס',
+            findings: 'ממצאים',
+            exportCsv: 'ייצא תוצאות ל-CSV',
+            addToHistory: 'הוסף להיסטוריה',
+            summary: { one: 'נבדק חשבון אחד:', other: 'נבדקו {count} חשבונות:' },
+            statuses: {
+                error: 'נראה שגוי',
+                warning: 'לבדיקה',
+                ok: 'תקין',
+                invalid: 'לא ניתן לחשב'
+            },
+            parseError: 'שורה {line}: {message}',
+            rowErrors: {
+                date: 'התאריך חייב להיות תאריך תקין בפורמט YYYY-MM-DD',
+                consumption: 'הצריכה חייבת להיות מספר, 0 ומעלה',
+                persons: 'מספר הנפשות חייב להיות מספר שלם, 1 ומעלה',
+                period: 'תקופת החיוב חייבת להיות מספר שלם של חודשים',
+                billedAmount: 'הסכום בחשבון חייב להיות מספר, 0 ומעלה'
+            },
+            added: { one: 'חשבון אחד נוסף להיסטוריה', other: '{count} חשבונות נוספו להיסטוריה' }
+        },
+        commonErrors: {
+            title: 'טעויות נפוצות בחיוב מים',
+            solution: 'פתרון:',
+            estimation: {
+                title: 'חיוב על פי הערכה',
+                text: 'התאגיד מחשב לפי הערכה במקום קריאה ממונה. זה יכול להוביל לחיוב יתר או חסר.',
+                solution: 'צלמו את המונה ושלחו לתאגיד המים לעדכון וזיכוי במידת הצורך.'
+            },
+            persons: {
+                title: 'מספר נפשות שגוי',
+                text: 'התאגיד מחשב לפי 2 נפשות כברירת מחדל אם לא הצהרתם על מספר הנפשות.',
+                solution: 'פנו לתאגיד עם תעודות זהות לעדכון מספר הנפשות.'
+            },
+            reading: {
+                title: 'טעות בקריאת מונה',
+                text: 'קריאה שגויה של קורא מונים ידני - טעות אנוש בהקלדת הנתונים.',
+                solution: 'צלמו את המונה והשוו לחשבון. פנו לתאגיד לתיקון.'
+            },
+            spike: {
+                title: 'עלייה חדה בצריכה',
+                text: 'עלייה פתאומית וחדה בצריכה - עשוי להצביע על דליפה או מונה פגום.',
+                solution: 'בדקו דליפות במערכת. אם אין - בקשו בדיקת מונה.'
+            },
+            disability: {
+                title: 'אי-הפעלת הנחת נכות',
+                text: 'נכות 70%+ זכאית ל-3.5 מ"ק נוספים בתעריף מופחת שלא תמיד מופעלים.',
+                solution: 'פנו לתאגיד עם אישור מביטוח לאומי להפעלת ההנחה.'
+            },
+            tariff: {
+                title: 'טעות בחישוב תעריפים',
+                text: 'שימוש בתעריפים שגויים או חישוב שגוי של מדרגות התעריף.',
+                solution: 'השתמשו במחשבון שלנו להשוואה ופנו לתאגיד במידת הצורך.'
+            }
+        },
+        history: {
+            title: 'היסטוריית חשבונות ומגמות',
+            description: 'כל חישוב נשמר בדפדפן יחד עם הסכום שחויב בפועל, כדי לעקוב אחרי הצריכה והעלות לאורך השנה',
+            emptyTitle: 'אין עדיין חשבונות שמורים',
+            emptyText: 'חשבו חשבון מים במחשבון והוא יתווסף להיסטוריה.',
+            date: 'תאריך',
+            consumption: 'צריכה (מ"ק)',
+            split: 'מופחת / מלא (מ"ק)',
+            calculated: 'חישוב',
+            billed: 'חויב בפועל',
+            clear: 'מחק היסטוריה',
+            clearConfirm: 'למחוק את כל היסטוריית החשבונות?',
+            remove: 'מחק רשומה',
+            chart: {
+                title: 'צריכה ועלות לאורך זמן',
+                reduced: 'תעריף מופחת (מ"ק)',
+                full: 'תעריף מלא (מ"ק)',
+                calculated: 'עלות מחושבת (₪)',
+                billed: 'חויב בפועל (₪)'
+            }
+        },
+        projection: {
+            title: 'תחזית שנתית ותקציב',
+            description: 'הזינו את הצריכה בחשבונות שכבר התקבלו השנה, ואם אפשר גם את הצריכה בשנה שעברה לדפוס העונתי (למשל השקיה בקיץ). שאר התקופות יחושבו כתחזית, כל אחת לפי התעריף שבתוקף בתאריכיה. מספר הנפשות, הנכות והחיובים הנוספים נלקחים מהמחשבון הראשי.',
+            period: 'תקופת חיוב:',
+            bimonthly: 'דו-חודשי',
+            monthly: 'חודשי',
+            budget: 'תקציב שנתי (₪, אופציונלי):',
+            budgetPlaceholder: 'לדוגמה: 1500',
+            periodColumn: 'תקופה',
+            lastYear: 'שנה שעברה (מ"ק)',
+            thisYear: 'השנה בפועל (מ"ק)',
+            consumption: 'צריכה (מ"ק)',
+            split: 'מופחת / מלא (מ"ק)',
+            cost: 'עלות',
+            cumulative: 'מצטבר',
+            fill: 'מלא מההיסטוריה',
+            run: 'חשבו תחזית',
+            months: '{first}-{last}',
+            lastYearInput: 'צריכה בשנה שעברה',
+            thisYearInput: 'צריכה השנה',
+            forecast: '{value} (תחזית)',
+            noHistory: 'אין בהיסטוריה חשבונות מהשנה הנוכחית או הקודמת עם אותה תקופת חיוב',
+            overBudget: 'התחזית חורגת מהתקציב',
+            overBudgetText: 'העלות השנתית הצפויה גבוהה מהתקציב ב-{difference} ({percent} מהתקציב). התקציב צפוי להיגמר בתקופת {months}.',
+            withinBudget: 'התחזית בתוך התקציב',
+            withinBudgetText: 'נותרו {remaining} ({percent} מהתקציב בשימוש).',
+            summary: 'סיכום שנת {year}',
+            annualCost: 'עלות שנתית צפויה:',
+            paidAndForecast: 'שולם עד כה / תחזית:',
+            annualConsumption: 'צריכה שנתית (מופחת / מלא):',
+            patternPreviousYear: 'התחזית עוקבת אחרי הדפוס העונתי של השנה שעברה.',
+            patternFlat: 'ללא נתוני שנה שעברה התחזית מניחה צריכה שווה בכל תקופה.'
+        },
+        leaks: {
+            title: 'בדיקת דליפות',
+            description: 'ניתוח קריאות המונה השמורות (בחישוב הצריכה לפי קריאות מונה) וקריאות זרימה לילית, לזיהוי דליפה ולהערכת עלותה בתעריף המלא',
+            nightDate: 'תאריך הבדיקה הלילית:',
+            nightFlow: 'זרימה לילית מינימלית (ליטר לשעה):',
+            nightFlowPlaceholder: 'לדוגמה: 0',
+            nightFlowHint: 'רשמו את ספרות הליטרים במונה לפני השינה ובבוקר, לפני שימוש במים, וחלקו את ההפרש במספר השעות',
+            add: 'הוסף בדיקה לילית',
+            analyze: 'נתחו דליפות',
+            date: 'תאריך',
+            flow: 'זרימה לילית (ליטר לשעה)',
+            period: 'תקופה',
+            dailyRate: 'צריכה ליום (מ"ק)',
+            expectedRate: 'צפוי ליום (מ"ק)',
+            excess: 'חריגה',
+            expectedNote: 'הצפי הוא הצריכה באותה תקופה בשנה הקודמת, או החציון של שאר התקופות (*) כשאין קריאות משנה קודמת.',
+            remove: 'מחק בדיקה',
+            needData: 'שמרו לפחות שתי קריאות מונה או בדיקה לילית אחת כדי לבדוק דליפות',
+            suspected: 'חשד לדליפה מאז {date}',
+            sourceNightFlow: 'זרימה קבועה של {flow} בלילה',
+            sourceSeasonal: 'צריכה גבוהה מהרגיל לעונה',
+            advice: '{source}. סגרו את כל הברזים ובדקו אם המונה ממשיך להסתובב.',
+            estimate: 'הערכת הדליפה',
+            volume: 'כמות משוערת ({days}):',
+            cost: 'עלות בתעריף המלא ({rate}):',
+            dailyCost: 'עלות ליום נוסף של דליפה:',
+            noneTitle: 'לא נמצא סימן לדליפה',
+            pastAnomalies: 'נמצאו תקופות עם צריכה חריגה (מסומנות בטבלה), אך החריגה אינה נמשכת עד היום.',
+            normal: 'הצריכה והזרימה הלילית תואמות את הרגיל.'
+        },
+        building: {
+            title: 'חלוקת חשבון בבניין משותף',
+            description: 'מונה ראשי ומוני דירות: חלוקת הצריכה המשותפת (גינה, לובי) בין הדיירים וחישוב חשבון לכל דירה',
+            main: 'צריכה במונה הראשי (מ"ק):',
+            mainPlaceholder: 'לדוגמה: 120',
+            mainHint: 'הצריכה בתקופה לפי המונה הראשי של הבניין',
+            period: 'תקופת חיוב:',
+            split: 'חלוקת הצריכה המשותפת:',
+            splitEqual: 'שווה בין הדירות',
+            splitPersons: 'לפי מספר נפשות',
+            splitConsumption: 'לפי צריכת הדירה',
+            apartment: 'דירה',
+            apartmentConsumption: 'צריכה במונה הדירתי (מ"ק)',
+            apartmentConsumptionInput: 'צריכה במונה הדירתי',
+            persons: 'נפשות',
+            disability: 'נכות 70%+',
+            add: 'הוסף דירה',
+            remove: 'הסר דירה',
+            calculate: 'חשב חלוקה',
+            resultsTitle: 'חלוקה לפי דירות',
+            own: 'צריכה דירתית',
+            common: 'חלק במשותף',
+            total: 'סה"כ צריכה',
+            reduced: 'מופחת (מ"ק)',
+            full: 'מלא (מ"ק)',
+            payable: 'לתשלום',
+            summary: 'מונה ראשי: {main} | מוני דירות: {subMeters} | צריכה משותפת: {common} | סה"כ לבניין: {total}'
+        },
+        footer: {
+            sources: 'מקורות המידע',
+            waterAuthority: 'רשות המים',
+            mekorot: 'מקורות - חברת המים הלאומית',
+            tariffs: 'תעריפי מים מעודכנים לשנת 2026',
+            notes: 'הערות חשובות',
+            tariffsChange: 'התעריפים עשויים להשתנות במהלך השנה',
+            localCharges: 'תאגידים מקומיים עשויים להוסיף עלויות קבועות',
+            basedOn: 'המחשבון מבוסס על תעריפי רשות המים',
+            copyright: '2026 מחשבון חיוב מים ישראל | נוצר לטובת הציבור'
+        },
+        billImport: {
+            toggle: 'מילוי אוטומטי מחשבון המים (הדבקה או PDF)',
+            textLabel: 'טקסט החשבון',
+            textPlaceholder: 'הדביקו כאן את הטקסט של החשבון (סמנו הכול בקובץ ה-PDF או במייל והעתיקו)',
+            extract: 'חילוץ הנתונים',
+            choose: 'בחרו קובץ PDF או טקסט',
+            reading: 'קורא את הקובץ...',
+            result: { one: 'שדה אחד מולא מהחשבון.', two: 'שני שדות מולאו מהחשבון.', other: '{count} שדות מולאו מהחשבון.' },
+            corporation: ' תאגיד המים: {name}.',
+            derived: ' הצריכה חושבה לפי קריאות המונה.',
+            checkerFilled: ' גם שדות בדיקת החשבון מולאו.',
+            verify: ' בדקו כל ערך מול החשבון לפני החישוב.',
+            nothingFound: 'לא זוהו נתונים בטקסט. ודאו שזה הטקסט של חשבון מים, או הקלידו את הנתונים בעצמכם.',
+            noText: 'אין טקסט בקובץ ה-PDF - כנראה שזו תמונה סרוקה. הקלידו את הנתונים מהחשבון בעצמכם.',
+            pdfFailed: 'לא ניתן לקרוא את הקובץ כ-PDF.'
+        },
+        library: {
+            chartMissing: 'הגרף לא זמין: ספריית הגרפים לא נטענה. החישוב עצמו תקין.',
+            pdfMissing: 'ייצוא PDF לא זמין: ספריית ה-PDF לא נטענה. רעננו את הדף כשיש חיבור לאינטרנט ונסו שוב.',
+            pdfReaderMissing: 'קריאת קובצי PDF לא זמינה: קורא ה-PDF לא נטען. הדביקו במקום זאת את הטקסט של החשבון.'
+        },
+        pdf: {
+            fontError: 'לא ניתן לטעון את הגופן לדוח. בדקו את החיבור לאינטרנט ונסו שוב.',
+            title: 'דוח חישוב חשבון מים - {year}',
+            generated: 'הופק בתאריך: {date}',
+            inputs: 'נתוני החשבון',
+            city: 'יישוב',
+            consumerType: 'סוג צרכן',
+            consumption: 'צריכה',
+            persons: 'מספר נפשות',
+            period: 'תקופת חיוב',
+            monthly: 'חודשית',
+            bimonthly: 'דו-חודשית',
+            dates: 'תאריכי החיוב',
+            disability: 'הטבת נכות',
+            eligibility: 'זכאויות נוספות:',
+            members: 'הקצאה לפי נפשות:',
+            member: '{name}{disability} - {presence}',
+            memberDisability: ' (נכות 70%+)',
+            calculation: 'פירוט החישוב',
+            segments: 'חלוקה לפי תקופות תעריף:',
+            segment: '{range} ({days}, {consumption})',
+            waterTotal: 'סה"כ צריכת מים',
+            fees: 'חיובים נוספים:',
+            total: 'סה"כ לתשלום: {amount}',
+            comparison: 'השוואה לשנים קודמות',
+            current: '{year} (נוכחי)',
+            difference: 'הפרש',
+            check: 'ממצאי בדיקת החשבון',
+            actual: 'חשבון בפועל',
+            expected: 'חישוב מצופה',
+            error: 'טעות',
+            warning: 'אזהרה',
+            recommendation: 'המלצה',
+            noFindings: 'לא נמצאו טעויות - החשבון נראה תקין על פי הבדיקה.',
+            whatToDo: 'מה לעשות: {action}',
+            notes: 'הערות',
+            notesTariffs: 'התעריפים מבוססים על תעריפי רשות המים לשנת {year}, כולל מע"ם.',
+            notesRates: 'התעריפים והמכסה הם אלה שהוזנו מהחשבון או מהאישור של הצרכן.',
+            notesFees: 'הסכום הכולל כולל את חיובי התאגיד שהוזנו.',
+            notesNoFees: 'תאגידי המים עשויים להוסיף חיובים קבועים ודמי ביוב.',
+            notesProRated: 'שינוי תעריף בתוך תקופת חיוב מחושב באופן יחסי לפי ימים.',
+            footer: 'מחשבון חיוב מים - ישראל | נוצר לתועלת הציבור',
+            page: 'עמוד {page} מתוך {pages}'
+        },
+        errors: {
+            INVALID_CONSUMPTION: 'אנא הכנס כמות צריכה תקינה',
+            INVALID_PERSONS: 'אנא בחר מספר נפשות תקין',
+            INVALID_PERIOD: 'אנא בחר תקופת חיוב תקינה',
+            INVALID_YEAR: 'אנא בחר שנה תקינה',
+            UNSUPPORTED_YEAR: 'אין נתוני תעריפים לשנה שנבחרה',
+            INVALID_DATES: 'אנא הכנס תאריך התחלה ותאריך סיום תקינים לתקופת החיוב',
+            INVALID_FEES: 'אנא הכנס סכומי חיובים נוספים תקינים (0 ומעלה)',
+            INVALID_ELIGIBILITY: 'אנא הזינו ערכים תקינים לזכאויות הנוספות (מספר שלם של ילדים או כמות מאושרת של 0 ומעלה)',
+            INVALID_CONSUMER_TYPE: 'אנא בחרו סוג צרכן תקין',
+            INVALID_RATES: 'אנא הזינו את תעריפי הצרכן (והמכסה) מהחשבון - 0 ומעלה',
+            INVALID_MEMBERS: 'אנא הוסיפו לפחות נפש אחת עם תאריכים תקינים (עזיבה לא לפני כניסה, ותאריכי תקופת חיוב כשמוזנים תאריכי כניסה או עזיבה)',
+            INVALID_BUILDING: 'אנא הוסף לפחות דירה אחת',
+            INVALID_SPLIT_METHOD: 'אנא בחר שיטת חלוקה תקינה',
+            SUBMETERS_EXCEED_MAIN: 'סך הצריכה במוני הדירות גבוה מהצריכה במונה הראשי - בדקו את הקריאות',
+            INVALID_READING: 'אנא הכנס קריאות מונה ותאריכים תקינים (הקריאה הנוכחית אחרי הקודמת)',
+            READING_DECREASED: 'קריאת המונה ירדה - אם המונה הוחלף סמנו זאת והזינו את קריאות ההחלפה',
+            DUPLICATE_READING: 'כבר קיימת קריאה שמורה בתאריך זה',
+            OUT_OF_RANGE: 'הקריאות השמורות אינן מכסות את תאריכי התקופה שנבחרה',
+            NO_TARIFF_FOR_DATE: 'אין תעריף מוגדר לחלק מתקופת החיוב שנבחרה',
+            INVALID_NIGHT_FLOW: 'אנא הכנס תאריך וזרימה לילית תקינה (0 ומעלה)',
+            INVALID_SCENARIO: 'אנא מלאו את שדות השינוי במספרים תקינים (0 ומעלה, והזרימה החדשה לא גבוהה מהנוכחית)',
+            INVALID_PROJECTION: 'אנא הכנס צריכה (0 ומעלה) ותקציב חיובי',
+            NO_PROJECTION_DATA: 'הזינו צריכה לפחות לתקופה אחת השנה או בשנה שעברה',
+            NO_DISPUTABLE_FINDINGS: 'בחרו לפחות ממצא אחד לכלול במכתב',
+            INVALID_CSV: 'הקובץ חייב לכלול את העמודות date, consumption, persons, period, billedAmount',
+            INVALID_SHARE_LINK: 'לא ניתן לפתוח את הקישור - ייתכן שהוא נקטע או נוצר בגרסה חדשה יותר של המחשבון',
+            EMPTY_BILL_TEXT: 'הדביקו את הטקסט של החשבון או בחרו קובץ חשבון',
+            INVALID_TEMPLATE: 'תבנית החשבון אינה תקינה'
+        }
+    };
+}));
@@ -0,0 +1,266 @@
+/**
+ * Meter Readings
+ * Derives consumption from meter readings, including rollover and meter
+ * replacement, and prices any past period from a saved reading history.
+ *
+ * Browser: loaded as a classic script after tariff-engine.js,
+ *          exposed as window.WaterMeterReadings
+ * Node:    const readings = require('./meter-readings');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./tariff-engine'));
+    } else {
+        root.WaterMeterReadings = factory(root.WaterTariffEngine);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine) {
+    'use strict';
+
+    const { TariffEngineError, MS_PER_DAY, calculateWaterBill, toUtc, addDays } = engine;
+
+    const DEFAULT_METER_DIGITS = 5;   // residential meters show 5 whole-m³ digits
+    const ROLLOVER_ZONE = 0.1;        // a decrease counts as rollover only from the top 10% of the dial
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /**
+     * @typedef {Object} MeterReplacement
+     * @property {number} oldFinalReading  - last reading of the removed meter
+     * @property {number} newInitialReading - first reading of the new meter
+     */
+
+    /**
+     * @typedef {Object} MeterReading
+     * @property {string} date                   - YYYY-MM-DD
+     * @property {number} reading                - m³ shown on the meter
+     * @property {MeterReplacement} [replacement] - meter replaced since the previous reading
+     */
+
+    /**
+     * @typedef {Object} ReadingInterval
+     * @property {string}  startDate
+     * @property {string}  endDate
+     * @property {number}  days
+     * @property {number}  consumption
+     * @property {boolean} rollover
+     * @property {boolean} replaced
+     */
+
+    // ============================================
+    // VALIDATION
+    // ============================================
+
+    /**
+     * Validate a single reading
+     * @returns {MeterReading}
+     * @throws {TariffEngineError}
+     */
+    function validateReading(entry, field) {
+        if (!entry || Number.isNaN(toUtc(entry.date))) {
+            throw new TariffEngineError('INVALID_READING', `${field} needs a valid YYYY-MM-DD date`, field);
+        }
+        const reading = Number(entry.reading);
+        if (entry.reading === '' || !Number.isFinite(reading) || reading < 0) {
+            throw new TariffEngineError('INVALID_READING', `${field} needs a non-negative meter reading`, field);
+        }
+
+        const validated = { date: entry.date, reading };
+        if (entry.replacement) {
+            const oldFinalReading = Number(entry.replacement.oldFinalReading);
+            const newInitialReading = Number(entry.replacement.newInitialReading);
+            if (![oldFinalReading, newInitialReading].every(value => Number.isFinite(value) && value >= 0)) {
+                throw new TariffEngineError('INVALID_READING', `${field} replacement needs the old meter's final and the new meter's initial reading`, field);
+            }
+            validated.replacement = { oldFinalReading, newInitialReading };
+        }
+        return validated;
+    }
+
+    // ============================================
+    // CONSUMPTION FROM READINGS
+    // ============================================
+
+    /**
+     * Consumption between two readings
+     * @param {MeterReading} previous
+     * @param {MeterReading} current - may carry a replacement since `previous`
+     * @param {{meterDigits?: number}} [options]
+     * @returns {ReadingInterval}
+     * @throws {TariffEngineError} for invalid readings, dates out of order, or
+     *         a decrease that is neither a rollover nor a declared replacement
+     */
+    function consumptionFromReadings(previous, current, options = {}) {
+        const prev = validateReading(previous, 'previous');
+        const curr = validateReading(current, 'current');
+
+        const days = Math.round((toUtc(curr.date) - toUtc(prev.date)) / MS_PER_DAY);
+        if (days <= 0) {
+            throw new TariffEngineError('INVALID_READING', 'The current reading must be dated after the previous one', 'current');
+        }
+
+        let consumption;
+        let rollover = false;
+        const replaced = Boolean(curr.replacement);
+
+        if (replaced) {
+            // Old meter up to its removal, then the new meter from its initial reading
+            const { oldFinalReading, newInitialReading } = curr.replacement;
+            if (oldFinalReading < prev.reading || curr.reading < newInitialReading) {
+                throw new TariffEngineError('INVALID_READING', 'Replacement readings do not line up with the previous and current readings', 'current');
+            }
+            consumption = (oldFinalReading - prev.reading) + (curr.reading - newInitialReading);
+        } else if (curr.reading >= prev.reading) {
+            consumption = curr.reading - prev.reading;
+        } else {
+            // The dial wrapped past 99999 -> 00000
+            const capacity = Math.pow(10, options.meterDigits || DEFAULT_METER_DIGITS);
+            if (prev.reading < capacity * (1 - ROLLOVER_ZONE) || curr.reading >= capacity * ROLLOVER_ZONE) {
+                throw new TariffEngineError(
+                    'READING_DECREASED',
+                    'The meter reading went down - mark a meter replacement or check the readings',
+                    'current'
+                );
+            }
+            consumption = (capacity - prev.reading) + curr.reading;
+            rollover = true;
+        }
+
+        return {
+            startDate: prev.date,
+            endDate: curr.date,
+            days,
+            consumption,
+            rollover,
+            replaced
+        };
+    }
+
+    // ============================================
+    // READING HISTORY
+    // ============================================
+
+    /**
+     * Validate readings and sort them by date (one reading per date)
+     * @param {MeterReading[]} readings
+     * @returns {MeterReading[]}
+     * @throws {TariffEngineError}
+     */
+    function normalizeHistory(readings) {
+        if (!Array.isArray(readings)) {
+            throw new TariffEngineError('INVALID_READING', 'Reading history must be an array', 'readings');
+        }
+        const sorted = readings
+            .map((entry, index) => validateReading(entry, `readings[${index}]`))
+            .sort((a, b) => toUtc(a.date) - toUtc(b.date));
+
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i].date === sorted[i - 1].date) {
+                throw new TariffEngineError('DUPLICATE_READING', `More than one reading on ${sorted[i].date}`, 'readings');
+            }
+        }
+        return sorted;
+    }
+
+    /**
+     * Consumption between each pair of consecutive readings
+     * @param {MeterReading[]} readings
+     * @param {{meterDigits?: number}} [options]
+     * @returns {ReadingInterval[]}
+     */
+    function intervalsFromHistory(readings, options = {}) {
+        const sorted = normalizeHistory(readings);
+        const intervals = [];
+        for (let i = 1; i < sorted.length; i++) {
+            intervals.push(consumptionFromReadings(sorted[i - 1], sorted[i], options));
+        }
+        return intervals;
+    }
+
+    /**
+     * Consumption between two dates. Dates that fall between readings are
+     * interpolated linearly by days, and the result is flagged as estimated.
+     * @param {MeterReading[]} readings
+     * @param {string} startDate
+     * @param {string} endDate
+     * @param {{meterDigits?: number}} [options]
+     * @returns {{consumption: number, estimated: boolean}}
+     * @throws {TariffEngineError} when the dates are outside the history
+     */
+    function consumptionBetween(readings, startDate, endDate, options = {}) {
+        const sorted = normalizeHistory(readings);
+        const start = toUtc(startDate);
+        const end = toUtc(endDate);
+        if (Number.isNaN(start) || Number.isNaN(end) || end <= start) {
+            throw new TariffEngineError('INVALID_DATES', 'endDate must be a valid date after startDate', 'endDate');
+        }
+        if (sorted.length < 2 || start < toUtc(sorted[0].date) || end > toUtc(sorted[sorted.length - 1].date)) {
+            throw new TariffEngineError('OUT_OF_RANGE', 'The period is not covered by the saved readings', 'readings');
+        }
+
+        // Cumulative consumption at each reading date
+        const intervals = intervalsFromHistory(sorted, options);
+        const points = [{ time: toUtc(sorted[0].date), total: 0 }];
+        intervals.forEach(interval => {
+            points.push({ time: toUtc(interval.endDate), total: points[points.length - 1].total + interval.consumption });
+        });
+
+        const cumulativeAt = time => {
+            const index = points.findIndex(point => point.time >= time);
+            const after = points[index];
+            if (after.time === time || index === 0) {
+                return { total: after.total, exact: true };
+            }
+            const before = points[index - 1];
+            const fraction = (time - before.time) / (after.time - before.time);
+            return { total: before.total + (after.total - before.total) * fraction, exact: false };
+        };
+
+        const from = cumulativeAt(start);
+        const to = cumulativeAt(end);
+        return {
+            consumption: to.total - from.total,
+            estimated: !from.exact || !to.exact
+        };
+    }
+
+    /**
+     * Last billed day of a period that ends at a reading. Billing dates are
+     * inclusive, and the reading's own day opens the next period, so
+     * back-to-back periods do not both count it.
+     * @param {string} readingDate - YYYY-MM-DD
+     * @returns {string}
+     */
+    function billingEndDate(readingDate) {
+        return addDays(readingDate, -1);
+    }
+
+    /**
+     * Price a past period from the reading history
+     * @param {MeterReading[]} readings
+     * @param {Object} input - tariff-engine BillInput without `consumption`;
+     *                         startDate and endDate (the readings that open and
+     *                         close the period) are required
+     * @returns {Object} BillResult, billed through the day before endDate,
+     *                   plus `estimated` (interpolated readings)
+     */
+    function billFromHistory(readings, input) {
+        const { consumption, estimated } = consumptionBetween(readings, input.startDate, input.endDate, input);
+        return {
+            ...calculateWaterBill({ ...input, consumption, endDate: billingEndDate(input.endDate) }),
+            estimated
+        };
+    }
+
+    return {
+        DEFAULT_METER_DIGITS,
+        consumptionFromReadings,
+        normalizeHistory,
+        intervalsFromHistory,
+        consumptionBetween,
+        billingEndDate,
+        billFromHistory
+    };
+}));
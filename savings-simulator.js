@@ -0,0 +1,225 @@
+/**
+ * Savings Simulator
+ * "What if" scenarios on top of calculateWaterBill: shorter showers, a
+ * low-flow fixture, a fixed leak, registering another person or claiming
+ * the disability benefit. Each scenario is priced next to the current
+ * bill with the new tier split and the savings per bill, month and year.
+ *
+ * Browser: loaded as a classic script after tariff-engine.js,
+ *          exposed as window.WaterSavingsSimulator
+ * Node:    const simulator = require('./savings-simulator');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./tariff-engine'));
+    } else {
+        root.WaterSavingsSimulator = factory(root.WaterTariffEngine);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine) {
+    'use strict';
+
+    const { TariffEngineError, DAYS_PER_MONTH, calculateWaterBill, validateInput, daysInclusive } = engine;
+
+    /**
+     * Supported changes, in the order they are applied
+     */
+    const CHANGE_TYPES = ['showerMinutes', 'lowFlowFixture', 'fixLeak', 'extraPersons', 'disability'];
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /**
+     * Changes to model. Flow rates are the household's own, measured for
+     * example by timing how long a fixture takes to fill a bucket.
+     * @typedef {Object} ScenarioChanges
+     * @property {{minutesPerDay: number, litersPerMinute: number}} [showerMinutes]
+     *           shower minutes cut per day, at the shower's flow rate
+     * @property {{minutesPerDay: number, currentLitersPerMinute: number, newLitersPerMinute: number}} [lowFlowFixture]
+     *           replacing a fixture used `minutesPerDay` with a lower-flow one
+     * @property {{litersPerHour: number}} [fixLeak] - leak flow that stops
+     * @property {number}  [extraPersons]  - persons added to the declaration (members present
+     *                                       for the whole period, when the input lists members)
+     * @property {boolean} [disability]    - claim the disability allocation (ignored when the
+     *                                       input lists members, who carry their own flags)
+     */
+
+    /**
+     * @typedef {Object} Savings
+     * @property {number} perBill - NIS
+     * @property {number} monthly - NIS
+     * @property {number} annual  - NIS
+     */
+
+    /**
+     * @typedef {Object} ScenarioResult
+     * @property {ScenarioChanges} changes
+     * @property {Object}  input            - BillInput with the changes applied
+     * @property {Object}  result           - BillResult for that input
+     * @property {number}  consumptionSaved - m³ per bill
+     * @property {Savings} savings
+     * @property {boolean} underAllocation  - all consumption billed at the reduced rate
+     */
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    function isNonNegative(value) {
+        return Number.isFinite(value) && value >= 0;
+    }
+
+    function invalid(type, message) {
+        return new TariffEngineError('INVALID_SCENARIO', `${type}: ${message}`, type);
+    }
+
+    /**
+     * Days covered by a bill: the billing dates when given, else the period in months
+     */
+    function billingDays(input) {
+        if (input.startDate && input.endDate) {
+            return daysInclusive(input.startDate, input.endDate);
+        }
+        return input.period * DAYS_PER_MONTH;
+    }
+
+    /**
+     * Cubic meters a change saves over `days`, or 0 for changes that
+     * alter the allocation instead of the consumption
+     * @throws {TariffEngineError} INVALID_SCENARIO for a malformed change
+     */
+    function cubicMetersSaved(type, change, days) {
+        switch (type) {
+            case 'showerMinutes': {
+                const { minutesPerDay, litersPerMinute } = change;
+                if (!isNonNegative(minutesPerDay) || !isNonNegative(litersPerMinute)) {
+                    throw invalid(type, 'needs non-negative minutesPerDay and litersPerMinute');
+                }
+                return minutesPerDay * litersPerMinute * days / 1000;
+            }
+            case 'lowFlowFixture': {
+                const { minutesPerDay, currentLitersPerMinute, newLitersPerMinute } = change;
+                if (![minutesPerDay, currentLitersPerMinute, newLitersPerMinute].every(isNonNegative) || newLitersPerMinute > currentLitersPerMinute) {
+                    throw invalid(type, 'needs non-negative flows, with the new flow no higher than the current one');
+                }
+                return minutesPerDay * (currentLitersPerMinute - newLitersPerMinute) * days / 1000;
+            }
+            case 'fixLeak':
+                if (!isNonNegative(change.litersPerHour)) {
+                    throw invalid(type, 'needs a non-negative litersPerHour');
+                }
+                return change.litersPerHour * 24 * days / 1000;
+            case 'extraPersons':
+                if (!Number.isInteger(change) || change < 0) {
+                    throw invalid(type, 'must be a whole number of at least 0');
+                }
+                return 0;
+            case 'disability':
+                return 0;
+            default:
+                throw invalid(type, `unknown change, expected one of ${CHANGE_TYPES.join('/')}`);
+        }
+    }
+
+    function savingsBetween(baseline, result, period) {
+        const perBill = baseline.totalPrice - result.totalPrice;
+        const monthly = perBill / period;
+        return { perBill, monthly, annual: monthly * 12 };
+    }
+
+    // ============================================
+    // SIMULATION
+    // ============================================
+
+    /**
+     * Apply changes to a bill input
+     * @param {Object} input - tariff-engine BillInput
+     * @param {ScenarioChanges} changes
+     * @returns {{input: Object, consumptionSaved: number}}
+     * @throws {TariffEngineError} for invalid input or changes
+     */
+    function applyChanges(input, changes) {
+        const validated = validateInput(input);
+        const days = billingDays(validated);
+
+        let saved = 0;
+        Object.keys(changes).forEach(type => {
+            saved += cubicMetersSaved(type, changes[type], days);
+        });
+
+        const changed = {
+            ...input,
+            consumption: Math.max(0, validated.consumption - saved)
+        };
+        if (changes.extraPersons) {
+            changed.persons = validated.persons + changes.extraPersons;
+            if (validated.members) {
+                changed.members = [...validated.members, ...Array.from({ length: changes.extraPersons }, () => ({}))];
+            }
+        }
+        if (changes.disability) {
+            changed.hasDisability = true;
+        }
+
+        return {
+            input: changed,
+            consumptionSaved: validated.consumption - changed.consumption
+        };
+    }
+
+    /**
+     * Price one scenario against the current bill
+     * @param {Object} input - tariff-engine BillInput of the current bill
+     * @param {ScenarioChanges} changes
+     * @param {Object} [baseline] - BillResult of `input`, when already calculated
+     * @returns {ScenarioResult}
+     * @throws {TariffEngineError} for invalid input or changes
+     */
+    function simulateScenario(input, changes, baseline) {
+        const current = baseline || calculateWaterBill(input);
+        const applied = applyChanges(input, changes);
+        const result = calculateWaterBill(applied.input);
+
+        return {
+            changes,
+            input: applied.input,
+            result,
+            consumptionSaved: applied.consumptionSaved,
+            savings: savingsBetween(current, result, current.months),
+            underAllocation: result.fullConsumption === 0
+        };
+    }
+
+    /**
+     * Price each change on its own and, when there is more than one,
+     * all of them together
+     * @param {Object} input
+     * @param {ScenarioChanges} changes
+     * @returns {{baseline: Object, scenarios: ScenarioResult[], combined: ScenarioResult|null}}
+     * @throws {TariffEngineError} for invalid input or changes
+     */
+    function compareScenarios(input, changes) {
+        const baseline = calculateWaterBill(input);
+        const types = CHANGE_TYPES.filter(type => changes[type] !== undefined && changes[type] !== false);
+        Object.keys(changes).forEach(type => {
+            if (!CHANGE_TYPES.includes(type)) {
+                throw invalid(type, `unknown change, expected one of ${CHANGE_TYPES.join('/')}`);
+            }
+        });
+
+        const scenarios = types.map(type => simulateScenario(input, { [type]: changes[type] }, baseline));
+        const combined = types.length > 1
+            ? simulateScenario(input, types.reduce((all, type) => ({ ...all, [type]: changes[type] }), {}), baseline)
+            : null;
+
+        return { baseline, scenarios, combined };
+    }
+
+    return {
+        CHANGE_TYPES,
+        applyChanges,
+        simulateScenario,
+        compareScenarios
+    };
+}));
@@ -0,0 +1,569 @@
+#!/usr/bin/env node
+/**
+ * HTTP API
+ * A small self-hosted JSON API over the tariff engine and the bill
+ * checker, for other tools (a CRM, a tenant portal) to call:
+ *   POST /calculate     price a bill (tariff-engine BillInput)
+ *   POST /compare       price the same bill with the tariffs of two years
+ *   POST /check         price a bill and check it against the billed amount
+ *   GET  /openapi.json  OpenAPI 3 description of the above
+ *
+ * Errors are JSON `{ error: { code, message, field } }` with a 4xx status;
+ * engine validation errors keep their TariffEngineError code and field.
+ * Messages follow the `lang` query parameter or the Accept-Language
+ * header (he, ar or en; Hebrew by default).
+ *
+ * Node:    node server.js [--port 8080] [--host 127.0.0.1]
+ *          const { createApiServer } = require('./server');
+ */
+
+'use strict';
+
+const http = require('http');
+const { parseArgs } = require('util');
+const engine = require('./tariff-engine');
+const { checkBill, checkStatus } = require('./bill-checker');
+const i18n = require('./i18n');
+
+const { CURRENT_YEAR, BILLING_PERIODS, FEE_BASES, TariffEngineError, calculateWaterBill, validateInput, getSupportedYears, inputForYear } = engine;
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+
+// Request bodies are a bill or two, far below this
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const BILLING_TYPES = ['actual', 'estimated', 'unknown'];
+
+/**
+ * Request error with an HTTP status (not-found routes, bad bodies)
+ */
+class ApiError extends Error {
+    constructor(status, code, message, field = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.field = field;
+    }
+}
+
+// ============================================
+// REQUEST BODIES
+// ============================================
+
+/**
+ * Read a request body as JSON
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<Object>}
+ */
+function readJSON(request) {
+    return new Promise((resolve, reject) => {
+        const contentType = String(request.headers['content-type'] || '');
+        if (!/^application\/json\b/i.test(contentType)) {
+            reject(new ApiError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Send the body as application/json'));
+            request.resume();
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Answer now and discard the rest of the upload
+                reject(new ApiError(413, 'BODY_TOO_LARGE', `The body must be at most ${MAX_BODY_BYTES} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            if (size > MAX_BODY_BYTES) {
+                return;
+            }
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (e) {
+                reject(new ApiError(400, 'INVALID_JSON', `The body is not valid JSON: ${e.message}`));
+                return;
+            }
+            if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                reject(new ApiError(400, 'INVALID_JSON', 'The body must be a JSON object'));
+                return;
+            }
+            resolve(body);
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * An optional number field: NaN when absent (as the bill checker expects
+ * for a field the resident left empty)
+ * @throws {ApiError} when present and not a finite number >= 0
+ */
+function optionalNumber(body, field) {
+    if (body[field] === undefined || body[field] === null) {
+        return NaN;
+    }
+    if (typeof body[field] !== 'number' || !Number.isFinite(body[field]) || body[field] < 0) {
+        throw new ApiError(400, 'INVALID_FIELD', `${field} must be a number of 0 or more`, field);
+    }
+    return body[field];
+}
+
+/**
+ * The BillInput of a request body (everything except the given fields).
+ * The engine validates it.
+ */
+function billInput(body, ...exclude) {
+    const input = { ...body };
+    exclude.forEach(field => delete input[field]);
+    return input;
+}
+
+// ============================================
+// ENDPOINTS
+// ============================================
+
+/**
+ * POST /calculate - body: BillInput
+ */
+function calculate(body) {
+    return { result: calculateWaterBill(body) };
+}
+
+/**
+ * POST /compare - body: BillInput plus baseYear. An undated bill is priced
+ * with each year's tariff; a dated one keeps its length, its dates moved
+ * into each year, as in the calculator's year comparison.
+ */
+function compare(body) {
+    if (!Number.isInteger(body.baseYear)) {
+        throw new ApiError(400, 'INVALID_FIELD', 'baseYear must be a year', 'baseYear');
+    }
+    // Checked here so the error names baseYear rather than the engine's year field
+    if (!getSupportedYears().includes(body.baseYear)) {
+        throw new TariffEngineError('UNSUPPORTED_YEAR', `No tariffs are defined for ${body.baseYear}`, 'baseYear');
+    }
+    const input = billInput(body, 'baseYear');
+    const year = input.year === undefined ? CURRENT_YEAR : input.year;
+    const result = calculateWaterBill(inputForYear(input, year));
+    const baseResult = calculateWaterBill(inputForYear(input, body.baseYear));
+    const difference = result.totalPrice - baseResult.totalPrice;
+
+    return {
+        years: [
+            { year: body.baseYear, result: baseResult },
+            { year, result }
+        ],
+        difference,
+        percent: baseResult.totalPrice === 0 ? null : (difference / baseResult.totalPrice) * 100
+    };
+}
+
+/**
+ * POST /check - body: BillInput plus actualBillAmount and the optional
+ * bill-checker context (billingType, previousConsumption,
+ * currentMeterReading, billPeriod, otherBills)
+ */
+function check(body) {
+    const actualBillAmount = optionalNumber(body, 'actualBillAmount');
+    if (isNaN(actualBillAmount) || actualBillAmount === 0) {
+        throw new ApiError(400, 'INVALID_FIELD', 'actualBillAmount must be the positive amount on the bill', 'actualBillAmount');
+    }
+    if (body.billingType !== undefined && !BILLING_TYPES.includes(body.billingType)) {
+        throw new ApiError(400, 'INVALID_FIELD', `billingType must be one of ${BILLING_TYPES.join('/')}`, 'billingType');
+    }
+    const previousConsumption = optionalNumber(body, 'previousConsumption');
+    const currentMeterReading = optionalNumber(body, 'currentMeterReading');
+
+    const input = billInput(body, 'actualBillAmount', 'billingType', 'previousConsumption',
+        'currentMeterReading', 'billPeriod', 'otherBills');
+    const result = calculateWaterBill(input);
+    const { consumption, persons, hasDisability } = validateInput(input);
+    const checked = checkBill(result, {
+        consumption,
+        persons,
+        hasDisability,
+        input,
+        actualBillAmount,
+        billingType: body.billingType,
+        previousConsumption,
+        currentMeterReading,
+        billPeriod: body.billPeriod || (input.startDate && input.endDate ? { startDate: input.startDate, endDate: input.endDate } : null),
+        otherBills: Array.isArray(body.otherBills) ? body.otherBills : []
+    }, { lang: i18n.getLocale() });
+
+    return {
+        result,
+        check: {
+            status: checkStatus(checked),
+            actualBillAmount,
+            difference: actualBillAmount - result.totalPrice,
+            findings: checked.findings.map(({ id, category, severity, title, description, action, values }) =>
+                ({ id, category, severity, title, description, action, values }))
+        }
+    };
+}
+
+const ROUTES = {
+    '/calculate': { method: 'POST', handler: calculate },
+    '/compare': { method: 'POST', handler: compare },
+    '/check': { method: 'POST', handler: check },
+    '/openapi.json': { method: 'GET', handler: () => OPENAPI }
+};
+
+// ============================================
+// OPENAPI
+// ============================================
+
+const ERROR_RESPONSE = {
+    description: 'Invalid request',
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+};
+
+const OPENAPI = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Water Bill Calculator API',
+        version: '1.0.0',
+        description: 'Israeli water bill calculation and bill checking by the Water Authority tariffs. ' +
+            'Amounts are in NIS and consumption in cubic meters.'
+    },
+    servers: [{ url: `http://${DEFAULT_HOST}:${DEFAULT_PORT}` }],
+    components: {
+        parameters: {
+            lang: {
+                name: 'lang',
+                in: 'query',
+                required: false,
+                description: 'Language of messages and findings (default: Accept-Language, then he)',
+                schema: { type: 'string', enum: ['he', 'ar', 'en'] }
+            }
+        },
+        schemas: {
+            BillInput: {
+                type: 'object',
+                required: ['consumption'],
+                properties: {
+                    consumption: { type: 'number', minimum: 0, description: 'Cubic meters consumed in the period' },
+                    persons: { type: 'integer', minimum: 1, description: 'Declared household size (required unless members are given)' },
+                    period: { type: 'integer', enum: BILLING_PERIODS, default: 2, description: 'Billing period in months' },
+                    hasDisability: { type: 'boolean', default: false, description: 'A household member with 70%+ disability' },
+                    year: { type: 'integer', enum: getSupportedYears(), default: CURRENT_YEAR, description: 'Tariff year, used when no dates are given' },
+                    startDate: { type: 'string', format: 'date', nullable: true },
+                    endDate: { type: 'string', format: 'date', nullable: true, description: 'Last day of the period, inclusive' },
+                    fees: { type: 'array', items: { $ref: '#/components/schemas/FeeItem' } },
+                    members: {
+                        type: 'array',
+                        description: 'Household members with move-in/move-out dates; replace persons and hasDisability',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                name: { type: 'string' },
+                                from: { type: 'string', format: 'date', nullable: true },
+                                to: { type: 'string', format: 'date', nullable: true },
+                                hasDisability: { type: 'boolean' }
+                            }
+                        }
+                    },
+                    eligibility: {
+                        type: 'array',
+                        description: 'Eligibility claims beyond the disability checkbox',
+                        items: {
+                            type: 'object',
+                            required: ['category'],
+                            properties: {
+                                category: { type: 'string' },
+                                count: { type: 'integer', minimum: 0 },
+                                amount: { type: 'number', minimum: 0 }
+                            }
+                        }
+                    },
+                    consumerType: { type: 'string', default: 'residential' },
+                    rates: {
+                        type: 'object',
+                        description: 'Rates non-residential pricing needs',
+                        properties: {
+                            flat: { type: 'number', minimum: 0 },
+                            quota: { type: 'number', minimum: 0 },
+                            quotaRate: { type: 'number', minimum: 0 },
+                            excessRate: { type: 'number', minimum: 0 }
+                        }
+                    }
+                }
+            },
+            FeeItem: {
+                type: 'object',
+                required: ['basis', 'rate'],
+                properties: {
+                    id: { type: 'string' },
+                    label: { type: 'string' },
+                    basis: { type: 'string', enum: FEE_BASES, description: 'NIS per month, per cubic meter or per bill' },
+                    rate: { type: 'number', minimum: 0 }
+                }
+            },
+            BillResult: {
+                type: 'object',
+                description: 'tariff-engine BillResult',
+                properties: {
+                    allocation: { type: 'number' },
+                    reducedConsumption: { type: 'number' },
+                    fullConsumption: { type: 'number' },
+                    reducedPrice: { type: 'number' },
+                    fullPrice: { type: 'number' },
+                    waterPrice: { type: 'number' },
+                    lineItems: { type: 'array', items: { type: 'object' } },
+                    feesTotal: { type: 'number' },
+                    totalPrice: { type: 'number' },
+                    tariffs: { type: 'object' },
+                    segments: { type: 'array', items: { type: 'object' } },
+                    minChargeApplied: { type: 'boolean' },
+                    actualConsumption: { type: 'number' },
+                    memberAllocations: { type: 'array', nullable: true, items: { type: 'object' } },
+                    eligibility: { type: 'array', items: { type: 'object' } },
+                    consumerType: { type: 'string' }
+                }
+            },
+            Finding: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', description: 'Rule id, e.g. overcharge' },
+                    category: { type: 'string', enum: ['error', 'warning', 'recommendation'] },
+                    severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                    action: { type: 'string' },
+                    values: { type: 'object' }
+                }
+            },
+            Error: {
+                type: 'object',
+                properties: {
+                    error: {
+                        type: 'object',
+                        properties: {
+                            code: { type: 'string', description: 'e.g. INVALID_CONSUMPTION, INVALID_JSON, NOT_FOUND' },
+                            message: { type: 'string' },
+                            field: { type: 'string', nullable: true }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    paths: {
+        '/calculate': {
+            post: {
+                summary: 'Price a bill',
+                parameters: [{ $ref: '#/components/parameters/lang' }],
+                requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/BillInput' } } } },
+                responses: {
+                    200: {
+                        description: 'The calculated bill',
+                        content: { 'application/json': { schema: { type: 'object', properties: { result: { $ref: '#/components/schemas/BillResult' } } } } }
+                    },
+                    400: ERROR_RESPONSE
+                }
+            }
+        },
+        '/compare': {
+            post: {
+                summary: 'Price the same bill with the tariffs of two years',
+                parameters: [{ $ref: '#/components/parameters/lang' }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                allOf: [
+                                    { $ref: '#/components/schemas/BillInput' },
+                                    { type: 'object', required: ['baseYear'], properties: { baseYear: { type: 'integer', enum: getSupportedYears() } } }
+                                ]
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: {
+                        description: 'Both bills, base year first, and the difference from the base year',
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    properties: {
+                                        years: {
+                                            type: 'array',
+                                            items: { type: 'object', properties: { year: { type: 'integer' }, result: { $ref: '#/components/schemas/BillResult' } } }
+                                        },
+                                        difference: { type: 'number', description: 'NIS, year minus base year' },
+                                        percent: { type: 'number', nullable: true }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    400: ERROR_RESPONSE
+                }
+            }
+        },
+        '/check': {
+            post: {
+                summary: 'Check a bill against the calculation',
+                parameters: [{ $ref: '#/components/parameters/lang' }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                allOf: [
+                                    { $ref: '#/components/schemas/BillInput' },
+                                    {
+                                        type: 'object',
+                                        required: ['actualBillAmount'],
+                                        properties: {
+                                            actualBillAmount: { type: 'number', exclusiveMinimum: true, minimum: 0, description: 'Amount on the bill, fees included' },
+                                            billingType: { type: 'string', enum: BILLING_TYPES },
+                                            previousConsumption: { type: 'number', minimum: 0 },
+                                            currentMeterReading: { type: 'number', minimum: 0 },
+                                            billPeriod: { type: 'object', properties: { date: { type: 'string' }, startDate: { type: 'string' }, endDate: { type: 'string' } } },
+                                            otherBills: { type: 'array', description: 'Other bills received, for duplicate-period detection', items: { type: 'object' } }
+                                        }
+                                    }
+                                ]
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: {
+                        description: 'The calculated bill and the findings. status is error when the bill looks overcharged.',
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    properties: {
+                                        result: { $ref: '#/components/schemas/BillResult' },
+                                        check: {
+                                            type: 'object',
+                                            properties: {
+                                                status: { type: 'string', enum: ['error', 'warning', 'ok'] },
+                                                actualBillAmount: { type: 'number' },
+                                                difference: { type: 'number', description: 'NIS, billed minus calculated' },
+                                                findings: { type: 'array', items: { $ref: '#/components/schemas/Finding' } }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    400: ERROR_RESPONSE
+                }
+            }
+        },
+        '/openapi.json': {
+            get: {
+                summary: 'This description',
+                responses: { 200: { description: 'OpenAPI 3 document', content: { 'application/json': {} } } }
+            }
+        }
+    }
+};
+
+// ============================================
+// SERVER
+// ============================================
+
+/**
+ * Language of a request: ?lang=, then Accept-Language, then Hebrew
+ */
+function requestLocale(url, request) {
+    const query = url.searchParams.get('lang');
+    if (query) {
+        return i18n.matchLocale([query]) || 'he';
+    }
+    const accepted = String(request.headers['accept-language'] || '')
+        .split(',')
+        .map(part => part.split(';')[0].trim())
+        .filter(Boolean);
+    return i18n.matchLocale(accepted) || 'he';
+}
+
+function send(response, status, body) {
+    const json = JSON.stringify(body, null, 2);
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(json)
+    });
+    response.end(json);
+}
+
+/**
+ * The error response for a failed request: engine validation errors get
+ * their translated message; anything unexpected is a 500
+ */
+function errorResponse(e) {
+    if (e instanceof TariffEngineError) {
+        const key = `errors.${e.code}`;
+        return [400, { code: e.code, message: i18n.hasMessage(key) ? i18n.t(key) : e.message, field: e.field }];
+    }
+    if (e instanceof ApiError) {
+        return [e.status, { code: e.code, message: e.message, field: e.field }];
+    }
+    console.error('Request failed:', e);
+    return [500, { code: 'INTERNAL_ERROR', message: 'The request could not be processed', field: null }];
+}
+
+/**
+ * Handle one request
+ * @param {http.IncomingMessage} request
+ * @param {http.ServerResponse} response
+ */
+async function handleRequest(request, response) {
+    try {
+        const url = new URL(request.url, 'http://localhost');
+        const route = ROUTES[url.pathname];
+        if (!route) {
+            throw new ApiError(404, 'NOT_FOUND', `No endpoint at ${url.pathname}`);
+        }
+        if (request.method !== route.method) {
+            response.setHeader('Allow', route.method);
+            throw new ApiError(405, 'METHOD_NOT_ALLOWED', `Use ${route.method} for ${url.pathname}`);
+        }
+
+        const body = route.method === 'POST' ? await readJSON(request) : null;
+        // The handlers run synchronously, so the locale holds for the whole request
+        i18n.setLocale(requestLocale(url, request));
+        send(response, 200, route.handler(body));
+    } catch (e) {
+        const [status, error] = errorResponse(e);
+        send(response, status, { error });
+    }
+}
+
+/**
+ * Create the API server (not yet listening)
+ * @returns {http.Server}
+ */
+function createApiServer() {
+    return http.createServer(handleRequest);
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: process.env.PORT || String(DEFAULT_PORT) },
+            host: { type: 'string', default: process.env.HOST || DEFAULT_HOST }
+        }
+    });
+    const server = createApiServer();
+    server.listen(Number(values.port), values.host, () => {
+        const { address, port } = server.address();
+        console.log(`Water calculator API listening on http://${address}:${port} (OpenAPI: /openapi.json)`);
+    });
+}
+
+module.exports = { createApiServer, OPENAPI };
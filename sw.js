@@ -0,0 +1,153 @@
+/**
+ * Service Worker
+ * Caches the calculator (page, styles, scripts, locales, fonts and the
+ * bundled Chart.js, jsPDF and pdf.js) so it opens and calculates with no
+ * connection. The site's own files are fetched from the network first,
+ * so a deployed update (new tariffs included) shows on the next online
+ * visit and the page never mixes old and new scripts; the cache answers
+ * only offline. The Google Fonts and Font Awesome files are cached the
+ * first time they load and then served from the cache.
+ *
+ * Registered by calculator.js; paths are relative to this file, so the
+ * app works from a subdirectory (GitHub Pages).
+ */
+
+'use strict';
+
+// Bump when a cached file is added, removed or renamed
+const CACHE_VERSION = 2;
+const CACHE_NAME = `water-calculator-v${CACHE_VERSION}`;
+
+/**
+ * Files cached on install: everything index.html loads from this site,
+ * plus pdf.js, which calculator.js loads when a bill PDF is imported
+ */
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/chart.umd.min.js',
+    'vendor/jspdf.umd.min.js',
+    'vendor/pdf.min.js',
+    'vendor/pdf.worker.min.js',
+    'tariff-engine.js',
+    'i18n.js',
+    'locales/he.js',
+    'locales/ar.js',
+    'locales/en.js',
+    'water-corporations.js',
+    'bill-parser.js',
+    'building-allocation.js',
+    'meter-readings.js',
+    'leak-detection.js',
+    'savings-simulator.js',
+    'annual-projection.js',
+    'bill-history.js',
+    'bill-solver.js',
+    'bill-checker.js',
+    'data-exchange.js',
+    'url-state.js',
+    'hebrew-pdf.js',
+    'dispute-letter.js',
+    'calculator.js',
+    'fonts/Heebo-Regular.ttf',
+    'fonts/Heebo-Bold.ttf',
+    'fonts/NotoSansArabic-Regular.ttf',
+    'fonts/NotoSansArabic-Bold.ttf'
+];
+
+/**
+ * Other sites whose responses are cached as they load (fonts and icons)
+ */
+const RUNTIME_ORIGINS = [
+    'https://fonts.googleapis.com',
+    'https://fonts.gstatic.com',
+    'https://cdnjs.cloudflare.com'
+];
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    // Drop the caches of earlier versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('water-calculator-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ============================================
+// FETCH STRATEGIES
+// ============================================
+
+/**
+ * Store a response unless it failed. Cross-origin stylesheets and fonts
+ * loaded without CORS come back opaque (status 0) and are kept as well.
+ */
+function store(cache, request, response) {
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Network first, falling back to the cache. Any page request falls back to
+ * index.html: share links keep their state in the fragment, which never
+ * reaches the request.
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        return store(cache, request, await fetch(request));
+    } catch (e) {
+        const cached = await cache.match(request, { ignoreSearch: true })
+            || (request.mode === 'navigate' && await cache.match('index.html'));
+        return cached || Response.error();
+    }
+}
+
+/**
+ * Serve from the cache and refresh the entry in the background; go to
+ * the network only for what is not cached yet
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(event.request);
+    const refresh = fetch(event.request).then(response => store(cache, event.request, response));
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => undefined));
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (RUNTIME_ORIGINS.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
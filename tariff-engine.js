@@ -0,0 +1,1004 @@
+/**
+ * Water Tariff Engine
+ * DOM-free calculation core shared by the browser calculator and Node tools.
+ *
+ * Browser: loaded as a classic script, exposed as window.WaterTariffEngine
+ * Node:    const engine = require('./tariff-engine');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.WaterTariffEngine = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ============================================
+    // CONSTANTS AND TARIFF DATA
+    // ============================================
+
+    const MS_PER_DAY = 24 * 60 * 60 * 1000;
+    const DAYS_PER_MONTH = 365 / 12;
+
+    /**
+     * Tariff periods, each in force from `effectiveFrom` until the next one starts.
+     * Mid-year updates (CPI / electricity linkage) are added as extra entries,
+     * e.g. { effectiveFrom: '2026-07-01', ... }. Keep the list sorted by date.
+     * Only rates checked against the Water Authority's publications are listed,
+     * so the registry starts in 2025 until earlier years are copied and checked.
+     */
+    const TARIFF_PERIODS = [
+        {
+            effectiveFrom: '2025-01-01',
+            reduced: 8.314,  // NIS per cubic meter (includes VAT - 7.046 base + 18% VAT)
+            full: 15.260     // NIS per cubic meter (includes VAT - 12.932 base + 18% VAT)
+        },
+        {
+            effectiveFrom: '2026-01-01',
+            reduced: 8.508,  // NIS per cubic meter (includes VAT)
+            full: 15.623     // NIS per cubic meter (includes VAT)
+        }
+    ].map((period, index, periods) => Object.freeze({
+        ...period,
+        effectiveTo: index + 1 < periods.length ? addDays(periods[index + 1].effectiveFrom, -1) : null,
+        year: Number(period.effectiveFrom.slice(0, 4))
+    }));
+
+    const CURRENT_YEAR = 2026;
+
+    const ALLOCATION_PER_PERSON = 3.5; // cubic meters per person per month
+    const DISABILITY_BONUS = 3.5;      // additional cubic meters for 70%+ disability
+    const MINIMUM_CHARGE = 3;          // minimum cubic meters for bi-monthly period
+
+    const BILLING_PERIODS = [1, 2];    // months covered by a single bill
+
+    /**
+     * How a fee line item is charged:
+     *   monthly - fixed NIS per month of the billing period (connection / meter fees)
+     *   cubic   - NIS per billed cubic meter (sewage, treatment)
+     *   bill    - fixed NIS once per bill
+     */
+    const FEE_BASES = ['monthly', 'cubic', 'bill'];
+
+    /**
+     * How each consumer type is priced. Every strategy fills the same two
+     * tiers, so results look alike whatever the type:
+     *   tiered - residential: the household allocation (persons, members and
+     *            eligibility) at the reduced tariff, the rest at the full tariff
+     *   flat   - every cubic meter at the one rate the corporation charges
+     *   quota  - a monthly quota at the quota rate, the rest at the excess rate
+     * Flat and quota rates are not published tariffs: they come from the
+     * consumer's own bill or approval. `rates` names the ConsumerRates fields
+     * a strategy needs; `household` strategies take their allocation from
+     * persons, members and eligibility, the others from `allocation(rates, period)`.
+     */
+    const PRICING_STRATEGIES = Object.freeze({
+        tiered: Object.freeze({
+            rates: [],
+            household: true,
+            prices: tariffs => ({ reduced: tariffs.reduced, full: tariffs.full })
+        }),
+        flat: Object.freeze({
+            rates: ['flat'],
+            household: false,
+            allocation: () => 0,
+            prices: (tariffs, rates) => ({ reduced: rates.flat, full: rates.flat })
+        }),
+        quota: Object.freeze({
+            rates: ['quota', 'quotaRate', 'excessRate'],
+            household: false,
+            allocation: (rates, period) => rates.quota * period,
+            prices: (tariffs, rates) => ({ reduced: rates.quotaRate, full: rates.excessRate })
+        })
+    });
+
+    // ============================================
+    // ERRORS
+    // ============================================
+
+    /**
+     * Error thrown for invalid calculation input.
+     * `code` is stable and meant for callers to branch on,
+     * `field` names the offending input property.
+     */
+    class TariffEngineError extends Error {
+        constructor(code, message, field) {
+            super(message);
+            this.name = 'TariffEngineError';
+            this.code = code;
+            this.field = field;
+        }
+    }
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /**
+     * @typedef {Object} Tariff
+     * @property {number}      reduced       - NIS per cubic meter within the allocation (incl. VAT)
+     * @property {number}      full          - NIS per cubic meter above the allocation (incl. VAT)
+     * @property {number}      year          - year the period starts in
+     * @property {string}      effectiveFrom - first day in force (YYYY-MM-DD)
+     * @property {string|null} effectiveTo   - last day in force, null while current
+     */
+
+    /**
+     * @typedef {Object} BillInput
+     * @property {number}  consumption           - cubic meters consumed in the period
+     * @property {number}  persons               - declared household size (integer >= 1)
+     * @property {number}  [period=2]            - billing period in months (1 or 2); with dates,
+     *                                             the months they cover are billed instead
+     * @property {boolean} [hasDisability=false] - household member with 70%+ disability
+     * @property {number}  [year=2026]           - tariff year, used when no dates are given
+     * @property {string}  [startDate]           - first day of the billing period (YYYY-MM-DD)
+     * @property {string}  [endDate]             - last day of the billing period (YYYY-MM-DD), inclusive
+     * @property {FeeItem[]} [fees=[]]           - fixed charges, sewage and other line items
+     * @property {HouseholdMember[]} [members]   - household members with move-in/move-out dates;
+     *                                             when given, they replace `persons` and `hasDisability`
+     * @property {EligibilityClaim[]} [eligibility=[]] - categories beyond the 70%+ disability checkbox
+     * @property {string}  [consumerType='residential'] - registered consumer type; only residential
+     *                                             consumers use `persons`, `members` and `eligibility`
+     * @property {ConsumerRates} [rates]          - rates the consumer type's pricing needs
+     */
+
+    /**
+     * Rates for non-residential pricing, from the consumer's bill or approval
+     * @typedef {Object} ConsumerRates
+     * @property {number} [flat]       - NIS per cubic meter, flat pricing
+     * @property {number} [quota]      - cubic meters per month within the quota, quota pricing
+     * @property {number} [quotaRate]  - NIS per cubic meter within the quota
+     * @property {number} [excessRate] - NIS per cubic meter above the quota
+     */
+
+    /**
+     * Registered consumer type
+     * @typedef {Object} ConsumerType
+     * @property {string} id
+     * @property {'tiered'|'flat'|'quota'} pricing - key of PRICING_STRATEGIES
+     */
+
+    /**
+     * Registered eligibility category
+     * @typedef {Object} EligibilityCategory
+     * @property {string} id
+     * @property {number} [perUnit] - cubic meters per month for each eligible person;
+     *                                omitted when the amount comes from the household's approval
+     */
+
+    /**
+     * Eligibility the household claims
+     * @typedef {Object} EligibilityClaim
+     * @property {string} category - registered category id
+     * @property {number} [count=1] - eligible persons, for categories with `perUnit`
+     * @property {number} [amount]  - approved cubic meters per month, for categories without `perUnit`
+     */
+
+    /**
+     * Effect of one claim on the bill
+     * @typedef {Object} EligibilityEffect
+     * @property {string} category
+     * @property {number} count
+     * @property {number} monthly    - extra cubic meters per month at the reduced rate
+     * @property {number} allocation - extra cubic meters for the billing period
+     */
+
+    /**
+     * Household member, for a composition that changes during the period
+     * or more than one member with a disability
+     * @typedef {Object} HouseholdMember
+     * @property {string}  [name]
+     * @property {string}  [from]                - move-in date (YYYY-MM-DD), omitted when present from the start
+     * @property {string}  [to]                  - move-out date, inclusive, omitted when still present
+     * @property {boolean} [hasDisability=false] - 70%+ disability, adds the bonus for this member
+     */
+
+    /**
+     * Allocation earned by one household member
+     * @typedef {Object} MemberAllocation
+     * @property {string}      name
+     * @property {boolean}     hasDisability
+     * @property {number|null} days       - days present in the period (null without dates)
+     * @property {number}      share      - fraction of the period present (0-1)
+     * @property {number}      allocation - cubic meters at the reduced rate, including the disability bonus
+     */
+
+    /**
+     * Charge billed on top of the consumption tiers
+     * @typedef {Object} FeeItem
+     * @property {string} id    - stable identifier (e.g. 'fixed', 'sewage')
+     * @property {string} label - display label, passed through unchanged
+     * @property {'monthly'|'cubic'|'bill'} basis
+     * @property {number} rate  - NIS per month, per cubic meter or per bill (incl. VAT)
+     */
+
+    /**
+     * Priced fee line item
+     * @typedef {Object} LineItem
+     * @property {string} id
+     * @property {string} label
+     * @property {'monthly'|'cubic'|'bill'} basis
+     * @property {number} rate
+     * @property {number} quantity - months, cubic meters or 1
+     * @property {number} amount   - NIS
+     */
+
+    /**
+     * Part of a billing period priced under a single tariff
+     * @typedef {Object} BillSegment
+     * @property {string|null} from               - first day of the segment (null without dates)
+     * @property {string|null} to                 - last day of the segment (null without dates)
+     * @property {number|null} days
+     * @property {number}      share              - fraction of the billing period (0-1)
+     * @property {Tariff}      tariffs
+     * @property {number}      consumption        - billed cubic meters attributed to the segment
+     * @property {number}      allocation
+     * @property {number}      reducedConsumption
+     * @property {number}      fullConsumption
+     * @property {number}      reducedPrice
+     * @property {number}      fullPrice
+     * @property {number}      totalPrice
+     */
+
+    /**
+     * @typedef {Object} BillResult
+     * @property {number}  allocation         - cubic meters billed at the reduced rate at most
+     * @property {number}  reducedConsumption - cubic meters billed at the reduced rate
+     * @property {number}  fullConsumption    - cubic meters billed at the full rate
+     * @property {number}  reducedPrice       - NIS for the reduced tier
+     * @property {number}  fullPrice          - NIS for the full tier
+     * @property {number}  waterPrice         - NIS for both consumption tiers
+     * @property {LineItem[]} lineItems       - priced fees, in input order
+     * @property {number}  feesTotal          - NIS for all fees
+     * @property {number}  totalPrice         - NIS for the whole bill (water + fees)
+     * @property {Tariff}  tariffs            - tariff in force at the end of the period
+     * @property {BillSegment[]} segments     - per-tariff breakdown (one entry unless a tariff change falls inside the period)
+     * @property {boolean} minChargeApplied   - whether the bi-monthly minimum charge kicked in
+     * @property {number}  actualConsumption  - billed cubic meters (after the minimum charge)
+     * @property {number}  months             - months the allocation, minimum charge and monthly fees
+     *                                          were billed for: `period`, or the months the dates cover
+     * @property {MemberAllocation[]|null} memberAllocations - per-member allocation when members were given
+     * @property {EligibilityEffect[]} eligibility - effect of each eligibility claim, in input order
+     * @property {string}  consumerType       - consumer type the bill was priced for
+     */
+
+    // ============================================
+    // ELIGIBILITY CATEGORIES
+    // ============================================
+
+    /**
+     * Built-in categories, extended or overridden with registerEligibilityCategory.
+     * Each adds cubic meters per month at the reduced rate.
+     * @type {EligibilityCategory[]}
+     */
+    const ELIGIBILITY_CATEGORIES = [
+        { id: 'disability', perUnit: DISABILITY_BONUS },   // each further person with 70%+ disability
+        { id: 'foster', perUnit: ALLOCATION_PER_PERSON },  // foster children, counted like residents
+        { id: 'medical' },                                 // medical condition needing extra water, per the approval
+        { id: 'institution' }                              // institutional arrangement with an approved quantity
+    ].map(category => Object.freeze(category));
+
+    /**
+     * Add an eligibility category (replacing any category with the same id)
+     * @param {EligibilityCategory} category
+     * @returns {EligibilityCategory}
+     * @throws {TariffEngineError} INVALID_ELIGIBILITY when the category is malformed
+     */
+    function registerEligibilityCategory(category) {
+        const valid = category &&
+            typeof category.id === 'string' && category.id !== '' &&
+            (category.perUnit === undefined || (Number.isFinite(category.perUnit) && category.perUnit >= 0));
+        if (!valid) {
+            throw new TariffEngineError('INVALID_ELIGIBILITY', 'A category needs an id and, when set, a non-negative perUnit', 'category');
+        }
+
+        const frozen = Object.freeze({ ...category });
+        const index = ELIGIBILITY_CATEGORIES.findIndex(existing => existing.id === category.id);
+        if (index === -1) {
+            ELIGIBILITY_CATEGORIES.push(frozen);
+        } else {
+            ELIGIBILITY_CATEGORIES[index] = frozen;
+        }
+        return frozen;
+    }
+
+    /**
+     * Registered eligibility categories
+     * @returns {EligibilityCategory[]}
+     */
+    function getEligibilityCategories() {
+        return ELIGIBILITY_CATEGORIES.slice();
+    }
+
+    // ============================================
+    // CONSUMER TYPES
+    // ============================================
+
+    /**
+     * Built-in consumer types, extended or overridden with registerConsumerType
+     * @type {ConsumerType[]}
+     */
+    const CONSUMER_TYPES = [
+        { id: 'residential', pricing: 'tiered' },
+        { id: 'business', pricing: 'flat' },
+        { id: 'garden', pricing: 'quota' },       // public and private gardens with an irrigation quota
+        { id: 'agriculture', pricing: 'quota' }   // home farms with an agricultural quota
+    ].map(type => Object.freeze(type));
+
+    /**
+     * Add a consumer type (replacing any type with the same id)
+     * @param {ConsumerType} type
+     * @returns {ConsumerType}
+     * @throws {TariffEngineError} INVALID_CONSUMER_TYPE when the type is malformed
+     */
+    function registerConsumerType(type) {
+        const valid = type &&
+            typeof type.id === 'string' && type.id !== '' &&
+            Object.prototype.hasOwnProperty.call(PRICING_STRATEGIES, type.pricing);
+        if (!valid) {
+            throw new TariffEngineError('INVALID_CONSUMER_TYPE', `A consumer type needs an id and a pricing strategy (${Object.keys(PRICING_STRATEGIES).join('/')})`, 'consumerType');
+        }
+
+        const frozen = Object.freeze({ ...type });
+        const index = CONSUMER_TYPES.findIndex(existing => existing.id === type.id);
+        if (index === -1) {
+            CONSUMER_TYPES.push(frozen);
+        } else {
+            CONSUMER_TYPES[index] = frozen;
+        }
+        return frozen;
+    }
+
+    /**
+     * Registered consumer types
+     * @returns {ConsumerType[]}
+     */
+    function getConsumerTypes() {
+        return CONSUMER_TYPES.slice();
+    }
+
+    // ============================================
+    // VALIDATION
+    // ============================================
+
+    /**
+     * Validate and normalise calculation input, applying defaults
+     * @param {BillInput} input
+     * @returns {Required<BillInput>}
+     * @throws {TariffEngineError}
+     */
+    function validateInput(input) {
+        if (!input || typeof input !== 'object') {
+            throw new TariffEngineError('INVALID_INPUT', 'Calculation input must be an object');
+        }
+
+        const consumption = Number(input.consumption);
+        if (input.consumption === null || input.consumption === '' || !Number.isFinite(consumption) || consumption < 0) {
+            throw new TariffEngineError('INVALID_CONSUMPTION', 'Consumption must be a non-negative number', 'consumption');
+        }
+
+        const consumerType = input.consumerType === undefined || input.consumerType === null || input.consumerType === ''
+            ? 'residential'
+            : input.consumerType;
+        const type = CONSUMER_TYPES.find(entry => entry.id === consumerType);
+        if (!type) {
+            throw new TariffEngineError('INVALID_CONSUMER_TYPE', `Consumer type must be one of ${CONSUMER_TYPES.map(entry => entry.id).join('/')}`, 'consumerType');
+        }
+        const pricing = PRICING_STRATEGIES[type.pricing];
+
+        // Persons, members and eligibility only shape a household allocation
+        let members = null;
+        let persons = null;
+        if (pricing.household) {
+            members = validateMembers(input.members);
+            persons = members ? members.length : Number(input.persons);
+            if (!Number.isInteger(persons) || persons < 1) {
+                throw new TariffEngineError('INVALID_PERSONS', 'Persons must be a positive integer', 'persons');
+            }
+        }
+
+        const period = input.period === undefined ? 2 : Number(input.period);
+        if (!BILLING_PERIODS.includes(period)) {
+            throw new TariffEngineError('INVALID_PERIOD', 'Billing period must be 1 or 2 months', 'period');
+        }
+
+        const year = input.year === undefined ? CURRENT_YEAR : Number(input.year);
+        if (!Number.isInteger(year)) {
+            throw new TariffEngineError('INVALID_YEAR', 'Year must be an integer', 'year');
+        }
+        if (!isSupportedYear(year)) {
+            throw new TariffEngineError('UNSUPPORTED_YEAR', `No tariffs are defined for ${year}`, 'year');
+        }
+
+        const hasStart = input.startDate !== undefined && input.startDate !== null && input.startDate !== '';
+        const hasEnd = input.endDate !== undefined && input.endDate !== null && input.endDate !== '';
+        if (hasStart !== hasEnd) {
+            throw new TariffEngineError('INVALID_DATES', 'Both startDate and endDate are required for a dated billing period', hasStart ? 'endDate' : 'startDate');
+        }
+
+        let startDate = null;
+        let endDate = null;
+        if (hasStart) {
+            startDate = normalizeDate(input.startDate, 'startDate');
+            endDate = normalizeDate(input.endDate, 'endDate');
+            if (endDate < startDate) {
+                throw new TariffEngineError('INVALID_DATES', 'endDate must not be before startDate', 'endDate');
+            }
+        }
+
+        if (members && !startDate && members.some(member => member.from || member.to)) {
+            throw new TariffEngineError('INVALID_MEMBERS', 'Move-in and move-out dates need a dated billing period', 'members');
+        }
+
+        return {
+            consumption,
+            persons,
+            period,
+            hasDisability: Boolean(input.hasDisability),
+            year,
+            startDate,
+            endDate,
+            fees: validateFees(input.fees),
+            members,
+            eligibility: pricing.household ? validateEligibility(input.eligibility) : [],
+            consumerType,
+            rates: validateRates(input.rates, pricing)
+        };
+    }
+
+    /**
+     * Validate the rates a pricing strategy needs
+     * @returns {ConsumerRates}
+     * @throws {TariffEngineError}
+     */
+    function validateRates(rates, pricing) {
+        if (pricing.rates.length === 0) {
+            return {};
+        }
+        if (!rates || typeof rates !== 'object') {
+            throw new TariffEngineError('INVALID_RATES', `Rates must list ${pricing.rates.join(', ')}`, 'rates');
+        }
+        return pricing.rates.reduce((valid, key) => {
+            const value = Number(rates[key]);
+            if (rates[key] === undefined || rates[key] === null || rates[key] === '' || !Number.isFinite(value) || value < 0) {
+                throw new TariffEngineError('INVALID_RATES', `${key} must be a non-negative number`, 'rates');
+            }
+            return { ...valid, [key]: value };
+        }, {});
+    }
+
+    /**
+     * Validate eligibility claims against the registered categories
+     * @returns {EligibilityClaim[]}
+     * @throws {TariffEngineError}
+     */
+    function validateEligibility(eligibility) {
+        if (eligibility === undefined || eligibility === null) {
+            return [];
+        }
+        if (!Array.isArray(eligibility)) {
+            throw new TariffEngineError('INVALID_ELIGIBILITY', 'Eligibility must be an array of claims', 'eligibility');
+        }
+
+        return eligibility.map((claim, index) => {
+            const category = claim && ELIGIBILITY_CATEGORIES.find(entry => entry.id === claim.category);
+            if (!category) {
+                throw new TariffEngineError('INVALID_ELIGIBILITY', `Claim #${index + 1} needs a category (${ELIGIBILITY_CATEGORIES.map(entry => entry.id).join('/')})`, 'eligibility');
+            }
+            const invalid = detail => new TariffEngineError('INVALID_ELIGIBILITY', `Claim #${index + 1} (${category.id}) ${detail}`, 'eligibility');
+
+            if (category.perUnit !== undefined) {
+                const count = claim.count === undefined ? 1 : Number(claim.count);
+                if (!Number.isInteger(count) || count < 1) {
+                    throw invalid('needs a positive whole count');
+                }
+                return { category: category.id, count };
+            }
+            const amount = Number(claim.amount);
+            if (claim.amount === undefined || claim.amount === null || claim.amount === '' || !Number.isFinite(amount) || amount < 0) {
+                throw invalid('needs the approved non-negative amount in cubic meters per month');
+            }
+            return { category: category.id, count: 1, amount };
+        });
+    }
+
+    /**
+     * Validate household members
+     * @returns {HouseholdMember[]|null} null when no members were given
+     * @throws {TariffEngineError}
+     */
+    function validateMembers(members) {
+        if (members === undefined || members === null) {
+            return null;
+        }
+        if (!Array.isArray(members) || members.length === 0) {
+            throw new TariffEngineError('INVALID_MEMBERS', 'Members must be a non-empty array', 'members');
+        }
+
+        return members.map((member, index) => {
+            if (!member || typeof member !== 'object') {
+                throw new TariffEngineError('INVALID_MEMBERS', `Member #${index + 1} must be an object`, 'members');
+            }
+            const date = key => {
+                if (member[key] === undefined || member[key] === null || member[key] === '') {
+                    return null;
+                }
+                const time = toUtc(member[key]);
+                if (Number.isNaN(time)) {
+                    throw new TariffEngineError('INVALID_MEMBERS', `Member #${index + 1} ${key} must be a valid YYYY-MM-DD date`, 'members');
+                }
+                return fromUtc(time);
+            };
+            const from = date('from');
+            const to = date('to');
+            if (from && to && to < from) {
+                throw new TariffEngineError('INVALID_MEMBERS', `Member #${index + 1} moves out before moving in`, 'members');
+            }
+            return {
+                name: String(member.name || `member-${index + 1}`),
+                from,
+                to,
+                hasDisability: Boolean(member.hasDisability)
+            };
+        });
+    }
+
+    /**
+     * Validate fee line items
+     * @returns {FeeItem[]}
+     * @throws {TariffEngineError}
+     */
+    function validateFees(fees) {
+        if (fees === undefined || fees === null) {
+            return [];
+        }
+        if (!Array.isArray(fees)) {
+            throw new TariffEngineError('INVALID_FEES', 'Fees must be an array of line items', 'fees');
+        }
+
+        return fees.map((fee, index) => {
+            const rate = Number(fee && fee.rate);
+            if (!fee || !FEE_BASES.includes(fee.basis) || !Number.isFinite(rate) || rate < 0) {
+                throw new TariffEngineError('INVALID_FEES', `Fee #${index + 1} needs a basis (${FEE_BASES.join('/')}) and a non-negative rate`, 'fees');
+            }
+            return {
+                id: String(fee.id || `fee-${index + 1}`),
+                label: String(fee.label || fee.id || `fee-${index + 1}`),
+                basis: fee.basis,
+                rate
+            };
+        });
+    }
+
+    // ============================================
+    // DATE HELPERS
+    // ============================================
+
+    /**
+     * Parse a YYYY-MM-DD string or Date into a UTC timestamp
+     */
+    function toUtc(date) {
+        if (date instanceof Date) {
+            return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+        }
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date));
+        if (!match) {
+            return NaN;
+        }
+        const [, y, m, d] = match.map(Number);
+        const time = Date.UTC(y, m - 1, d);
+        // Reject overflowing dates such as 2026-02-30
+        return new Date(time).getUTCDate() === d ? time : NaN;
+    }
+
+    /**
+     * Format a UTC timestamp as YYYY-MM-DD
+     */
+    function fromUtc(time) {
+        return new Date(time).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Shift a YYYY-MM-DD date by a number of days
+     */
+    function addDays(date, days) {
+        return fromUtc(toUtc(date) + days * MS_PER_DAY);
+    }
+
+    /**
+     * Number of days between two YYYY-MM-DD dates, both inclusive
+     */
+    function daysInclusive(from, to) {
+        return Math.round((toUtc(to) - toUtc(from)) / MS_PER_DAY) + 1;
+    }
+
+    /**
+     * Move a YYYY-MM-DD date by whole years (February 29 becomes the 28th
+     * in a common year). Invalid dates come back unchanged for validation.
+     */
+    function shiftYears(date, years) {
+        const time = toUtc(date);
+        if (Number.isNaN(time)) {
+            return date;
+        }
+        const from = new Date(time);
+        const year = from.getUTCFullYear() + years;
+        const month = from.getUTCMonth();
+        const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        return fromUtc(Date.UTC(year, month, Math.min(from.getUTCDate(), lastDay)));
+    }
+
+    /**
+     * Whole months a dated billing period covers (at least one), so a
+     * 90-day bill earns three months of allocation whatever `period` says
+     */
+    function monthsBetween(from, to) {
+        return Math.max(1, Math.round(daysInclusive(from, to) / DAYS_PER_MONTH));
+    }
+
+    /**
+     * Validate a date input and return it as YYYY-MM-DD
+     * @throws {TariffEngineError}
+     */
+    function normalizeDate(value, field) {
+        const time = toUtc(value);
+        if (Number.isNaN(time)) {
+            throw new TariffEngineError('INVALID_DATES', `${field} must be a valid YYYY-MM-DD date`, field);
+        }
+        return fromUtc(time);
+    }
+
+    // ============================================
+    // CALCULATION
+    // ============================================
+
+    /**
+     * Get the tariff period in force on a given date
+     * @param {string|Date} date
+     * @returns {Tariff}
+     * @throws {TariffEngineError} when no tariff period covers the date
+     */
+    function getTariffForDate(date) {
+        const day = normalizeDate(date, 'date');
+        for (let i = TARIFF_PERIODS.length - 1; i >= 0; i--) {
+            if (TARIFF_PERIODS[i].effectiveFrom <= day) {
+                return TARIFF_PERIODS[i];
+            }
+        }
+        throw new TariffEngineError('NO_TARIFF_FOR_DATE', `No tariff is defined for ${day}`, 'date');
+    }
+
+    // ============================================
+    // TARIFF REGISTRY
+    // ============================================
+
+    /**
+     * All tariff periods, oldest first
+     * @returns {Tariff[]}
+     */
+    function getTariffPeriods() {
+        return TARIFF_PERIODS.slice();
+    }
+
+    /**
+     * Years that can be priced, newest first: from the first tariff period
+     * up to the current year (a period stays in force until the next one).
+     * @returns {number[]}
+     */
+    function getSupportedYears() {
+        const firstYear = TARIFF_PERIODS[0].year;
+        const lastYear = Math.max(CURRENT_YEAR, TARIFF_PERIODS[TARIFF_PERIODS.length - 1].year);
+        const years = [];
+        for (let year = lastYear; year >= firstYear; year--) {
+            years.push(year);
+        }
+        return years;
+    }
+
+    /**
+     * Whether a year is covered by the tariff registry
+     * @param {number} year
+     * @returns {boolean}
+     */
+    function isSupportedYear(year) {
+        return getSupportedYears().includes(Number(year));
+    }
+
+    /**
+     * Tariff periods in force at any point during a year, oldest first
+     * @param {number} year
+     * @returns {Tariff[]}
+     * @throws {TariffEngineError} for years outside the registry
+     */
+    function getTariffPeriodsForYear(year) {
+        if (!isSupportedYear(year)) {
+            throw new TariffEngineError('UNSUPPORTED_YEAR', `No tariffs are defined for ${year}`, 'year');
+        }
+        return splitBillingPeriod(`${year}-01-01`, `${year}-12-31`).map(part => part.tariffs);
+    }
+
+    /**
+     * Get tariffs for a specific year: the period in force on January 1st,
+     * or the year's first period when the registry starts mid-year
+     * @param {number} year
+     * @returns {Tariff}
+     * @throws {TariffEngineError} for years outside the registry
+     */
+    function getTariffs(year) {
+        if (!isSupportedYear(year)) {
+            throw new TariffEngineError('UNSUPPORTED_YEAR', `No tariffs are defined for ${year}`, 'year');
+        }
+        const firstDay = `${year}-01-01`;
+        return firstDay < TARIFF_PERIODS[0].effectiveFrom ? TARIFF_PERIODS[0] : getTariffForDate(firstDay);
+    }
+
+    /**
+     * Split a billing period into the tariff periods it spans
+     * @param {string} startDate - YYYY-MM-DD, inclusive
+     * @param {string} endDate   - YYYY-MM-DD, inclusive
+     * @returns {{from: string, to: string, days: number, tariffs: Tariff}[]}
+     * @throws {TariffEngineError}
+     */
+    function splitBillingPeriod(startDate, endDate) {
+        const end = normalizeDate(endDate, 'endDate');
+        const parts = [];
+
+        let from = normalizeDate(startDate, 'startDate');
+        while (from <= end) {
+            const tariffs = getTariffForDate(from);
+            const to = tariffs.effectiveTo && tariffs.effectiveTo < end ? tariffs.effectiveTo : end;
+            parts.push({ from, to, days: daysInclusive(from, to), tariffs });
+            from = addDays(to, 1);
+        }
+
+        return parts;
+    }
+
+    /**
+     * Calculate basic allocation based on persons, disability, and period
+     * @returns {number} cubic meters at the reduced rate
+     */
+    function calculateAllocation(persons, hasDisability, period) {
+        let allocation = persons * ALLOCATION_PER_PERSON * period;
+
+        if (hasDisability) {
+            allocation += DISABILITY_BONUS * period;
+        }
+
+        return allocation;
+    }
+
+    /**
+     * Day-weighted allocation of each household member within part of a
+     * billing period. Every member earns a full person's allocation (and the
+     * disability bonus when eligible) for the days they live in the home.
+     * @param {HouseholdMember[]} members - validated members
+     * @param {number} period             - months in the billing period
+     * @param {string|null} from          - first day of the part (null without dates)
+     * @param {string|null} to            - last day of the part
+     * @param {number|null} totalDays     - days in the whole billing period
+     * @returns {MemberAllocation[]}
+     */
+    function allocateMembers(members, period, from, to, totalDays) {
+        return members.map(member => {
+            let days = null;
+            let share = 1;
+            if (from) {
+                const start = member.from && member.from > from ? member.from : from;
+                const end = member.to && member.to < to ? member.to : to;
+                days = end < start ? 0 : daysInclusive(start, end);
+                share = days / totalDays;
+            }
+            return {
+                name: member.name,
+                hasDisability: member.hasDisability,
+                days,
+                share,
+                allocation: calculateAllocation(1, member.hasDisability, period) * share
+            };
+        });
+    }
+
+    /**
+     * Effect of each eligibility claim over a billing period
+     * @param {EligibilityClaim[]} claims - validated claims
+     * @param {number} period             - months in the billing period
+     * @returns {EligibilityEffect[]}
+     */
+    function applyEligibility(claims, period) {
+        return claims.map(claim => {
+            const category = ELIGIBILITY_CATEGORIES.find(entry => entry.id === claim.category);
+            const monthly = category.perUnit !== undefined ? category.perUnit * claim.count : claim.amount;
+            return { category: claim.category, count: claim.count, monthly, allocation: monthly * period };
+        });
+    }
+
+    /**
+     * The same bill in another tariff year, for year comparisons. A dated
+     * bill keeps its length: its dates and the members' move dates are
+     * moved by whole years so that it ends in `year`. An undated bill
+     * just takes the year.
+     * @param {BillInput} input
+     * @param {number} year
+     * @returns {BillInput}
+     */
+    function inputForYear(input, year) {
+        const endYear = toUtc(input.endDate);
+        if (!input.startDate || Number.isNaN(endYear)) {
+            return { ...input, year };
+        }
+        const years = year - new Date(endYear).getUTCFullYear();
+        const move = date => (date ? shiftYears(date, years) : date);
+        const moved = { ...input, year, startDate: move(input.startDate), endDate: move(input.endDate) };
+        if (Array.isArray(input.members)) {
+            moved.members = input.members.map(member => (member && typeof member === 'object'
+                ? { ...member, from: move(member.from), to: move(member.to) }
+                : member));
+        }
+        return moved;
+    }
+
+    /**
+     * Main water bill calculation function
+     * @param {BillInput} input
+     * @returns {BillResult}
+     * @throws {TariffEngineError} when the input is invalid
+     */
+    function calculateWaterBill(input) {
+        const validated = validateInput(input);
+        const { persons, hasDisability, year, startDate, endDate, fees, members, consumerType, rates } = validated;
+        const pricing = PRICING_STRATEGIES[CONSUMER_TYPES.find(type => type.id === consumerType).pricing];
+        let consumption = validated.consumption;
+
+        // Dates decide the months billed, so a period that disagrees with them cannot skew the allocation
+        const totalDays = startDate ? daysInclusive(startDate, endDate) : null;
+        const period = startDate ? monthsBetween(startDate, endDate) : validated.period;
+        const sumAllocations = list => list.reduce((total, member) => total + member.allocation, 0);
+
+        const eligibility = applyEligibility(validated.eligibility, period);
+        const extraAllocation = sumAllocations(eligibility);
+
+        const memberAllocations = members ? allocateMembers(members, period, startDate, endDate, totalDays) : null;
+        const allocation = pricing.household
+            ? (memberAllocations ? sumAllocations(memberAllocations) : calculateAllocation(persons, hasDisability, period)) + extraAllocation
+            : pricing.allocation(rates, period);
+
+        // Apply minimum charge for bi-monthly (and longer) periods
+        let minChargeApplied = false;
+        if (period >= 2 && consumption < MINIMUM_CHARGE) {
+            consumption = MINIMUM_CHARGE;
+            minChargeApplied = true;
+        }
+
+        // Pro-rate consumption and allocation across the tariff periods by days
+        // Members earn allocation only in the parts they were present for
+        const parts = startDate
+            ? splitBillingPeriod(startDate, endDate)
+            : [{ from: null, to: null, days: null, tariffs: getTariffs(year) }];
+
+        // Each segment's two rates come from the pricing strategy (the tariff's own for residential)
+        const segments = parts.map(part => {
+            const share = totalDays ? part.days / totalDays : 1;
+            const partAllocation = members && startDate
+                ? sumAllocations(allocateMembers(members, period, part.from, part.to, totalDays)) + extraAllocation * share
+                : allocation * share;
+            const pricedPart = { ...part, tariffs: { ...part.tariffs, ...pricing.prices(part.tariffs, rates) } };
+            return priceSegment(pricedPart, share, consumption * share, partAllocation);
+        });
+
+        const sum = key => segments.reduce((total, segment) => total + segment[key], 0);
+
+        const waterPrice = sum('totalPrice');
+        const lineItems = calculateFees(fees, consumption, period);
+        const feesTotal = lineItems.reduce((total, item) => total + item.amount, 0);
+
+        return {
+            allocation,
+            reducedConsumption: sum('reducedConsumption'),
+            fullConsumption: sum('fullConsumption'),
+            reducedPrice: sum('reducedPrice'),
+            fullPrice: sum('fullPrice'),
+            waterPrice,
+            lineItems,
+            feesTotal,
+            totalPrice: waterPrice + feesTotal,
+            tariffs: segments[segments.length - 1].tariffs,
+            segments,
+            minChargeApplied,
+            actualConsumption: consumption,
+            months: period,
+            memberAllocations,
+            eligibility,
+            consumerType
+        };
+    }
+
+    /**
+     * Price fee line items for a bill
+     * @param {FeeItem[]} fees
+     * @param {number} billedConsumption - cubic meters after the minimum charge
+     * @param {number} period            - months in the billing period
+     * @returns {LineItem[]}
+     */
+    function calculateFees(fees, billedConsumption, period) {
+        return validateFees(fees).map(fee => {
+            let quantity = 1;
+            if (fee.basis === 'monthly') {
+                quantity = period;
+            } else if (fee.basis === 'cubic') {
+                quantity = billedConsumption;
+            }
+            return { ...fee, quantity, amount: fee.rate * quantity };
+        });
+    }
+
+    /**
+     * Price one tariff segment of a billing period
+     * @returns {BillSegment}
+     */
+    function priceSegment(part, share, consumption, allocation) {
+        const { tariffs } = part;
+
+        // Calculate consumption in each tier
+        const reducedConsumption = Math.min(consumption, allocation);
+        const fullConsumption = Math.max(0, consumption - allocation);
+
+        // Calculate prices
+        const reducedPrice = reducedConsumption * tariffs.reduced;
+        const fullPrice = fullConsumption * tariffs.full;
+
+        return {
+            from: part.from,
+            to: part.to,
+            days: part.days,
+            share,
+            tariffs,
+            consumption,
+            allocation,
+            reducedConsumption,
+            fullConsumption,
+            reducedPrice,
+            fullPrice,
+            totalPrice: reducedPrice + fullPrice
+        };
+    }
+
+    return {
+        TARIFF_PERIODS,
+        CURRENT_YEAR,
+        MS_PER_DAY,
+        DAYS_PER_MONTH,
+        ALLOCATION_PER_PERSON,
+        DISABILITY_BONUS,
+        MINIMUM_CHARGE,
+        BILLING_PERIODS,
+        FEE_BASES,
+        PRICING_STRATEGIES,
+        TariffEngineError,
+        validateInput,
+        toUtc,
+        fromUtc,
+        addDays,
+        daysInclusive,
+        getTariffPeriods,
+        getSupportedYears,
+        isSupportedYear,
+        getTariffPeriodsForYear,
+        getTariffs,
+        getTariffForDate,
+        splitBillingPeriod,
+        monthsBetween,
+        calculateAllocation,
+        allocateMembers,
+        registerEligibilityCategory,
+        getEligibilityCategories,
+        applyEligibility,
+        registerConsumerType,
+        getConsumerTypes,
+        calculateFees,
+        inputForYear,
+        calculateWaterBill
+    };
+}));
@@ -0,0 +1,99 @@
+/**
+ * Bill text parsing tests: numbers and dates as printed on bills, the
+ * generic template's labels, and sample Hebrew and English bills.
+ *
+ * Run: npm test
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseNumber, parseDate, parseBillText } = require('../bill-parser');
+
+test('numbers with thousands separators and decimal commas', () => {
+    assert.equal(parseNumber('1,234.56'), 1234.56);
+    assert.equal(parseNumber('1,234'), 1234);
+    assert.equal(parseNumber('12,345,678'), 12345678);
+    assert.equal(parseNumber('12,5'), 12.5);
+    assert.equal(parseNumber(' 18.5 '), 18.5);
+    assert.equal(parseNumber('abc'), null);
+});
+
+test('dates in the day-first formats bills use', () => {
+    assert.equal(parseDate('01/03/2026'), '2026-03-01');
+    assert.equal(parseDate('1.3.26'), '2026-03-01');
+    assert.equal(parseDate('31-12-2025'), '2025-12-31');
+    assert.equal(parseDate('31/02/2026'), null);
+    assert.equal(parseDate('2026-03-01'), null);
+});
+
+test('the current consumption is not read from the previous period label', () => {
+    const { values } = parseBillText('Previous consumption: 20\nConsumption: 25');
+
+    assert.equal(values.consumption, 25);
+    assert.equal(values.previousConsumption, 20);
+    assert.equal(parseBillText('צריכה קודמת: 20\nצריכה: 25').values.consumption, 25);
+});
+
+test('a due date between the label and the amount is skipped', () => {
+    assert.equal(parseBillText('לתשלום עד 15/05/2026: 312.40').values.billedAmount, 312.4);
+    assert.equal(parseBillText('Amount due by 15.05.26 - 1,312.40 NIS').values.billedAmount, 1312.4);
+});
+
+test('a Hebrew bill', () => {
+    const bill = parseBillText([
+        'מי אביבים',
+        'תקופת חיוב: 01/03/2026 - 30/04/2026',
+        'מספר נפשות: 4',
+        'קריאה קודמת: 1,234.5   קריאה נוכחית: 1,262',
+        'צריכה בתקופה הקודמת: 24 מ"ק',
+        'קריאה משוערת',
+        'סה"כ לתשלום: 312.40 ₪'
+    ].join('\n'));
+
+    assert.equal(bill.corporation, 'mei-avivim');
+    assert.deepEqual(bill.values, {
+        consumption: 27.5,
+        previousConsumption: 24,
+        previousReading: 1234.5,
+        currentReading: 1262,
+        persons: 4,
+        billedAmount: 312.4,
+        startDate: '2026-03-01',
+        endDate: '2026-04-30',
+        billingType: 'estimated'
+    });
+    assert.deepEqual(bill.derived, ['consumption']);
+});
+
+test('an English bill', () => {
+    const bill = parseBillText([
+        'Water bill',
+        'Billing period: 01.01.2026 to 28.02.2026',
+        'Number of persons: 3',
+        'Actual meter reading',
+        'Previous period consumption: 31.2 m3',
+        'Total consumption: 28.75 m3',
+        'Total to pay: 1,045.10'
+    ].join('\n'));
+
+    assert.equal(bill.corporation, null);
+    assert.deepEqual(bill.values, {
+        consumption: 28.75,
+        previousConsumption: 31.2,
+        previousReading: null,
+        currentReading: null,
+        persons: 3,
+        billedAmount: 1045.1,
+        startDate: '2026-01-01',
+        endDate: '2026-02-28',
+        billingType: 'actual'
+    });
+    assert.deepEqual(bill.derived, []);
+});
+
+test('empty text is rejected', () => {
+    assert.throws(() => parseBillText('  '), { code: 'EMPTY_BILL_TEXT' });
+});
@@ -0,0 +1,99 @@
+/**
+ * Bill solver tests: the solved value, the order of matches, and the
+ * cases with no answer.
+ *
+ * Run: npm test
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { solveConsumption, solvePersons, solveTariffYear, solveBill, MAX_CONSUMPTION } = require('../bill-solver');
+const { calculateWaterBill } = require('../tariff-engine');
+
+const HOUSEHOLD = { persons: 3, period: 2, year: 2026 };
+const BUSINESS = { consumerType: 'business', rates: { flat: 10 }, consumption: 10, period: 2 };
+
+test('consumption is solved to 0.01 m³ and re-prices to the amount', () => {
+    const amount = calculateWaterBill({ ...HOUSEHOLD, consumption: 37.5 }).totalPrice;
+    const solved = solveConsumption(amount, HOUSEHOLD);
+
+    assert.equal(solved.unknown, 'consumption');
+    assert.equal(solved.value, 37.5);
+    assert.ok(Math.abs(solved.difference) < 1e-6);
+});
+
+test('the solved consumption is the smallest 0.01 m³ step that reaches the amount', () => {
+    const solved = solveConsumption(300, HOUSEHOLD);
+    const priceAt = consumption => calculateWaterBill({ ...HOUSEHOLD, consumption }).totalPrice;
+
+    assert.ok(priceAt(solved.value) >= 300);
+    assert.ok(priceAt(Number((solved.value - 0.01).toFixed(2))) < 300);
+    assert.equal(solved.difference, 300 - solved.result.totalPrice);
+});
+
+test('an amount below the bill for zero consumption has no consumption', () => {
+    const fees = [{ id: 'fixed', label: 'Fixed', basis: 'bill', rate: 50 }];
+
+    assert.equal(solveConsumption(10, { ...HOUSEHOLD, fees }), null);
+});
+
+test('the consumption search stops at MAX_CONSUMPTION', () => {
+    // With an excess rate of 0 the bill stops growing at the quota
+    const quota = { consumerType: 'garden', rates: { quota: 10, quotaRate: 5, excessRate: 0 }, period: 2, year: 2026 };
+
+    assert.ok(MAX_CONSUMPTION >= 1000000);
+    assert.equal(solveConsumption(500, quota), null);
+    assert.equal(solveConsumption(50, quota).value, 10);
+});
+
+test('persons matches are listed closest first, ties in counting order', () => {
+    const amount = calculateWaterBill({ consumption: 30, persons: 4, period: 2, year: 2026 }).totalPrice;
+    const solved = solvePersons(amount, { consumption: 30, period: 2, year: 2026 }, { tolerancePercent: 10 });
+
+    assert.equal(solved.value, 4);
+    assert.equal(solved.matches[0], 4);
+    const offs = solved.matches.map(persons =>
+        Math.abs(amount - calculateWaterBill({ consumption: 30, persons, period: 2, year: 2026 }).totalPrice));
+    assert.deepEqual(offs, [...offs].sort((a, b) => a - b));
+
+    // Once the allocation covers the consumption, several counts price the same
+    const covered = solvePersons(calculateWaterBill({ consumption: 10, persons: 4, period: 2, year: 2026 }).totalPrice,
+        { consumption: 10, period: 2, year: 2026 });
+    assert.equal(covered.value, covered.matches[0]);
+    assert.deepEqual(covered.matches, [...covered.matches].sort((a, b) => a - b));
+    assert.ok(covered.matches.includes(4));
+});
+
+test('tariff year matches are listed closest first', () => {
+    const input = { consumption: 30, persons: 3, period: 2 };
+    const price = year => calculateWaterBill({ ...input, year }).totalPrice;
+
+    assert.deepEqual(solveTariffYear(price(2025), input, { tolerancePercent: 10 }).matches, [2025, 2026]);
+    assert.deepEqual(solveTariffYear(price(2026), input, { tolerancePercent: 10 }).matches, [2026, 2025]);
+    assert.equal(solveTariffYear(price(2025), input).value, 2025);
+    assert.equal(solveTariffYear(price(2025) * 2, input), null);
+});
+
+test('pricing that is not per household has no persons count or tariff year', () => {
+    assert.equal(solvePersons(100, BUSINESS), null);
+    assert.equal(solveTariffYear(100, BUSINESS), null);
+});
+
+test('members with move dates but no billing dates have no tariff year', () => {
+    const input = { consumption: 10, period: 2, members: [{ name: 'a', from: '2025-01-10' }, { name: 'b' }] };
+
+    assert.equal(solveTariffYear(100, input), null);
+
+    // With the billing dates, each year prices the moved dates
+    const dated = { ...input, startDate: '2026-01-01', endDate: '2026-02-28', members: [{ name: 'a', from: '2026-01-10' }, { name: 'b' }] };
+    const amount = calculateWaterBill(dated).totalPrice;
+    assert.equal(solveTariffYear(amount, dated).value, 2026);
+});
+
+test('invalid amounts and unknowns are rejected', () => {
+    assert.throws(() => solveConsumption(0, HOUSEHOLD), { code: 'INVALID_BILL_AMOUNT' });
+    assert.throws(() => solveBill({ actualBillAmount: 100, input: HOUSEHOLD, unknown: 'period' }), { code: 'INVALID_UNKNOWN' });
+});
@@ -0,0 +1,95 @@
+/**
+ * Command-line tests: each command run as a child process, checking its
+ * exit code and output.
+ *
+ * Run: npm test
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+/**
+ * Run cli.js with the arguments and optional standard input
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function run(args, input) {
+    const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 30000 });
+    return { status, stdout, stderr };
+}
+
+const BILL = ['--consumption', '30', '--persons', '3', '--year', '2026'];
+
+test('calc prints the bill and exits 0', () => {
+    const { status, stdout } = run(['calc', ...BILL]);
+
+    assert.equal(status, 0);
+    assert.match(stdout, /2026: 30(\.00)? m³, 3 persons, 2 months/);
+    assert.match(stdout, /319\.28/);
+});
+
+test('calc exits 1 for a bill billed above the calculation', () => {
+    const { status, stdout } = run(['calc', ...BILL, '--billed', '500', '--json']);
+    const output = JSON.parse(stdout);
+
+    assert.equal(status, 1);
+    assert.equal(output.check.status, 'error');
+    assert.ok(output.check.findings.some(finding => finding.id === 'overcharge'));
+});
+
+test('calc exits 0 for an undercharged estimate, reporting the finding', () => {
+    const { status, stdout } = run(['calc', ...BILL, '--billed', '240', '--billing-type', 'estimated', '--json']);
+    const output = JSON.parse(stdout);
+
+    assert.equal(status, 0);
+    assert.equal(output.check.status, 'error');
+    const ids = output.check.findings.map(finding => finding.id);
+    assert.ok(ids.includes('estimation'));
+    assert.ok(!ids.includes('overcharge'));
+});
+
+test('compare prints both years and the difference', () => {
+    const { status, stdout } = run(['compare', ...BILL, '--base-year', '2025', '--json']);
+    const output = JSON.parse(stdout);
+
+    assert.equal(status, 0);
+    assert.deepEqual(output.years.map(entry => entry.year), [2025, 2026]);
+    assert.ok(output.difference > 0);
+});
+
+test('audit exits 1 only when a bill is overcharged', () => {
+    const header = 'date,consumption,persons,period,billedAmount,billingType\n';
+    const undercharged = `${header}2026-03-01,30,3,2,240,estimated\n`;
+    const overcharged = `${undercharged}2026-05-01,30,3,2,500,actual\nnot-a-date,1,1,2,1,\n`;
+
+    const fine = run(['audit', '-', '--json'], undercharged);
+    assert.equal(fine.status, 0);
+    assert.deepEqual(JSON.parse(fine.stdout).summary, { bills: 1, error: 1, warning: 0, ok: 0, invalid: 0, overcharged: 0, skippedLines: 0 });
+
+    const wrong = run(['audit', '-'], overcharged);
+    assert.equal(wrong.status, 1);
+    assert.match(wrong.stdout, /2 bills: 2 look wrong \(1 overcharged\)/);
+    assert.match(wrong.stderr, /Skipped line 4: date must be a valid YYYY-MM-DD date/);
+});
+
+test('invalid arguments and input exit 2 with a message on stderr', () => {
+    const missing = run(['calc', '--persons', '3']);
+    assert.equal(missing.status, 2);
+    assert.match(missing.stderr, /--consumption is required/);
+
+    const unknown = run(['calc', ...BILL, '--nope']);
+    assert.equal(unknown.status, 2);
+    assert.match(unknown.stderr, /--help/);
+
+    const invalid = run(['calc', '--consumption', '-5', '--persons', '3']);
+    assert.equal(invalid.status, 2);
+    assert.notEqual(invalid.stderr, '');
+
+    assert.equal(run([]).status, 2);
+    assert.equal(run(['--help']).status, 0);
+});
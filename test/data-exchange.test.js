@@ -0,0 +1,60 @@
+/**
+ * Past-bills CSV import: quoting, line numbers and invalid rows.
+ *
+ * Run: npm test
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCSV, parseBillsCSV, toCSV } = require('../data-exchange');
+
+const HEADER = 'date,consumption,persons,period,billedAmount';
+
+test('quoted fields keep separators, quotes and line breaks', () => {
+    assert.deepEqual(parseCSV('a,"b,c","say ""hi""","two\nlines"\r\n'), [['a', 'b,c', 'say "hi"', 'two\nlines']]);
+    assert.deepEqual(parseCSV(toCSV([['x,y', '"q"', 'a\r\nb']])), [['x,y', '"q"', 'a\r\nb']]);
+});
+
+test('valid rows become bills with defaults for optional columns', () => {
+    const { bills, errors } = parseBillsCSV(`\uFEFF${HEADER},hasDisability\r\n2025-03-01,20,3,,170,כן\r\n2025-05-01,30,3,2,,0\r\n`);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(bills, [
+        { date: '2025-03-01', consumption: 20, persons: 3, period: 2, actualBillAmount: 170, hasDisability: true },
+        { date: '2025-05-01', consumption: 30, persons: 3, period: 2, actualBillAmount: null, hasDisability: false }
+    ]);
+});
+
+test('invalid rows are reported by line and column and left out', () => {
+    const { bills, errors } = parseBillsCSV([
+        HEADER,
+        '2025-02-30,20,3,2,170',
+        '2025-03-01,-1,3,2,170',
+        '',
+        '2025-03-01,20,0,2,170',
+        '2025-03-01,20,3,1.5,170',
+        '2025-03-01,20,3,2,abc',
+        '2025-03-01,20,3,2,170'
+    ].join('\n'));
+
+    assert.equal(bills.length, 1);
+    assert.deepEqual(errors.map(({ line, field }) => [line, field]), [
+        [2, 'date'], [3, 'consumption'], [5, 'persons'], [6, 'period'], [7, 'billedAmount']
+    ]);
+    errors.forEach(error => assert.equal(typeof error.message, 'string'));
+});
+
+test('line numbers count the line breaks inside quoted cells', () => {
+    const { bills, errors } = parseBillsCSV(`${HEADER},billingType\n2025-03-01,20,3,2,170,"actual\nsecond line"\nnot-a-date,20,3,2,170,\n`);
+
+    assert.equal(bills.length, 1);
+    assert.deepEqual(errors.map(({ line, field }) => [line, field]), [[4, 'date']]);
+});
+
+test('a header without the required columns is rejected', () => {
+    assert.throws(() => parseBillsCSV('date,consumption\n2025-03-01,20\n'), { code: 'INVALID_CSV', field: 'csv' });
+    assert.throws(() => parseBillsCSV(''), { code: 'INVALID_CSV' });
+});
@@ -0,0 +1,140 @@
+/**
+ * HTTP API tests: each endpoint on a server listening on a free port,
+ * and the JSON error body for bad requests.
+ *
+ * Run: npm test
+ */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createApiServer } = require('../server');
+const { calculateWaterBill, getSupportedYears } = require('../tariff-engine');
+
+let server;
+let baseUrl;
+
+before(() => new Promise(resolve => {
+    server = createApiServer();
+    server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Send a request and read the JSON answer
+ * @returns {Promise<{status: number, headers: Headers, body: Object}>}
+ */
+async function request(method, path, body, contentType = 'application/json') {
+    const options = { method, headers: {} };
+    if (body !== undefined) {
+        options.headers['Content-Type'] = contentType;
+        options.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+    const response = await fetch(baseUrl + path, options);
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+/**
+ * Assert the `{ error: { code, message, field } }` error body
+ */
+function assertError(response, status, code, field = null) {
+    assert.equal(response.status, status);
+    assert.deepEqual(Object.keys(response.body), ['error']);
+    assert.equal(response.body.error.code, code);
+    assert.equal(typeof response.body.error.message, 'string');
+    assert.notEqual(response.body.error.message, '');
+    assert.equal(response.body.error.field, field);
+}
+
+test('POST /calculate prices the bill like the engine', async () => {
+    const input = { consumption: 18, persons: 4, period: 1, year: 2026 };
+    const response = await request('POST', '/calculate', input);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.result, JSON.parse(JSON.stringify(calculateWaterBill(input))));
+});
+
+test('POST /compare prices both years', async () => {
+    const [baseYear] = getSupportedYears();
+    const year = getSupportedYears()[getSupportedYears().length - 1];
+    const response = await request('POST', '/compare', { consumption: 30, persons: 3, period: 2, year, baseYear });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.years.map(entry => entry.year), [baseYear, year]);
+    const [base, current] = response.body.years.map(entry => entry.result.totalPrice);
+    assert.ok(Math.abs(response.body.difference - (current - base)) < 1e-9);
+});
+
+test('POST /compare moves a dated bill into the base year', async () => {
+    const response = await request('POST', '/compare', {
+        consumption: 40, persons: 2, startDate: '2026-01-01', endDate: '2026-03-31', year: 2026, baseYear: 2025
+    });
+
+    assert.equal(response.status, 200);
+    const [base, current] = response.body.years.map(entry => entry.result);
+    assert.equal(base.months, 3);
+    assert.equal(current.months, 3);
+    assert.equal(base.segments[0].from, '2025-01-01');
+    assert.ok(response.body.difference > 0);
+});
+
+test('POST /compare rejects an unsupported baseYear on its own field', async () => {
+    const response = await request('POST', '/compare', { consumption: 30, persons: 3, baseYear: 1999 });
+
+    assertError(response, 400, 'UNSUPPORTED_YEAR', 'baseYear');
+});
+
+test('POST /check flags an overcharge', async () => {
+    const response = await request('POST', '/check?lang=en', { consumption: 30, persons: 4, period: 2, actualBillAmount: 500 });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.check.status, 'error');
+    assert.equal(response.body.check.actualBillAmount, 500);
+    assert.ok(response.body.check.findings.some(finding => finding.id === 'overcharge'));
+});
+
+test('POST /check ignores entries in otherBills that are not bills', async () => {
+    const response = await request('POST', '/check', {
+        consumption: 30, persons: 4, period: 2, actualBillAmount: 500,
+        billPeriod: { date: '2026-01-01' },
+        otherBills: [null, 5, { date: '2026-01-01' }]
+    });
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.check.findings.some(finding => finding.id === 'duplicatePeriod'));
+});
+
+test('GET /openapi.json describes every endpoint', async () => {
+    const response = await request('GET', '/openapi.json');
+
+    assert.equal(response.status, 200);
+    assert.match(response.body.openapi, /^3\./);
+    assert.deepEqual(Object.keys(response.body.paths).sort(), ['/calculate', '/check', '/compare', '/openapi.json']);
+});
+
+test('400 for invalid input, with the engine code and field', async () => {
+    assertError(await request('POST', '/calculate', { consumption: -1, persons: 2 }), 400, 'INVALID_CONSUMPTION', 'consumption');
+    assertError(await request('POST', '/calculate', '{nope'), 400, 'INVALID_JSON');
+    assertError(await request('POST', '/check', { consumption: 30, persons: 4 }), 400, 'INVALID_FIELD', 'actualBillAmount');
+});
+
+test('404 for an unknown path', async () => {
+    assertError(await request('GET', '/nope'), 404, 'NOT_FOUND');
+});
+
+test('405 with an Allow header for the wrong method', async () => {
+    const response = await request('GET', '/calculate');
+
+    assertError(response, 405, 'METHOD_NOT_ALLOWED');
+    assert.equal(response.headers.get('allow'), 'POST');
+});
+
+test('415 for a body that is not JSON', async () => {
+    assertError(await request('POST', '/calculate', 'consumption=30', 'text/plain'), 415, 'UNSUPPORTED_MEDIA_TYPE');
+});
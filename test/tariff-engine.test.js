@@ -0,0 +1,98 @@
+/**
+ * Tariff engine tests: the README worked examples and the minimum-charge
+ * and disability edge cases.
+ *
+ * Run: npm test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    calculateWaterBill,
+    inputForYear,
+    ALLOCATION_PER_PERSON,
+    DISABILITY_BONUS,
+    MINIMUM_CHARGE
+} = require('../tariff-engine');
+
+const CENT = 1e-9;
+
+test('README example 1: 18 m³, 4 persons, monthly', () => {
+    const result = calculateWaterBill({ consumption: 18, persons: 4, period: 1, year: 2026 });
+
+    assert.equal(result.allocation, 14);
+    assert.equal(result.reducedConsumption, 14);
+    assert.equal(result.fullConsumption, 4);
+    assert.ok(Math.abs(result.totalPrice - 181.604) < CENT, `total ${result.totalPrice}`);
+});
+
+test('README example 3: 25 m³, 3 persons, bi-monthly', () => {
+    const result = calculateWaterBill({ consumption: 25, persons: 3, period: 2, year: 2026 });
+
+    assert.equal(result.allocation, 21);
+    assert.equal(result.fullConsumption, 4);
+    assert.ok(Math.abs(result.totalPrice - (21 * 8.508 + 4 * 15.623)) < CENT, `total ${result.totalPrice}`);
+});
+
+test('bi-monthly minimum charge bills at least the minimum', () => {
+    const result = calculateWaterBill({ consumption: 1, persons: 2, period: 2, year: 2026 });
+
+    assert.equal(result.minChargeApplied, true);
+    assert.equal(result.actualConsumption, MINIMUM_CHARGE);
+    assert.ok(Math.abs(result.totalPrice - MINIMUM_CHARGE * result.tariffs.reduced) < CENT);
+
+    const monthly = calculateWaterBill({ consumption: 1, persons: 2, period: 1, year: 2026 });
+    assert.equal(monthly.minChargeApplied, false);
+    assert.equal(monthly.actualConsumption, 1);
+});
+
+test('disability adds its bonus to the allocation for every month', () => {
+    const withBonus = calculateWaterBill({ consumption: 30, persons: 2, period: 2, hasDisability: true, year: 2026 });
+    const without = calculateWaterBill({ consumption: 30, persons: 2, period: 2, year: 2026 });
+
+    assert.equal(withBonus.allocation, (2 * ALLOCATION_PER_PERSON + DISABILITY_BONUS) * 2);
+    assert.equal(withBonus.allocation - without.allocation, DISABILITY_BONUS * 2);
+    assert.equal(withBonus.reducedConsumption, 21);
+    assert.equal(withBonus.fullConsumption, 9);
+});
+
+test('dated periods earn allocation for the months their dates cover', () => {
+    const dated = calculateWaterBill({ consumption: 30, persons: 2, period: 1, startDate: '2026-01-01', endDate: '2026-03-31' });
+
+    assert.equal(dated.months, 3);
+    assert.equal(dated.allocation, 2 * ALLOCATION_PER_PERSON * 3);
+
+    const bimonthly = calculateWaterBill({ consumption: 30, persons: 2, period: 2, startDate: '2026-03-01', endDate: '2026-04-30' });
+    assert.equal(bimonthly.months, 2);
+    assert.equal(bimonthly.allocation, 14);
+});
+
+test('a dated bill compared with another year keeps its dates and months', () => {
+    const input = { consumption: 40, persons: 2, startDate: '2026-01-01', endDate: '2026-03-31' };
+    const moved = inputForYear(input, 2025);
+
+    assert.equal(moved.startDate, '2025-01-01');
+    assert.equal(moved.endDate, '2025-03-31');
+
+    const current = calculateWaterBill(input);
+    const previous = calculateWaterBill(moved);
+    assert.equal(previous.months, current.months);
+    assert.equal(previous.tariffs.year, 2025);
+    // Tariffs rose in 2026, so the same bill cost less in 2025
+    assert.ok(previous.totalPrice < current.totalPrice);
+});
+
+test('moving a bill into another year moves member dates and clamps February 29', () => {
+    const moved = inputForYear({
+        consumption: 20, period: 2, startDate: '2028-02-01', endDate: '2028-03-31',
+        members: [{ name: 'a', from: '2028-02-29' }, { name: 'b' }]
+    }, 2026);
+
+    assert.equal(moved.startDate, '2026-02-01');
+    assert.equal(moved.members[0].from, '2026-02-28');
+    assert.equal(moved.members[1].from, undefined);
+    assert.deepEqual(inputForYear({ consumption: 20, persons: 2 }, 2025), { consumption: 20, persons: 2, year: 2025 });
+});
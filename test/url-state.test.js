@@ -0,0 +1,101 @@
+/**
+ * Shared-link tests: round trip, versions, and the clean-up of untrusted
+ * link content on decode.
+ *
+ * Run: npm test
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SHARE_VERSION, MAX_MEMBERS, MAX_TEXT_LENGTH, encodeState, decodeState, buildShareUrl } = require('../url-state');
+
+/**
+ * Fragment holding any JSON, as a hand-made link would
+ */
+function rawFragment(state, version = SHARE_VERSION) {
+    const encoded = Buffer.from(JSON.stringify(state)).toString('base64url');
+    return `v=${version}&s=${encoded}`;
+}
+
+test('a state survives the round trip, Hebrew text included', () => {
+    const state = {
+        input: { consumption: 18.5, persons: 4, period: 2, year: 2025, startDate: '2026-01-01', endDate: '2026-02-28' },
+        city: 'תל אביב-יפו',
+        tariffYear: 2026,
+        checker: { actualBillAmount: 250, billingType: 'estimated' }
+    };
+    const url = buildShareUrl('https://example.org/calc/#old', state);
+
+    assert.ok(url.startsWith('https://example.org/calc/#v='));
+    assert.deepEqual(decodeState(url.split('#')[1]), state);
+});
+
+test('a fragment without state decodes to null', () => {
+    assert.equal(decodeState(''), null);
+    assert.equal(decodeState('#other=1'), null);
+});
+
+test('damaged links and links from a newer version are rejected', () => {
+    assert.throws(() => decodeState('s=abc'), { code: 'INVALID_SHARE_LINK' });
+    assert.throws(() => decodeState('v=1&s=%%%'), { code: 'INVALID_SHARE_LINK' });
+    assert.throws(() => decodeState(rawFragment({ input: {} }, SHARE_VERSION + 1)), { code: 'INVALID_SHARE_LINK' });
+    assert.throws(() => decodeState(rawFragment([1, 2])), { code: 'INVALID_SHARE_LINK' });
+    assert.throws(() => decodeState(rawFragment({ input: 'x' })), { code: 'INVALID_SHARE_LINK' });
+});
+
+test('input values of the wrong type and unknown fields are dropped', () => {
+    const { input } = decodeState(rawFragment({
+        input: {
+            consumption: '20', persons: 3, period: null, year: 'x', hasDisability: 'yes',
+            startDate: '2026-02-30', endDate: '2026-03-31', consumerType: 5,
+            fees: [{ id: 'fixed', basis: 'bill', rate: 10 }, 'fee', null],
+            eligibility: 'all', rates: [1], script: '<b>x</b>'
+        }
+    }));
+
+    assert.deepEqual(input, { persons: 3, endDate: '2026-03-31', fees: [{ id: 'fixed', basis: 'bill', rate: 10 }] });
+});
+
+test('bad member entries are dropped and the rest coerced', () => {
+    const { input } = decodeState(encodeState({
+        input: {
+            members: [
+                null, 'name', [1],
+                { name: 42, from: 'soon', to: '2026-02-15', hasDisability: 'true' },
+                { name: 'דנה', from: '2026-01-10', hasDisability: true }
+            ]
+        }
+    }));
+
+    assert.deepEqual(input.members, [
+        { name: '', from: null, to: '2026-02-15', hasDisability: false },
+        { name: 'דנה', from: '2026-01-10', to: null, hasDisability: true }
+    ]);
+    assert.equal(decodeState(encodeState({ input: { persons: 2, members: [null] } })).input.members, undefined);
+    assert.equal(decodeState(encodeState({ input: { members: 'all' } })).input.members, undefined);
+});
+
+test('markup and control characters are removed from shared text, and lengths capped', () => {
+    const members = Array.from({ length: MAX_MEMBERS + 5 }, (_, i) => ({ name: `<img src=x onerror=alert(${i})>\u0007` }));
+    const decoded = decodeState(encodeState({
+        input: { members },
+        city: `<script>x</script>${'א'.repeat(100)}`,
+        checker: { actualBillAmount: '250', billingType: '<b>estimated</b>', previousConsumption: 12 }
+    }));
+
+    assert.equal(decoded.input.members.length, MAX_MEMBERS);
+    decoded.input.members.forEach(member => assert.doesNotMatch(member.name, /[<>\u0007]/));
+    assert.equal(decoded.input.members[0].name, 'img src=x onerror=alert(0)');
+    assert.doesNotMatch(decoded.city, /[<>]/);
+    assert.equal(decoded.city.length, MAX_TEXT_LENGTH);
+    assert.deepEqual(decoded.checker, { billingType: 'bestimated/b', previousConsumption: 12 });
+});
+
+test('a city or tariff year of the wrong type is left out', () => {
+    const decoded = decodeState(rawFragment({ input: { persons: 2 }, city: { name: 'x' }, tariffYear: '2026', checker: 'x' }));
+
+    assert.deepEqual(decoded, { input: { persons: 2 } });
+});
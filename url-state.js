@@ -0,0 +1,287 @@
+/**
+ * URL State
+ * Encodes the calculator state (form inputs, comparison year and optionally
+ * the bill-checker fields) in a link's fragment, so a calculation can be
+ * shared and opened on another device. Links carry a format version and
+ * older versions are upgraded on decode, so they keep opening after the
+ * state layout or the tariffs change.
+ *
+ * Browser: loaded as a classic script after tariff-engine.js,
+ *          exposed as window.WaterUrlState
+ * Node:    const urlState = require('./url-state');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./tariff-engine'));
+    } else {
+        root.WaterUrlState = factory(root.WaterTariffEngine);
+    }
+}(typeof self !== 'undefined' ? self : this, function (engine) {
+    'use strict';
+
+    const { TariffEngineError, toUtc } = engine;
+
+    const SHARE_VERSION = 1;
+
+    /**
+     * Limits on text a link carries: member and city names are shown on the
+     * page, so anything longer or more numerous than a household needs is cut
+     */
+    const MAX_MEMBERS = 20;
+    const MAX_TEXT_LENGTH = 60;
+
+    /**
+     * Fragment parameters: `v` is the format version, `s` the encoded state
+     */
+    const VERSION_PARAM = 'v';
+    const STATE_PARAM = 's';
+
+    /**
+     * BillInput fields a link carries; anything else is dropped on decode
+     */
+    const INPUT_FIELDS = [
+        'consumption', 'persons', 'period', 'hasDisability', 'year', 'startDate', 'endDate',
+        'fees', 'eligibility', 'consumerType', 'rates', 'members'
+    ];
+
+    const CHECKER_FIELDS = ['actualBillAmount', 'billingType', 'previousConsumption', 'currentMeterReading'];
+
+    /**
+     * Upgrades from each older version to the next, applied in order on
+     * decode. Bump SHARE_VERSION and add an entry here whenever the state
+     * layout changes.
+     */
+    const UPGRADES = {};
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /**
+     * @typedef {Object} SharedState
+     * @property {Object}      input      - tariff-engine BillInput, `year` being the comparison year
+     * @property {string}      [city]
+     * @property {number}      [tariffYear] - tariff year in force when the link was made
+     * @property {{actualBillAmount: number, billingType: string,
+     *             previousConsumption: number, currentMeterReading: number}} [checker]
+     *           bill-checker fields, when shared
+     */
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    function invalid(message) {
+        return new TariffEngineError('INVALID_SHARE_LINK', message, 'link');
+    }
+
+    function isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    function pick(source, fields) {
+        return fields.reduce((picked, field) => {
+            if (source[field] !== undefined && source[field] !== null && !Number.isNaN(source[field])) {
+                picked[field] = source[field];
+            }
+            return picked;
+        }, {});
+    }
+
+    /**
+     * Shared text without control or markup characters, trimmed to MAX_TEXT_LENGTH
+     */
+    function cleanText(value) {
+        return String(value).replace(/[\u0000-\u001f\u007f<>]/g, '').trim().slice(0, MAX_TEXT_LENGTH);
+    }
+
+    function isDate(value) {
+        return typeof value === 'string' && !Number.isNaN(toUtc(value));
+    }
+
+    /**
+     * Household members from a link: objects only, with a plain-text name,
+     * real YYYY-MM-DD dates and a boolean disability flag
+     */
+    function sanitizeMembers(members) {
+        if (!Array.isArray(members)) {
+            return undefined;
+        }
+        const sanitized = members.filter(isObject).slice(0, MAX_MEMBERS).map(member => ({
+            name: typeof member.name === 'string' ? cleanText(member.name) : '',
+            from: isDate(member.from) ? member.from : null,
+            to: isDate(member.to) ? member.to : null,
+            hasDisability: member.hasDisability === true
+        }));
+        return sanitized.length > 0 ? sanitized : undefined;
+    }
+
+    /**
+     * Type-check the input fields of a decoded link, dropping values of the
+     * wrong type. The engine still validates ranges when the input is used.
+     */
+    function sanitizeInput(input) {
+        const picked = pick(input, INPUT_FIELDS);
+        const checks = {
+            consumption: Number.isFinite,
+            persons: Number.isFinite,
+            period: Number.isFinite,
+            year: Number.isFinite,
+            hasDisability: value => typeof value === 'boolean',
+            startDate: isDate,
+            endDate: isDate,
+            consumerType: value => typeof value === 'string',
+            fees: Array.isArray,
+            eligibility: Array.isArray,
+            rates: isObject
+        };
+        Object.keys(checks).forEach(field => {
+            if (field in picked && !checks[field](picked[field])) {
+                delete picked[field];
+            }
+        });
+        if (picked.fees) {
+            picked.fees = picked.fees.filter(isObject);
+        }
+        if (picked.eligibility) {
+            picked.eligibility = picked.eligibility.filter(isObject);
+        }
+        if ('members' in picked) {
+            picked.members = sanitizeMembers(picked.members);
+            if (!picked.members) {
+                delete picked.members;
+            }
+        }
+        return picked;
+    }
+
+    /**
+     * Checker fields of a decoded link: numbers, and a plain-text billing type
+     */
+    function sanitizeChecker(checker) {
+        const picked = pick(checker, CHECKER_FIELDS);
+        CHECKER_FIELDS.forEach(field => {
+            const valid = field === 'billingType' ? typeof picked[field] === 'string' : Number.isFinite(picked[field]);
+            if (field in picked && !valid) {
+                delete picked[field];
+            }
+        });
+        if (picked.billingType !== undefined) {
+            picked.billingType = cleanText(picked.billingType);
+        }
+        return picked;
+    }
+
+    /**
+     * UTF-8 text to base64url (no padding), so Hebrew city and member names survive
+     */
+    function toBase64Url(text) {
+        let binary = '';
+        new TextEncoder().encode(text).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+
+    // ============================================
+    // ENCODE / DECODE
+    // ============================================
+
+    /**
+     * Encode a state as URL fragment parameters (without the leading '#')
+     * @param {SharedState} state
+     * @returns {string}
+     */
+    function encodeState(state) {
+        const shared = { input: pick(state.input || {}, INPUT_FIELDS) };
+        if (state.city) {
+            shared.city = state.city;
+        }
+        if (state.tariffYear) {
+            shared.tariffYear = state.tariffYear;
+        }
+        if (state.checker) {
+            shared.checker = pick(state.checker, CHECKER_FIELDS);
+        }
+
+        const params = new URLSearchParams();
+        params.set(VERSION_PARAM, String(SHARE_VERSION));
+        params.set(STATE_PARAM, toBase64Url(JSON.stringify(shared)));
+        return params.toString();
+    }
+
+    /**
+     * Decode URL fragment parameters, upgrading older versions
+     * @param {string} fragment - with or without the leading '#'
+     * @returns {SharedState|null} null when the fragment holds no shared state
+     * @throws {TariffEngineError} INVALID_SHARE_LINK for a damaged link or one from a newer version
+     */
+    function decodeState(fragment) {
+        const params = new URLSearchParams(String(fragment || '').replace(/^#/, ''));
+        if (!params.has(STATE_PARAM)) {
+            return null;
+        }
+
+        const version = Number(params.get(VERSION_PARAM));
+        if (!Number.isInteger(version) || version < 1) {
+            throw invalid('Link has no valid format version');
+        }
+        if (version > SHARE_VERSION) {
+            throw invalid(`Link format ${version} is newer than this calculator (${SHARE_VERSION})`);
+        }
+
+        let state;
+        try {
+            state = JSON.parse(fromBase64Url(params.get(STATE_PARAM)));
+        } catch (e) {
+            throw invalid('Link state could not be read');
+        }
+        for (let from = version; from < SHARE_VERSION; from++) {
+            state = UPGRADES[from](state);
+        }
+        if (!isObject(state) || !isObject(state.input)) {
+            throw invalid('Link state has no calculator input');
+        }
+
+        // A link is untrusted: only known fields of the expected types come through
+        const decoded = { input: sanitizeInput(state.input) };
+        const city = typeof state.city === 'string' ? cleanText(state.city) : '';
+        if (city) {
+            decoded.city = city;
+        }
+        if (Number.isInteger(state.tariffYear)) {
+            decoded.tariffYear = state.tariffYear;
+        }
+        if (isObject(state.checker)) {
+            decoded.checker = sanitizeChecker(state.checker);
+        }
+        return decoded;
+    }
+
+    /**
+     * Link to a page with the state in its fragment
+     * @param {string} pageUrl - any existing fragment is replaced
+     * @param {SharedState} state
+     * @returns {string}
+     */
+    function buildShareUrl(pageUrl, state) {
+        return `${String(pageUrl).split('#')[0]}#${encodeState(state)}`;
+    }
+
+    return {
+        SHARE_VERSION,
+        MAX_MEMBERS,
+        MAX_TEXT_LENGTH,
+        INPUT_FIELDS,
+        CHECKER_FIELDS,
+        encodeState,
+        decodeState,
+        buildShareUrl
+    };
+}));
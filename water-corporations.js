@@ -0,0 +1,287 @@
+/**
+ * Water Corporations (ta'agidim)
+ * Bundled dataset of Israeli water corporations and the cities they serve.
+ *
+ * Browser: loaded as a classic script, exposed as window.WaterCorporations
+ * Node:    const corporations = require('./water-corporations');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.WaterCorporations = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ============================================
+    // TYPES
+    // ============================================
+
+    /**
+     * @typedef {Object} CorporationContact
+     * @property {string|null} phone
+     * @property {string|null} website
+     * @property {string|null} email
+     */
+
+    /**
+     * @typedef {Object} Corporation
+     * @property {string}   id
+     * @property {string}   name          - Hebrew name as printed on bills
+     * @property {string}   nameEn
+     * @property {string[]} cities        - Hebrew city names served
+     * @property {number}   billingPeriod - months per bill (1 or 2)
+     * @property {Array<{id: string, label: string, basis: string, rate: number}>} fees
+     *           extra line items in tariff-engine FeeItem format
+     * @property {CorporationContact} contact
+     */
+
+    // ============================================
+    // DATA
+    // ============================================
+
+    /**
+     * Fees are left empty until copied from each corporation's published
+     * price list, and contact fields are null unless verified - the UI falls
+     * back to generic guidance for anything missing.
+     * @type {Corporation[]}
+     */
+    const CORPORATIONS = [
+        {
+            id: 'mei-avivim',
+            name: 'מי אביבים',
+            nameEn: 'Mei Avivim',
+            cities: ['תל אביב-יפו'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: 'https://www.mei-avivim.co.il', email: null }
+        },
+        {
+            id: 'hagihon',
+            name: 'הגיחון',
+            nameEn: 'Hagihon',
+            cities: ['ירושלים'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: 'https://www.hagihon.co.il', email: null }
+        },
+        {
+            id: 'mei-sheva',
+            name: 'מי שבע',
+            nameEn: 'Mei Sheva',
+            cities: ['באר שבע'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: null, email: null }
+        },
+        {
+            id: 'mei-carmel',
+            name: 'מי כרמל',
+            nameEn: 'Mei Carmel',
+            cities: ['חיפה', 'טירת כרמל', 'נשר'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: null, email: null }
+        },
+        {
+            id: 'mei-netanya',
+            name: 'מי נתניה',
+            nameEn: 'Mei Netanya',
+            cities: ['נתניה'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: null, email: null }
+        },
+        {
+            id: 'maniv-rishon',
+            name: 'מניב ראשון',
+            nameEn: 'Maniv Rishon',
+            cities: ['ראשון לציון'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: null, email: null }
+        },
+        {
+            id: 'mei-ramat-gan',
+            name: 'מי רמת גן',
+            nameEn: 'Mei Ramat Gan',
+            cities: ['רמת גן'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: null, email: null }
+        },
+        {
+            id: 'mei-petah-tikva',
+            name: 'מי פתח תקווה',
+            nameEn: 'Mei Petah Tikva',
+            cities: ['פתח תקווה'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: null, email: null }
+        },
+        {
+            id: 'mei-herzliya',
+            name: 'מי הרצליה',
+            nameEn: 'Mei Herzliya',
+            cities: ['הרצליה'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: null, email: null }
+        },
+        {
+            id: 'mei-raanana',
+            name: 'מי רעננה',
+            nameEn: "Mei Ra'anana",
+            cities: ['רעננה'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: null, email: null }
+        },
+        {
+            id: 'mei-kfar-saba',
+            name: 'מי כפר סבא',
+            nameEn: 'Mei Kfar Saba',
+            cities: ['כפר סבא'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: null, email: null }
+        },
+        {
+            id: 'yuvalim-ashdod',
+            name: 'יובלים אשדוד',
+            nameEn: 'Yuvalim Ashdod',
+            cities: ['אשדוד'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: null, email: null }
+        },
+        {
+            id: 'mei-ashkelon',
+            name: 'מי אשקלון',
+            nameEn: 'Mei Ashkelon',
+            cities: ['אשקלון'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: null, email: null }
+        },
+        {
+            id: 'mei-barak',
+            name: 'מי ברק',
+            nameEn: 'Mei Barak',
+            cities: ['בני ברק'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: null, email: null }
+        },
+        {
+            id: 'mei-modiin',
+            name: 'מי מודיעין',
+            nameEn: "Mei Modi'in",
+            cities: ['מודיעין-מכבים-רעות'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: null, email: null }
+        },
+        {
+            id: 'mei-shemesh',
+            name: 'מי שמש',
+            nameEn: 'Mei Shemesh',
+            cities: ['בית שמש'],
+            billingPeriod: 2,
+            fees: [],
+            contact: { phone: null, website: null, email: null }
+        }
+    ];
+
+    // ============================================
+    // LOOKUPS
+    // ============================================
+
+    /**
+     * Normalise Hebrew/Latin text for matching: trims, lower-cases and
+     * treats hyphens, quotes and repeated spaces as a single space
+     */
+    function normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/["'׳״\-–]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Get a corporation by id
+     * @param {string} id
+     * @returns {Corporation|null}
+     */
+    function getCorporation(id) {
+        return CORPORATIONS.find(corporation => corporation.id === id) || null;
+    }
+
+    /**
+     * Find the corporation serving a city (exact match after normalisation)
+     * @param {string} city
+     * @returns {Corporation|null}
+     */
+    function findCorporationByCity(city) {
+        const key = normalize(city);
+        if (!key) {
+            return null;
+        }
+        return CORPORATIONS.find(corporation =>
+            corporation.cities.some(name => normalize(name) === key)
+        ) || null;
+    }
+
+    /**
+     * Find the corporation whose name (Hebrew or English) appears in a
+     * text, such as the text of a bill (as whole words; punctuation
+     * around the name is ignored)
+     * @param {string} text
+     * @returns {Corporation|null}
+     */
+    function findCorporationInText(text) {
+        const padded = ` ${normalize(String(text || '').replace(/[^\p{L}\p{N}\s"'׳״\-–]/gu, ' '))} `;
+        return CORPORATIONS.find(corporation =>
+            [corporation.name, corporation.nameEn].some(name => name && padded.includes(` ${normalize(name)} `))
+        ) || null;
+    }
+
+    /**
+     * All served cities with their corporation, sorted by city name
+     * @returns {{city: string, corporation: Corporation}[]}
+     */
+    function listCities() {
+        return CORPORATIONS
+            .flatMap(corporation => corporation.cities.map(city => ({ city, corporation })))
+            .sort((a, b) => a.city.localeCompare(b.city, 'he'));
+    }
+
+    /**
+     * Search cities by city or corporation name (substring match)
+     * @param {string} query
+     * @returns {{city: string, corporation: Corporation}[]}
+     */
+    function searchCities(query) {
+        const key = normalize(query);
+        if (!key) {
+            return listCities();
+        }
+        return listCities().filter(({ city, corporation }) =>
+            normalize(city).includes(key) ||
+            normalize(corporation.name).includes(key) ||
+            normalize(corporation.nameEn).includes(key)
+        );
+    }
+
+    return {
+        CORPORATIONS,
+        getCorporation,
+        findCorporationByCity,
+        findCorporationInText,
+        listCities,
+        searchCities
+    };
+}));